@@ -0,0 +1,168 @@
+// Built-in breathing catalog served by /api/catalog.
+// IDs are stable: sessions store `catalogId`, so rename entries freely but never reuse or change an id.
+
+export const levels = [
+	{ id: 'beginner', name: 'Beginner' },
+	{ id: 'intermediate', name: 'Intermediate' },
+	{ id: 'advanced', name: 'Advanced' },
+	{ id: 'pro', name: 'Pro' }
+];
+
+export const categories = [
+	{
+		id: 'focus',
+		name: 'Focus & Concentration',
+		benefits: [
+			{ emoji: '🎯', title: 'Boosts Clarity' },
+			{ emoji: '🧠', title: 'Sharpens Attention' },
+			{ emoji: '💡', title: 'Enhances Memory' },
+			{ emoji: '🎓', title: 'Steadies Thoughts' },
+			{ emoji: '⚡', title: 'Improves Control' }
+		]
+	},
+	{
+		id: 'stress',
+		name: 'Stress Relief',
+		benefits: [
+			{ emoji: '😌', title: 'Calms Nerves' },
+			{ emoji: '🧘', title: 'Lowers Cortisol' },
+			{ emoji: '💆', title: 'Relaxes Muscles' },
+			{ emoji: '🌊', title: 'Eases Tension' },
+			{ emoji: '☮️', title: 'Stabilizes Mood' }
+		]
+	},
+	{
+		id: 'sleep',
+		name: 'Sleep & Rest',
+		benefits: [
+			{ emoji: '💤', title: 'Slows Heartbeat' },
+			{ emoji: '🛌', title: 'Relaxes Body' },
+			{ emoji: '🌙', title: 'Clears Mind' },
+			{ emoji: '😴', title: 'Deepens Rest' },
+			{ emoji: '🌟', title: 'Reduces Stress' }
+		]
+	},
+	{
+		id: 'energy',
+		name: 'Energy Boost',
+		benefits: [
+			{ emoji: '🫁', title: 'Increases Oxygen' },
+			{ emoji: '⚡', title: 'Elevates Alertness' },
+			{ emoji: '🔋', title: 'Activates Body' },
+			{ emoji: '💪', title: 'Improves Stamina' },
+			{ emoji: '☀️', title: 'Reduces Fatigue' }
+		]
+	},
+	{
+		id: 'health',
+		name: 'Health & Recovery',
+		benefits: [
+			{ emoji: '🫁', title: 'Strengthens Lungs' },
+			{ emoji: '❤️', title: 'Enhances Circulation' },
+			{ emoji: '🩺', title: 'Supports Healing' },
+			{ emoji: '⚖️', title: 'Balances Breath' },
+			{ emoji: '🛡️', title: 'Builds Resilience' }
+		]
+	},
+	{
+		id: 'emotional',
+		name: 'Emotional Balance',
+		benefits: [
+			{ emoji: '🧘‍♀️', title: 'Reduces Anxiety' },
+			{ emoji: '💚', title: 'Steadies Emotions' },
+			{ emoji: '🌈', title: 'Lowers Stress' },
+			{ emoji: '🎭', title: 'Improves Control' },
+			{ emoji: '✨', title: 'Clears Thoughts' }
+		]
+	}
+];
+
+// One teaser per category, shown before a goal is picked
+export const previewBenefits = [
+	{ emoji: '😌', title: 'Reduces Stress', category: 'stress' },
+	{ emoji: '🎯', title: 'Improves Focus', category: 'focus' },
+	{ emoji: '⚡', title: 'Boosts Energy', category: 'energy' },
+	{ emoji: '💤', title: 'Better Sleep', category: 'sleep' },
+	{ emoji: '❤️', title: 'Health & Recovery', category: 'health' },
+	{ emoji: '🧘♀️', title: 'Emotional Balance', category: 'emotional' }
+];
+
+// `cycles`, where set, is the suggested number of breaths for patterns practised by count rather than by time.
+// `rounds`, where set, makes the pattern the fast breathing of a round-based protocol (see roundsSchema).
+// `annotations` cue the nostril, airway or humming for each phase; `alternateSides` swaps sides every breath
+// 'n-phase' patterns list their steps in `phases` and carry the matching totals in the timing fields (see summarizePhases).
+// `legacyTimings` is how older clients stored a pattern before it could be expressed exactly.
+export const patterns = [
+	{ id: 'focus-5-2-7', category: 'focus', level: 'beginner', name: '5-2-7', type: '3-phase', inhale: 5, holdTop: 2, exhale: 7, description: 'Balances focus + calm' },
+	{ id: 'focus-4-4-6', category: 'focus', level: 'intermediate', name: '4-4-6', type: '3-phase', inhale: 4, holdTop: 4, exhale: 6, description: 'Regulates attention and reduces distractions' },
+	{ id: 'focus-5-3-9', category: 'focus', level: 'advanced', name: '5-3-9', type: '3-phase', inhale: 5, holdTop: 3, exhale: 9, description: 'Longer exhale deepens focus and mental clarity' },
+	{ id: 'focus-6-2-10', category: 'focus', level: 'pro', name: '6-2-10', type: '3-phase', inhale: 6, holdTop: 2, exhale: 10, description: 'Used by elite performers for stable concentration' },
+
+	{ id: 'stress-4-0-6', category: 'stress', level: 'beginner', name: '4-0-6', type: '3-phase', inhale: 4, holdTop: 0, exhale: 6, description: 'Immediately reduces stress' },
+	{ id: 'stress-box-breathing', category: 'stress', level: 'intermediate', name: 'Box Breathing', type: '4-phase', inhale: 4, holdTop: 4, exhale: 4, holdBottom: 4, description: 'Navy SEAL technique - Creates calm under pressure' },
+	{ id: 'stress-4-7-8', category: 'stress', level: 'advanced', name: '4-7-8', type: '3-phase', inhale: 4, holdTop: 7, exhale: 8, description: 'Andrew Weil Method - Deeply relaxes nervous system' },
+	{ id: 'stress-coherent-6-0-6', category: 'stress', level: 'pro', name: 'Coherent 6-0-6', type: '3-phase', inhale: 6, holdTop: 0, exhale: 6, description: 'Balances heart and brain waves' },
+
+	{ id: 'sleep-4-0-6', category: 'sleep', level: 'beginner', name: '4-0-6', type: '3-phase', inhale: 4, holdTop: 0, exhale: 6, description: 'Slows heart rate' },
+	{ id: 'sleep-4-7-8', category: 'sleep', level: 'intermediate', name: '4-7-8', type: '3-phase', inhale: 4, holdTop: 7, exhale: 8, description: 'Scientifically shown to reduce anxiety and induce sleep' },
+	{ id: 'sleep-5-0-10', category: 'sleep', level: 'advanced', name: '5-0-10', type: '3-phase', inhale: 5, holdTop: 0, exhale: 10, description: 'Long exhale signals brain to release melatonin' },
+	{ id: 'sleep-6-0-10', category: 'sleep', level: 'pro', name: '6-0-10', type: '3-phase', inhale: 6, holdTop: 0, exhale: 10, description: 'Used by meditation experts for deep rest' },
+
+	{ id: 'energy-3-1-3', category: 'energy', level: 'beginner', name: '3-1-3', type: '3-phase', inhale: 3, holdTop: 1, exhale: 3, description: 'Gentle stimulation without hyperventilation' },
+	{ id: 'energy-fast-paced-2-0-2', category: 'energy', level: 'intermediate', name: 'Fast Paced 2-0-2', type: '3-phase', inhale: 2, holdTop: 0, exhale: 2, description: 'Boosts alertness quickly' },
+	{ id: 'energy-kapalabhati-1-0-1', category: 'energy', level: 'advanced', name: 'Kapalabhati 1-0-1', type: '3-phase', inhale: 1, holdTop: 0, exhale: 1, cycles: 20, description: 'Sharp inhale/exhale × 20 cycles (gentle)' },
+	{ id: 'energy-sharp-6-deep', category: 'energy', level: 'pro', name: 'Sharp 6 + Deep', type: '3-phase', inhale: 6, holdTop: 0, exhale: 6, description: '6 sharp exhales then deep breath - Used by performers' },
+	{ id: 'energy-power-rounds', category: 'energy', level: 'pro', name: 'Power Breathing Rounds', type: '3-phase', inhale: 2, holdTop: 0, exhale: 1.5, rounds: { count: 3, breaths: 30, recoveryInhale: 3, recoveryHold: 15 }, description: '30 deep breaths, hold on empty lungs until you need to breathe, then a 15s recovery breath. Never practise in water or while driving' },
+
+	{ id: 'health-nasal-6-0-6', category: 'health', level: 'beginner', name: 'Nasal 6-0-6', type: '3-phase', inhale: 6, holdTop: 0, exhale: 6, description: 'Trains lungs and improves HRV (nasal breathing only)' },
+	{ id: 'health-6-3-6', category: 'health', level: 'intermediate', name: '6-3-6', type: '3-phase', inhale: 6, holdTop: 3, exhale: 6, description: 'Promotes optimal oxygen + CO₂ balance' },
+	{ id: 'health-cadence-5-0-7', category: 'health', level: 'advanced', name: 'Cadence 5-0-7', type: '3-phase', inhale: 5, holdTop: 0, exhale: 7, description: '5-7 breaths/min ideal for heart-lung sync' },
+	{ id: 'health-co2-training-4-0-12', category: 'health', level: 'pro', name: 'CO₂ Training 4-0-12', type: '3-phase', inhale: 4, holdTop: 0, exhale: 12, description: 'Develops strong CO₂ tolerance' },
+
+	{ id: 'emotional-physiological-sigh', category: 'emotional', level: 'beginner', name: 'Physiological Sigh', type: 'n-phase', phases: [{ type: 'inhale', duration: 2 }, { type: 'topUp', duration: 2 }, { type: 'exhale', duration: 6 }], inhale: 4, holdTop: 0, exhale: 6, cycles: 5, legacyTimings: { type: '3-phase', inhale: 2, holdTop: 2, exhale: 6 }, description: '2s inhale + 2s top-up inhale + 6s exhale - Stops panic instantly' },
+	{ id: 'emotional-nadi-shodhana-4-4-4', category: 'emotional', level: 'intermediate', name: 'Nadi Shodhana', type: '3-phase', inhale: 4, holdTop: 4, exhale: 4, annotations: { inhale: { side: 'left', airway: 'nose' }, exhale: { side: 'right', airway: 'nose' } }, alternateSides: true, description: 'Alternate-nostril breathing: in left, out right, in right, out left - Calms and balances' },
+	{ id: 'emotional-4-2-6', category: 'emotional', level: 'intermediate', name: '4-2-6', type: '3-phase', inhale: 4, holdTop: 2, exhale: 6, description: 'Balances mood' },
+	{ id: 'emotional-3-3-6', category: 'emotional', level: 'advanced', name: '3-3-6', type: '3-phase', inhale: 3, holdTop: 3, exhale: 6, description: 'Used in trauma-informed breathing therapy' },
+	{ id: 'emotional-vagal-toning-5-0-8', category: 'emotional', level: 'pro', name: 'Vagal Toning 5-0-8', type: '3-phase', inhale: 5, holdTop: 0, exhale: 8, annotations: { inhale: { airway: 'nose' }, exhale: { humming: true } }, description: 'Slow nasal inhale + humming exhale - Stimulates vagus nerve' }
+];
+
+// Multi-stage programs. Guided stages reference patterns above by id; natural stages are unguided.
+// `seconds` is the target length; clients round guided stages to whole breaths.
+export const programs = [
+	{
+		id: 'wind-down',
+		name: 'Wind Down',
+		category: 'sleep',
+		description: 'Settle with a long exhale, deepen with 4-7-8, then let your breath find its own pace',
+		stages: [
+			{ patternId: 'sleep-4-0-6', seconds: 120 },
+			{ patternId: 'sleep-4-7-8', seconds: 300 },
+			{ natural: true, seconds: 60 }
+		]
+	},
+	{
+		id: 'calm-reset',
+		name: 'Calm Reset',
+		category: 'stress',
+		description: 'Slow down, steady yourself with box breathing, then finish in coherence',
+		stages: [
+			{ patternId: 'stress-4-0-6', seconds: 60 },
+			{ patternId: 'stress-box-breathing', seconds: 240 },
+			{ patternId: 'stress-coherent-6-0-6', seconds: 120 }
+		]
+	},
+	{
+		id: 'focus-warm-up',
+		name: 'Focus Warm-Up',
+		category: 'focus',
+		description: 'Wake up gently, then lengthen the exhale to lock in concentration',
+		stages: [
+			{ patternId: 'energy-3-1-3', seconds: 60 },
+			{ patternId: 'focus-5-2-7', seconds: 180 },
+			{ patternId: 'focus-4-4-6', seconds: 180 },
+			{ natural: true, seconds: 30 }
+		]
+	}
+];
+
+export default { levels, categories, previewBenefits, patterns, programs };
@@ -0,0 +1,16 @@
+import mongoose from 'mongoose';
+
+// Longest hold we accept; anything beyond this is a forgotten timer, not a breath hold
+export const MAX_HOLD_SECONDS = 600;
+
+// One breath-hold test attempt: held after a relaxed exhale until the first urge to breathe (BOLT-style)
+const breathHoldSchema = new mongoose.Schema({
+	user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+	seconds: { type: Number, required: true, min: 1, max: MAX_HOLD_SECONDS }
+}, { timestamps: true });
+
+breathHoldSchema.index({ user: 1, createdAt: -1 });
+
+const BreathHold = mongoose.model('BreathHold', breathHoldSchema);
+
+export default BreathHold;
@@ -1,17 +1,24 @@
 import mongoose from 'mongoose';
+import { breathPatternSchema, rampSchema } from './breathPattern.js';
+
+export const PATTERN_NAME_MAX_LENGTH = 60;
+export const PATTERN_DESCRIPTION_MAX_LENGTH = 500;
 
 const patternSchema = new mongoose.Schema({
 	user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
-	name: { type: String, required: true },
-	description: { type: String, default: '' },
-	pattern: {
-		inhale: { type: Number, required: true },
-		hold: { type: Number, default: 0 },
-		exhale: { type: Number, required: true }
-	},
-	isPublic: { type: Boolean, default: false }
+	name: { type: String, required: true, trim: true, maxlength: PATTERN_NAME_MAX_LENGTH },
+	description: { type: String, default: '', trim: true, maxlength: PATTERN_DESCRIPTION_MAX_LENGTH },
+	pattern: { type: breathPatternSchema, required: true },
+	ramp: { type: rampSchema }, // optional gradual change over a session
+	isPublic: { type: Boolean, default: false },
+	// Set on copies saved from another user's public pattern
+	sourcePattern: { type: mongoose.Schema.Types.ObjectId, ref: 'Pattern' },
+	saveCount: { type: Number, default: 0 }
 }, { timestamps: true });
 
+patternSchema.index({ isPublic: 1, createdAt: -1 });
+patternSchema.index({ user: 1, sourcePattern: 1 });
+
 const Pattern = mongoose.model('Pattern', patternSchema);
 
 export default Pattern;
@@ -1,16 +1,184 @@
 import mongoose from 'mongoose';
+import { breathPatternSchema, rampSchema, roundsSchema } from './breathPattern.js';
+
+export const SESSION_EVENT_TYPES = ['start', 'pause', 'resume', 'pattern-change', 'stage-change', 'abort', 'complete'];
+export const SESSION_STATUSES = ['active', 'paused', 'aborted', 'completed'];
+
+// Which statuses each event may be applied from, and the status it leads to
+const ALLOWED_FROM = {
+	pause: ['active'],
+	resume: ['paused'],
+	'pattern-change': ['active', 'paused'],
+	'stage-change': ['active', 'paused'],
+	abort: ['active', 'paused'],
+	complete: ['active', 'paused']
+};
+const NEXT_STATUS = { pause: 'paused', resume: 'active', abort: 'aborted', complete: 'completed' };
+
+const sessionEventSchema = new mongoose.Schema({
+	type: { type: String, enum: SESSION_EVENT_TYPES, required: true },
+	at: { type: Date, default: Date.now },
+	pattern: { type: breathPatternSchema },
+	stageIndex: Number // stage-change only
+}, { _id: false });
+
+// One stage of a multi-stage program; natural stages are unguided and have no pattern
+const programStageSchema = new mongoose.Schema({
+	natural: { type: Boolean, default: false },
+	pattern: { type: breathPatternSchema },
+	catalogId: String,
+	plannedSeconds: { type: Number, required: true },
+	activeSeconds: Number // set when the session ends
+}, { _id: false });
+
+const programSchema = new mongoose.Schema({
+	programId: String, // catalog program id, if it came from the catalog
+	name: String,
+	stages: { type: [programStageSchema], default: [] }
+}, { _id: false });
 
 const sessionSchema = new mongoose.Schema({
 	user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
-	duration: { type: Number, required: true }, // seconds
-	pattern: {
-		inhale: { type: Number, required: true },
-		hold: { type: Number, default: 0 },
-		exhale: { type: Number, required: true }
-	},
+	duration: { type: Number, required: true }, // seconds; an estimate for cycle-count sessions, an upper bound for round-based ones until they complete
+	cycles: { type: Number, min: 1 }, // set for cycle-count sessions: breaths planned instead of minutes
+	completedCycles: Number, // breaths finished, reported when a cycle-count session completes
+	pattern: { type: breathPatternSchema, required: true },
+	ramp: { type: rampSchema }, // ramp applied to `pattern` over the session, if any
+	rounds: { type: roundsSchema }, // set for round-based sessions; `pattern` is the fast breathing between retentions
+	retentions: { type: [Number], default: undefined }, // seconds each round's retention lasted, reported on completion
+	catalogId: String, // built-in catalog entry the pattern was picked from; unset for custom patterns
+	program: { type: programSchema }, // set for multi-stage sessions; `pattern` is then the first guided stage
+	clientId: String, // idempotency key from the device that started the session, so queued calls can be replayed safely
 	completed: { type: Boolean, default: false },
-	completedAt: Date
-}, { timestamps: true });
+	completedAt: Date,
+	// Sessions written before the event log existed derive their status from `completed`
+	status: {
+		type: String,
+		enum: SESSION_STATUSES,
+		default: function () { return this.completed ? 'completed' : 'active'; }
+	},
+	events: { type: [sessionEventSchema], default: [] },
+	activeSeconds: Number, // server-computed breathing time, set when the session ends
+	endedAt: Date
+}, { timestamps: true, optimisticConcurrency: true });
+
+// A device's key names one session per user; sessions started without one are left out
+sessionSchema.index({ user: 1, clientId: 1 }, { unique: true, partialFilterExpression: { clientId: { $type: 'string' } } });
+
+sessionSchema.methods.isOpen = function () {
+	return this.status === 'active' || this.status === 'paused';
+};
+
+// Server-side start timestamp; legacy sessions fall back to their creation time
+sessionSchema.methods.getStartedAt = function () {
+	const start = this.events.find(e => e.type === 'start');
+	return start ? start.at : this.createdAt;
+};
+
+sessionSchema.methods.canApplyEvent = function (type) {
+	return (ALLOWED_FROM[type] || []).includes(this.status);
+};
+
+// Sum the running intervals (start/resume -> pause/abort/complete) in the event log
+sessionSchema.methods.computeActiveSeconds = function (until = new Date()) {
+	let activeMs = 0;
+	let runningSince = null;
+
+	this.events.forEach(event => {
+		if (event.type === 'start' || event.type === 'resume') {
+			runningSince = runningSince || event.at;
+		} else if (event.type === 'pause' || event.type === 'abort' || event.type === 'complete') {
+			if (runningSince) activeMs += event.at - runningSince;
+			runningSince = null;
+		}
+	});
+
+	if (runningSince && until) activeMs += Math.max(0, until - runningSince);
+	return Math.round(activeMs / 1000);
+};
+
+// Index of the program stage currently being breathed, from the latest stage-change event
+sessionSchema.methods.getCurrentStageIndex = function () {
+	const last = [...this.events].reverse().find(e => e.type === 'stage-change');
+	return last ? last.stageIndex : 0;
+};
+
+// Per-stage running time for program sessions, split at stage-change events
+sessionSchema.methods.computeStageSeconds = function (until = new Date()) {
+	if (!this.program) return [];
+	const stageMs = this.program.stages.map(() => 0);
+	let stageIndex = 0;
+	let runningSince = null;
+
+	const close = (at) => {
+		if (runningSince && stageMs[stageIndex] !== undefined) stageMs[stageIndex] += Math.max(0, at - runningSince);
+	};
+
+	this.events.forEach(event => {
+		if (event.type === 'start' || event.type === 'resume') {
+			runningSince = runningSince || event.at;
+		} else if (event.type === 'stage-change') {
+			close(event.at);
+			if (runningSince) runningSince = event.at;
+			stageIndex = event.stageIndex;
+		} else if (event.type === 'pause' || event.type === 'abort' || event.type === 'complete') {
+			close(event.at);
+			runningSince = null;
+		}
+	});
+
+	if (until) close(until);
+	return stageMs.map(ms => Math.round(ms / 1000));
+};
+
+// Per-stage summary for history and dashboards; open sessions are measured up to now
+sessionSchema.methods.getStageBreakdown = function () {
+	if (!this.program) return [];
+	const live = this.isOpen() ? this.computeStageSeconds() : null;
+	return this.program.stages.map((stage, i) => ({
+		natural: stage.natural,
+		pattern: stage.pattern,
+		catalogId: stage.catalogId,
+		plannedSeconds: stage.plannedSeconds,
+		activeSeconds: live ? live[i] : (typeof stage.activeSeconds === 'number' ? stage.activeSeconds : stage.plannedSeconds)
+	}));
+};
+
+// Append a lifecycle event; returns false when the transition is not allowed
+sessionSchema.methods.applyEvent = function (type, { at = new Date(), pattern, stageIndex } = {}) {
+	if (!this.canApplyEvent(type)) return false;
+
+	const event = { type, at };
+	if (pattern) event.pattern = pattern;
+	if (type === 'stage-change') event.stageIndex = stageIndex;
+	this.events.push(event);
+	if (type === 'pattern-change' && pattern) this.pattern = pattern;
+	if (NEXT_STATUS[type]) this.status = NEXT_STATUS[type];
+
+	if (type === 'abort' || type === 'complete') {
+		this.endedAt = at;
+		// Legacy sessions have no start event, so there is nothing to measure
+		if (this.events.some(e => e.type === 'start')) {
+			this.activeSeconds = Math.min(this.computeActiveSeconds(at), this.duration);
+			if (this.program) {
+				const stageSeconds = this.computeStageSeconds(at);
+				this.program.stages.forEach((stage, i) => {
+					stage.activeSeconds = stageSeconds[i];
+				});
+			}
+		}
+		if (type === 'complete') {
+			this.completed = true;
+			this.completedAt = at;
+		}
+	}
+	return true;
+};
+
+// Breathing time to credit: server-measured when available, planned duration for legacy rows
+sessionSchema.methods.getCreditedSeconds = function () {
+	return typeof this.activeSeconds === 'number' ? this.activeSeconds : (this.duration || 0);
+};
 
 const Session = mongoose.model('Session', sessionSchema);
 
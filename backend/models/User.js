@@ -1,5 +1,26 @@
 import bcrypt from 'bcryptjs';
 import mongoose from 'mongoose';
+import { addDays, DEFAULT_TIMEZONE, daysBetween, getDayKey, isValidTimezone } from '../utils/timezone.js';
+
+export const CUE_STYLES = ['none', 'tones', 'bells', 'sweeps', 'voice'];
+export const AMBIENT_SOUNDS = ['none', 'rain', 'ocean', 'brown'];
+export const VISUAL_STYLES = ['path', 'circle', 'box', 'bar'];
+// When a timed session's time is up: stop at once, finish the breath, or plan whole breaths from the start
+export const SESSION_ENDINGS = ['cut', 'finish', 'round'];
+// A streak freeze is earned for every 7 days in a row, and at most 2 are banked
+export const FREEZE_EARNED_EVERY = 7;
+export const MAX_BANKED_FREEZES = 2;
+
+// Audio guidance settings; volumes are gains from 0 (silent) to 1
+export const isValidAudioPreferences = (audio) => {
+	if (!audio || typeof audio !== 'object' || Array.isArray(audio)) return false;
+	const isVolume = (v) => typeof v === 'number' && v >= 0 && v <= 1;
+	if (audio.cueStyle !== undefined && !CUE_STYLES.includes(audio.cueStyle)) return false;
+	if (audio.ambient !== undefined && !AMBIENT_SOUNDS.includes(audio.ambient)) return false;
+	if (audio.cueVolume !== undefined && !isVolume(audio.cueVolume)) return false;
+	if (audio.ambientVolume !== undefined && !isVolume(audio.ambientVolume)) return false;
+	return true;
+};
 
 const achievementSchema = new mongoose.Schema({
 	name: { type: String, required: true },
@@ -8,10 +29,22 @@ const achievementSchema = new mongoose.Schema({
 	unlockedAt: { type: Date, default: Date.now }
 });
 
+// A missed day a banked streak freeze covered, consumed by the session that carried the streak on
+const frozenDaySchema = new mongoose.Schema({
+	day: { type: String, required: true }, // 'YYYY-MM-DD' in the user's time zone
+	usedAt: { type: Date, required: true }
+}, { _id: false });
+
 const userSchema = new mongoose.Schema({
 	name: { type: String, required: true, trim: true },
 	email: { type: String, required: true, unique: true, lowercase: true, trim: true },
 	password: { type: String, required: true, select: false },
+	// IANA zone from the browser (e.g. 'Australia/Sydney'); streaks and daily stats count days in it
+	timezone: {
+		type: String,
+		default: DEFAULT_TIMEZONE,
+		validate: { validator: isValidTimezone, message: 'Unknown time zone' }
+	},
 	profile: {
 		phone: { type: String, trim: true },
 		location: { type: String, trim: true },
@@ -21,14 +54,25 @@ const userSchema = new mongoose.Schema({
 		notifications: { type: Boolean, default: true },
 		dailyReminders: { type: Boolean, default: true },
 		achievementAlerts: { type: Boolean, default: true },
-		emailUpdates: { type: Boolean, default: false }
+		emailUpdates: { type: Boolean, default: false },
+		haptics: { type: Boolean, default: false }, // vibrate on phase changes, where the device can
+		visualStyle: { type: String, enum: VISUAL_STYLES, default: 'path' }, // how a session is drawn
+		sessionEnding: { type: String, enum: SESSION_ENDINGS, default: 'finish' },
+		audio: {
+			cueStyle: { type: String, enum: CUE_STYLES, default: 'tones' },
+			cueVolume: { type: Number, min: 0, max: 1, default: 0.8 },
+			ambient: { type: String, enum: AMBIENT_SOUNDS, default: 'none' },
+			ambientVolume: { type: Number, min: 0, max: 1, default: 0.5 }
+		}
 	},
 	stats: {
 		streak: { type: Number, default: 0 },
 		totalSessions: { type: Number, default: 0 },
 		totalMinutes: { type: Number, default: 0 },
 		lastSessionDate: Date,
-		longestStreak: { type: Number, default: 0 }
+		longestStreak: { type: Number, default: 0 },
+		streakFreezes: { type: Number, default: 0 }, // banked, used up automatically on missed days
+		frozenDays: { type: [frozenDaySchema], default: [] }
 	},
 	achievements: [achievementSchema],
 	// Password reset fields - OTP based
@@ -48,41 +92,53 @@ userSchema.methods.comparePassword = async function (candidatePassword) {
 	return await bcrypt.compare(candidatePassword, this.password);
 };
 
-// Update streak based on lastSessionDate
-userSchema.methods.updateStreak = function () {
-	const today = new Date();
-	today.setHours(0, 0, 0, 0);
+// Update streak based on lastSessionDate, counting calendar days in the user's time zone.
+// Missed days are bridged by banked freezes when there are enough to cover all of them
+userSchema.methods.updateStreak = function (now = new Date()) {
+	const today = getDayKey(now, this.timezone);
 
 	if (!this.stats.lastSessionDate) {
 		this.stats.streak = 1;
-		this.stats.lastSessionDate = today;
+		this.stats.lastSessionDate = now;
 		this.stats.longestStreak = Math.max(this.stats.longestStreak || 0, this.stats.streak);
 		return;
 	}
 
-	const last = new Date(this.stats.lastSessionDate);
-	last.setHours(0, 0, 0, 0);
-	const diffMs = today - last;
-	const diffDays = Math.round(diffMs / (1000 * 60 * 60 * 24));
+	const diffDays = daysBetween(getDayKey(this.stats.lastSessionDate, this.timezone), today);
 
-	if (diffDays === 0) {
-		// already did today; no change
+	if (diffDays <= 0) {
+		// already did today (or a session synced late); no change
 		return;
 	}
 
-	if (diffDays === 1) {
+	const missedDays = diffDays - 1;
+	const banked = this.stats.streakFreezes || 0;
+	if (missedDays === 0) {
+		this.stats.streak = (this.stats.streak || 0) + 1;
+	} else if (missedDays <= banked) {
+		// Banked freezes cover every missed day, so the streak carries on
+		const lastDay = getDayKey(this.stats.lastSessionDate, this.timezone);
+		this.stats.streakFreezes = banked - missedDays;
+		for (let i = 1; i <= missedDays; i++) {
+			this.stats.frozenDays.push({ day: addDays(lastDay, i), usedAt: now });
+		}
 		this.stats.streak = (this.stats.streak || 0) + 1;
 	} else {
-		this.stats.streak = 1; // reset
+		this.stats.streak = 1; // reset; freezes stay banked for the next streak
+	}
+
+	if (this.stats.streak % FREEZE_EARNED_EVERY === 0) {
+		this.stats.streakFreezes = Math.min(MAX_BANKED_FREEZES, (this.stats.streakFreezes || 0) + 1);
 	}
 
-	this.stats.lastSessionDate = today;
+	this.stats.lastSessionDate = now;
 	if (this.stats.streak > (this.stats.longestStreak || 0)) {
 		this.stats.longestStreak = this.stats.streak;
 	}
 };
 
-userSchema.methods.checkAchievements = function () {
+// Award achievements the current stats qualify for, as unlocked at `at`
+userSchema.methods.checkAchievements = function (at = new Date()) {
 	const newAchievements = [];
 
 	const achs = [
@@ -106,15 +162,15 @@ userSchema.methods.checkAchievements = function () {
 		if (already) return;
 
 		if (a.sessions && (this.stats.totalSessions || 0) >= a.sessions) {
-			this.achievements.push({ name: a.name, icon: a.icon, description: a.description });
+			this.achievements.push({ name: a.name, icon: a.icon, description: a.description, unlockedAt: at });
 			newAchievements.push(a);
 		}
 		if (a.streak && (this.stats.streak || 0) >= a.streak) {
-			this.achievements.push({ name: a.name, icon: a.icon, description: a.description });
+			this.achievements.push({ name: a.name, icon: a.icon, description: a.description, unlockedAt: at });
 			newAchievements.push(a);
 		}
 		if (a.minutes && (this.stats.totalMinutes || 0) >= a.minutes) {
-			this.achievements.push({ name: a.name, icon: a.icon, description: a.description });
+			this.achievements.push({ name: a.name, icon: a.icon, description: a.description, unlockedAt: at });
 			newAchievements.push(a);
 		}
 	});
@@ -0,0 +1,262 @@
+import mongoose from 'mongoose';
+
+export const PATTERN_TYPES = ['3-phase', '4-phase', 'n-phase'];
+export const PATTERN_PHASES = ['inhale', 'holdTop', 'exhale', 'holdBottom'];
+// Building blocks of an 'n-phase' pattern; a top-up inhale tops up lungs that are already partly full
+export const PHASE_TYPES = ['inhale', 'topUp', 'hold', 'exhale'];
+const MAX_PATTERN_PHASES = 12;
+const MAX_PHASE_SECONDS = 60;
+export const ANNOTATION_SIDES = ['left', 'right'];
+export const ANNOTATION_AIRWAYS = ['nose', 'mouth'];
+
+// How to breathe during one phase: which nostril, nose or mouth, and whether to hum
+const phaseAnnotationSchema = new mongoose.Schema({
+	side: { type: String, enum: ANNOTATION_SIDES },
+	airway: { type: String, enum: ANNOTATION_AIRWAYS },
+	humming: Boolean
+}, { _id: false });
+
+// One step of an 'n-phase' pattern, e.g. { type: 'topUp', duration: 1 }
+const patternPhaseSchema = new mongoose.Schema({
+	type: { type: String, enum: PHASE_TYPES, required: true },
+	duration: { type: Number, required: true, min: 0, max: MAX_PHASE_SECONDS }
+}, { _id: false });
+
+// Whether a value is a phase length in seconds: a finite number up to MAX_PHASE_SECONDS that is
+// above zero, or may be zero for holds
+const isPhaseSeconds = (value, { allowZero = false } = {}) => (
+	typeof value === 'number' && Number.isFinite(value) && value <= MAX_PHASE_SECONDS && (allowZero ? value >= 0 : value > 0)
+);
+
+// Upper bound of a 3- or 4-phase timing field. The fields of n-phase patterns total several steps,
+// each of which its phase list already bounds
+const phaseSecondsValidator = {
+	validator(value) {
+		return this.type === 'n-phase' || value == null || value <= MAX_PHASE_SECONDS;
+	},
+	message: `{PATH} must be at most ${MAX_PHASE_SECONDS} seconds`
+};
+
+// Shared sub-schema for a breathing pattern, embedded by Session and Pattern.
+// `hold` is kept as an alias of `holdTop` so older clients keep working.
+// 'n-phase' patterns list their steps in `phases`; the four timing fields then hold totals
+// derived from that list, so code that only knows 3- and 4-phase shapes keeps working.
+export const breathPatternSchema = new mongoose.Schema({
+	type: { type: String, enum: PATTERN_TYPES },
+	inhale: { type: Number, required: true, min: [Number.MIN_VALUE, 'inhale must be above zero'], validate: phaseSecondsValidator },
+	holdTop: { type: Number, default: 0, alias: 'hold', min: 0, validate: phaseSecondsValidator },
+	exhale: { type: Number, required: true, min: [Number.MIN_VALUE, 'exhale must be above zero'], validate: phaseSecondsValidator },
+	holdBottom: { type: Number, min: 0, validate: phaseSecondsValidator },
+	phases: { type: [patternPhaseSchema], default: undefined },
+	// Optional per-phase cues, e.g. alternate-nostril breathing
+	annotations: {
+		inhale: { type: phaseAnnotationSchema },
+		topUp: { type: phaseAnnotationSchema }, // n-phase patterns only
+		holdTop: { type: phaseAnnotationSchema },
+		exhale: { type: phaseAnnotationSchema },
+		holdBottom: { type: phaseAnnotationSchema }
+	},
+	// Swap left and right on every other breath (Nadi Shodhana)
+	alternateSides: Boolean
+}, { _id: false });
+
+// Infer the type when the client did not send one, keep 3-phase patterns free of holdBottom
+// and fill in the timing totals of n-phase patterns
+breathPatternSchema.pre('validate', function (next) {
+	if (!this.type) {
+		this.type = this.holdBottom > 0 ? '4-phase' : '3-phase';
+	}
+	if (this.type !== 'n-phase') this.phases = undefined;
+
+	if (this.type === 'n-phase') {
+		if (!isValidPhases(this.phases)) {
+			this.invalidate('phases', 'n-phase patterns need a valid list of phases', this.phases);
+		} else {
+			Object.assign(this, { holdBottom: undefined }, summarizePhases(this.phases));
+		}
+	} else if (this.type === '3-phase') {
+		this.holdBottom = undefined;
+		if (this.annotations) this.annotations.holdBottom = undefined;
+	} else if (!(this.holdBottom > 0)) {
+		this.invalidate('holdBottom', 'holdBottom is required for 4-phase patterns', this.holdBottom);
+	}
+	next();
+});
+
+// Check an n-phase list: it starts from empty lungs, only tops up or breathes out lungs that
+// have air in them, and ends its breathing on an exhale so every breath starts empty
+export const isValidPhases = (phases) => {
+	if (!Array.isArray(phases) || phases.length < 2 || phases.length > MAX_PATTERN_PHASES) return false;
+	let filled = false;
+	for (const phase of phases) {
+		if (!phase || typeof phase !== 'object' || !PHASE_TYPES.includes(phase.type)) return false;
+		const { type, duration } = phase;
+		if (!isPhaseSeconds(duration, { allowZero: type === 'hold' })) return false;
+
+		if (type === 'inhale') {
+			if (filled) return false;
+			filled = true;
+		} else if (type === 'topUp') {
+			if (!filled) return false;
+		} else if (type === 'exhale') {
+			if (!filled) return false;
+			filled = false;
+		}
+	}
+	return !filled && phases.some(phase => phase.type === 'inhale');
+};
+
+// Phase name each step of a phase list runs as: holds are named for whether the lungs are full
+// or empty, so an n-phase pattern shares phase names (and annotation keys) with 3- and 4-phase ones
+export const getPhaseNames = (phases) => {
+	let filled = false;
+	return phases.map(({ type }) => {
+		if (type === 'inhale' || type === 'topUp') filled = true;
+		if (type === 'exhale') filled = false;
+		if (type !== 'hold') return type;
+		return filled ? 'holdTop' : 'holdBottom';
+	});
+};
+
+// Timing totals of a phase list in the 3- and 4-phase fields: time breathing in, holding full,
+// breathing out and holding empty; holdBottom is left unset when there is no empty hold
+export const summarizePhases = (phases) => {
+	const totals = { inhale: 0, holdTop: 0, exhale: 0, holdBottom: 0 };
+	const names = getPhaseNames(phases);
+	phases.forEach(({ duration }, i) => {
+		totals[names[i] === 'topUp' ? 'inhale' : names[i]] += duration;
+	});
+	if (!(totals.holdBottom > 0)) delete totals.holdBottom;
+	return totals;
+};
+
+// Ordered { type, duration } steps of any pattern; 3- and 4-phase patterns are expanded from their fields
+export const getPatternPhases = (pattern) => {
+	if (pattern.type === 'n-phase') return pattern.phases.map(({ type, duration }) => ({ type, duration }));
+	const phases = [
+		{ type: 'inhale', duration: pattern.inhale },
+		{ type: 'hold', duration: pattern.holdTop ?? pattern.hold ?? 0 },
+		{ type: 'exhale', duration: pattern.exhale }
+	];
+	if (pattern.type === '4-phase' || pattern.holdBottom > 0) phases.push({ type: 'hold', duration: pattern.holdBottom || 0 });
+	return phases;
+};
+
+// Seconds in one breath of a pattern
+export const getCycleSeconds = (pattern) => getPatternPhases(pattern).reduce((total, phase) => total + phase.duration, 0);
+
+export const RAMP_TYPES = ['phases', 'bpm'];
+const MAX_RAMP_SECONDS = 60 * 60;
+const BPM_RANGE = { min: 1, max: 30 };
+
+// Gradual change applied over a session: either toward target phase durations ('phases')
+// or toward a breathing rate ('bpm', scaling every phase proportionally)
+export const rampSchema = new mongoose.Schema({
+	type: { type: String, enum: RAMP_TYPES, required: true },
+	seconds: { type: Number, required: true, min: 1, max: MAX_RAMP_SECONDS },
+	target: {
+		inhale: { type: Number, min: 0, max: MAX_PHASE_SECONDS },
+		holdTop: { type: Number, min: 0, max: MAX_PHASE_SECONDS },
+		exhale: { type: Number, min: 0, max: MAX_PHASE_SECONDS },
+		holdBottom: { type: Number, min: 0, max: MAX_PHASE_SECONDS }
+	},
+	endBpm: { type: Number, min: BPM_RANGE.min, max: BPM_RANGE.max }
+}, { _id: false });
+
+// Request-level check for a ramp on the given base pattern
+export const isValidRamp = (ramp, pattern) => {
+	if (!ramp || typeof ramp !== 'object' || !RAMP_TYPES.includes(ramp.type)) return false;
+	if (typeof ramp.seconds !== 'number' || ramp.seconds < 1 || ramp.seconds > MAX_RAMP_SECONDS) return false;
+	// Ramps rework the 3- and 4-phase timing fields, which n-phase patterns only derive
+	if (pattern && pattern.type === 'n-phase') return false;
+
+	if (ramp.type === 'bpm') {
+		return typeof ramp.endBpm === 'number' && ramp.endBpm >= BPM_RANGE.min && ramp.endBpm <= BPM_RANGE.max;
+	}
+
+	const { target } = ramp;
+	if (!target || typeof target !== 'object') return false;
+	const isFourPhase = pattern && (pattern.type === '4-phase' || pattern.holdBottom > 0);
+	if (!isFourPhase && target.holdBottom !== undefined) return false;
+	return ['inhale', 'holdTop', 'exhale', 'holdBottom'].every(key => {
+		const value = target[key];
+		if (value === undefined) return true;
+		// The top hold may ramp down to zero; every other phase must stay positive
+		return isPhaseSeconds(value, { allowZero: key === 'holdTop' });
+	});
+};
+
+const MAX_ROUNDS = 10;
+const MAX_ROUND_BREATHS = 60;
+const MAX_RECOVERY_SECONDS = 60;
+
+// Round-based protocol (Wim Hof style): `breaths` fast breaths on the base pattern, a retention
+// the user ends themselves, then a recovery inhale held for `recoveryHold` seconds
+export const roundsSchema = new mongoose.Schema({
+	count: { type: Number, required: true, min: 1, max: MAX_ROUNDS },
+	breaths: { type: Number, required: true, min: 1, max: MAX_ROUND_BREATHS },
+	recoveryInhale: { type: Number, required: true, min: 1, max: MAX_RECOVERY_SECONDS },
+	recoveryHold: { type: Number, required: true, min: 0, max: MAX_RECOVERY_SECONDS }
+}, { _id: false });
+
+// Request-level check for a round protocol
+export const isValidRounds = (rounds) => {
+	if (!rounds || typeof rounds !== 'object') return false;
+	const { count, breaths, recoveryInhale, recoveryHold } = rounds;
+	if (!Number.isInteger(count) || count < 1 || count > MAX_ROUNDS) return false;
+	if (!Number.isInteger(breaths) || breaths < 1 || breaths > MAX_ROUND_BREATHS) return false;
+	if (typeof recoveryInhale !== 'number' || recoveryInhale < 1 || recoveryInhale > MAX_RECOVERY_SECONDS) return false;
+	return typeof recoveryHold === 'number' && recoveryHold >= 0 && recoveryHold <= MAX_RECOVERY_SECONDS;
+};
+
+const isValidAnnotation = (annotation) => {
+	if (!annotation || typeof annotation !== 'object' || Array.isArray(annotation)) return false;
+	const { side, airway, humming } = annotation;
+	if (side !== undefined && !ANNOTATION_SIDES.includes(side)) return false;
+	if (airway !== undefined && !ANNOTATION_AIRWAYS.includes(airway)) return false;
+	return humming === undefined || typeof humming === 'boolean';
+};
+
+// Request-level check for a pattern's per-phase annotations; only phases the pattern has may be annotated
+export const isValidAnnotations = (annotations, pattern) => {
+	if (!annotations || typeof annotations !== 'object' || Array.isArray(annotations)) return false;
+	const phaseNames = pattern && pattern.type === 'n-phase' ? getPhaseNames(pattern.phases) : null;
+	const isFourPhase = pattern && (pattern.type === '4-phase' || pattern.holdBottom > 0);
+	return Object.entries(annotations).every(([phase, annotation]) => {
+		const hasPhase = phaseNames
+			? phaseNames.includes(phase)
+			: PATTERN_PHASES.includes(phase) && (phase !== 'holdBottom' || isFourPhase);
+		return hasPhase && isValidAnnotation(annotation);
+	});
+};
+
+// Request-level check used by routes before hitting the schema
+export const isValidPattern = (pattern) => {
+	if (!pattern || typeof pattern !== 'object') return false;
+	if (pattern.type === 'n-phase') {
+		// The timing fields of n-phase patterns are derived from the phase list, so only it is checked
+		if (!isValidPhases(pattern.phases)) return false;
+	} else {
+		if (pattern.phases !== undefined) return false;
+		if (pattern.type && !PATTERN_TYPES.includes(pattern.type)) return false;
+		if (!isPhaseSeconds(pattern.inhale) || !isPhaseSeconds(pattern.exhale)) return false;
+		const holdTop = pattern.holdTop ?? pattern.hold;
+		if (holdTop != null && !isPhaseSeconds(holdTop, { allowZero: true })) return false;
+		if (pattern.holdBottom != null && !isPhaseSeconds(pattern.holdBottom, { allowZero: true })) return false;
+		if (pattern.type === '4-phase' && !(pattern.holdBottom > 0)) return false;
+	}
+	if (pattern.annotations !== undefined && !isValidAnnotations(pattern.annotations, pattern)) return false;
+	if (pattern.alternateSides !== undefined && typeof pattern.alternateSides !== 'boolean') return false;
+	return true;
+};
+
+// Stable grouping key, e.g. "3-phase:4-7-8", "4-phase:4-4-4-4" or "n-phase:inhale2-topUp2-exhale6"
+export const getPatternKey = (pattern) => {
+	const { type, inhale, exhale } = pattern;
+	if (type === 'n-phase') return `n-phase:${pattern.phases.map(phase => `${phase.type}${phase.duration}`).join('-')}`;
+	const holdTop = pattern.holdTop || 0;
+	if (type === '4-phase') return `${type}:${inhale}-${holdTop}-${exhale}-${pattern.holdBottom || 0}`;
+	return `3-phase:${inhale}-${holdTop}-${exhale}`;
+};
+
+export default breathPatternSchema;
@@ -4,6 +4,7 @@ import jwt from 'jsonwebtoken';
 import { protect } from '../middleware/auth.js';
 import User from '../models/User.js';
 import { sendPasswordResetConfirmation, sendPasswordResetOTP } from '../utils/emailService.js';
+import { isValidTimezone } from '../utils/timezone.js';
 
 const router = express.Router();
 
@@ -14,13 +15,14 @@ const generateToken = (id) => {
 // Register
 router.post('/register', async (req, res) => {
 	try {
-		const { name, email, password } = req.body;
+		const { name, email, password, timezone } = req.body;
 		if (!name || !email || !password) return res.status(400).json({ success: false, message: 'Please provide name, email and password' });
 
 		const existing = await User.findOne({ email });
 		if (existing) return res.status(400).json({ success: false, message: 'Email already in use' });
 
-		const user = await User.create({ name, email, password });
+		// The browser's time zone, when it sent one we know; otherwise days count in UTC until it does
+		const user = await User.create({ name, email, password, ...(isValidTimezone(timezone) && { timezone }) });
 		const token = generateToken(user._id);
 		const userObj = await User.findById(user._id).select('-password');
 		res.json({ success: true, data: { ...userObj.toObject(), token } });
@@ -0,0 +1,59 @@
+import express from 'express';
+import { protect } from '../middleware/auth.js';
+import BreathHold, { MAX_HOLD_SECONDS } from '../models/BreathHold.js';
+import { summarizeBreathHolds } from '../utils/breathHold.js';
+
+const router = express.Router();
+
+const DEFAULT_HISTORY_DAYS = 90;
+const MAX_HISTORY_DAYS = 365;
+
+// Record one breath-hold attempt
+router.post('/', protect, async (req, res) => {
+	try {
+		const { seconds } = req.body;
+		if (typeof seconds !== 'number' || !(seconds >= 1) || seconds > MAX_HOLD_SECONDS) {
+			return res.status(400).json({ success: false, message: `Hold time must be 1-${MAX_HOLD_SECONDS} seconds` });
+		}
+
+		const hold = await BreathHold.create({ user: req.user._id, seconds: Math.round(seconds * 10) / 10 });
+		res.json({ success: true, data: hold });
+	} catch (error) {
+		console.error(error);
+		res.status(500).json({ success: false, message: error.message });
+	}
+});
+
+// Attempts from the last `days` days, with the best hold per day for charts
+router.get('/', protect, async (req, res) => {
+	try {
+		const days = req.query.days === undefined ? DEFAULT_HISTORY_DAYS : Number(req.query.days);
+		if (!Number.isInteger(days) || days < 1 || days > MAX_HISTORY_DAYS) {
+			return res.status(400).json({ success: false, message: `days must be 1-${MAX_HISTORY_DAYS}` });
+		}
+
+		const since = new Date();
+		since.setDate(since.getDate() - days);
+		const holds = await BreathHold.find({ user: req.user._id, createdAt: { $gte: since } }).sort({ createdAt: 1 });
+		const best = holds.reduce((max, hold) => Math.max(max, hold.seconds), 0);
+
+		res.json({ success: true, data: { attempts: holds, daily: summarizeBreathHolds(holds, req.user.timezone), best } });
+	} catch (error) {
+		console.error(error);
+		res.status(500).json({ success: false, message: error.message });
+	}
+});
+
+// Delete an attempt (e.g. a false start)
+router.delete('/:id', protect, async (req, res) => {
+	try {
+		const hold = await BreathHold.findOneAndDelete({ _id: req.params.id, user: req.user._id });
+		if (!hold) return res.status(404).json({ success: false, message: 'Attempt not found' });
+		res.json({ success: true, message: 'Deleted' });
+	} catch (error) {
+		console.error(error);
+		res.status(500).json({ success: false, message: error.message });
+	}
+});
+
+export default router;
@@ -0,0 +1,17 @@
+import express from 'express';
+import { getCatalog } from '../utils/catalog.js';
+
+const router = express.Router();
+
+// Built-in categories, levels, patterns and benefits; public so the practice screen works signed out
+router.get('/', (req, res) => {
+	try {
+		res.set('Cache-Control', 'public, max-age=3600');
+		res.json({ success: true, data: getCatalog() });
+	} catch (error) {
+		console.error(error);
+		res.status(500).json({ success: false, message: error.message });
+	}
+});
+
+export default router;
@@ -1,44 +1,49 @@
 import express from 'express';
 import { protect } from '../middleware/auth.js';
+import BreathHold from '../models/BreathHold.js';
+import { getPatternKey } from '../models/breathPattern.js';
 import Session from '../models/Session.js';
-import User from '../models/User.js';
+import User, { FREEZE_EARNED_EVERY, MAX_BANKED_FREEZES } from '../models/User.js';
+import { getBoltLevel, getBreathHoldTrend } from '../utils/breathHold.js';
+import { getPatternName } from '../utils/catalog.js';
+import { sessionMinutes } from '../utils/stats.js';
+import { addDays, getDayKey, getHour } from '../utils/timezone.js';
 
 const router = express.Router();
 
+// Freeze-covered days listed with the stats
+const RECENT_FROZEN_DAYS = 5;
+
 // Get comprehensive dashboard stats
 router.get('/stats', protect, async (req, res) => {
 	try {
 		const user = await User.findById(req.user._id);
 		const sessions = await Session.find({ user: req.user._id, completed: true }).sort({ completedAt: -1 });
 
+		// Days are counted on the user's own clock; day keys ('YYYY-MM-DD') compare in order
+		const sessionDay = (s) => getDayKey(s.completedAt, user.timezone);
+
 		// Today's stats
-		const today = new Date();
-		today.setHours(0, 0, 0, 0);
-		const todaySessions = sessions.filter(s => {
-			const sessionDate = new Date(s.completedAt);
-			sessionDate.setHours(0, 0, 0, 0);
-			return sessionDate.getTime() === today.getTime();
-		});
-		const todayMinutes = todaySessions.reduce((sum, s) => sum + Math.round(s.duration / 60), 0);
+		const today = getDayKey(new Date(), user.timezone);
+		const todaySessions = sessions.filter(s => sessionDay(s) === today);
+		const todayMinutes = todaySessions.reduce((sum, s) => sum + sessionMinutes(s), 0);
 
 		// This week's stats
-		const weekAgo = new Date(today);
-		weekAgo.setDate(weekAgo.getDate() - 7);
-		const thisWeekSessions = sessions.filter(s => new Date(s.completedAt) >= weekAgo);
-		const thisWeekMinutes = thisWeekSessions.reduce((sum, s) => sum + Math.round(s.duration / 60), 0);
+		const weekAgo = addDays(today, -7);
+		const thisWeekSessions = sessions.filter(s => sessionDay(s) >= weekAgo);
+		const thisWeekMinutes = thisWeekSessions.reduce((sum, s) => sum + sessionMinutes(s), 0);
 
 		// Last week's stats for comparison
-		const twoWeeksAgo = new Date(weekAgo);
-		twoWeeksAgo.setDate(twoWeeksAgo.getDate() - 7);
+		const twoWeeksAgo = addDays(weekAgo, -7);
 		const lastWeekSessions = sessions.filter(s => {
-			const date = new Date(s.completedAt);
-			return date >= twoWeeksAgo && date < weekAgo;
+			const day = sessionDay(s);
+			return day >= twoWeeksAgo && day < weekAgo;
 		});
-		const lastWeekMinutes = lastWeekSessions.reduce((sum, s) => sum + Math.round(s.duration / 60), 0);
+		const lastWeekMinutes = lastWeekSessions.reduce((sum, s) => sum + sessionMinutes(s), 0);
 
 		// Average session duration
 		const avgDuration = sessions.length > 0 
-			? Math.round(sessions.reduce((sum, s) => sum + s.duration, 0) / sessions.length / 60)
+			? Math.round(sessions.reduce((sum, s) => sum + s.getCreditedSeconds(), 0) / sessions.length / 60)
 			: 0;
 
 		// Calculate weekly average
@@ -73,6 +78,13 @@ router.get('/stats', protect, async (req, res) => {
 					sessionsChange: thisWeekSessions.length - lastWeekSessions.length,
 					minutesChange: thisWeekMinutes - lastWeekMinutes,
 				},
+				freezes: {
+					banked: user.stats.streakFreezes || 0,
+					max: MAX_BANKED_FREEZES,
+					earnedEvery: FREEZE_EARNED_EVERY,
+					// Days freezes covered, latest first
+					used: (user.stats.frozenDays || []).slice(-RECENT_FROZEN_DAYS).reverse().map(({ day, usedAt }) => ({ day, usedAt })),
+				},
 			},
 		});
 	} catch (error) {
@@ -86,24 +98,24 @@ router.get('/weekly-activity', protect, async (req, res) => {
 	try {
 		const sessions = await Session.find({ user: req.user._id, completed: true });
 		
+		// Sessions by the day they were completed on the user's clock
+		const byDay = new Map();
+		sessions.forEach(s => {
+			const key = getDayKey(s.completedAt, req.user.timezone);
+			byDay.set(key, [...(byDay.get(key) || []), s]);
+		});
+
 		// Get last 365 days (1 year)
 		const days = [];
-		const today = new Date();
+		const today = getDayKey(new Date(), req.user.timezone);
 		for (let i = 364; i >= 0; i--) {
-			const date = new Date(today);
-			date.setDate(date.getDate() - i);
-			date.setHours(0, 0, 0, 0);
-			
-			const daySessions = sessions.filter(s => {
-				const sessionDate = new Date(s.completedAt);
-				sessionDate.setHours(0, 0, 0, 0);
-				return sessionDate.getTime() === date.getTime();
-			});
+			const date = addDays(today, -i);
+			const daySessions = byDay.get(date) || [];
 			
 			days.push({
-				date: date.toISOString().split('T')[0],
+				date,
 				sessions: daySessions.length,
-				minutes: daySessions.reduce((sum, s) => sum + Math.round(s.duration / 60), 0),
+				minutes: daySessions.reduce((sum, s) => sum + sessionMinutes(s), 0),
 				active: daySessions.length > 0,
 			});
 		}
@@ -120,20 +132,26 @@ router.get('/pattern-usage', protect, async (req, res) => {
 	try {
 		const sessions = await Session.find({ user: req.user._id, completed: true });
 		
-		// Group by pattern
+		// Group by pattern; program sessions count each guided stage under its own pattern
 		const patternMap = {};
 		sessions.forEach(s => {
-			const key = `${s.pattern.inhale}-${s.pattern.hold || 0}-${s.pattern.exhale}`;
-			if (!patternMap[key]) {
-				patternMap[key] = {
-					pattern: s.pattern,
-					count: 0,
-					totalMinutes: 0,
-					name: getPatternName(s.pattern),
-				};
-			}
-			patternMap[key].count++;
-			patternMap[key].totalMinutes += Math.round(s.duration / 60);
+			const seen = new Set();
+			getPatternUsages(s).forEach(({ pattern, catalogId, seconds }) => {
+				// Catalog sessions group by entry so same-timing patterns (e.g. "Coherent" vs "Nasal" 6-0-6) stay apart
+				const key = catalogId || getPatternKey(pattern);
+				if (!patternMap[key]) {
+					patternMap[key] = {
+						pattern,
+						catalogId,
+						count: 0,
+						totalMinutes: 0,
+						name: getPatternName(pattern, catalogId),
+					};
+				}
+				if (!seen.has(key)) patternMap[key].count++;
+				seen.add(key);
+				patternMap[key].totalMinutes += Math.round(seconds / 60);
+			});
 		});
 
 		const patterns = Object.values(patternMap).sort((a, b) => b.count - a.count);
@@ -158,7 +176,7 @@ router.get('/insights', protect, async (req, res) => {
 			insights.push({
 				type: 'streak',
 				icon: '🔥',
-				message: `Amazing! You're on a ${user.stats.streak}-day streak. Keep it going!`,
+				message: `Amazing! You're on a ${user.stats.streak}-day streak.${getFreezeNote(user)} Keep it going!`,
 			});
 		} else if (user.stats.streak === 0 && user.stats.totalSessions > 0) {
 			insights.push({
@@ -171,7 +189,7 @@ router.get('/insights', protect, async (req, res) => {
 		// Consistency insight
 		if (sessions.length >= 7) {
 			const last7Days = sessions.slice(0, 7);
-			const uniqueDays = new Set(last7Days.map(s => new Date(s.completedAt).toDateString())).size;
+			const uniqueDays = new Set(last7Days.map(s => getDayKey(s.completedAt, user.timezone))).size;
 			if (uniqueDays >= 5) {
 				insights.push({
 					type: 'consistency',
@@ -196,7 +214,7 @@ router.get('/insights', protect, async (req, res) => {
 		if (sessions.length >= 10) {
 			const hourCounts = {};
 			sessions.slice(0, 20).forEach(s => {
-				const hour = new Date(s.completedAt).getHours();
+				const hour = getHour(s.completedAt, user.timezone);
 				hourCounts[hour] = (hourCounts[hour] || 0) + 1;
 			});
 			const mostActiveHour = Object.entries(hourCounts).sort((a, b) => b[1] - a[1])[0];
@@ -211,6 +229,13 @@ router.get('/insights', protect, async (req, res) => {
 			}
 		}
 
+		// Breath-hold (CO₂ tolerance) trend
+		const holdsSince = new Date();
+		holdsSince.setDate(holdsSince.getDate() - 28);
+		const holds = await BreathHold.find({ user: req.user._id, createdAt: { $gte: holdsSince } });
+		const holdInsight = getBreathHoldInsight(holds, user.timezone);
+		if (holdInsight) insights.push(holdInsight);
+
 		// Encouragement
 		if (insights.length === 0) {
 			insights.push({
@@ -228,13 +253,58 @@ router.get('/insights', protect, async (req, res) => {
 });
 
 // Helper functions
-function getPatternName(pattern) {
-	const { inhale, hold, exhale } = pattern;
-	if (inhale === 4 && hold === 7 && exhale === 8) return '4-7-8 Breathing';
-	if (inhale === 4 && hold === 4 && exhale === 4) return 'Box Breathing';
-	if (inhale === 5 && hold === 0 && exhale === 5) return 'Equal Breathing';
-	if (inhale === 4 && hold === 0 && exhale === 6) return 'Relaxing Breath';
-	return `${inhale}-${hold}-${exhale} Pattern`;
+// Patterns breathed in a session with the seconds spent on each (natural program stages are skipped)
+function getPatternUsages(session) {
+	if (!session.program) {
+		return [{ pattern: session.pattern, catalogId: session.catalogId, seconds: session.getCreditedSeconds() }];
+	}
+	return session.getStageBreakdown()
+		.filter(stage => !stage.natural)
+		.map(stage => ({ pattern: stage.pattern, catalogId: stage.catalogId, seconds: stage.activeSeconds }));
+}
+
+function getBreathHoldInsight(holds, timezone) {
+	const trend = getBreathHoldTrend(holds, new Date(), timezone);
+	if (!trend) return null;
+	const level = getBoltLevel(trend.recentAverage);
+	if (trend.direction === 'up') {
+		return {
+			type: 'breath-hold',
+			icon: '🫁',
+			message: `Your breath-hold score is up ${trend.change}% to ${trend.recentAverage}s. Your CO₂ tolerance is improving!`,
+		};
+	}
+	if (trend.direction === 'down') {
+		return {
+			type: 'breath-hold',
+			icon: '🫁',
+			message: `Your breath-hold score dipped to ${trend.recentAverage}s. Sleep, stress and illness all lower it, so be gentle with yourself.`,
+		};
+	}
+	return {
+		type: 'breath-hold',
+		icon: '🫁',
+		message: `Your breath-hold score is steady at ${trend.recentAverage}s (${level}). Slow nasal breathing helps it grow.`,
+	};
+}
+
+// How freezes have kept the streak going, and how many are left to fall back on
+function getFreezeNote(user) {
+	const { streak, streakFreezes: banked = 0, frozenDays = [], lastSessionDate } = user.stats;
+	// The streak runs back over its practised days and the days freezes covered in between, so
+	// widen it by each covered day found until no more fall inside
+	const lastDay = getDayKey(lastSessionDate, user.timezone);
+	let covered = 0;
+	let previous;
+	do {
+		previous = covered;
+		const firstDay = addDays(lastDay, -(streak - 1 + covered));
+		covered = frozenDays.filter(({ day }) => day >= firstDay && day <= lastDay).length;
+	} while (covered !== previous);
+	const notes = [];
+	if (covered > 0) notes.push(covered === 1 ? 'A streak freeze covered a missed day.' : `${covered} streak freezes covered missed days.`);
+	if (banked > 0) notes.push(`You have ${banked} streak freeze${banked > 1 ? 's' : ''} banked for a day off.`);
+	return notes.map(note => ` ${note}`).join('');
 }
 
 function getNextMilestone(current) {
@@ -1,15 +1,43 @@
 import express from 'express';
 import { protect } from '../middleware/auth.js';
-import Pattern from '../models/Pattern.js';
+import { isValidPattern, isValidRamp } from '../models/breathPattern.js';
+import Pattern, { PATTERN_DESCRIPTION_MAX_LENGTH, PATTERN_NAME_MAX_LENGTH } from '../models/Pattern.js';
 
 const router = express.Router();
 
+const PUBLIC_SORTS = {
+	newest: { createdAt: -1 },
+	popular: { saveCount: -1, createdAt: -1 },
+	name: { name: 1 }
+};
+const PUBLIC_PAGE_SIZE = 20;
+const PUBLIC_MAX_PAGE_SIZE = 50;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Check the editable fields present in a create/update body; returns an error message or null
+const validatePatternFields = ({ name, description, pattern, isPublic }) => {
+	if (name !== undefined && (typeof name !== 'string' || !name.trim() || name.trim().length > PATTERN_NAME_MAX_LENGTH)) {
+		return `Name must be 1-${PATTERN_NAME_MAX_LENGTH} characters`;
+	}
+	if (description !== undefined && (typeof description !== 'string' || description.length > PATTERN_DESCRIPTION_MAX_LENGTH)) {
+		return `Description must be at most ${PATTERN_DESCRIPTION_MAX_LENGTH} characters`;
+	}
+	if (pattern !== undefined && !isValidPattern(pattern)) return 'Invalid pattern';
+	if (isPublic !== undefined && typeof isPublic !== 'boolean') return 'isPublic must be a boolean';
+	return null;
+};
+
 // Create pattern
 router.post('/create', protect, async (req, res) => {
 	try {
-		const { name, pattern } = req.body;
-		if (!pattern || !pattern.inhale || !pattern.exhale) return res.status(400).json({ success: false, message: 'Invalid pattern' });
-		const p = await Pattern.create({ user: req.user._id, name: name || 'Custom', pattern });
+		const { name, description, pattern, isPublic, ramp } = req.body;
+		if (!isValidPattern(pattern)) return res.status(400).json({ success: false, message: 'Invalid pattern' });
+		const message = validatePatternFields({ name, description, isPublic });
+		if (message) return res.status(400).json({ success: false, message });
+		if (ramp && !isValidRamp(ramp, pattern)) return res.status(400).json({ success: false, message: 'Invalid ramp' });
+
+		const p = await Pattern.create({ user: req.user._id, name: name || 'Custom', description, pattern, isPublic, ramp: ramp || undefined });
 		res.json({ success: true, data: p });
 	} catch (error) {
 		console.error(error);
@@ -28,6 +56,116 @@ router.get('/', protect, async (req, res) => {
 	}
 });
 
+// Browse patterns other users have shared
+router.get('/public', async (req, res) => {
+	try {
+		const { search, sort = 'newest' } = req.query;
+		if (!PUBLIC_SORTS[sort]) return res.status(400).json({ success: false, message: 'Invalid sort' });
+
+		const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+		const limit = Math.min(PUBLIC_MAX_PAGE_SIZE, Math.max(1, parseInt(req.query.limit, 10) || PUBLIC_PAGE_SIZE));
+
+		const filter = { isPublic: true };
+		if (typeof search === 'string' && search.trim()) {
+			const term = new RegExp(escapeRegex(search.trim()), 'i');
+			filter.$or = [{ name: term }, { description: term }];
+		}
+
+		const [patterns, total] = await Promise.all([
+			Pattern.find(filter)
+				.populate('user', 'name')
+				.sort(PUBLIC_SORTS[sort])
+				.skip((page - 1) * limit)
+				.limit(limit),
+			Pattern.countDocuments(filter)
+		]);
+		res.json({ success: true, data: patterns, pagination: { page, limit, total } });
+	} catch (error) {
+		console.error(error);
+		res.status(500).json({ success: false, message: error.message });
+	}
+});
+
+// Update pattern
+router.put('/:id', protect, async (req, res) => {
+	try {
+		const { name, description, pattern, isPublic, ramp } = req.body;
+		const message = validatePatternFields({ name, description, pattern, isPublic });
+		if (message) return res.status(400).json({ success: false, message });
+
+		const p = await Pattern.findOne({ _id: req.params.id, user: req.user._id });
+		if (!p) return res.status(404).json({ success: false, message: 'Pattern not found' });
+
+		if (name !== undefined) p.name = name;
+		if (description !== undefined) p.description = description;
+		if (pattern !== undefined) p.pattern = pattern;
+		if (isPublic !== undefined) p.isPublic = isPublic;
+		// null removes the ramp; the ramp is checked against the pattern it will run on
+		if (ramp !== undefined) p.ramp = ramp || undefined;
+		if (p.ramp && !isValidRamp(p.ramp.toObject ? p.ramp.toObject() : p.ramp, p.pattern)) {
+			return res.status(400).json({ success: false, message: 'Invalid ramp' });
+		}
+		await p.save();
+
+		res.json({ success: true, data: p });
+	} catch (error) {
+		console.error(error);
+		res.status(500).json({ success: false, message: error.message });
+	}
+});
+
+// Duplicate one of the user's own patterns as a private copy
+router.post('/:id/duplicate', protect, async (req, res) => {
+	try {
+		const p = await Pattern.findOne({ _id: req.params.id, user: req.user._id });
+		if (!p) return res.status(404).json({ success: false, message: 'Pattern not found' });
+
+		const copy = await Pattern.create({
+			user: req.user._id,
+			name: `${p.name} (copy)`.slice(0, PATTERN_NAME_MAX_LENGTH),
+			description: p.description,
+			pattern: p.pattern.toObject(),
+			ramp: p.ramp ? p.ramp.toObject() : undefined,
+			isPublic: false
+		});
+		res.json({ success: true, data: copy });
+	} catch (error) {
+		console.error(error);
+		res.status(500).json({ success: false, message: error.message });
+	}
+});
+
+// Save another user's public pattern into the current user's library
+router.post('/:id/save', protect, async (req, res) => {
+	try {
+		const source = await Pattern.findOne({ _id: req.params.id, isPublic: true });
+		if (!source) return res.status(404).json({ success: false, message: 'Pattern not found' });
+		if (source.user.toString() === req.user._id.toString()) {
+			return res.status(400).json({ success: false, message: 'Pattern is already in your library' });
+		}
+
+		// Saving twice returns the existing copy instead of cluttering the library
+		const existing = await Pattern.findOne({ user: req.user._id, sourcePattern: source._id });
+		if (existing) return res.json({ success: true, data: existing, alreadySaved: true });
+
+		const copy = await Pattern.create({
+			user: req.user._id,
+			name: source.name,
+			description: source.description,
+			pattern: source.pattern.toObject(),
+			ramp: source.ramp ? source.ramp.toObject() : undefined,
+			isPublic: false,
+			sourcePattern: source._id
+		});
+		await Pattern.updateOne({ _id: source._id }, { $inc: { saveCount: 1 } });
+
+		res.json({ success: true, data: copy });
+	} catch (error) {
+		console.error(error);
+		res.status(500).json({ success: false, message: error.message });
+	}
+});
+
 // Delete pattern
 router.delete('/:id', protect, async (req, res) => {
 	try {
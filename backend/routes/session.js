@@ -1,17 +1,286 @@
 import express from 'express';
 import { protect } from '../middleware/auth.js';
+import { MAX_HOLD_SECONDS } from '../models/BreathHold.js';
+import { getCycleSeconds, isValidPattern, isValidRamp, isValidRounds } from '../models/breathPattern.js';
 import Session from '../models/Session.js';
 import User from '../models/User.js';
+import { getCatalogPattern, getCatalogProgram } from '../utils/catalog.js';
+import { recalculateStats, recordSession } from '../utils/stats.js';
 
 const router = express.Router();
 
-// Start a new session
+// Events the client may record mid-session; start and complete have their own endpoints
+const CLIENT_EVENT_TYPES = ['pause', 'resume', 'pattern-change', 'stage-change', 'abort'];
+
+const MAX_PROGRAM_STAGES = 20;
+const MAX_SESSION_CYCLES = 500;
+// Longest session, in seconds, that can be planned or credited
+const MAX_SESSION_SECONDS = 4 * 60 * 60;
+
+// Allowance for request latency when comparing a claimed duration to the server clock
+const COMPLETION_TOLERANCE_SECONDS = 15;
+
+// Sessions queued offline are sent in batches of at most this many
+const MAX_INGEST_SESSIONS = 100;
+// Device clocks run a little ahead of the server's at times; queued sessions may end this far in the future
+const CLIENT_CLOCK_TOLERANCE_MS = 5 * 60 * 1000;
+// How far back a queued session may have started; older ones are not credited
+const MAX_INGEST_AGE_DAYS = 30;
+const MAX_CLIENT_ID_LENGTH = 64;
+
+// Slack past a session's planned length before it counts as abandoned, for pauses and the breath
+// it finishes past its plan
+const ABANDONED_GRACE_SECONDS = 30 * 60;
+
+// Close sessions the user walked away from, crediting only the time confirmed by their event log.
+// A session still has its whole planned length to run from its last event, so one within that (and
+// the grace) may still be running on another device or tab and is left open for it to complete
+const abortAbandonedSessions = async (userId, now = new Date()) => {
+	const open = await Session.find({ user: userId, status: { $in: ['active', 'paused'] } });
+	for (const session of open) {
+		const lastEvent = session.events[session.events.length - 1];
+		const lastAt = lastEvent ? lastEvent.at : session.createdAt;
+		if (now - lastAt <= (session.duration + ABANDONED_GRACE_SECONDS) * 1000) continue;
+		session.applyEvent('abort', { at: lastAt });
+		await session.save();
+	}
+};
+
+// Share of the planned duration that was actually breathed (0-1)
+const getProgress = (session) => {
+	if (!session.duration) return 0;
+	const seconds = session.isOpen() ? session.computeActiveSeconds() : session.getCreditedSeconds();
+	return Math.min(1, seconds / session.duration);
+};
+
+// A session with its time breathed so far (up to now while it is open) and how far it got
+const toSessionSummary = (session) => ({
+	...session.toObject(),
+	activeSeconds: session.isOpen() ? session.computeActiveSeconds() : session.getCreditedSeconds(),
+	progress: getProgress(session),
+	...(session.program && { stages: session.getStageBreakdown() })
+});
+
+const isValidCatalogId = (catalogId) => catalogId === undefined || Boolean(getCatalogPattern(catalogId));
+
+const isValidCycleCount = (cycles) => Number.isInteger(cycles) && cycles >= 1 && cycles <= MAX_SESSION_CYCLES;
+
+// Seconds in a round-based session apart from the retentions: each round's fast breaths,
+// recovery inhale and hold, and the exhale that lets it go
+const getRoundsSeconds = (pattern, rounds) => rounds.count * (
+	rounds.breaths * (pattern.inhale + pattern.exhale) + rounds.recoveryInhale + rounds.recoveryHold + pattern.exhale
+);
+
+// Longest breath a session can end on: its pattern's, or a ramp's final pace when that is slower
+const getLongestBreathSeconds = (pattern, ramp) => {
+	const seconds = getCycleSeconds(pattern);
+	if (!ramp) return seconds;
+	const rampEnd = ramp.type === 'bpm' ? 60 / ramp.endBpm : getCycleSeconds({ ...pattern, ...ramp.target });
+	return Math.max(seconds, rampEnd);
+};
+
+const isValidDuration = (duration) => typeof duration === 'number' && Number.isFinite(duration) && duration > 0 && duration <= MAX_SESSION_SECONDS;
+
+const INVALID_DURATION = `Duration must be more than 0 and at most ${MAX_SESSION_SECONDS} seconds`;
+
+const isValidRetention = (seconds) => typeof seconds === 'number' && seconds > 0 && seconds <= MAX_HOLD_SECONDS;
+
+const isValidClientId = (clientId) => typeof clientId === 'string' && clientId.length > 0 && clientId.length <= MAX_CLIENT_ID_LENGTH;
+
+// Check a multi-stage program sent by the client; returns an error message or null
+const validateProgram = (program) => {
+	if (!Array.isArray(program.stages) || program.stages.length === 0 || program.stages.length > MAX_PROGRAM_STAGES) {
+		return `Program must have 1-${MAX_PROGRAM_STAGES} stages`;
+	}
+	if (program.programId !== undefined && !getCatalogProgram(program.programId)) return 'Unknown catalog program';
+	for (const stage of program.stages) {
+		if (typeof stage.plannedSeconds !== 'number' || !(stage.plannedSeconds > 0)) return 'Each stage needs a positive plannedSeconds';
+		if (!stage.natural && !isValidPattern(stage.pattern)) return 'Invalid stage pattern';
+		if (!isValidCatalogId(stage.catalogId)) return 'Unknown catalog pattern';
+	}
+	if (program.stages.every(stage => stage.natural)) return 'Program needs at least one guided stage';
+	return null;
+};
+
+// Keep only the fields we store for each stage
+const toStoredProgram = ({ programId, name, stages }) => ({
+	programId,
+	name,
+	stages: stages.map(({ natural, pattern, catalogId, plannedSeconds }) => (
+		natural ? { natural: true, plannedSeconds } : { natural: false, pattern, catalogId, plannedSeconds }
+	))
+});
+
+const sendAlreadyCompleted = (res, session, user) => res.json({
+	success: true,
+	data: {
+		session,
+		streak: user.stats.streak,
+		totalSessions: user.stats.totalSessions,
+		totalMinutes: user.stats.totalMinutes,
+		newAchievements: [],
+		alreadyCompleted: true
+	}
+});
+
+// Work out what a session start request plans to breathe; returns { message } when it is invalid,
+// otherwise { plan } with the fields to store
+const planSession = ({ program, ramp, cycles, rounds, ...body }) => {
+	let { duration, pattern, catalogId } = body; // duration in seconds
+	if (duration !== undefined && !isValidDuration(duration)) return { message: INVALID_DURATION };
+
+	// Retentions are open-ended, so a round-based session is planned for the longest hold we
+	// accept each round; completing it replaces this with the length actually breathed
+	if (rounds !== undefined) {
+		if (program || cycles !== undefined || ramp) return { message: 'Round-based sessions cannot be programs, cycle counts or ramps' };
+		if (!isValidRounds(rounds)) return { message: 'Invalid rounds' };
+		// The fast breathing is a plain inhale and exhale, so it needs a 3- or 4-phase pattern
+		if (pattern && pattern.type === 'n-phase') return { message: 'Round-based sessions need a 3-phase or 4-phase pattern' };
+		if (isValidPattern(pattern)) duration = Math.ceil(getRoundsSeconds(pattern, rounds) + rounds.count * MAX_HOLD_SECONDS);
+	}
+
+	// Cycle-count sessions run a number of breaths; their length is only an estimate
+	if (cycles !== undefined) {
+		if (program) return { message: 'Programs cannot be cycle-count sessions' };
+		if (!isValidCycleCount(cycles)) return { message: `Cycles must be a whole number from 1-${MAX_SESSION_CYCLES}` };
+		if (!duration && isValidPattern(pattern)) duration = Math.ceil(cycles * getCycleSeconds(pattern));
+	}
+
+	// A program's length and headline pattern come from its stages
+	if (program) {
+		const message = validateProgram(program);
+		if (message) return { message };
+		const firstGuided = program.stages.find(stage => !stage.natural);
+		pattern = firstGuided.pattern;
+		catalogId = firstGuided.catalogId;
+		duration = program.stages.reduce((total, stage) => total + stage.plannedSeconds, 0);
+	}
+
+	if (!duration || !pattern) return { message: 'Missing duration or pattern' };
+	// Programs, cycle counts and rounds work their length out, so it is checked once it is known
+	if (!isValidDuration(duration)) return { message: INVALID_DURATION };
+	if (!isValidPattern(pattern)) return { message: 'Invalid pattern' };
+	if (!isValidCatalogId(catalogId)) return { message: 'Unknown catalog pattern' };
+	if (ramp && (program || !isValidRamp(ramp, pattern))) return { message: 'Invalid ramp' };
+
+	return {
+		plan: {
+			duration,
+			pattern,
+			catalogId,
+			ramp: ramp || undefined,
+			cycles,
+			rounds,
+			program: program ? toStoredProgram(program) : undefined
+		}
+	};
+};
+
+// Check what a client reports when completing a session; returns an error message or null
+const validateCompletion = ({ duration, pattern, catalogId, cycles, retentions }) => {
+	if (pattern && !isValidPattern(pattern)) return 'Invalid pattern';
+	if (!isValidCatalogId(catalogId)) return 'Unknown catalog pattern';
+	if (duration !== undefined && !(typeof duration === 'number' && Number.isFinite(duration) && duration >= 0 && duration <= MAX_SESSION_SECONDS)) {
+		return 'Invalid duration';
+	}
+	if (cycles !== undefined && !(Number.isInteger(cycles) && cycles >= 0)) return 'Invalid cycle count';
+	if (retentions !== undefined && !(Array.isArray(retentions) && retentions.every(isValidRetention))) {
+		return `Retentions must be 0-${MAX_HOLD_SECONDS} seconds each`;
+	}
+	return null;
+};
+
+// Complete an open session at `at` with what the client reports; returns an error message when
+// the report doesn't fit the session, or null once it is applied
+const applyCompletion = (session, { duration, pattern, catalogId, cycles, retentions }, at) => {
+	if (retentions !== undefined && (!session.rounds || retentions.length > session.rounds.count)) {
+		return 'Retentions must match the rounds of a round-based session';
+	}
+	const elapsedSeconds = Math.round((at - session.getStartedAt()) / 1000);
+	if (duration !== undefined && duration > elapsedSeconds + COMPLETION_TOLERANCE_SECONDS) {
+		return 'Claimed duration is longer than the time since the session started';
+	}
+
+	if (pattern) {
+		session.pattern = pattern;
+		session.catalogId = catalogId;
+	}
+	// With the retentions known, the session's length is no longer an upper bound
+	if (session.rounds && retentions !== undefined) {
+		session.retentions = retentions.map(seconds => Math.round(seconds * 10) / 10);
+		const retentionSeconds = session.retentions.reduce((total, seconds) => total + seconds, 0);
+		session.duration = Math.ceil(getRoundsSeconds(session.pattern, session.rounds) + retentionSeconds);
+	}
+	// A session that finishes the breath it was on when time ran out runs past its plan, by up to one breath
+	if (!session.rounds && !session.program && duration !== undefined && duration > session.duration) {
+		session.duration = Math.min(Math.ceil(duration), session.duration + Math.ceil(getLongestBreathSeconds(session.pattern, session.ramp)));
+	}
+	session.applyEvent('complete', { at });
+	// Never record more breaths than the session planned
+	if (session.cycles && cycles !== undefined) session.completedCycles = Math.min(session.cycles, cycles);
+
+	// Credit the lower of what the server measured and what the client reports breathing
+	if (session.activeSeconds === undefined) session.activeSeconds = Math.min(session.duration, elapsedSeconds);
+	if (duration !== undefined) session.activeSeconds = Math.min(session.activeSeconds, duration);
+	return null;
+};
+
+// Start a new session; a client key already used for a session returns that session, so a
+// retried or replayed start doesn't open a second one
 router.post('/start', protect, async (req, res) => {
 	try {
-		const { duration, pattern } = req.body; // duration in seconds
-		if (!duration || !pattern) return res.status(400).json({ success: false, message: 'Missing duration or pattern' });
+		const { clientId } = req.body;
+		if (clientId !== undefined && !isValidClientId(clientId)) return res.status(400).json({ success: false, message: 'Invalid clientId' });
+		const { message, plan } = planSession(req.body);
+		if (message) return res.status(400).json({ success: false, message });
+
+		if (clientId) {
+			const existing = await Session.findOne({ user: req.user._id, clientId });
+			if (existing) return res.json({ success: true, data: existing });
+		}
+
+		await abortAbandonedSessions(req.user._id);
+
+		const session = await Session.create({
+			user: req.user._id,
+			...plan,
+			clientId,
+			completed: false,
+			status: 'active',
+			events: [{ type: 'start', at: new Date() }]
+		});
+		res.json({ success: true, data: session });
+	} catch (error) {
+		console.error(error);
+		res.status(500).json({ success: false, message: error.message });
+	}
+});
+
+// Record a pause, resume, pattern change, program stage change or abort
+router.post('/:id/events', protect, async (req, res) => {
+	try {
+		const { type, pattern, catalogId, stageIndex } = req.body;
+		if (!CLIENT_EVENT_TYPES.includes(type)) return res.status(400).json({ success: false, message: 'Invalid event type' });
+		if (type === 'pattern-change' && !isValidPattern(pattern)) return res.status(400).json({ success: false, message: 'Invalid pattern' });
+		if (!isValidCatalogId(catalogId)) return res.status(400).json({ success: false, message: 'Unknown catalog pattern' });
+		if (type === 'stage-change' && !Number.isInteger(stageIndex)) return res.status(400).json({ success: false, message: 'Invalid stage index' });
+
+		const session = await Session.findOne({ _id: req.params.id, user: req.user._id });
+		if (!session) return res.status(404).json({ success: false, message: 'Session not found' });
+
+		if (type === 'stage-change') {
+			if (!session.program) return res.status(400).json({ success: false, message: 'Session is not a program' });
+			if (stageIndex >= session.program.stages.length) return res.status(400).json({ success: false, message: 'Invalid stage index' });
+			// A retried or late request for a stage already reached changes nothing
+			if (stageIndex <= session.getCurrentStageIndex()) return res.json({ success: true, data: session });
+		}
+
+		if (!session.applyEvent(type, { pattern: type === 'pattern-change' ? pattern : undefined, stageIndex })) {
+			return res.status(409).json({ success: false, message: `Cannot ${type} a session that is ${session.status}` });
+		}
+		if (type === 'pattern-change') session.catalogId = catalogId;
+		await session.save();
 
-		const session = await Session.create({ user: req.user._id, duration, pattern, completed: false });
 		res.json({ success: true, data: session });
 	} catch (error) {
 		console.error(error);
@@ -22,28 +291,36 @@ router.post('/start', protect, async (req, res) => {
 // Complete session
 router.post('/complete', protect, async (req, res) => {
 	try {
-		const { sessionId, duration, pattern } = req.body;
-		let session = null;
-		if (sessionId) session = await Session.findById(sessionId);
-
-		if (!session) {
-			// create a completed session if not found
-			session = await Session.create({ user: req.user._id, duration: duration || 0, pattern: pattern || { inhale: 5, hold: 2, exhale: 7 }, completed: true, completedAt: new Date() });
-		} else {
-			session.completed = true;
-			session.completedAt = new Date();
-			session.duration = duration || session.duration;
-			session.pattern = pattern || session.pattern;
+		const { sessionId } = req.body;
+		if (!sessionId) return res.status(400).json({ success: false, message: 'Missing sessionId' });
+		const invalid = validateCompletion(req.body);
+		if (invalid) return res.status(400).json({ success: false, message: invalid });
+
+		const session = await Session.findOne({ _id: sessionId, user: req.user._id });
+		if (!session) return res.status(404).json({ success: false, message: 'Session not found' });
+
+		// Completing twice (e.g. a retried request) must not count the session again
+		if (session.status === 'completed') return sendAlreadyCompleted(res, session, req.user);
+		if (!session.canApplyEvent('complete')) {
+			return res.status(409).json({ success: false, message: `Cannot complete a session that is ${session.status}` });
+		}
+
+		const message = applyCompletion(session, req.body, new Date());
+		if (message) return res.status(400).json({ success: false, message });
+
+		try {
 			await session.save();
+		} catch (error) {
+			if (error.name !== 'VersionError') throw error;
+			// A concurrent request changed the session first; answer like a retry if it completed it
+			const latest = await Session.findById(session._id);
+			if (latest && latest.status === 'completed') return sendAlreadyCompleted(res, latest, req.user);
+			return res.status(409).json({ success: false, message: 'Session was updated by another request' });
 		}
 
-		// Update user stats
-		const minutes = Math.round((duration || session.duration || 0) / 60);
+		// Update user stats with the breathing time measured on the server
 		const user = await User.findById(req.user._id);
-		user.stats.totalSessions = (user.stats.totalSessions || 0) + 1;
-		user.stats.totalMinutes = (user.stats.totalMinutes || 0) + minutes;
-		user.updateStreak();
-		const newAchievements = user.checkAchievements();
+		const newAchievements = recordSession(user, session);
 		await user.save();
 
 		res.json({ success: true, data: { session, streak: user.stats.streak, totalSessions: user.stats.totalSessions, totalMinutes: user.stats.totalMinutes, newAchievements } });
@@ -53,11 +330,134 @@ router.post('/complete', protect, async (req, res) => {
 	}
 });
 
-// Get session history
+// Whether the user has a completed session, other than `excludeId`, whose time overlaps from `startedAt`
+// to `completedAt`; sessions from before the event log count from when they were created
+const overlapsRecordedSession = (userId, startedAt, completedAt, excludeId) => Session.exists({
+	user: userId,
+	status: 'completed',
+	...(excludeId && { _id: { $ne: excludeId } }),
+	completedAt: { $gt: startedAt },
+	$or: [
+		{ 'events.0.at': { $lt: completedAt } },
+		{ 'events.0': { $exists: false }, createdAt: { $lt: completedAt } }
+	]
+});
+
+// Complete one session queued on a device, at the times it really started and ended. A session the
+// server already has under the same key is completed rather than added again; one already
+// completed is left as it is. Returns the outcome for the client and the session, if it completed
+const ingestSession = async (user, entry, now) => {
+	const userId = user._id;
+	const { clientId, start = {}, complete = {} } = entry || {};
+	if (!isValidClientId(clientId)) return { result: { clientId, status: 'rejected', message: 'Invalid clientId' } };
+	const reject = (message) => ({ result: { clientId, status: 'rejected', message } });
+	if (!start || typeof start !== 'object' || !complete || typeof complete !== 'object') return reject('Invalid session');
+
+	const startedAt = new Date(entry.startedAt);
+	const completedAt = new Date(entry.completedAt);
+	if (Number.isNaN(startedAt.getTime()) || Number.isNaN(completedAt.getTime()) || startedAt > completedAt
+		|| completedAt - now > CLIENT_CLOCK_TOLERANCE_MS) {
+		return reject('Invalid session times');
+	}
+	if (user.createdAt && startedAt < user.createdAt) return reject('Session started before the account was created');
+	if (now - startedAt > MAX_INGEST_AGE_DAYS * 24 * 60 * 60 * 1000) return reject(`Sessions older than ${MAX_INGEST_AGE_DAYS} days cannot be synced`);
+	const invalid = validateCompletion(complete);
+	if (invalid) return reject(invalid);
+
+	let session = await Session.findOne({ user: userId, clientId });
+	if (session && session.status === 'completed') return { result: { clientId, status: 'duplicate', sessionId: session._id } };
+	// Time already credited to another session can't be breathed again
+	if (await overlapsRecordedSession(userId, startedAt, completedAt, session && session._id)) {
+		return reject('Session overlaps one already recorded');
+	}
+
+	if (!session) {
+		const { message, plan } = planSession(start);
+		if (message) return reject(message);
+		session = new Session({
+			user: userId,
+			...plan,
+			clientId,
+			completed: false,
+			status: 'active',
+			events: [{ type: 'start', at: startedAt }]
+		});
+	} else if (!session.isOpen()) {
+		// The server gave up on the session while the device was offline (e.g. when the next one
+		// started); the completion the device queued takes the place of that abort
+		session.events = session.events.filter(event => event.type !== 'abort');
+		const lastEvent = session.events[session.events.length - 1];
+		session.status = lastEvent && lastEvent.type === 'pause' ? 'paused' : 'active';
+		session.endedAt = undefined;
+		session.activeSeconds = undefined;
+	}
+
+	const message = applyCompletion(session, complete, completedAt);
+	if (message) return reject(message);
+	try {
+		await session.save();
+	} catch (error) {
+		// The same key arrived in a concurrent request, which stored it first
+		if (error.code === 11000 || error.name === 'VersionError') return { result: { clientId, status: 'duplicate' } };
+		throw error;
+	}
+	return { result: { clientId, status: 'completed', sessionId: session._id }, session };
+};
+
+// Take in sessions practised offline and queued on the device. Each is completed at its original
+// times, then the user's stats are rebuilt from every completed session
+router.post('/ingest', protect, async (req, res) => {
+	try {
+		const { sessions } = req.body;
+		if (!Array.isArray(sessions) || sessions.length === 0 || sessions.length > MAX_INGEST_SESSIONS) {
+			return res.status(400).json({ success: false, message: `Send 1-${MAX_INGEST_SESSIONS} sessions` });
+		}
+
+		const now = new Date();
+		const user = await User.findById(req.user._id);
+		const results = [];
+		const completed = [];
+		for (const entry of sessions) {
+			// An entry that fails is rejected on its own; the ones before it are already saved and the
+			// ones after it still go through, so one bad entry can't hold up the rest of the queue
+			try {
+				const { result, session } = await ingestSession(user, entry, now);
+				results.push(result);
+				if (session) completed.push(session);
+			} catch (error) {
+				console.error(error);
+				results.push({ clientId: entry && entry.clientId, status: 'rejected', message: error.message });
+			}
+		}
+
+		// Queued sessions can land before ones already counted, so the stats are rebuilt from the
+		// history rather than added to, exactly as a recalculation would
+		const newAchievements = completed.length > 0 ? await recalculateStats(user) : [];
+
+		res.json({ success: true, data: { results, streak: user.stats.streak, totalSessions: user.stats.totalSessions, totalMinutes: user.stats.totalMinutes, newAchievements } });
+	} catch (error) {
+		console.error(error);
+		res.status(500).json({ success: false, message: error.message });
+	}
+});
+
+// Get session history, including interrupted sessions and how far they got
 router.get('/history', protect, async (req, res) => {
 	try {
 		const sessions = await Session.find({ user: req.user._id }).sort({ createdAt: -1 });
-		res.json({ success: true, data: sessions });
+		res.json({ success: true, data: sessions.map(toSessionSummary) });
+	} catch (error) {
+		console.error(error);
+		res.status(500).json({ success: false, message: error.message });
+	}
+});
+
+// Get one session, so a client resuming it after a reload can check it is still open
+router.get('/:id', protect, async (req, res) => {
+	try {
+		const session = await Session.findOne({ _id: req.params.id, user: req.user._id });
+		if (!session) return res.status(404).json({ success: false, message: 'Session not found' });
+		res.json({ success: true, data: toSessionSummary(session) });
 	} catch (error) {
 		console.error(error);
 		res.status(500).json({ success: false, message: error.message });
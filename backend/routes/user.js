@@ -1,6 +1,8 @@
 import express from 'express';
 import { protect } from '../middleware/auth.js';
-import User from '../models/User.js';
+import User, { AMBIENT_SOUNDS, CUE_STYLES, isValidAudioPreferences, SESSION_ENDINGS, VISUAL_STYLES } from '../models/User.js';
+import { recalculateStats } from '../utils/stats.js';
+import { isValidTimezone } from '../utils/timezone.js';
 
 const router = express.Router();
 
@@ -16,6 +18,19 @@ router.get('/stats', protect, async (req, res) => {
 	}
 });
 
+// Rebuild stats and achievements from the session history, correcting counts that drifted
+router.post('/stats/recalculate', protect, async (req, res) => {
+	try {
+		const user = await User.findById(req.user._id);
+		if (!user) return res.status(404).json({ success: false, message: 'User not found' });
+		const newAchievements = await recalculateStats(user);
+		res.json({ success: true, data: { stats: user.stats, achievements: user.achievements, newAchievements } });
+	} catch (error) {
+		console.error(error);
+		res.status(500).json({ success: false, message: error.message });
+	}
+});
+
 // Get profile with statistics
 router.get('/profile', protect, async (req, res) => {
 	try {
@@ -45,7 +60,10 @@ router.get('/profile', protect, async (req, res) => {
 				notifications: true,
 				dailyReminders: true,
 				achievementAlerts: true,
-				emailUpdates: false
+				emailUpdates: false,
+				haptics: false,
+				visualStyle: 'path',
+				sessionEnding: 'finish'
 			},
 			stats: user.stats || {
 				streak: 0,
@@ -177,7 +195,10 @@ router.put('/profile', protect, async (req, res) => {
 				notifications: true,
 				dailyReminders: true,
 				achievementAlerts: true,
-				emailUpdates: false
+				emailUpdates: false,
+				haptics: false,
+				visualStyle: 'path',
+				sessionEnding: 'finish'
 			},
 			stats: updatedUser.stats || {
 				streak: 0,
@@ -217,7 +238,28 @@ router.put('/profile', protect, async (req, res) => {
 // Update user preferences
 router.put('/preferences', protect, async (req, res) => {
 	try {
-		const { notifications, dailyReminders, achievementAlerts, emailUpdates } = req.body;
+		const { notifications, dailyReminders, achievementAlerts, emailUpdates, haptics, visualStyle, sessionEnding, audio } = req.body;
+
+		if (visualStyle !== undefined && !VISUAL_STYLES.includes(visualStyle)) {
+			return res.status(400).json({
+				success: false,
+				message: `Visual style must be one of: ${VISUAL_STYLES.join(', ')}`
+			});
+		}
+
+		if (sessionEnding !== undefined && !SESSION_ENDINGS.includes(sessionEnding)) {
+			return res.status(400).json({
+				success: false,
+				message: `Session ending must be one of: ${SESSION_ENDINGS.join(', ')}`
+			});
+		}
+
+		if (audio !== undefined && !isValidAudioPreferences(audio)) {
+			return res.status(400).json({
+				success: false,
+				message: `Audio preferences need a cue style (${CUE_STYLES.join(', ')}), an ambient sound (${AMBIENT_SOUNDS.join(', ')}) and volumes from 0 to 1`
+			});
+		}
 		
 		// Find user
 		const user = await User.findById(req.user._id);
@@ -251,6 +293,22 @@ router.put('/preferences', protect, async (req, res) => {
 		if (emailUpdates !== undefined) {
 			user.preferences.emailUpdates = Boolean(emailUpdates);
 		}
+		if (haptics !== undefined) {
+			user.preferences.haptics = Boolean(haptics);
+		}
+		if (visualStyle !== undefined) {
+			user.preferences.visualStyle = visualStyle;
+		}
+		if (sessionEnding !== undefined) {
+			user.preferences.sessionEnding = sessionEnding;
+		}
+		if (audio !== undefined) {
+			// Only the provided audio settings change, so one slider can be saved on its own
+			if (!user.preferences.audio) user.preferences.audio = {};
+			['cueStyle', 'cueVolume', 'ambient', 'ambientVolume'].forEach(key => {
+				if (audio[key] !== undefined) user.preferences.audio[key] = audio[key];
+			});
+		}
 		
 		// Save updated user with immediate persistence
 		await user.save();
@@ -271,6 +329,43 @@ router.put('/preferences', protect, async (req, res) => {
 	}
 });
 
+// Update the time zone streaks and daily stats are counted in (sent by the browser)
+router.put('/timezone', protect, async (req, res) => {
+	try {
+		const { timezone } = req.body;
+		if (!isValidTimezone(timezone)) {
+			return res.status(400).json({
+				success: false,
+				message: 'Time zone must be an IANA zone name, e.g. Europe/London'
+			});
+		}
+
+		const user = await User.findById(req.user._id);
+		if (!user) {
+			return res.status(404).json({
+				success: false,
+				message: 'User not found'
+			});
+		}
+
+		user.timezone = timezone;
+		await user.save();
+
+		res.json({
+			success: true,
+			message: 'Time zone updated successfully',
+			data: { timezone: user.timezone }
+		});
+
+	} catch (error) {
+		console.error('Time zone update error:', error);
+		res.status(500).json({
+			success: false,
+			message: 'Failed to update time zone'
+		});
+	}
+});
+
 // Change password
 router.put('/change-password', protect, async (req, res) => {
 	try {
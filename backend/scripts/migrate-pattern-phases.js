@@ -0,0 +1,55 @@
+/**
+ * Migration: legacy { inhale, hold, exhale } patterns -> { type, inhale, holdTop, exhale, holdBottom }
+ * Usage: npm run migrate:patterns
+ */
+
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import connectDB from '../config/db.js';
+
+const COLLECTIONS = ['sessions', 'patterns'];
+
+const migrationPipeline = [
+	{
+		$set: {
+			'pattern.holdTop': { $ifNull: ['$pattern.holdTop', { $ifNull: ['$pattern.hold', 0] }] },
+			'pattern.type': {
+				$cond: [{ $gt: [{ $ifNull: ['$pattern.holdBottom', 0] }, 0] }, '4-phase', '3-phase']
+			}
+		}
+	},
+	{ $unset: 'pattern.hold' }
+];
+
+// Only documents written before `type` existed need touching, so the migration is safe to re-run
+export const migratePatternPhases = async (connection = mongoose.connection) => {
+	const results = {};
+	for (const name of COLLECTIONS) {
+		const res = await connection.collection(name).updateMany(
+			{ pattern: { $exists: true }, 'pattern.type': { $exists: false } },
+			migrationPipeline
+		);
+		results[name] = res.modifiedCount;
+	}
+	return results;
+};
+
+const run = async () => {
+	dotenv.config({ path: '.env.local' });
+	dotenv.config();
+
+	await connectDB();
+	const results = await migratePatternPhases();
+	console.log('✅ Pattern migration complete:', results);
+	await mongoose.disconnect();
+};
+
+// Run only when invoked directly, not when imported by tests
+if (process.argv[1] && process.argv[1].endsWith('migrate-pattern-phases.js')) {
+	run().catch(error => {
+		console.error('❌ Pattern migration failed:', error);
+		process.exit(1);
+	});
+}
+
+export default migratePatternPhases;
@@ -0,0 +1,45 @@
+/**
+ * Maintenance: rebuild user stats and achievements from their completed sessions
+ * Usage: npm run recalculate:stats [-- <email>]   (every user when no email is given)
+ */
+
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import connectDB from '../config/db.js';
+import User from '../models/User.js';
+import { recalculateStats } from '../utils/stats.js';
+
+// Recalculating only reads sessions, so it is safe to re-run; returns how many users changed
+export const recalculateAllStats = async (filter = {}) => {
+	let users = 0;
+	let changed = 0;
+	for await (const user of User.find(filter)) {
+		const before = JSON.stringify({ stats: user.stats, achievements: user.achievements.map(a => a.name) });
+		await recalculateStats(user);
+		const after = JSON.stringify({ stats: user.stats, achievements: user.achievements.map(a => a.name) });
+		users++;
+		if (before !== after) changed++;
+	}
+	return { users, changed };
+};
+
+const run = async () => {
+	dotenv.config({ path: '.env.local' });
+	dotenv.config();
+
+	const email = process.argv[2];
+	await connectDB();
+	const results = await recalculateAllStats(email ? { email: email.toLowerCase() } : {});
+	console.log('✅ Stats recalculated:', results);
+	await mongoose.disconnect();
+};
+
+// Run only when invoked directly, not when imported by tests
+if (process.argv[1] && process.argv[1].endsWith('recalculate-stats.js')) {
+	run().catch(error => {
+		console.error('❌ Stats recalculation failed:', error);
+		process.exit(1);
+	});
+}
+
+export default recalculateAllStats;
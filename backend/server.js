@@ -4,6 +4,8 @@ import express from 'express';
 import connectDB from './config/db.js';
 
 import authRoutes from './routes/auth.js';
+import breathHoldRoutes from './routes/breathHold.js';
+import catalogRoutes from './routes/catalog.js';
 import dashboardRoutes from './routes/dashboard.js';
 import feedbackRoutes from './routes/feedback.js';
 import patternRoutes from './routes/pattern.js';
@@ -28,10 +30,12 @@ connectDB();
 app.use('/api/auth', authRoutes);
 app.use('/api/user', userRoutes);
 app.use('/api/session', sessionRoutes);
+app.use('/api/catalog', catalogRoutes);
 app.use('/api/patterns', patternRoutes);
 app.use('/api/reminder', reminderRoutes);
 app.use('/api/dashboard', dashboardRoutes);
 app.use('/api/feedback', feedbackRoutes);
+app.use('/api/breath-hold', breathHoldRoutes);
 
 app.get('/api/health', (req, res) => {
 	res.json({ status: 'ok', message: 'Breathing App API is running' });
@@ -0,0 +1,120 @@
+import mongoose from 'mongoose';
+import Session from '../../models/Session.js';
+import { createTestSession } from '../setup.js';
+
+// These tests exercise the event log in memory and do not need a database
+const at = (seconds) => new Date(Date.UTC(2024, 0, 1, 8, 0, seconds));
+
+const startSession = (overrides = {}) => new Session(createTestSession(new mongoose.Types.ObjectId(), {
+  completed: false,
+  status: 'active',
+  events: [{ type: 'start', at: at(0) }],
+  ...overrides
+}));
+
+describe('Session Lifecycle', () => {
+  test('should derive status from completed for sessions without an event log', () => {
+    const legacy = new Session(createTestSession(new mongoose.Types.ObjectId()));
+    expect(legacy.status).toBe('completed');
+
+    const unfinished = new Session(createTestSession(new mongoose.Types.ObjectId(), { completed: false }));
+    expect(unfinished.status).toBe('active');
+  });
+
+  test('should exclude paused time from active seconds', () => {
+    const session = startSession();
+
+    expect(session.applyEvent('pause', { at: at(30) })).toBe(true);
+    expect(session.status).toBe('paused');
+    expect(session.applyEvent('resume', { at: at(50) })).toBe(true);
+    expect(session.applyEvent('complete', { at: at(80) })).toBe(true);
+
+    expect(session.status).toBe('completed');
+    expect(session.completed).toBe(true);
+    expect(session.activeSeconds).toBe(60);
+    expect(session.getCreditedSeconds()).toBe(60);
+  });
+
+  test('should measure open sessions up to the given time', () => {
+    const session = startSession();
+    session.applyEvent('pause', { at: at(20) });
+    session.applyEvent('resume', { at: at(40) });
+
+    expect(session.computeActiveSeconds(at(45))).toBe(25);
+  });
+
+  test('should cap active seconds at the planned duration', () => {
+    const session = startSession({ duration: 60 });
+    session.applyEvent('complete', { at: at(59) });
+    expect(session.activeSeconds).toBe(59);
+
+    const overrun = startSession({ duration: 30 });
+    overrun.applyEvent('complete', { at: at(45) });
+    expect(overrun.activeSeconds).toBe(30);
+  });
+
+  test('should record aborted sessions as incomplete with partial time', () => {
+    const session = startSession();
+    session.applyEvent('abort', { at: at(90) });
+
+    expect(session.status).toBe('aborted');
+    expect(session.completed).toBe(false);
+    expect(session.activeSeconds).toBe(90);
+    expect(session.endedAt).toEqual(at(90));
+  });
+
+  test('should switch the session pattern on pattern-change', () => {
+    const session = startSession();
+    const box = { type: '4-phase', inhale: 4, holdTop: 4, exhale: 4, holdBottom: 4 };
+
+    expect(session.applyEvent('pattern-change', { at: at(10), pattern: box })).toBe(true);
+    expect(session.status).toBe('active');
+    expect(session.pattern.type).toBe('4-phase');
+    expect(session.events[1].pattern.holdBottom).toBe(4);
+  });
+
+  test('should reject transitions that do not match the current status', () => {
+    const session = startSession();
+
+    expect(session.applyEvent('resume')).toBe(false);
+    session.applyEvent('pause', { at: at(5) });
+    expect(session.applyEvent('pause')).toBe(false);
+    session.applyEvent('abort', { at: at(6) });
+    expect(session.applyEvent('complete')).toBe(false);
+    expect(session.applyEvent('resume')).toBe(false);
+    expect(session.events).toHaveLength(3);
+  });
+
+  test('should fall back to planned duration for legacy sessions completed without a start event', () => {
+    const legacy = new Session(createTestSession(new mongoose.Types.ObjectId(), { completed: false, duration: 300 }));
+    legacy.applyEvent('complete');
+
+    expect(legacy.activeSeconds).toBeUndefined();
+    expect(legacy.getCreditedSeconds()).toBe(300);
+  });
+
+  test('should split program time per stage, excluding pauses', () => {
+    const session = startSession({
+      duration: 180,
+      program: {
+        name: 'Wind Down',
+        stages: [
+          { pattern: { inhale: 4, holdTop: 0, exhale: 6 }, plannedSeconds: 60 },
+          { pattern: { inhale: 4, holdTop: 7, exhale: 8 }, plannedSeconds: 95 },
+          { natural: true, plannedSeconds: 25 }
+        ]
+      }
+    });
+
+    session.applyEvent('stage-change', { at: at(60), stageIndex: 1 });
+    session.applyEvent('pause', { at: at(100) });
+    session.applyEvent('resume', { at: at(130) });
+    expect(session.getCurrentStageIndex()).toBe(1);
+    session.applyEvent('stage-change', { at: at(185), stageIndex: 2 });
+    session.applyEvent('complete', { at: at(210) });
+
+    expect(session.program.stages.map(s => s.activeSeconds)).toEqual([60, 95, 25]);
+    expect(session.activeSeconds).toBe(180);
+    expect(session.getStageBreakdown()[2]).toMatchObject({ natural: true, plannedSeconds: 25, activeSeconds: 25 });
+  });
+});
@@ -0,0 +1,74 @@
+import mongoose from 'mongoose';
+import Pattern from '../../models/Pattern.js';
+import Session from '../../models/Session.js';
+import { migratePatternPhases } from '../../scripts/migrate-pattern-phases.js';
+import { cleanupTestDB, setupTestDB, teardownTestDB } from '../setup.js';
+
+beforeAll(async () => {
+  await setupTestDB();
+});
+
+afterAll(async () => {
+  await teardownTestDB();
+});
+
+afterEach(async () => {
+  await cleanupTestDB();
+});
+
+describe('Pattern Phase Migration', () => {
+  const userId = new mongoose.Types.ObjectId();
+
+  test('should convert legacy hold into holdTop and mark sessions as 3-phase', async () => {
+    // Simulate a session written before holdTop/holdBottom existed
+    const collection = mongoose.connection.collection('sessions');
+    const result = await collection.insertOne({
+      user: userId,
+      duration: 300,
+      pattern: { inhale: 4, hold: 7, exhale: 8 },
+      completed: true
+    });
+
+    const counts = await migratePatternPhases();
+    expect(counts.sessions).toBe(1);
+
+    const raw = await collection.findOne({ _id: result.insertedId });
+    expect(raw.pattern.hold).toBeUndefined();
+
+    const session = await Session.findById(result.insertedId);
+    expect(session.pattern.type).toBe('3-phase');
+    expect(session.pattern.holdTop).toBe(7);
+    expect(session.pattern.holdBottom).toBeUndefined();
+  });
+
+  test('should migrate saved custom patterns too', async () => {
+    const collection = mongoose.connection.collection('patterns');
+    const result = await collection.insertOne({
+      user: userId,
+      name: 'Legacy',
+      pattern: { inhale: 5, hold: 0, exhale: 5 }
+    });
+
+    await migratePatternPhases();
+
+    const pattern = await Pattern.findById(result.insertedId);
+    expect(pattern.pattern.type).toBe('3-phase');
+    expect(pattern.pattern.holdTop).toBe(0);
+  });
+
+  test('should leave already migrated documents untouched', async () => {
+    await Session.create({
+      user: userId,
+      duration: 240,
+      pattern: { type: '4-phase', inhale: 4, holdTop: 4, exhale: 4, holdBottom: 4 },
+      completed: true
+    });
+
+    const counts = await migratePatternPhases();
+    expect(counts.sessions).toBe(0);
+
+    const session = await Session.findOne({ user: userId });
+    expect(session.pattern.type).toBe('4-phase');
+    expect(session.pattern.holdBottom).toBe(4);
+  });
+});
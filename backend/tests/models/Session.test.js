@@ -76,6 +76,40 @@ describe('Session Model', () => {
     expect(session.completed).toBe(false);
   });
 
+  test('should store 4-phase patterns with holdBottom', async () => {
+    const sessionData = createTestSession(testUser._id, {
+      pattern: { type: '4-phase', inhale: 4, holdTop: 4, exhale: 4, holdBottom: 4 }
+    });
+
+    const session = new Session(sessionData);
+    await session.save();
+
+    expect(session.pattern.type).toBe('4-phase');
+    expect(session.pattern.holdTop).toBe(4);
+    expect(session.pattern.holdBottom).toBe(4);
+  });
+
+  test('should infer 3-phase type and map legacy hold to holdTop', async () => {
+    const sessionData = createTestSession(testUser._id);
+
+    const session = new Session(sessionData);
+    await session.save();
+
+    expect(session.pattern.type).toBe('3-phase');
+    expect(session.pattern.holdTop).toBe(4);
+    expect(session.pattern.holdBottom).toBeUndefined();
+  });
+
+  test('should reject 4-phase patterns without holdBottom', async () => {
+    const sessionData = createTestSession(testUser._id, {
+      pattern: { type: '4-phase', inhale: 4, holdTop: 4, exhale: 4 }
+    });
+
+    const session = new Session(sessionData);
+
+    await expect(session.save()).rejects.toThrow();
+  });
+
   test('should populate user data', async () => {
     const sessionData = createTestSession(testUser._id);
     
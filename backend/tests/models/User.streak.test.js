@@ -0,0 +1,73 @@
+import User from '../../models/User.js';
+import { createTestUser } from '../setup.js';
+
+// These tests update streaks in memory and do not need a database
+const day = (date, hours = 9) => new Date(Date.UTC(2024, 0, date, hours));
+
+describe('User Streak Update', () => {
+  test('should extend the streak on the next day in the user\'s zone and not twice in a day', () => {
+    const user = new User(createTestUser({ timezone: 'Australia/Sydney' }));
+    user.updateStreak(day(1, 21)); // 8am, 2 January in Sydney
+    user.updateStreak(day(2, 12)); // 11pm, 2 January in Sydney
+    expect(user.stats.streak).toBe(1);
+
+    user.updateStreak(day(2, 14)); // 1am, 3 January in Sydney
+    expect(user.stats.streak).toBe(2);
+    expect(user.stats.lastSessionDate).toEqual(day(2, 14));
+  });
+
+  test('should keep the streak across a DST change and break it after a missed day', () => {
+    const user = new User(createTestUser({ timezone: 'America/New_York' }));
+    // Late evenings either side of the clocks going forward on 10 March 2024
+    user.updateStreak(new Date('2024-03-10T04:30:00Z')); // 11:30pm, 9 March
+    user.updateStreak(new Date('2024-03-11T03:30:00Z')); // 11:30pm, 10 March
+    expect(user.stats.streak).toBe(2);
+
+    user.updateStreak(new Date('2024-03-13T03:30:00Z')); // 11:30pm, 12 March
+    expect(user.stats.streak).toBe(1);
+    expect(user.stats.longestStreak).toBe(2);
+  });
+});
+
+describe('User Streak Freezes', () => {
+  const practise = (user, days) => days.forEach(date => user.updateStreak(day(date)));
+  const range = (from, to) => Array.from({ length: to - from + 1 }, (_, i) => from + i);
+
+  test('should earn a freeze for every 7 days in a row and bank at most 2', () => {
+    const user = new User(createTestUser());
+    practise(user, range(1, 6));
+    expect(user.stats.streakFreezes).toBe(0);
+
+    practise(user, [7]);
+    expect(user.stats.streakFreezes).toBe(1);
+
+    practise(user, range(8, 21));
+    expect(user.stats.streak).toBe(21);
+    expect(user.stats.streakFreezes).toBe(2);
+  });
+
+  test('should use freezes up on missed days and record the days they covered', () => {
+    const user = new User(createTestUser({ stats: { streakFreezes: 2 } }));
+    practise(user, [1, 2]);
+    user.updateStreak(day(5, 18)); // 3 and 4 January missed
+
+    expect(user.stats.streak).toBe(3);
+    expect(user.stats.streakFreezes).toBe(0);
+    expect(user.stats.frozenDays.map(({ day: covered, usedAt }) => ({ day: covered, usedAt }))).toEqual([
+      { day: '2024-01-03', usedAt: day(5, 18) },
+      { day: '2024-01-04', usedAt: day(5, 18) }
+    ]);
+  });
+
+  test('should reset and keep the freezes when too many days were missed', () => {
+    const user = new User(createTestUser());
+    practise(user, range(1, 7));
+    practise(user, [10]);
+
+    expect(user.stats.streak).toBe(1);
+    expect(user.stats.longestStreak).toBe(7);
+    expect(user.stats.streakFreezes).toBe(1);
+    expect(user.stats.frozenDays).toHaveLength(0);
+  });
+});
+
@@ -0,0 +1,220 @@
+import mongoose from 'mongoose';
+import {
+  breathPatternSchema,
+  getCycleSeconds,
+  getPatternKey,
+  isValidPattern,
+  isValidRamp,
+  isValidRounds,
+  summarizePhases
+} from '../../models/breathPattern.js';
+
+const sigh = {
+  type: 'n-phase',
+  phases: [{ type: 'inhale', duration: 2 }, { type: 'topUp', duration: 1 }, { type: 'exhale', duration: 6 }]
+};
+
+describe('Breath Pattern Helpers', () => {
+  describe('isValidPattern', () => {
+    test('should accept 3-phase patterns with or without an explicit type', () => {
+      expect(isValidPattern({ inhale: 4, holdTop: 7, exhale: 8 })).toBe(true);
+      expect(isValidPattern({ type: '3-phase', inhale: 4, holdTop: 0, exhale: 6 })).toBe(true);
+    });
+
+    test('should accept legacy hold field', () => {
+      expect(isValidPattern({ inhale: 5, hold: 2, exhale: 7 })).toBe(true);
+    });
+
+    test('should require holdBottom for 4-phase patterns', () => {
+      expect(isValidPattern({ type: '4-phase', inhale: 4, holdTop: 4, exhale: 4, holdBottom: 4 })).toBe(true);
+      expect(isValidPattern({ type: '4-phase', inhale: 4, holdTop: 4, exhale: 4 })).toBe(false);
+    });
+
+    test('should reject missing phases and unknown types', () => {
+      expect(isValidPattern(null)).toBe(false);
+      expect(isValidPattern({ inhale: 4, holdTop: 2 })).toBe(false);
+      expect(isValidPattern({ type: '5-phase', inhale: 4, holdTop: 2, exhale: 6 })).toBe(false);
+    });
+
+    test('should reject negative, non-numeric and oversized timings', () => {
+      expect(isValidPattern({ inhale: -4, exhale: 6 })).toBe(false);
+      expect(isValidPattern({ inhale: 4, exhale: 0 })).toBe(false);
+      expect(isValidPattern({ inhale: 4, holdTop: -10, exhale: 6 })).toBe(false);
+      expect(isValidPattern({ inhale: 4, hold: -1, exhale: 6 })).toBe(false);
+      expect(isValidPattern({ type: '4-phase', inhale: 4, holdTop: 4, exhale: 4, holdBottom: -4 })).toBe(false);
+      expect(isValidPattern({ inhale: 'abc', exhale: 6 })).toBe(false);
+      expect(isValidPattern({ inhale: '4', exhale: 6 })).toBe(false);
+      expect(isValidPattern({ inhale: 4, holdTop: '7', exhale: 8 })).toBe(false);
+      expect(isValidPattern({ inhale: 1e9, exhale: 1 })).toBe(false);
+      expect(isValidPattern({ inhale: Infinity, exhale: 6 })).toBe(false);
+      expect(isValidPattern({ inhale: 4, holdTop: 61, exhale: 6 })).toBe(false);
+      expect(isValidPattern({ inhale: 60, holdTop: 60, exhale: 60 })).toBe(true);
+    });
+
+    test('should accept side, airway and humming annotations on the pattern\'s phases', () => {
+      const annotations = { inhale: { side: 'left', airway: 'nose' }, exhale: { side: 'right', humming: true } };
+
+      expect(isValidPattern({ inhale: 4, holdTop: 4, exhale: 4, annotations, alternateSides: true })).toBe(true);
+      expect(isValidPattern({ type: '4-phase', inhale: 4, holdTop: 4, exhale: 4, holdBottom: 4, annotations: { holdBottom: { airway: 'mouth' } } })).toBe(true);
+    });
+
+    test('should reject unknown annotations and annotations on missing phases', () => {
+      expect(isValidPattern({ inhale: 4, holdTop: 0, exhale: 6, annotations: { inhale: { side: 'up' } } })).toBe(false);
+      expect(isValidPattern({ inhale: 4, holdTop: 0, exhale: 6, annotations: { inhale: { humming: 'yes' } } })).toBe(false);
+      expect(isValidPattern({ inhale: 4, holdTop: 0, exhale: 6, annotations: { sigh: { side: 'left' } } })).toBe(false);
+      expect(isValidPattern({ inhale: 4, holdTop: 0, exhale: 6, annotations: { holdBottom: { side: 'left' } } })).toBe(false);
+      expect(isValidPattern({ inhale: 4, holdTop: 0, exhale: 6, alternateSides: 'yes' })).toBe(false);
+    });
+
+    test('should accept n-phase patterns from their phase list alone', () => {
+      expect(isValidPattern(sigh)).toBe(true);
+      expect(isValidPattern({
+        type: 'n-phase',
+        phases: [{ type: 'inhale', duration: 4 }, { type: 'hold', duration: 2 }, { type: 'topUp', duration: 1 }, { type: 'exhale', duration: 8 }, { type: 'hold', duration: 0 }]
+      })).toBe(true);
+      expect(isValidPattern({ ...sigh, annotations: { topUp: { airway: 'nose' }, exhale: { airway: 'mouth' } } })).toBe(true);
+    });
+
+    test('should reject phase lists that do not make a full breath', () => {
+      const withPhases = (...phases) => ({ type: 'n-phase', phases: phases.map(([type, duration]) => ({ type, duration })) });
+
+      expect(isValidPattern(withPhases(['exhale', 4], ['inhale', 4]))).toBe(false);
+      expect(isValidPattern(withPhases(['hold', 4], ['hold', 4]))).toBe(false);
+      expect(isValidPattern(withPhases(['inhale', 4], ['topUp', 1]))).toBe(false);
+      expect(isValidPattern(withPhases(['inhale', 4], ['exhale', 4], ['topUp', 1], ['exhale', 2]))).toBe(false);
+      expect(isValidPattern(withPhases(['inhale', 4], ['sniff', 1], ['exhale', 4]))).toBe(false);
+      expect(isValidPattern(withPhases(['inhale', 0], ['exhale', 4]))).toBe(false);
+      expect(isValidPattern(withPhases(['inhale', 4], ['hold', 90], ['exhale', 4]))).toBe(false);
+      expect(isValidPattern({ type: 'n-phase', inhale: 4, exhale: 6 })).toBe(false);
+      expect(isValidPattern({ type: '3-phase', inhale: 4, holdTop: 0, exhale: 6, phases: sigh.phases })).toBe(false);
+    });
+
+    test('should only allow annotations on phases an n-phase pattern has', () => {
+      expect(isValidPattern({ ...sigh, annotations: { holdTop: { side: 'left' } } })).toBe(false);
+      expect(isValidPattern({ type: '3-phase', inhale: 4, holdTop: 0, exhale: 6, annotations: { topUp: { airway: 'nose' } } })).toBe(false);
+    });
+  });
+
+  describe('n-phase patterns', () => {
+    test('should total a phase list into the 3- and 4-phase timing fields', () => {
+      expect(summarizePhases(sigh.phases)).toEqual({ inhale: 3, holdTop: 0, exhale: 6 });
+      expect(summarizePhases([
+        { type: 'inhale', duration: 4 },
+        { type: 'hold', duration: 2 },
+        { type: 'exhale', duration: 4 },
+        { type: 'hold', duration: 3 }
+      ])).toEqual({ inhale: 4, holdTop: 2, exhale: 4, holdBottom: 3 });
+    });
+
+    test('should measure a breath the same way for every pattern type', () => {
+      expect(getCycleSeconds(sigh)).toBe(9);
+      expect(getCycleSeconds({ type: '3-phase', inhale: 4, holdTop: 7, exhale: 8 })).toBe(19);
+      expect(getCycleSeconds({ inhale: 5, hold: 2, exhale: 7 })).toBe(14);
+      expect(getCycleSeconds({ type: '4-phase', inhale: 4, holdTop: 4, exhale: 4, holdBottom: 4 })).toBe(16);
+    });
+
+    test('should fill in the timing totals when the pattern is saved', async () => {
+      const Model = mongoose.model('BreathPatternHost', new mongoose.Schema({ pattern: breathPatternSchema }));
+      const doc = new Model({ pattern: sigh });
+
+      await doc.validate();
+      expect(doc.pattern.toObject()).toEqual(expect.objectContaining({ type: 'n-phase', inhale: 3, holdTop: 0, exhale: 6 }));
+      expect(doc.pattern.phases).toHaveLength(3);
+
+      const legacy = new Model({ pattern: { inhale: 4, holdTop: 7, exhale: 8, phases: sigh.phases } });
+      await legacy.validate();
+      expect(legacy.pattern.type).toBe('3-phase');
+      expect(legacy.pattern.phases).toBeUndefined();
+    });
+  });
+
+  describe('breathPatternSchema', () => {
+    const Model = mongoose.model('BreathPatternBounds', new mongoose.Schema({ pattern: breathPatternSchema }));
+
+    test('should reject timings below zero or beyond one phase', async () => {
+      const invalid = [
+        { inhale: -4, exhale: 6 },
+        { inhale: 4, holdTop: -10, exhale: 6 },
+        { inhale: 1e9, exhale: 1 },
+        { type: '4-phase', inhale: 4, holdTop: 4, exhale: 4, holdBottom: 90 }
+      ];
+      for (const pattern of invalid) {
+        await expect(new Model({ pattern }).validate()).rejects.toThrow();
+      }
+      await expect(new Model({ pattern: { inhale: 4, holdTop: 0, exhale: 6 } }).validate()).resolves.toBeUndefined();
+    });
+
+    test('should let n-phase totals add up past one phase', async () => {
+      const long = { type: 'n-phase', phases: [{ type: 'inhale', duration: 40 }, { type: 'topUp', duration: 30 }, { type: 'exhale', duration: 60 }] };
+      const doc = new Model({ pattern: long });
+
+      await doc.validate();
+      expect(doc.pattern.inhale).toBe(70);
+    });
+  });
+
+  describe('isValidRamp', () => {
+    const threePhase = { type: '3-phase', inhale: 4, holdTop: 0, exhale: 6 };
+    const box = { type: '4-phase', inhale: 4, holdTop: 4, exhale: 4, holdBottom: 4 };
+
+    test('should accept phase targets and breathing-rate ramps', () => {
+      expect(isValidRamp({ type: 'phases', seconds: 480, target: { exhale: 10 } }, threePhase)).toBe(true);
+      expect(isValidRamp({ type: 'phases', seconds: 300, target: { holdTop: 0, holdBottom: 6 } }, box)).toBe(true);
+      expect(isValidRamp({ type: 'bpm', seconds: 600, endBpm: 6 }, threePhase)).toBe(true);
+    });
+
+    test('should reject a holdBottom target on a 3-phase pattern', () => {
+      expect(isValidRamp({ type: 'phases', seconds: 300, target: { holdBottom: 4 } }, threePhase)).toBe(false);
+    });
+
+    test('should reject ramps on n-phase patterns', () => {
+      expect(isValidRamp({ type: 'bpm', seconds: 600, endBpm: 6 }, sigh)).toBe(false);
+    });
+
+    test('should reject out-of-range lengths, rates and phase values', () => {
+      expect(isValidRamp({ type: 'bpm', seconds: 0, endBpm: 6 }, threePhase)).toBe(false);
+      expect(isValidRamp({ type: 'bpm', seconds: 7200, endBpm: 6 }, threePhase)).toBe(false);
+      expect(isValidRamp({ type: 'bpm', seconds: 300, endBpm: 45 }, threePhase)).toBe(false);
+      expect(isValidRamp({ type: 'phases', seconds: 300, target: { exhale: 0 } }, threePhase)).toBe(false);
+      expect(isValidRamp({ type: 'phases', seconds: 300, target: { inhale: '5' } }, threePhase)).toBe(false);
+      expect(isValidRamp({ type: 'speed', seconds: 300 }, threePhase)).toBe(false);
+    });
+  });
+
+  describe('isValidRounds', () => {
+    const rounds = { count: 3, breaths: 30, recoveryInhale: 3, recoveryHold: 15 };
+
+    test('should accept a round protocol, including one without a recovery hold', () => {
+      expect(isValidRounds(rounds)).toBe(true);
+      expect(isValidRounds({ ...rounds, recoveryHold: 0 })).toBe(true);
+    });
+
+    test('should reject fractional or out-of-range counts and recovery phases', () => {
+      expect(isValidRounds({ ...rounds, count: 0 })).toBe(false);
+      expect(isValidRounds({ ...rounds, count: 2.5 })).toBe(false);
+      expect(isValidRounds({ ...rounds, breaths: 100 })).toBe(false);
+      expect(isValidRounds({ ...rounds, recoveryInhale: 0 })).toBe(false);
+      expect(isValidRounds({ ...rounds, recoveryHold: -1 })).toBe(false);
+      expect(isValidRounds(null)).toBe(false);
+    });
+  });
+
+  describe('getPatternKey', () => {
+    test('should distinguish Box Breathing from a 3-phase 4-4-4', () => {
+      const box = getPatternKey({ type: '4-phase', inhale: 4, holdTop: 4, exhale: 4, holdBottom: 4 });
+      const threePhase = getPatternKey({ type: '3-phase', inhale: 4, holdTop: 4, exhale: 4 });
+
+      expect(box).toBe('4-phase:4-4-4-4');
+      expect(threePhase).toBe('3-phase:4-4-4');
+      expect(box).not.toBe(threePhase);
+    });
+
+    test('should treat missing holdTop as zero', () => {
+      expect(getPatternKey({ type: '3-phase', inhale: 4, exhale: 6 })).toBe('3-phase:4-0-6');
+    });
+
+    test('should key n-phase patterns by their phase list', () => {
+      expect(getPatternKey({ ...sigh, inhale: 3, holdTop: 0, exhale: 6 })).toBe('n-phase:inhale2-topUp1-exhale6');
+    });
+  });
+});
@@ -38,6 +38,20 @@ describe('Auth Routes', () => {
       expect(response.body.data.password).toBeUndefined(); // Password should not be returned
     });
 
+    test('should keep the browser\'s time zone and ignore one it does not know', async () => {
+      const response = await request(app)
+        .post('/api/auth/register')
+        .send(createTestUser({ timezone: 'Australia/Sydney' }))
+        .expect(200);
+      const fallback = await request(app)
+        .post('/api/auth/register')
+        .send(createTestUser({ email: 'other@example.com', timezone: 'Not/AZone' }))
+        .expect(200);
+
+      expect(response.body.data.timezone).toBe('Australia/Sydney');
+      expect(fallback.body.data.timezone).toBe('UTC');
+    });
+
     test('should not register user with existing email', async () => {
       const userData = createTestUser();
       
@@ -0,0 +1,98 @@
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import request from 'supertest';
+import BreathHold from '../../models/BreathHold.js';
+import User from '../../models/User.js';
+import breathHoldRoutes from '../../routes/breathHold.js';
+
+process.env.JWT_SECRET = 'breathing_app_super_secret_jwt_key_2024_secure_32_characters_minimum';
+
+const app = express();
+app.use(express.json());
+app.use('/api/breath-hold', breathHoldRoutes);
+
+const mockUser = {
+	_id: '507f1f77bcf86cd799439011',
+	name: 'Test User',
+	email: 'test@example.com'
+};
+
+const mockToken = jwt.sign({ id: mockUser._id }, process.env.JWT_SECRET);
+
+describe('Breath-hold Routes', () => {
+	beforeEach(() => {
+		User.findById = jest.fn(() => ({ select: jest.fn().mockResolvedValue(mockUser) }));
+	});
+
+	describe('POST /api/breath-hold', () => {
+		it('should record an attempt rounded to a tenth of a second', async () => {
+			BreathHold.create = jest.fn(async (data) => ({ _id: 'h1', ...data }));
+
+			const response = await request(app)
+				.post('/api/breath-hold')
+				.set('Authorization', `Bearer ${mockToken}`)
+				.send({ seconds: 24.37 });
+
+			expect(response.status).toBe(200);
+			expect(BreathHold.create).toHaveBeenCalledWith({ user: mockUser._id, seconds: 24.4 });
+		});
+
+		it('should reject missing or implausible hold times', async () => {
+			BreathHold.create = jest.fn();
+
+			const missing = await request(app)
+				.post('/api/breath-hold')
+				.set('Authorization', `Bearer ${mockToken}`)
+				.send({});
+			const tooLong = await request(app)
+				.post('/api/breath-hold')
+				.set('Authorization', `Bearer ${mockToken}`)
+				.send({ seconds: 3600 });
+
+			expect(missing.status).toBe(400);
+			expect(tooLong.status).toBe(400);
+			expect(BreathHold.create).not.toHaveBeenCalled();
+		});
+	});
+
+	describe('GET /api/breath-hold', () => {
+		it('should return attempts with daily bests and the overall best', async () => {
+			const holds = [
+				{ seconds: 18, createdAt: new Date('2026-03-01T09:00:00') },
+				{ seconds: 21, createdAt: new Date('2026-03-01T09:05:00') },
+				{ seconds: 25, createdAt: new Date('2026-03-02T09:00:00') }
+			];
+			BreathHold.find = jest.fn(() => ({ sort: jest.fn().mockResolvedValue(holds) }));
+
+			const response = await request(app)
+				.get('/api/breath-hold?days=30')
+				.set('Authorization', `Bearer ${mockToken}`);
+
+			expect(response.status).toBe(200);
+			expect(response.body.data.best).toBe(25);
+			expect(response.body.data.daily.map(d => d.best)).toEqual([21, 25]);
+			expect(BreathHold.find).toHaveBeenCalledWith(expect.objectContaining({ user: mockUser._id }));
+		});
+
+		it('should reject an out-of-range history length', async () => {
+			const response = await request(app)
+				.get('/api/breath-hold?days=1000')
+				.set('Authorization', `Bearer ${mockToken}`);
+
+			expect(response.status).toBe(400);
+		});
+	});
+
+	describe('DELETE /api/breath-hold/:id', () => {
+		it('should only delete the user\'s own attempts', async () => {
+			BreathHold.findOneAndDelete = jest.fn().mockResolvedValue(null);
+
+			const response = await request(app)
+				.delete('/api/breath-hold/507f1f77bcf86cd799439099')
+				.set('Authorization', `Bearer ${mockToken}`);
+
+			expect(response.status).toBe(404);
+			expect(BreathHold.findOneAndDelete).toHaveBeenCalledWith({ _id: '507f1f77bcf86cd799439099', user: mockUser._id });
+		});
+	});
+});
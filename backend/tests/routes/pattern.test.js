@@ -0,0 +1,299 @@
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import request from 'supertest';
+import Pattern from '../../models/Pattern.js';
+import User from '../../models/User.js';
+import patternRoutes from '../../routes/pattern.js';
+import { createTestPattern } from '../setup.js';
+
+process.env.JWT_SECRET = 'breathing_app_super_secret_jwt_key_2024_secure_32_characters_minimum';
+
+const app = express();
+app.use(express.json());
+app.use('/api/patterns', patternRoutes);
+
+const mockUser = {
+	_id: '507f1f77bcf86cd799439011',
+	name: 'Test User',
+	email: 'test@example.com'
+};
+const otherUserId = '507f1f77bcf86cd799439022';
+
+const mockToken = jwt.sign({ id: mockUser._id }, process.env.JWT_SECRET);
+
+// Build a real Pattern document with save mocked out
+const buildPattern = (userId, overrides = {}) => {
+	const pattern = new Pattern(createTestPattern(userId, overrides));
+	pattern.save = jest.fn().mockResolvedValue(pattern);
+	return pattern;
+};
+
+// Chainable stand-in for Pattern.find(...).populate(...).sort(...).skip(...).limit(...)
+const mockFindChain = (result) => {
+	const chain = {
+		populate: jest.fn(() => chain),
+		sort: jest.fn(() => chain),
+		skip: jest.fn(() => chain),
+		limit: jest.fn().mockResolvedValue(result)
+	};
+	Pattern.find = jest.fn(() => chain);
+	return chain;
+};
+
+describe('Pattern Routes', () => {
+	beforeEach(() => {
+		User.findById = jest.fn(() => ({ select: jest.fn().mockResolvedValue(mockUser) }));
+	});
+
+	describe('POST /api/patterns/create', () => {
+		it('should store description and sharing settings', async () => {
+			Pattern.create = jest.fn(async (data) => ({ _id: 'p1', ...data }));
+
+			const response = await request(app)
+				.post('/api/patterns/create')
+				.set('Authorization', `Bearer ${mockToken}`)
+				.send({
+					name: 'Evening Box',
+					description: 'Slow box breathing',
+					isPublic: true,
+					pattern: { type: '4-phase', inhale: 4, holdTop: 4, exhale: 4, holdBottom: 4 }
+				});
+
+			expect(response.status).toBe(200);
+			expect(Pattern.create).toHaveBeenCalledWith(expect.objectContaining({
+				description: 'Slow box breathing',
+				isPublic: true
+			}));
+		});
+
+		it('should reject names that are too long', async () => {
+			Pattern.create = jest.fn();
+
+			const response = await request(app)
+				.post('/api/patterns/create')
+				.set('Authorization', `Bearer ${mockToken}`)
+				.send({ name: 'x'.repeat(61), pattern: { inhale: 4, holdTop: 2, exhale: 6 } });
+
+			expect(response.status).toBe(400);
+			expect(Pattern.create).not.toHaveBeenCalled();
+		});
+
+		it('should save a ramp with the pattern', async () => {
+			Pattern.create = jest.fn(async (data) => ({ _id: 'p1', ...data }));
+			const ramp = { type: 'bpm', seconds: 600, endBpm: 6 };
+
+			const response = await request(app)
+				.post('/api/patterns/create')
+				.set('Authorization', `Bearer ${mockToken}`)
+				.send({ name: 'Slow Down', pattern: { inhale: 3, holdTop: 0, exhale: 3 }, ramp });
+
+			expect(response.status).toBe(200);
+			expect(Pattern.create).toHaveBeenCalledWith(expect.objectContaining({ ramp }));
+		});
+
+		it('should reject an invalid ramp', async () => {
+			Pattern.create = jest.fn();
+
+			const response = await request(app)
+				.post('/api/patterns/create')
+				.set('Authorization', `Bearer ${mockToken}`)
+				.send({ name: 'Too Fast', pattern: { inhale: 3, holdTop: 0, exhale: 3 }, ramp: { type: 'bpm', seconds: 600, endBpm: 60 } });
+
+			expect(response.status).toBe(400);
+			expect(Pattern.create).not.toHaveBeenCalled();
+		});
+
+		it('should save per-phase annotations with the pattern', async () => {
+			Pattern.create = jest.fn(async (data) => ({ _id: 'p1', ...data }));
+			const pattern = {
+				inhale: 4,
+				holdTop: 4,
+				exhale: 4,
+				annotations: { inhale: { side: 'left', airway: 'nose' }, exhale: { side: 'right', humming: true } },
+				alternateSides: true
+			};
+
+			const response = await request(app)
+				.post('/api/patterns/create')
+				.set('Authorization', `Bearer ${mockToken}`)
+				.send({ name: 'Alternate Nostril', pattern });
+
+			expect(response.status).toBe(200);
+			expect(Pattern.create).toHaveBeenCalledWith(expect.objectContaining({ pattern }));
+		});
+
+		it('should reject unknown annotation values', async () => {
+			Pattern.create = jest.fn();
+
+			const response = await request(app)
+				.post('/api/patterns/create')
+				.set('Authorization', `Bearer ${mockToken}`)
+				.send({ name: 'Sideways', pattern: { inhale: 4, holdTop: 0, exhale: 4, annotations: { inhale: { side: 'middle' } } } });
+
+			expect(response.status).toBe(400);
+			expect(Pattern.create).not.toHaveBeenCalled();
+		});
+	});
+
+	describe('PUT /api/patterns/:id', () => {
+		it('should update only the owner\'s pattern', async () => {
+			const pattern = buildPattern(mockUser._id);
+			Pattern.findOne = jest.fn().mockResolvedValue(pattern);
+
+			const response = await request(app)
+				.put('/api/patterns/507f1f77bcf86cd799439099')
+				.set('Authorization', `Bearer ${mockToken}`)
+				.send({ name: 'Renamed', isPublic: true, pattern: { type: '4-phase', inhale: 4, holdTop: 4, exhale: 4, holdBottom: 2 } });
+
+			expect(response.status).toBe(200);
+			expect(Pattern.findOne).toHaveBeenCalledWith({ _id: '507f1f77bcf86cd799439099', user: mockUser._id });
+			expect(pattern.name).toBe('Renamed');
+			expect(pattern.isPublic).toBe(true);
+			expect(pattern.pattern.holdBottom).toBe(2);
+			expect(pattern.save).toHaveBeenCalled();
+		});
+
+		it('should return 404 for patterns owned by someone else', async () => {
+			Pattern.findOne = jest.fn().mockResolvedValue(null);
+
+			const response = await request(app)
+				.put('/api/patterns/507f1f77bcf86cd799439099')
+				.set('Authorization', `Bearer ${mockToken}`)
+				.send({ name: 'Hijacked' });
+
+			expect(response.status).toBe(404);
+		});
+
+		it('should reject an invalid pattern', async () => {
+			Pattern.findOne = jest.fn();
+
+			const response = await request(app)
+				.put('/api/patterns/507f1f77bcf86cd799439099')
+				.set('Authorization', `Bearer ${mockToken}`)
+				.send({ pattern: { type: '4-phase', inhale: 4, holdTop: 4, exhale: 4 } });
+
+			expect(response.status).toBe(400);
+			expect(Pattern.findOne).not.toHaveBeenCalled();
+		});
+
+		it('should clear the ramp when sent null', async () => {
+			const pattern = buildPattern(mockUser._id, { ramp: { type: 'bpm', seconds: 300, endBpm: 6 } });
+			Pattern.findOne = jest.fn().mockResolvedValue(pattern);
+
+			const response = await request(app)
+				.put('/api/patterns/507f1f77bcf86cd799439099')
+				.set('Authorization', `Bearer ${mockToken}`)
+				.send({ ramp: null });
+
+			expect(response.status).toBe(200);
+			expect(pattern.ramp).toBeUndefined();
+			expect(pattern.save).toHaveBeenCalled();
+		});
+
+		it('should reject a kept ramp that no longer fits the new pattern', async () => {
+			const pattern = buildPattern(mockUser._id, {
+				pattern: { type: '4-phase', inhale: 4, holdTop: 4, exhale: 4, holdBottom: 4 },
+				ramp: { type: 'phases', seconds: 300, target: { holdBottom: 6 } }
+			});
+			Pattern.findOne = jest.fn().mockResolvedValue(pattern);
+
+			const response = await request(app)
+				.put('/api/patterns/507f1f77bcf86cd799439099')
+				.set('Authorization', `Bearer ${mockToken}`)
+				.send({ pattern: { type: '3-phase', inhale: 4, holdTop: 4, exhale: 4 } });
+
+			expect(response.status).toBe(400);
+			expect(pattern.save).not.toHaveBeenCalled();
+		});
+	});
+
+	describe('POST /api/patterns/:id/duplicate', () => {
+		it('should create a private copy', async () => {
+			Pattern.findOne = jest.fn().mockResolvedValue(buildPattern(mockUser._id, { isPublic: true }));
+			Pattern.create = jest.fn(async (data) => ({ _id: 'copy', ...data }));
+
+			const response = await request(app)
+				.post('/api/patterns/507f1f77bcf86cd799439099/duplicate')
+				.set('Authorization', `Bearer ${mockToken}`);
+
+			expect(response.status).toBe(200);
+			expect(response.body.data.name).toBe('Test Pattern (copy)');
+			expect(response.body.data.isPublic).toBe(false);
+		});
+	});
+
+	describe('GET /api/patterns/public', () => {
+		it('should search public patterns and sort by popularity', async () => {
+			const chain = mockFindChain([buildPattern(otherUserId, { isPublic: true })]);
+			Pattern.countDocuments = jest.fn().mockResolvedValue(1);
+
+			const response = await request(app).get('/api/patterns/public?search=box.&sort=popular');
+
+			expect(response.status).toBe(200);
+			expect(response.body.pagination.total).toBe(1);
+			const filter = Pattern.find.mock.calls[0][0];
+			expect(filter.isPublic).toBe(true);
+			expect(filter.$or[0].name.source).toBe('box\\.');
+			expect(chain.populate).toHaveBeenCalledWith('user', 'name');
+			expect(chain.sort).toHaveBeenCalledWith({ saveCount: -1, createdAt: -1 });
+		});
+
+		it('should reject unknown sort orders', async () => {
+			const response = await request(app).get('/api/patterns/public?sort=random');
+			expect(response.status).toBe(400);
+		});
+	});
+
+	describe('POST /api/patterns/:id/save', () => {
+		it('should copy a public pattern into the library and count the save', async () => {
+			const source = buildPattern(otherUserId, { isPublic: true });
+			Pattern.findOne = jest.fn()
+				.mockResolvedValueOnce(source)
+				.mockResolvedValueOnce(null);
+			Pattern.create = jest.fn(async (data) => ({ _id: 'copy', ...data }));
+			Pattern.updateOne = jest.fn().mockResolvedValue({});
+
+			const response = await request(app)
+				.post(`/api/patterns/${source._id}/save`)
+				.set('Authorization', `Bearer ${mockToken}`);
+
+			expect(response.status).toBe(200);
+			expect(Pattern.create).toHaveBeenCalledWith(expect.objectContaining({
+				user: mockUser._id,
+				isPublic: false,
+				sourcePattern: source._id
+			}));
+			expect(Pattern.updateOne).toHaveBeenCalledWith({ _id: source._id }, { $inc: { saveCount: 1 } });
+		});
+
+		it('should return the existing copy when saved twice', async () => {
+			const source = buildPattern(otherUserId, { isPublic: true });
+			const existing = buildPattern(mockUser._id, { sourcePattern: source._id });
+			Pattern.findOne = jest.fn()
+				.mockResolvedValueOnce(source)
+				.mockResolvedValueOnce(existing);
+			Pattern.create = jest.fn();
+			Pattern.updateOne = jest.fn();
+
+			const response = await request(app)
+				.post(`/api/patterns/${source._id}/save`)
+				.set('Authorization', `Bearer ${mockToken}`);
+
+			expect(response.status).toBe(200);
+			expect(response.body.alreadySaved).toBe(true);
+			expect(Pattern.create).not.toHaveBeenCalled();
+			expect(Pattern.updateOne).not.toHaveBeenCalled();
+		});
+
+		it('should not save private patterns', async () => {
+			Pattern.findOne = jest.fn().mockResolvedValue(null);
+
+			const response = await request(app)
+				.post(`/api/patterns/${new mongoose.Types.ObjectId()}/save`)
+				.set('Authorization', `Bearer ${mockToken}`);
+
+			expect(response.status).toBe(404);
+		});
+	});
+});
@@ -0,0 +1,916 @@
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import request from 'supertest';
+import Session from '../../models/Session.js';
+import User from '../../models/User.js';
+import sessionRoutes from '../../routes/session.js';
+import { recalculateStats } from '../../utils/stats.js';
+import { createTestSession } from '../setup.js';
+
+process.env.JWT_SECRET = 'breathing_app_super_secret_jwt_key_2024_secure_32_characters_minimum';
+
+const app = express();
+app.use(express.json());
+app.use('/api/session', sessionRoutes);
+
+const mockUser = {
+	_id: '507f1f77bcf86cd799439011',
+	name: 'Test User',
+	email: 'test@example.com',
+	stats: { streak: 0, totalSessions: 0, totalMinutes: 0, longestStreak: 0 },
+	achievements: []
+};
+
+const mockToken = jwt.sign({ id: mockUser._id }, process.env.JWT_SECRET);
+
+// Auth middleware calls User.findById(...).select(...)
+const mockAuthUser = () => {
+	User.findById = jest.fn(() => ({ select: jest.fn().mockResolvedValue(mockUser) }));
+};
+
+// Auth middleware gets the plain user via .select(); the route awaits a saveable User document
+const mockUserForComplete = () => {
+	const userDoc = new User({ ...mockUser, password: 'password123' });
+	userDoc.save = jest.fn().mockResolvedValue(userDoc);
+	User.findById = jest.fn(() => {
+		const result = Promise.resolve(userDoc);
+		result.select = jest.fn().mockResolvedValue(mockUser);
+		return result;
+	});
+	return userDoc;
+};
+
+// Build a real Session document (so lifecycle methods run) with save mocked out
+const buildSession = (overrides = {}) => {
+	const session = new Session(createTestSession(mockUser._id, {
+		completed: false,
+		status: 'active',
+		events: [{ type: 'start', at: new Date(Date.now() - 60 * 1000) }],
+		...overrides
+	}));
+	session.save = jest.fn().mockResolvedValue(session);
+	return session;
+};
+
+describe('Session Lifecycle Routes', () => {
+	beforeEach(() => {
+		mockAuthUser();
+	});
+
+	describe('POST /api/session/start', () => {
+		it('should reject unknown catalog ids', async () => {
+			Session.create = jest.fn();
+
+			const response = await request(app)
+				.post('/api/session/start')
+				.set('Authorization', `Bearer ${mockToken}`)
+				.send({ duration: 300, pattern: { inhale: 4, holdTop: 7, exhale: 8 }, catalogId: 'not-a-pattern' });
+
+			expect(response.status).toBe(400);
+			expect(Session.create).not.toHaveBeenCalled();
+		});
+
+		it('should reject durations that are not a number of seconds within the limit', async () => {
+			Session.create = jest.fn();
+			const pattern = { inhale: 4, holdTop: 7, exhale: 8 };
+
+			const responses = await Promise.all([
+				{ duration: '300', pattern },
+				{ duration: { $gt: 0 }, pattern },
+				{ duration: -5, pattern },
+				{ duration: 4 * 60 * 60 + 1, pattern },
+				// Worked-out lengths are held to the same limit
+				{ pattern: { inhale: 60, holdTop: 60, exhale: 60 }, cycles: 500 },
+				{ program: { stages: [{ pattern, plannedSeconds: 5 * 60 * 60 }] } }
+			].map(body => request(app)
+				.post('/api/session/start')
+				.set('Authorization', `Bearer ${mockToken}`)
+				.send(body)));
+
+			responses.forEach(response => {
+				expect(response.status).toBe(400);
+				expect(response.body.message).toBe('Duration must be more than 0 and at most 14400 seconds');
+			});
+			expect(Session.create).not.toHaveBeenCalled();
+		});
+
+		it('should record the catalog entry the pattern came from', async () => {
+			Session.find = jest.fn().mockResolvedValue([]);
+			Session.create = jest.fn(async (data) => ({ _id: 's1', ...data }));
+
+			const response = await request(app)
+				.post('/api/session/start')
+				.set('Authorization', `Bearer ${mockToken}`)
+				.send({ duration: 300, pattern: { inhale: 4, holdTop: 7, exhale: 8 }, catalogId: 'sleep-4-7-8' });
+
+			expect(response.status).toBe(200);
+			expect(Session.create).toHaveBeenCalledWith(expect.objectContaining({ catalogId: 'sleep-4-7-8' }));
+		});
+
+		it('should store a program and take its length from the stages', async () => {
+			Session.find = jest.fn().mockResolvedValue([]);
+			Session.create = jest.fn(async (data) => ({ _id: 's1', ...data }));
+
+			const response = await request(app)
+				.post('/api/session/start')
+				.set('Authorization', `Bearer ${mockToken}`)
+				.send({
+					program: {
+						programId: 'wind-down',
+						name: 'Wind Down',
+						stages: [
+							{ natural: true, plannedSeconds: 30, pattern: { inhale: 1, exhale: 1 } },
+							{ pattern: { inhale: 4, holdTop: 7, exhale: 8 }, catalogId: 'sleep-4-7-8', plannedSeconds: 95 }
+						]
+					}
+				});
+
+			expect(response.status).toBe(200);
+			const created = Session.create.mock.calls[0][0];
+			expect(created.duration).toBe(125);
+			expect(created.catalogId).toBe('sleep-4-7-8');
+			expect(created.pattern).toEqual({ inhale: 4, holdTop: 7, exhale: 8 });
+			expect(created.program.stages[0]).toEqual({ natural: true, plannedSeconds: 30 });
+		});
+
+		it('should reject programs without a guided stage', async () => {
+			Session.create = jest.fn();
+
+			const response = await request(app)
+				.post('/api/session/start')
+				.set('Authorization', `Bearer ${mockToken}`)
+				.send({ program: { stages: [{ natural: true, plannedSeconds: 60 }] } });
+
+			expect(response.status).toBe(400);
+			expect(Session.create).not.toHaveBeenCalled();
+		});
+
+		it('should store a ramp for the session pattern', async () => {
+			Session.find = jest.fn().mockResolvedValue([]);
+			Session.create = jest.fn(async (data) => ({ _id: 's1', ...data }));
+			const ramp = { type: 'phases', seconds: 480, target: { exhale: 10 } };
+
+			const response = await request(app)
+				.post('/api/session/start')
+				.set('Authorization', `Bearer ${mockToken}`)
+				.send({ duration: 600, pattern: { inhale: 4, holdTop: 0, exhale: 6 }, ramp });
+
+			expect(response.status).toBe(200);
+			expect(Session.create).toHaveBeenCalledWith(expect.objectContaining({ ramp }));
+		});
+
+		it('should estimate the length of a cycle-count session from its pattern', async () => {
+			Session.find = jest.fn().mockResolvedValue([]);
+			Session.create = jest.fn(async (data) => ({ _id: 's1', ...data }));
+
+			const response = await request(app)
+				.post('/api/session/start')
+				.set('Authorization', `Bearer ${mockToken}`)
+				.send({ cycles: 20, pattern: { inhale: 1, holdTop: 0, exhale: 1 }, catalogId: 'energy-kapalabhati-1-0-1' });
+
+			expect(response.status).toBe(200);
+			expect(Session.create).toHaveBeenCalledWith(expect.objectContaining({ cycles: 20, duration: 40 }));
+		});
+
+		it('should time cycle-count sessions of n-phase patterns from their phase list', async () => {
+			Session.find = jest.fn().mockResolvedValue([]);
+			Session.create = jest.fn(async (data) => ({ _id: 's1', ...data }));
+			const pattern = {
+				type: 'n-phase',
+				phases: [{ type: 'inhale', duration: 2 }, { type: 'topUp', duration: 2 }, { type: 'exhale', duration: 6 }]
+			};
+
+			const response = await request(app)
+				.post('/api/session/start')
+				.set('Authorization', `Bearer ${mockToken}`)
+				.send({ cycles: 5, pattern, catalogId: 'emotional-physiological-sigh' });
+			const rounds = await request(app)
+				.post('/api/session/start')
+				.set('Authorization', `Bearer ${mockToken}`)
+				.send({ duration: 400, pattern, rounds: { count: 3, breaths: 30, recoveryInhale: 3, recoveryHold: 15 } });
+
+			expect(response.status).toBe(200);
+			expect(Session.create).toHaveBeenCalledWith(expect.objectContaining({ cycles: 5, duration: 50, pattern }));
+			expect(rounds.status).toBe(400);
+		});
+
+		it('should reject fractional cycle counts and cycle-count programs', async () => {
+			Session.create = jest.fn();
+
+			const fractional = await request(app)
+				.post('/api/session/start')
+				.set('Authorization', `Bearer ${mockToken}`)
+				.send({ cycles: 2.5, pattern: { inhale: 4, holdTop: 0, exhale: 6 } });
+			const program = await request(app)
+				.post('/api/session/start')
+				.set('Authorization', `Bearer ${mockToken}`)
+				.send({ cycles: 5, program: { stages: [{ pattern: { inhale: 4, exhale: 6 }, plannedSeconds: 60 }] } });
+
+			expect(fractional.status).toBe(400);
+			expect(program.status).toBe(400);
+			expect(Session.create).not.toHaveBeenCalled();
+		});
+
+		it('should plan a round-based session for the longest allowed retention each round', async () => {
+			Session.find = jest.fn().mockResolvedValue([]);
+			Session.create = jest.fn(async (data) => ({ _id: 's1', ...data }));
+			const rounds = { count: 3, breaths: 30, recoveryInhale: 3, recoveryHold: 15 };
+
+			const response = await request(app)
+				.post('/api/session/start')
+				.set('Authorization', `Bearer ${mockToken}`)
+				.send({ duration: 400, pattern: { inhale: 2, holdTop: 0, exhale: 1.5 }, rounds });
+
+			expect(response.status).toBe(200);
+			// 3 rounds of 124.5s breathing plus up to 600s retention each
+			expect(Session.create).toHaveBeenCalledWith(expect.objectContaining({ rounds, duration: 2174 }));
+		});
+
+		it('should reject round-based sessions that also count cycles or have invalid rounds', async () => {
+			Session.create = jest.fn();
+			const pattern = { inhale: 2, holdTop: 0, exhale: 1.5 };
+
+			const withCycles = await request(app)
+				.post('/api/session/start')
+				.set('Authorization', `Bearer ${mockToken}`)
+				.send({ cycles: 10, pattern, rounds: { count: 3, breaths: 30, recoveryInhale: 3, recoveryHold: 15 } });
+			const invalid = await request(app)
+				.post('/api/session/start')
+				.set('Authorization', `Bearer ${mockToken}`)
+				.send({ duration: 400, pattern, rounds: { count: 3, breaths: 0, recoveryInhale: 3, recoveryHold: 15 } });
+
+			expect(withCycles.status).toBe(400);
+			expect(invalid.status).toBe(400);
+			expect(Session.create).not.toHaveBeenCalled();
+		});
+
+		it('should reject a ramp that does not fit the pattern', async () => {
+			Session.create = jest.fn();
+
+			const response = await request(app)
+				.post('/api/session/start')
+				.set('Authorization', `Bearer ${mockToken}`)
+				.send({
+					duration: 600,
+					pattern: { inhale: 4, holdTop: 0, exhale: 6 },
+					ramp: { type: 'phases', seconds: 480, target: { holdBottom: 4 } }
+				});
+
+			expect(response.status).toBe(400);
+			expect(Session.create).not.toHaveBeenCalled();
+		});
+
+		it('should reject a ramp toward a phase longer than a phase may last', async () => {
+			Session.create = jest.fn();
+
+			const response = await request(app)
+				.post('/api/session/start')
+				.set('Authorization', `Bearer ${mockToken}`)
+				.send({
+					duration: 600,
+					pattern: { inhale: 4, holdTop: 0, exhale: 6 },
+					ramp: { type: 'phases', seconds: 480, target: { inhale: 100000 } }
+				});
+
+			expect(response.status).toBe(400);
+			expect(Session.create).not.toHaveBeenCalled();
+		});
+
+		it('should return the session already started under the same client key', async () => {
+			const existing = buildSession({ clientId: 'device-key-1' });
+			Session.findOne = jest.fn().mockResolvedValue(existing);
+			Session.find = jest.fn();
+			Session.create = jest.fn();
+
+			const response = await request(app)
+				.post('/api/session/start')
+				.set('Authorization', `Bearer ${mockToken}`)
+				.send({ duration: 300, pattern: { inhale: 4, holdTop: 7, exhale: 8 }, clientId: 'device-key-1' });
+
+			expect(response.status).toBe(200);
+			expect(response.body.data._id).toBe(String(existing._id));
+			expect(Session.findOne).toHaveBeenCalledWith({ user: mockUser._id, clientId: 'device-key-1' });
+			expect(Session.create).not.toHaveBeenCalled();
+			// Replaying the start must not close the session it returns
+			expect(Session.find).not.toHaveBeenCalled();
+		});
+
+		it('should leave a session running on another device open and close only abandoned ones', async () => {
+			const running = buildSession({ duration: 300 });
+			const abandoned = buildSession({ duration: 300, events: [{ type: 'start', at: new Date(Date.now() - 3 * 60 * 60 * 1000) }] });
+			Session.find = jest.fn().mockResolvedValue([running, abandoned]);
+			Session.create = jest.fn(async (data) => ({ _id: 's2', ...data }));
+
+			const started = await request(app)
+				.post('/api/session/start')
+				.set('Authorization', `Bearer ${mockToken}`)
+				.send({ duration: 300, pattern: { inhale: 4, holdTop: 7, exhale: 8 } });
+
+			expect(started.status).toBe(200);
+			expect(running.status).toBe('active');
+			expect(running.save).not.toHaveBeenCalled();
+			expect(abandoned.status).toBe('aborted');
+			expect(abandoned.save).toHaveBeenCalled();
+
+			// The first device still finishes its session
+			Session.findOne = jest.fn().mockResolvedValue(running);
+			mockUserForComplete();
+			const completed = await request(app)
+				.post('/api/session/complete')
+				.set('Authorization', `Bearer ${mockToken}`)
+				.send({ sessionId: String(running._id), duration: 55 });
+
+			expect(completed.status).toBe(200);
+			expect(running.status).toBe('completed');
+			expect(running.activeSeconds).toBe(55);
+		});
+	});
+
+	describe('POST /api/session/:id/events', () => {
+		const sessionId = new mongoose.Types.ObjectId().toString();
+
+		it('should record a pause and scope the lookup to the current user', async () => {
+			const session = buildSession();
+			Session.findOne = jest.fn().mockResolvedValue(session);
+
+			const response = await request(app)
+				.post(`/api/session/${sessionId}/events`)
+				.set('Authorization', `Bearer ${mockToken}`)
+				.send({ type: 'pause' });
+
+			expect(response.status).toBe(200);
+			expect(response.body.data.status).toBe('paused');
+			expect(Session.findOne).toHaveBeenCalledWith({ _id: sessionId, user: mockUser._id });
+			expect(session.save).toHaveBeenCalled();
+		});
+
+		it('should record program stage changes once', async () => {
+			const session = buildSession({
+				program: {
+					name: 'Test Program',
+					stages: [
+						{ pattern: { inhale: 4, holdTop: 0, exhale: 6 }, plannedSeconds: 60 },
+						{ natural: true, plannedSeconds: 60 }
+					]
+				}
+			});
+			Session.findOne = jest.fn().mockResolvedValue(session);
+
+			const send = () => request(app)
+				.post(`/api/session/${session._id}/events`)
+				.set('Authorization', `Bearer ${mockToken}`)
+				.send({ type: 'stage-change', stageIndex: 1 });
+
+			expect((await send()).status).toBe(200);
+			expect((await send()).status).toBe(200);
+			expect(session.events.filter(e => e.type === 'stage-change')).toHaveLength(1);
+			expect(session.getCurrentStageIndex()).toBe(1);
+		});
+
+		it('should reject stage changes for single-pattern sessions', async () => {
+			Session.findOne = jest.fn().mockResolvedValue(buildSession());
+
+			const response = await request(app)
+				.post('/api/session/507f1f77bcf86cd799439099/events')
+				.set('Authorization', `Bearer ${mockToken}`)
+				.send({ type: 'stage-change', stageIndex: 1 });
+
+			expect(response.status).toBe(400);
+		});
+
+		it('should reject unknown event types', async () => {
+			Session.findOne = jest.fn();
+
+			const response = await request(app)
+				.post(`/api/session/${sessionId}/events`)
+				.set('Authorization', `Bearer ${mockToken}`)
+				.send({ type: 'complete' });
+
+			expect(response.status).toBe(400);
+			expect(Session.findOne).not.toHaveBeenCalled();
+		});
+
+		it('should require a valid pattern for pattern-change', async () => {
+			const response = await request(app)
+				.post(`/api/session/${sessionId}/events`)
+				.set('Authorization', `Bearer ${mockToken}`)
+				.send({ type: 'pattern-change', pattern: { type: '4-phase', inhale: 4, holdTop: 4, exhale: 4 } });
+
+			expect(response.status).toBe(400);
+		});
+
+		it('should return 404 for sessions that do not belong to the user', async () => {
+			Session.findOne = jest.fn().mockResolvedValue(null);
+
+			const response = await request(app)
+				.post(`/api/session/${sessionId}/events`)
+				.set('Authorization', `Bearer ${mockToken}`)
+				.send({ type: 'pause' });
+
+			expect(response.status).toBe(404);
+		});
+
+		it('should return 409 for transitions that are not allowed', async () => {
+			Session.findOne = jest.fn().mockResolvedValue(buildSession({ status: 'aborted' }));
+
+			const response = await request(app)
+				.post(`/api/session/${sessionId}/events`)
+				.set('Authorization', `Bearer ${mockToken}`)
+				.send({ type: 'resume' });
+
+			expect(response.status).toBe(409);
+			expect(response.body.success).toBe(false);
+		});
+	});
+
+	describe('POST /api/session/complete', () => {
+		const sessionId = new mongoose.Types.ObjectId().toString();
+
+		it('should require a sessionId instead of creating a new completed session', async () => {
+			Session.create = jest.fn();
+
+			const response = await request(app)
+				.post('/api/session/complete')
+				.set('Authorization', `Bearer ${mockToken}`)
+				.send({ duration: 600 });
+
+			expect(response.status).toBe(400);
+			expect(Session.create).not.toHaveBeenCalled();
+		});
+
+		it('should not complete sessions owned by another user', async () => {
+			Session.findOne = jest.fn().mockResolvedValue(null);
+
+			const response = await request(app)
+				.post('/api/session/complete')
+				.set('Authorization', `Bearer ${mockToken}`)
+				.send({ sessionId, duration: 60 });
+
+			expect(response.status).toBe(404);
+			expect(Session.findOne).toHaveBeenCalledWith({ _id: sessionId, user: mockUser._id });
+		});
+
+		it('should reject a claimed duration longer than the time since start', async () => {
+			Session.findOne = jest.fn().mockResolvedValue(buildSession());
+			const userDoc = mockUserForComplete();
+
+			const response = await request(app)
+				.post('/api/session/complete')
+				.set('Authorization', `Bearer ${mockToken}`)
+				.send({ sessionId, duration: 3600 });
+
+			expect(response.status).toBe(400);
+			expect(userDoc.save).not.toHaveBeenCalled();
+		});
+
+		it('should reject a claimed duration that is not a number of seconds within the limit', async () => {
+			Session.findOne = jest.fn();
+
+			const responses = await Promise.all(['60', null, 4 * 60 * 60 + 1].map(duration => request(app)
+				.post('/api/session/complete')
+				.set('Authorization', `Bearer ${mockToken}`)
+				.send({ sessionId, duration })));
+
+			responses.forEach(response => {
+				expect(response.status).toBe(400);
+				expect(response.body.message).toBe('Invalid duration');
+			});
+			expect(Session.findOne).not.toHaveBeenCalled();
+		});
+
+		it('should credit server-measured time and update stats once', async () => {
+			const session = buildSession({ duration: 300 });
+			Session.findOne = jest.fn().mockResolvedValue(session);
+			const userDoc = mockUserForComplete();
+
+			const response = await request(app)
+				.post('/api/session/complete')
+				.set('Authorization', `Bearer ${mockToken}`)
+				.send({ sessionId, duration: 60 });
+
+			expect(response.status).toBe(200);
+			expect(response.body.data.session.status).toBe('completed');
+			expect(session.activeSeconds).toBeLessThanOrEqual(60);
+			expect(response.body.data.totalSessions).toBe(1);
+			expect(userDoc.save).toHaveBeenCalledTimes(1);
+		});
+
+		it('should credit finishing the last breath past the planned length, by up to one breath', async () => {
+			const session = buildSession({
+				duration: 45,
+				pattern: { type: '3-phase', inhale: 4, holdTop: 2, exhale: 4 },
+				events: [{ type: 'start', at: new Date(Date.now() - 90 * 1000) }]
+			});
+			Session.findOne = jest.fn().mockResolvedValue(session);
+			mockUserForComplete();
+
+			const response = await request(app)
+				.post('/api/session/complete')
+				.set('Authorization', `Bearer ${mockToken}`)
+				.send({ sessionId, duration: 50 });
+
+			expect(response.status).toBe(200);
+			expect(session.duration).toBe(50);
+			expect(session.activeSeconds).toBe(50);
+
+			const overlong = buildSession({
+				duration: 45,
+				pattern: { type: '3-phase', inhale: 4, holdTop: 2, exhale: 4 },
+				events: [{ type: 'start', at: new Date(Date.now() - 90 * 1000) }]
+			});
+			Session.findOne = jest.fn().mockResolvedValue(overlong);
+			mockUserForComplete();
+
+			await request(app)
+				.post('/api/session/complete')
+				.set('Authorization', `Bearer ${mockToken}`)
+				.send({ sessionId, duration: 80 });
+
+			expect(overlong.duration).toBe(55);
+			expect(overlong.activeSeconds).toBe(55);
+		});
+
+		it('should record completed cycles without exceeding the planned count', async () => {
+			const session = buildSession({ duration: 40, cycles: 20 });
+			Session.findOne = jest.fn().mockResolvedValue(session);
+			mockUserForComplete();
+
+			const response = await request(app)
+				.post('/api/session/complete')
+				.set('Authorization', `Bearer ${mockToken}`)
+				.send({ sessionId, duration: 40, cycles: 25 });
+
+			expect(response.status).toBe(200);
+			expect(session.completedCycles).toBe(20);
+		});
+
+		it('should store retentions and measure a round-based session by them', async () => {
+			const session = buildSession({
+				duration: 628,
+				pattern: { inhale: 1, holdTop: 0, exhale: 1 },
+				rounds: { count: 1, breaths: 10, recoveryInhale: 2, recoveryHold: 5 }
+			});
+			Session.findOne = jest.fn().mockResolvedValue(session);
+			mockUserForComplete();
+
+			const response = await request(app)
+				.post('/api/session/complete')
+				.set('Authorization', `Bearer ${mockToken}`)
+				.send({ sessionId, duration: 53, retentions: [25.04] });
+
+			expect(response.status).toBe(200);
+			expect(session.retentions).toEqual([25]);
+			// 28s of breathing around a 25s retention
+			expect(session.duration).toBe(53);
+			expect(session.activeSeconds).toBe(53);
+		});
+
+		it('should reject retentions for sessions without rounds', async () => {
+			const session = buildSession();
+			Session.findOne = jest.fn().mockResolvedValue(session);
+
+			const response = await request(app)
+				.post('/api/session/complete')
+				.set('Authorization', `Bearer ${mockToken}`)
+				.send({ sessionId, retentions: [30] });
+
+			expect(response.status).toBe(400);
+			expect(session.save).not.toHaveBeenCalled();
+		});
+
+		it('should be idempotent for sessions that are already completed', async () => {
+			const session = buildSession();
+			session.applyEvent('complete');
+			Session.findOne = jest.fn().mockResolvedValue(session);
+			const userDoc = mockUserForComplete();
+
+			const response = await request(app)
+				.post('/api/session/complete')
+				.set('Authorization', `Bearer ${mockToken}`)
+				.send({ sessionId, duration: 60 });
+
+			expect(response.status).toBe(200);
+			expect(response.body.data.alreadyCompleted).toBe(true);
+			expect(response.body.data.newAchievements).toEqual([]);
+			expect(session.save).not.toHaveBeenCalled();
+			expect(userDoc.save).not.toHaveBeenCalled();
+		});
+
+		it('should refuse to complete an aborted session', async () => {
+			const session = buildSession();
+			session.applyEvent('abort');
+			Session.findOne = jest.fn().mockResolvedValue(session);
+
+			const response = await request(app)
+				.post('/api/session/complete')
+				.set('Authorization', `Bearer ${mockToken}`)
+				.send({ sessionId });
+
+			expect(response.status).toBe(409);
+		});
+	});
+
+	describe('POST /api/session/ingest', () => {
+		const pattern = { type: '3-phase', inhale: 4, holdTop: 2, exhale: 4 };
+		const daysAgo = (days, minutes = 0) => new Date(Date.now() - days * 24 * 60 * 60 * 1000 + minutes * 60 * 1000);
+		const queued = (overrides = {}) => ({
+			clientId: 'device-key-1',
+			startedAt: daysAgo(2).toISOString(),
+			completedAt: daysAgo(2, 5).toISOString(),
+			start: { duration: 300, pattern },
+			complete: { duration: 290 },
+			...overrides
+		});
+		let saved;
+		// A five-minute session already counted, three days ago
+		let recorded;
+
+		// New sessions are saved through the model, so capture them instead of writing to a database
+		beforeEach(() => {
+			saved = [];
+			jest.spyOn(Session.prototype, 'save').mockImplementation(function () {
+				saved.push(this);
+				return Promise.resolve(this);
+			});
+			recorded = new Session(createTestSession(mockUser._id, { activeSeconds: 300, completedAt: daysAgo(3), status: 'completed' }));
+			Session.find = jest.fn(() => ({
+				select: jest.fn(async () => [recorded, ...saved])
+			}));
+			Session.exists = jest.fn().mockResolvedValue(null);
+		});
+
+		afterEach(() => {
+			jest.restoreAllMocks();
+		});
+
+		it('should store a queued session at its original times and rebuild the streak', async () => {
+			Session.findOne = jest.fn().mockResolvedValue(null);
+			const userDoc = mockUserForComplete();
+			const entry = queued();
+
+			const response = await request(app)
+				.post('/api/session/ingest')
+				.set('Authorization', `Bearer ${mockToken}`)
+				.send({ sessions: [entry] });
+
+			expect(response.status).toBe(200);
+			expect(response.body.data.results).toEqual([expect.objectContaining({ clientId: 'device-key-1', status: 'completed' })]);
+			expect(saved).toHaveLength(1);
+			expect(saved[0].clientId).toBe('device-key-1');
+			expect(saved[0].getStartedAt()).toEqual(new Date(entry.startedAt));
+			expect(saved[0].completedAt).toEqual(new Date(entry.completedAt));
+			expect(saved[0].activeSeconds).toBe(290);
+			// The queued session lands the day after one already counted, and both are credited
+			expect(response.body.data.streak).toBe(2);
+			expect(response.body.data.totalSessions).toBe(2);
+			expect(response.body.data.totalMinutes).toBe(10);
+			expect(userDoc.save).toHaveBeenCalledTimes(1);
+		});
+
+		it('should leave the stats a recalculation from the history would give', async () => {
+			Session.findOne = jest.fn().mockResolvedValue(null);
+			const userDoc = mockUserForComplete();
+			const snapshot = () => JSON.parse(JSON.stringify({ stats: userDoc.stats, achievements: userDoc.achievements.map(({ name, unlockedAt }) => ({ name, unlockedAt })) }));
+
+			await request(app)
+				.post('/api/session/ingest')
+				.set('Authorization', `Bearer ${mockToken}`)
+				.send({ sessions: [queued()] });
+			const ingested = snapshot();
+			await recalculateStats(userDoc);
+
+			expect(snapshot()).toEqual(ingested);
+			// Achievements date from the session that earned them, not from when it synced
+			expect(userDoc.achievements.find(a => a.name === 'First Breath').unlockedAt).toEqual(recorded.completedAt);
+		});
+
+		it('should complete the session the server already has under the same key', async () => {
+			const open = buildSession({ duration: 300, clientId: 'device-key-1' });
+			Session.findOne = jest.fn().mockResolvedValue(open);
+			mockUserForComplete();
+
+			const response = await request(app)
+				.post('/api/session/ingest')
+				.set('Authorization', `Bearer ${mockToken}`)
+				.send({ sessions: [queued({ startedAt: open.getStartedAt().toISOString(), completedAt: new Date().toISOString(), complete: { duration: 55 } })] });
+
+			expect(response.body.data.results[0].status).toBe('completed');
+			expect(open.status).toBe('completed');
+			expect(open.activeSeconds).toBe(55);
+			expect(open.save).toHaveBeenCalled();
+		});
+
+		it('should complete a session the server aborted while the device was offline', async () => {
+			const aborted = buildSession({ duration: 300, clientId: 'device-key-1' });
+			aborted.applyEvent('abort', { at: new Date(Date.now() - 30 * 1000) });
+			Session.findOne = jest.fn().mockResolvedValue(aborted);
+			mockUserForComplete();
+
+			const response = await request(app)
+				.post('/api/session/ingest')
+				.set('Authorization', `Bearer ${mockToken}`)
+				.send({ sessions: [queued({ startedAt: aborted.getStartedAt().toISOString(), completedAt: new Date().toISOString(), complete: { duration: 60 } })] });
+
+			expect(response.body.data.results[0].status).toBe('completed');
+			expect(aborted.status).toBe('completed');
+			expect(aborted.events.map(event => event.type)).toEqual(['start', 'complete']);
+		});
+
+		it('should not count a session twice when its queue is replayed', async () => {
+			const done = buildSession({ clientId: 'device-key-1' });
+			done.applyEvent('complete');
+			Session.findOne = jest.fn().mockResolvedValue(done);
+			const userDoc = mockUserForComplete();
+
+			const response = await request(app)
+				.post('/api/session/ingest')
+				.set('Authorization', `Bearer ${mockToken}`)
+				.send({ sessions: [queued()] });
+
+			expect(response.body.data.results[0].status).toBe('duplicate');
+			expect(response.body.data.totalSessions).toBe(0);
+			expect(userDoc.save).not.toHaveBeenCalled();
+		});
+
+		it('should reject entries that cannot be right and still take the rest', async () => {
+			Session.findOne = jest.fn().mockResolvedValue(null);
+			mockUserForComplete();
+
+			const response = await request(app)
+				.post('/api/session/ingest')
+				.set('Authorization', `Bearer ${mockToken}`)
+				.send({
+					sessions: [
+						queued({ clientId: 'future', completedAt: daysAgo(-1).toISOString() }),
+						queued({ clientId: 'overlong', complete: { duration: 3600 } }),
+						queued({ clientId: 'unplanned', start: { pattern } }),
+						queued({ clientId: 'fine' })
+					]
+				});
+
+			expect(response.body.data.results.map(result => [result.clientId, result.status])).toEqual([
+				['future', 'rejected'],
+				['overlong', 'rejected'],
+				['unplanned', 'rejected'],
+				['fine', 'completed']
+			]);
+			expect(saved).toHaveLength(1);
+		});
+
+		it('should reject an entry that fails and still save and credit the rest', async () => {
+			Session.findOne = jest.fn().mockResolvedValue(null);
+			const userDoc = mockUserForComplete();
+			Session.prototype.save.mockImplementation(function () {
+				if (this.clientId === 'unsaveable') return Promise.reject(new Error('Session validation failed'));
+				saved.push(this);
+				return Promise.resolve(this);
+			});
+			jest.spyOn(console, 'error').mockImplementation(() => {});
+
+			const response = await request(app)
+				.post('/api/session/ingest')
+				.set('Authorization', `Bearer ${mockToken}`)
+				.send({
+					sessions: [
+						queued({ clientId: 'first' }),
+						queued({ clientId: 'unsaveable', startedAt: daysAgo(1).toISOString(), completedAt: daysAgo(1, 5).toISOString() }),
+						queued({ clientId: 'no-completion', complete: null }),
+						queued({ clientId: 'last', startedAt: daysAgo(1).toISOString(), completedAt: daysAgo(1, 5).toISOString() })
+					]
+				});
+
+			expect(response.status).toBe(200);
+			expect(response.body.data.results.map(result => [result.clientId, result.status])).toEqual([
+				['first', 'completed'],
+				['unsaveable', 'rejected'],
+				['no-completion', 'rejected'],
+				['last', 'completed']
+			]);
+			expect(saved.map(session => session.clientId)).toEqual(['first', 'last']);
+			// The saved sessions are credited alongside the one already counted
+			expect(response.body.data.totalSessions).toBe(3);
+			expect(userDoc.save).toHaveBeenCalledTimes(1);
+		});
+
+		it('should reject sessions longer than any session can be', async () => {
+			Session.findOne = jest.fn().mockResolvedValue(null);
+			mockUserForComplete();
+
+			const response = await request(app)
+				.post('/api/session/ingest')
+				.set('Authorization', `Bearer ${mockToken}`)
+				.send({
+					sessions: [
+						queued({ clientId: 'huge-plan', startedAt: daysAgo(3).toISOString(), start: { duration: 10 * 60 * 60, pattern }, complete: {} }),
+						queued({ clientId: 'huge-claim', startedAt: daysAgo(3).toISOString(), complete: { duration: 10 * 60 * 60 } })
+					]
+				});
+
+			expect(response.body.data.results.map(result => result.status)).toEqual(['rejected', 'rejected']);
+			expect(response.body.data.totalSessions).toBe(0);
+			expect(saved).toHaveLength(0);
+		});
+
+		it('should reject sessions from before the account or too long ago', async () => {
+			Session.findOne = jest.fn().mockResolvedValue(null);
+			const userDoc = mockUserForComplete();
+			userDoc.createdAt = daysAgo(3);
+
+			const response = await request(app)
+				.post('/api/session/ingest')
+				.set('Authorization', `Bearer ${mockToken}`)
+				.send({
+					sessions: [
+						queued({ clientId: 'before-account', startedAt: daysAgo(4).toISOString(), completedAt: daysAgo(4, 5).toISOString() }),
+						queued({ clientId: 'years-ago', startedAt: daysAgo(3 * 365).toISOString(), completedAt: daysAgo(3 * 365, 5).toISOString() })
+					]
+				});
+			userDoc.createdAt = daysAgo(5 * 365);
+			const stale = await request(app)
+				.post('/api/session/ingest')
+				.set('Authorization', `Bearer ${mockToken}`)
+				.send({ sessions: [queued({ clientId: 'stale', startedAt: daysAgo(31).toISOString(), completedAt: daysAgo(31, 5).toISOString() })] });
+
+			expect(response.body.data.results).toEqual([
+				expect.objectContaining({ clientId: 'before-account', status: 'rejected', message: 'Session started before the account was created' }),
+				expect.objectContaining({ clientId: 'years-ago', status: 'rejected', message: 'Session started before the account was created' })
+			]);
+			expect(stale.body.data.results[0]).toEqual(expect.objectContaining({ status: 'rejected', message: 'Sessions older than 30 days cannot be synced' }));
+			expect(saved).toHaveLength(0);
+		});
+
+		it('should reject a session whose time overlaps one already recorded', async () => {
+			Session.findOne = jest.fn().mockResolvedValue(null);
+			Session.exists = jest.fn().mockResolvedValue({ _id: 'other' });
+			const userDoc = mockUserForComplete();
+			const entry = queued();
+
+			const response = await request(app)
+				.post('/api/session/ingest')
+				.set('Authorization', `Bearer ${mockToken}`)
+				.send({ sessions: [entry] });
+
+			expect(response.body.data.results[0]).toEqual(expect.objectContaining({ status: 'rejected', message: 'Session overlaps one already recorded' }));
+			expect(Session.exists).toHaveBeenCalledWith(expect.objectContaining({
+				user: userDoc._id,
+				status: 'completed',
+				completedAt: { $gt: new Date(entry.startedAt) }
+			}));
+			expect(saved).toHaveLength(0);
+		});
+
+		it('should reject an empty batch', async () => {
+			const response = await request(app)
+				.post('/api/session/ingest')
+				.set('Authorization', `Bearer ${mockToken}`)
+				.send({ sessions: [] });
+
+			expect(response.status).toBe(400);
+		});
+	});
+
+	describe('GET /api/session/history', () => {
+		it('should include progress for interrupted sessions', async () => {
+			const aborted = buildSession({ duration: 300 });
+			aborted.applyEvent('abort', { at: new Date(aborted.events[0].at.getTime() + 150 * 1000) });
+
+			Session.find = jest.fn(() => ({ sort: jest.fn().mockResolvedValue([aborted]) }));
+
+			const response = await request(app)
+				.get('/api/session/history')
+				.set('Authorization', `Bearer ${mockToken}`);
+
+			expect(response.status).toBe(200);
+			expect(response.body.data[0].status).toBe('aborted');
+			expect(response.body.data[0].activeSeconds).toBe(150);
+			expect(response.body.data[0].progress).toBeCloseTo(0.5);
+		});
+	});
+
+	describe('GET /api/session/:id', () => {
+		it('should report an open session and the time breathed so far', async () => {
+			const session = buildSession({ duration: 300 });
+			Session.findOne = jest.fn().mockResolvedValue(session);
+
+			const response = await request(app)
+				.get(`/api/session/${session._id}`)
+				.set('Authorization', `Bearer ${mockToken}`);
+
+			expect(response.status).toBe(200);
+			expect(Session.findOne).toHaveBeenCalledWith({ _id: String(session._id), user: mockUser._id });
+			expect(response.body.data.status).toBe('active');
+			expect(response.body.data.activeSeconds).toBe(60);
+		});
+
+		it('should not find another user\'s session', async () => {
+			Session.findOne = jest.fn().mockResolvedValue(null);
+
+			const response = await request(app)
+				.get('/api/session/507f1f77bcf86cd799439099')
+				.set('Authorization', `Bearer ${mockToken}`);
+
+			expect(response.status).toBe(404);
+		});
+	});
+});
@@ -2,6 +2,7 @@ import express from 'express';
 import * as fc from 'fast-check';
 import jwt from 'jsonwebtoken';
 import request from 'supertest';
+import Session from '../../models/Session.js';
 import User from '../../models/User.js';
 import userRoutes from '../../routes/user.js';
 
@@ -398,6 +399,60 @@ describe('User Profile Routes', () => {
 		});
 	});
 
+	describe('POST /api/user/stats/recalculate', () => {
+		it('should rebuild the stats from the completed sessions', async () => {
+			// A real document, so the stats engine's model methods run
+			const userDoc = new User({ ...mockUser, password: 'password123', stats: { streak: 5, totalSessions: 40, totalMinutes: 900, longestStreak: 5 } });
+			userDoc.save = jest.fn().mockResolvedValue(userDoc);
+			User.findById = jest.fn(() => {
+				const result = Promise.resolve(userDoc);
+				result.select = jest.fn().mockResolvedValue(mockUser);
+				return result;
+			});
+			const completedAt = new Date('2024-01-01T09:00:00Z');
+			const history = [new Session({ user: mockUser._id, duration: 300, activeSeconds: 600, completed: true, completedAt })];
+			const find = jest.spyOn(Session, 'find').mockReturnValue({ select: jest.fn().mockResolvedValue(history) });
+
+			const response = await request(app)
+				.post('/api/user/stats/recalculate')
+				.set('Authorization', `Bearer ${mockToken}`);
+
+			expect(response.status).toBe(200);
+			expect(response.body.data.stats).toEqual(expect.objectContaining({ streak: 1, totalSessions: 1, totalMinutes: 10, longestStreak: 1 }));
+			expect(response.body.data.achievements.map(a => a.name)).toEqual(['First Breath']);
+			expect(userDoc.save).toHaveBeenCalled();
+			find.mockRestore();
+		});
+	});
+
+	describe('PUT /api/user/timezone', () => {
+		it('should save the browser\'s time zone', async () => {
+			mockUserForUpdate({ ...mockUser, timezone: 'UTC' });
+
+			const response = await request(app)
+				.put('/api/user/timezone')
+				.set('Authorization', `Bearer ${mockToken}`)
+				.send({ timezone: 'America/New_York' });
+
+			expect(response.status).toBe(200);
+			expect(response.body.data).toEqual({ timezone: 'America/New_York' });
+		});
+
+		it('should reject zones that are not IANA names', async () => {
+			mockUserForUpdate({ ...mockUser, timezone: 'UTC' });
+
+			const responses = await Promise.all(['Mars/Olympus_Mons', 'Sydney', undefined].map(timezone => request(app)
+				.put('/api/user/timezone')
+				.set('Authorization', `Bearer ${mockToken}`)
+				.send({ timezone })));
+
+			responses.forEach(response => {
+				expect(response.status).toBe(400);
+				expect(response.body.message).toBe('Time zone must be an IANA zone name, e.g. Europe/London');
+			});
+		});
+	});
+
 	describe('PUT /api/user/preferences', () => {
 		it('should update user preferences successfully', async () => {
 			const updatedUser = { 
@@ -434,6 +489,87 @@ describe('User Profile Routes', () => {
 			expect(response.body.data).toEqual(preferencesData);
 		});
 
+		it('should save the vibration cue setting', async () => {
+			mockUserForUpdate({ ...mockUser, preferences: { ...mockUser.preferences, haptics: false } });
+
+			const response = await request(app)
+				.put('/api/user/preferences')
+				.set('Authorization', `Bearer ${mockToken}`)
+				.send({ haptics: true });
+
+			expect(response.status).toBe(200);
+			expect(response.body.data.haptics).toBe(true);
+		});
+
+		it('should remember the visualizer style and reject unknown ones', async () => {
+			mockUserForUpdate({ ...mockUser, preferences: { ...mockUser.preferences } });
+
+			const saved = await request(app)
+				.put('/api/user/preferences')
+				.set('Authorization', `Bearer ${mockToken}`)
+				.send({ visualStyle: 'circle' });
+			const rejected = await request(app)
+				.put('/api/user/preferences')
+				.set('Authorization', `Bearer ${mockToken}`)
+				.send({ visualStyle: 'spiral' });
+
+			expect(saved.status).toBe(200);
+			expect(saved.body.data.visualStyle).toBe('circle');
+			expect(rejected.status).toBe(400);
+			expect(rejected.body.message).toBe('Visual style must be one of: path, circle, box, bar');
+		});
+
+		it('should remember how timed sessions end and reject unknown endings', async () => {
+			mockUserForUpdate({ ...mockUser, preferences: { ...mockUser.preferences } });
+
+			const saved = await request(app)
+				.put('/api/user/preferences')
+				.set('Authorization', `Bearer ${mockToken}`)
+				.send({ sessionEnding: 'round' });
+			const rejected = await request(app)
+				.put('/api/user/preferences')
+				.set('Authorization', `Bearer ${mockToken}`)
+				.send({ sessionEnding: 'whenever' });
+
+			expect(saved.status).toBe(200);
+			expect(saved.body.data.sessionEnding).toBe('round');
+			expect(rejected.status).toBe(400);
+			expect(rejected.body.message).toBe('Session ending must be one of: cut, finish, round');
+		});
+
+		it('should update only the audio settings that are sent', async () => {
+			mockUserForUpdate({
+				...mockUser,
+				preferences: {
+					...mockUser.preferences,
+					audio: { cueStyle: 'tones', cueVolume: 0.8, ambient: 'none', ambientVolume: 0.5 }
+				}
+			});
+
+			const response = await request(app)
+				.put('/api/user/preferences')
+				.set('Authorization', `Bearer ${mockToken}`)
+				.send({ audio: { cueStyle: 'sweeps', ambient: 'ocean' } });
+
+			expect(response.status).toBe(200);
+			expect(response.body.data.audio).toEqual({ cueStyle: 'sweeps', cueVolume: 0.8, ambient: 'ocean', ambientVolume: 0.5 });
+			expect(response.body.data.notifications).toBe(mockUser.preferences.notifications);
+		});
+
+		it('should reject unknown audio styles and out-of-range volumes', async () => {
+			mockUserForUpdate({ ...mockUser, preferences: { ...mockUser.preferences } });
+
+			for (const audio of [{ cueStyle: 'kazoo' }, { ambient: 'traffic' }, { cueVolume: 1.5 }, { ambientVolume: '0.5' }, 'loud']) {
+				const response = await request(app)
+					.put('/api/user/preferences')
+					.set('Authorization', `Bearer ${mockToken}`)
+					.send({ audio });
+
+				expect(response.status).toBe(400);
+				expect(response.body.success).toBe(false);
+			}
+		});
+
 		it('should return 401 if user not found (auth middleware catches it first)', async () => {
 			// Mock User.findById to return null
 			User.findById = jest.fn().mockResolvedValue(null);
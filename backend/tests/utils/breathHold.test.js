@@ -0,0 +1,49 @@
+import { getBoltLevel, getBreathHoldTrend, summarizeBreathHolds } from '../../utils/breathHold.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const now = new Date('2026-03-30T12:00:00');
+const daysAgo = (days, seconds) => ({ seconds, createdAt: new Date(now.getTime() - days * DAY_MS) });
+
+describe('Breath-hold summaries', () => {
+	it('should keep the best attempt per day, oldest day first', () => {
+		const days = summarizeBreathHolds([daysAgo(0, 22), daysAgo(1, 18), daysAgo(0, 25)]);
+
+		expect(days).toHaveLength(2);
+		expect(days[1]).toEqual(expect.objectContaining({ best: 25, attempts: 2 }));
+		expect(days[0].best).toBe(18);
+	});
+
+	it('should report an upward trend against the previous three weeks', () => {
+		const trend = getBreathHoldTrend([daysAgo(1, 30), daysAgo(2, 26), daysAgo(10, 20), daysAgo(20, 20)], now);
+
+		expect(trend.recentAverage).toBe(28);
+		expect(trend.previousAverage).toBe(20);
+		expect(trend.change).toBe(40);
+		expect(trend.direction).toBe('up');
+	});
+
+	it('should call small changes steady and need results in both windows', () => {
+		expect(getBreathHoldTrend([daysAgo(1, 21), daysAgo(12, 20)], now).direction).toBe('steady');
+		expect(getBreathHoldTrend([daysAgo(1, 21), daysAgo(2, 20)], now)).toBeNull();
+	});
+
+	it('should count the trend windows in whole days of the user\'s time zone', () => {
+		// Half past one on 31 March in Sydney
+		const sydneyNow = new Date('2026-03-30T14:30:00Z');
+		const holds = [
+			{ seconds: 30, createdAt: new Date('2026-03-30T00:00:00Z') }, // 30 March in Sydney
+			{ seconds: 20, createdAt: new Date('2026-03-23T13:30:00Z') } // 24 March in Sydney, a week before today
+		];
+
+		const trend = getBreathHoldTrend(holds, sydneyNow, 'Australia/Sydney');
+
+		expect(trend.recentAverage).toBe(30);
+		expect(trend.previousAverage).toBe(20);
+	});
+
+	it('should band scores into levels', () => {
+		expect(getBoltLevel(8)).toBe('low');
+		expect(getBoltLevel(25)).toBe('good');
+		expect(getBoltLevel(45)).toBe('excellent');
+	});
+});
@@ -0,0 +1,74 @@
+import express from 'express';
+import request from 'supertest';
+import { isValidPattern, isValidRounds, summarizePhases } from '../../models/breathPattern.js';
+import catalogRoutes from '../../routes/catalog.js';
+import { findCatalogPattern, getCatalog, getCatalogPattern, getPatternName } from '../../utils/catalog.js';
+
+const app = express();
+app.use('/api/catalog', catalogRoutes);
+
+describe('Breathing catalog', () => {
+	const catalog = getCatalog();
+
+	it('should give every pattern a unique id, a known category and level, and valid timings', () => {
+		const ids = catalog.patterns.map(p => p.id);
+		const categoryIds = catalog.categories.map(c => c.id);
+		const levelIds = catalog.levels.map(l => l.id);
+
+		expect(new Set(ids).size).toBe(ids.length);
+		catalog.patterns.forEach(p => {
+			expect(categoryIds).toContain(p.category);
+			expect(levelIds).toContain(p.level);
+			expect(isValidPattern(p)).toBe(true);
+			if (p.rounds) expect(isValidRounds(p.rounds)).toBe(true);
+			if (p.type === 'n-phase') expect(p).toMatchObject(summarizePhases(p.phases));
+			if (p.legacyTimings) expect(isValidPattern(p.legacyTimings)).toBe(true);
+		});
+	});
+
+	it('should build programs from known patterns with at least one guided stage', () => {
+		const programIds = catalog.programs.map(p => p.id);
+		expect(new Set(programIds).size).toBe(programIds.length);
+
+		catalog.programs.forEach(program => {
+			expect(program.stages.some(stage => !stage.natural)).toBe(true);
+			program.stages.forEach(stage => {
+				expect(stage.seconds).toBeGreaterThan(0);
+				if (!stage.natural) expect(getCatalogPattern(stage.patternId)).not.toBeNull();
+			});
+		});
+	});
+
+	it('should resolve names by catalog id before falling back to timings', () => {
+		const timing = { type: '3-phase', inhale: 6, holdTop: 0, exhale: 6 };
+
+		expect(getPatternName(timing, 'health-nasal-6-0-6')).toBe('Nasal 6-0-6');
+		expect(getPatternName(timing)).toBe('Coherent 6-0-6');
+		expect(getPatternName({ type: '4-phase', inhale: 4, holdTop: 4, exhale: 4, holdBottom: 4 })).toBe('Box Breathing');
+	});
+
+	it('should resolve sessions stored before a pattern had an exact phase list', () => {
+		const sigh = getCatalogPattern('emotional-physiological-sigh');
+
+		expect(findCatalogPattern(sigh)).toBe(sigh);
+		expect(findCatalogPattern({ type: '3-phase', inhale: 2, holdTop: 2, exhale: 6 })).toBe(sigh);
+		expect(getPatternName({
+			type: 'n-phase',
+			phases: [{ type: 'inhale', duration: 3 }, { type: 'topUp', duration: 1 }, { type: 'exhale', duration: 8 }]
+		})).toBe('3-1-8 Pattern');
+	});
+
+	it('should name custom patterns by their timings', () => {
+		expect(findCatalogPattern({ type: '3-phase', inhale: 7, holdTop: 1, exhale: 9 })).toBeNull();
+		expect(getPatternName({ type: '3-phase', inhale: 7, holdTop: 1, exhale: 9 })).toBe('7-1-9 Pattern');
+		expect(getPatternName({ type: '4-phase', inhale: 4, holdTop: 2, exhale: 4, holdBottom: 2 })).toBe('4-2-4-2 Pattern');
+	});
+
+	it('should serve the catalog without authentication', async () => {
+		const response = await request(app).get('/api/catalog');
+
+		expect(response.status).toBe(200);
+		expect(response.body.data.patterns).toHaveLength(catalog.patterns.length);
+		expect(response.headers['cache-control']).toContain('max-age');
+	});
+});
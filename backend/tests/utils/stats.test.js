@@ -0,0 +1,129 @@
+import * as fc from 'fast-check';
+import Session from '../../models/Session.js';
+import User from '../../models/User.js';
+import { rebuildStats, recalculateStats, recordSession } from '../../utils/stats.js';
+import { createTestSession, createTestUser } from '../setup.js';
+
+// These tests rebuild stats in memory and do not need a database
+const DAY_MS = 24 * 60 * 60 * 1000;
+const start = Date.UTC(2024, 0, 1);
+const userId = '507f1f77bcf86cd799439011';
+
+const session = (day, hour = 9, activeSeconds = 300) => new Session(createTestSession(userId, {
+	completedAt: new Date(start + day * DAY_MS + hour * 60 * 60 * 1000),
+	activeSeconds
+}));
+
+const snapshot = (user) => ({
+	stats: {
+		streak: user.stats.streak,
+		totalSessions: user.stats.totalSessions,
+		totalMinutes: user.stats.totalMinutes,
+		longestStreak: user.stats.longestStreak,
+		lastSessionDate: user.stats.lastSessionDate,
+		streakFreezes: user.stats.streakFreezes,
+		frozenDays: user.stats.frozenDays.map(({ day, usedAt }) => ({ day, usedAt }))
+	},
+	achievements: user.achievements.map(({ name, unlockedAt }) => ({ name, unlockedAt }))
+});
+
+describe('Stats engine', () => {
+	it('should match completing the same sessions one by one, whatever order the history comes in', () => {
+		const sessionArb = fc.record({
+			day: fc.integer({ min: 0, max: 45 }),
+			hour: fc.integer({ min: 0, max: 23 }),
+			seconds: fc.integer({ min: 0, max: 3600 })
+		});
+		fc.assert(fc.property(fc.array(sessionArb, { maxLength: 40 }), fc.constantFrom('UTC', 'Australia/Sydney', 'America/New_York'), (entries, timezone) => {
+			const sessions = entries.map(({ day, hour, seconds }) => session(day, hour, seconds));
+			// Sessions are created in the order they complete, so ties go to the earlier id
+			const inOrder = [...sessions].sort((a, b) => a.completedAt - b.completedAt);
+
+			const incremental = new User(createTestUser({ timezone }));
+			inOrder.forEach(s => recordSession(incremental, s));
+			const rebuilt = new User(createTestUser({ timezone }));
+			rebuildStats(rebuilt, [...sessions].reverse());
+
+			expect(snapshot(rebuilt)).toEqual(snapshot(incremental));
+		}), { numRuns: 100 });
+	});
+
+	it('should correct counters and achievements that drifted from the history', () => {
+		const user = new User(createTestUser({
+			stats: { streak: 9, totalSessions: 12, totalMinutes: 400, longestStreak: 9 },
+			achievements: [
+				{ name: 'First Breath', icon: '🌱' },
+				{ name: 'Dedicated', icon: '🌳' },
+				{ name: 'Week Warrior', icon: '💪' }
+			]
+		}));
+
+		const newAchievements = rebuildStats(user, [session(0, 9, 600), session(1, 9, 90)]);
+
+		expect(user.stats).toEqual(expect.objectContaining({ streak: 2, totalSessions: 2, totalMinutes: 12, longestStreak: 2 }));
+		expect(user.achievements.map(a => a.name)).toEqual(['First Breath']);
+		expect(user.achievements[0].unlockedAt).toEqual(session(0, 9).completedAt);
+		expect(newAchievements).toEqual([]);
+	});
+
+	it('should keep streak achievements once earned and report the ones that are new', () => {
+		const user = new User(createTestUser());
+		const newAchievements = rebuildStats(user, [session(0), session(1), session(2), session(10)]);
+
+		expect(user.stats.streak).toBe(1);
+		expect(user.stats.longestStreak).toBe(3);
+		expect(newAchievements.map(a => a.name)).toEqual(['First Breath', '3-Day Streak']);
+	});
+
+	it('should count the streak run ending on the latest session, whatever order the history comes in', () => {
+		const user = new User(createTestUser());
+		rebuildStats(user, [session(4), session(1), session(3), session(4, 21), session(2), session(7)]);
+
+		expect(user.stats.streak).toBe(1);
+		expect(user.stats.longestStreak).toBe(4);
+		expect(user.stats.lastSessionDate).toEqual(session(7).completedAt);
+	});
+
+	it('should count streak days on the user\'s own clock', () => {
+		// 9pm UTC is 8am the next day in Sydney; 2am UTC is 1pm the same day
+		const user = new User(createTestUser({ timezone: 'Australia/Sydney' }));
+		rebuildStats(user, [session(0, 21), session(1, 21), session(2, 2)]);
+
+		// Counted in UTC these would fall on three days; in Sydney the last two share 3 January
+		expect(user.stats.streak).toBe(2);
+		expect(user.stats.longestStreak).toBe(2);
+	});
+
+	it('should earn and use streak freezes as the history is replayed', () => {
+		const user = new User(createTestUser());
+		const days = [0, 1, 2, 3, 4, 5, 6, 8, 9];
+		rebuildStats(user, days.map(day => session(day)).reverse());
+
+		expect(user.stats.streak).toBe(9);
+		expect(user.stats.streakFreezes).toBe(0);
+		expect(user.stats.frozenDays.map(({ day }) => day)).toEqual(['2024-01-08']);
+	});
+
+	it('should start from zero without any sessions', () => {
+		const user = new User(createTestUser({ stats: { streak: 4, totalSessions: 4, totalMinutes: 20, longestStreak: 4 } }));
+		rebuildStats(user, []);
+
+		expect(user.stats).toEqual(expect.objectContaining({ streak: 0, totalSessions: 0, totalMinutes: 0, longestStreak: 0 }));
+		expect(user.stats.lastSessionDate).toBeUndefined();
+	});
+
+	it('should load the user\'s completed sessions and save the rebuilt stats', async () => {
+		const select = jest.fn().mockResolvedValue([session(1), session(0)]);
+		const find = jest.spyOn(Session, 'find').mockReturnValue({ select });
+		const user = new User(createTestUser());
+		user.save = jest.fn().mockResolvedValue(user);
+
+		await recalculateStats(user);
+
+		expect(find).toHaveBeenCalledWith({ user: user._id, completed: true });
+		expect(user.stats.totalSessions).toBe(2);
+		expect(user.stats.streak).toBe(2);
+		expect(user.save).toHaveBeenCalled();
+		find.mockRestore();
+	});
+});
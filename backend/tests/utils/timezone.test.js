@@ -0,0 +1,53 @@
+import { addDays, daysBetween, getDayKey, getHour, isValidTimezone } from '../../utils/timezone.js';
+
+describe('Time zone days', () => {
+	it('should put a moment on the day of the user\'s wall clock', () => {
+		// 8am in Sydney is still the day before in UTC and in New York
+		const morning = new Date('2024-01-15T21:00:00Z');
+
+		expect(getDayKey(morning, 'Australia/Sydney')).toBe('2024-01-16');
+		expect(getDayKey(morning, 'UTC')).toBe('2024-01-15');
+		expect(getDayKey(morning, 'America/New_York')).toBe('2024-01-15');
+		expect(getHour(morning, 'Australia/Sydney')).toBe(8);
+		expect(getHour(morning, 'America/New_York')).toBe(16);
+	});
+
+	it('should fall back to UTC for a missing or unknown zone', () => {
+		const moment = new Date('2024-01-15T23:30:00Z');
+
+		expect(getDayKey(moment)).toBe('2024-01-15');
+		expect(getDayKey(moment, 'Mars/Olympus_Mons')).toBe('2024-01-15');
+		expect(getHour(moment, undefined)).toBe(23);
+	});
+
+	it('should count days across DST changes without skipping or repeating one', () => {
+		// New York springs forward on 10 March 2024 (a 23-hour day) and falls back on 3 November (25 hours)
+		const beforeSpring = getDayKey(new Date('2024-03-10T04:30:00Z'), 'America/New_York');
+		const afterSpring = getDayKey(new Date('2024-03-11T03:30:00Z'), 'America/New_York');
+		expect([beforeSpring, afterSpring]).toEqual(['2024-03-09', '2024-03-10']);
+		expect(daysBetween(beforeSpring, afterSpring)).toBe(1);
+
+		const lateFallBack = getDayKey(new Date('2024-11-04T04:30:00Z'), 'America/New_York');
+		expect(lateFallBack).toBe('2024-11-03');
+		expect(getHour(new Date('2024-11-04T04:30:00Z'), 'America/New_York')).toBe(23);
+
+		// Sydney leaves DST on 7 April 2024
+		expect(getDayKey(new Date('2024-04-06T13:30:00Z'), 'Australia/Sydney')).toBe('2024-04-07');
+		expect(getDayKey(new Date('2024-04-07T13:30:00Z'), 'Australia/Sydney')).toBe('2024-04-07');
+	});
+
+	it('should step and measure day keys across months and years', () => {
+		expect(addDays('2024-02-28', 1)).toBe('2024-02-29');
+		expect(addDays('2024-01-01', -1)).toBe('2023-12-31');
+		expect(daysBetween('2023-12-31', '2024-03-01')).toBe(61);
+		expect(daysBetween('2024-03-01', '2024-02-29')).toBe(-1);
+	});
+
+	it('should accept only zones the runtime knows', () => {
+		expect(isValidTimezone('Europe/Berlin')).toBe(true);
+		expect(isValidTimezone('UTC')).toBe(true);
+		expect(isValidTimezone('Not/AZone')).toBe(false);
+		expect(isValidTimezone('')).toBe(false);
+		expect(isValidTimezone(42)).toBe(false);
+	});
+});
@@ -0,0 +1,52 @@
+// Summaries of breath-hold (BOLT-style) test attempts for charts and insights
+import { daysBetween, getDayKey } from './timezone.js';
+
+const TREND_WINDOW_DAYS = 7;
+// Smallest change, in percent, worth calling a trend
+const TREND_THRESHOLD = 10;
+
+const average = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+// Best hold and attempt count per day in the user's time zone, oldest first
+export const summarizeBreathHolds = (holds, timezone) => {
+	const byDay = new Map();
+	holds.forEach(hold => {
+		const key = getDayKey(hold.createdAt, timezone);
+		const day = byDay.get(key) || { date: key, best: 0, attempts: 0 };
+		day.best = Math.max(day.best, hold.seconds);
+		day.attempts++;
+		byDay.set(key, day);
+	});
+	return [...byDay.values()].sort((a, b) => a.date.localeCompare(b.date));
+};
+
+// Rough bands commonly used for BOLT scores
+export const getBoltLevel = (seconds) => {
+	if (seconds < 10) return 'low';
+	if (seconds < 20) return 'fair';
+	if (seconds < 40) return 'good';
+	return 'excellent';
+};
+
+// Compare the average of the last week's daily bests with the three weeks before, counting
+// whole days in the user's time zone. Returns null until both windows have results.
+export const getBreathHoldTrend = (holds, now = new Date(), timezone) => {
+	const today = getDayKey(now, timezone);
+	const days = summarizeBreathHolds(holds, timezone).map(d => ({ ...d, age: daysBetween(d.date, today) }));
+
+	const recent = days.filter(d => d.age < TREND_WINDOW_DAYS).map(d => d.best);
+	const previous = days
+		.filter(d => d.age >= TREND_WINDOW_DAYS && d.age < 4 * TREND_WINDOW_DAYS)
+		.map(d => d.best);
+	if (recent.length === 0 || previous.length === 0) return null;
+
+	const recentAverage = average(recent);
+	const previousAverage = average(previous);
+	const change = Math.round(((recentAverage - previousAverage) / previousAverage) * 100);
+	return {
+		recentAverage: Math.round(recentAverage * 10) / 10,
+		previousAverage: Math.round(previousAverage * 10) / 10,
+		change,
+		direction: change >= TREND_THRESHOLD ? 'up' : change <= -TREND_THRESHOLD ? 'down' : 'steady'
+	};
+};
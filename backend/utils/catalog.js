@@ -0,0 +1,37 @@
+import catalog from '../data/catalog.js';
+import { getPatternKey } from '../models/breathPattern.js';
+
+// First catalog entry for each timing, used when a session has no catalogId (older clients and rows)
+const patternsByKey = new Map();
+catalog.patterns.forEach(p => {
+	[p, p.legacyTimings].filter(Boolean).forEach(timings => {
+		const key = getPatternKey(timings);
+		if (!patternsByKey.has(key)) patternsByKey.set(key, p);
+	});
+});
+const patternsById = new Map(catalog.patterns.map(p => [p.id, p]));
+const programsById = new Map(catalog.programs.map(p => [p.id, p]));
+
+export const getCatalog = () => catalog;
+
+export const getCatalogPattern = (id) => patternsById.get(id) || null;
+
+export const getCatalogProgram = (id) => programsById.get(id) || null;
+
+// Resolve a stored pattern to its catalog entry, preferring the exact id when one was recorded
+export const findCatalogPattern = (pattern, catalogId) => {
+	if (catalogId && patternsById.has(catalogId)) return patternsById.get(catalogId);
+	return pattern ? patternsByKey.get(getPatternKey(pattern)) || null : null;
+};
+
+// Display name for a pattern: the catalog name, or its timings for custom patterns
+export const getPatternName = (pattern, catalogId) => {
+	const entry = findCatalogPattern(pattern, catalogId);
+	if (entry) return entry.name;
+
+	const { type, inhale, exhale } = pattern;
+	if (type === 'n-phase') return `${pattern.phases.map(phase => phase.duration).join('-')} Pattern`;
+	const holdTop = pattern.holdTop || 0;
+	if (type === '4-phase') return `${inhale}-${holdTop}-${exhale}-${pattern.holdBottom} Pattern`;
+	return `${inhale}-${holdTop}-${exhale} Pattern`;
+};
@@ -0,0 +1,56 @@
+// The stats engine: a user's counters (sessions, minutes, streaks) and achievements follow from
+// their completed sessions. Completing a session records it on top of the current stats;
+// recalculating replays every completed session through the same step in the order they were
+// completed, so both paths agree and stats that drifted (deleted or mis-recorded sessions) can be
+// corrected
+import Session from '../models/Session.js';
+
+// Fields the engine reads from a session
+const SESSION_FIELDS = 'completed completedAt createdAt activeSeconds duration';
+
+// When a session counts as done; legacy sessions without a completion time use their creation
+const completionTime = (session) => new Date(session.completedAt || session.createdAt);
+
+// Completion order; sessions completed at the same moment replay in the order they were created
+const byCompletion = (a, b) => (completionTime(a) - completionTime(b)) || String(a._id).localeCompare(String(b._id));
+
+// Minutes actually breathed, rounded per session as they are credited on completion
+export const sessionMinutes = (session) => Math.round(session.getCreditedSeconds() / 60);
+
+// Credit one completed session to the user; returns the achievements it unlocked
+export const recordSession = (user, session) => {
+	const at = completionTime(session);
+	user.stats.totalSessions = (user.stats.totalSessions || 0) + 1;
+	user.stats.totalMinutes = (user.stats.totalMinutes || 0) + sessionMinutes(session);
+	user.updateStreak(at);
+	return user.checkAchievements(at);
+};
+
+// Rebuild the user's stats and achievements from all their completed sessions, in any order.
+// Returns the achievements the user didn't have before
+export const rebuildStats = (user, sessions) => {
+	const hadAchievement = new Set((user.achievements || []).map(achievement => achievement.name));
+	user.stats = {
+		streak: 0,
+		totalSessions: 0,
+		totalMinutes: 0,
+		longestStreak: 0,
+		lastSessionDate: undefined,
+		streakFreezes: 0,
+		frozenDays: []
+	};
+	user.achievements = [];
+
+	const unlocked = [...sessions]
+		.sort(byCompletion)
+		.flatMap(session => recordSession(user, session));
+	return unlocked.filter(achievement => !hadAchievement.has(achievement.name));
+};
+
+// Load the user's completed sessions, rebuild their stats and save them
+export const recalculateStats = async (user) => {
+	const sessions = await Session.find({ user: user._id, completed: true }).select(SESSION_FIELDS);
+	const newAchievements = rebuildStats(user, sessions);
+	await user.save();
+	return newAchievements;
+};
@@ -0,0 +1,67 @@
+// Calendar days and hours in a user's own time zone. Streaks and daily stats are counted by
+// the day on the user's wall clock, not the server's, so a session at 8am in Sydney lands on
+// that day even when the server is still on the day before.
+// Days are handled as 'YYYY-MM-DD' keys: counting the days between two keys never depends on
+// how long those days were, so DST changes (23- and 25-hour days) can't skip or repeat a day.
+
+export const DEFAULT_TIMEZONE = 'UTC';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const formatters = new Map();
+
+const getFormatter = (timezone) => {
+	if (!formatters.has(timezone)) {
+		formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+			timeZone: timezone,
+			year: 'numeric',
+			month: '2-digit',
+			day: '2-digit',
+			hour: '2-digit',
+			hourCycle: 'h23'
+		}));
+	}
+	return formatters.get(timezone);
+};
+
+// An IANA zone name the runtime knows, e.g. 'Europe/Berlin'
+export const isValidTimezone = (timezone) => {
+	if (typeof timezone !== 'string' || timezone.length === 0 || timezone.length > 64) return false;
+	try {
+		getFormatter(timezone);
+		return true;
+	} catch {
+		return false;
+	}
+};
+
+// Unknown or missing zones (e.g. users from before zones were stored) count in UTC
+const resolveTimezone = (timezone) => (isValidTimezone(timezone) ? timezone : DEFAULT_TIMEZONE);
+
+const getParts = (date, timezone) => {
+	const parts = {};
+	getFormatter(resolveTimezone(timezone)).formatToParts(new Date(date)).forEach(({ type, value }) => {
+		parts[type] = value;
+	});
+	return parts;
+};
+
+// The calendar day a moment falls on in a zone, as 'YYYY-MM-DD'
+export const getDayKey = (date, timezone) => {
+	const { year, month, day } = getParts(date, timezone);
+	return `${year}-${month}-${day}`;
+};
+
+// The hour (0-23) on the wall clock in a zone
+export const getHour = (date, timezone) => Number(getParts(date, timezone).hour);
+
+const keyToUTC = (dayKey) => {
+	const [year, month, day] = dayKey.split('-').map(Number);
+	return Date.UTC(year, month - 1, day);
+};
+
+// Whole calendar days from one day key to another (negative when `to` is earlier)
+export const daysBetween = (fromKey, toKey) => Math.round((keyToUTC(toKey) - keyToUTC(fromKey)) / DAY_MS);
+
+// The day key `days` calendar days after (or before, when negative) another
+export const addDays = (dayKey, days) => new Date(keyToUTC(dayKey) + days * DAY_MS).toISOString().split('T')[0];
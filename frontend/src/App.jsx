@@ -7,11 +7,13 @@ import {
     Routes,
     useLocation,
 } from "react-router-dom";
+import BreathHoldTest from "./components/BreathHoldTest";
 import BreathingSession from "./components/BreathingSession";
 import Dashboard from "./components/Dashboard";
 import LandingPage from "./components/LandingPage";
 import Login from "./components/Login";
 import Navbar from "./components/Navbar";
+import PatternsPage from "./components/PatternsPage";
 import ProfilePage from "./components/ProfilePage";
 import ProtectedRoute from "./components/ProtectedRoute";
 import Register from "./components/Register";
@@ -66,6 +68,22 @@ function AppContent() {
           <Route path="/register" element={<Register />} />
           <Route path="/practice" element={<BreathingSession />} />
           <Route path="/dashboard" element={<Dashboard />} />
+          <Route
+            path="/patterns"
+            element={
+              <ProtectedRoute>
+                <PatternsPage />
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="/breath-hold"
+            element={
+              <ProtectedRoute>
+                <BreathHoldTest />
+              </ProtectedRoute>
+            }
+          />
           <Route 
             path="/profile" 
             element={
@@ -0,0 +1,154 @@
+import { useEffect, useRef, useState } from "react";
+import toast from "react-hot-toast";
+import { Link } from "react-router-dom";
+import api from "../utils/api";
+
+const steps = [
+  "Sit comfortably and breathe normally through your nose for a minute.",
+  "After a normal, relaxed exhale, pinch your nose and tap Start.",
+  "Tap Stop at the first definite urge to breathe, not when you can't hold any longer.",
+];
+
+// Rough BOLT bands, matching the insights on the dashboard
+const getLevel = (seconds) => {
+  if (seconds < 10) return "Low";
+  if (seconds < 20) return "Fair";
+  if (seconds < 40) return "Good";
+  return "Excellent";
+};
+
+export default function BreathHoldTest() {
+  const [holding, setHolding] = useState(false);
+  const [elapsed, setElapsed] = useState(0);
+  const [attempts, setAttempts] = useState([]); // this sitting, oldest first
+  const [best, setBest] = useState(null);
+  const startRef = useRef(null);
+
+  useEffect(() => {
+    const fetchBest = async () => {
+      try {
+        const response = await api.get("/breath-hold");
+        if (response.data.success) setBest(response.data.data.best || null);
+      } catch (error) {
+        console.error("Failed to load breath-hold history:", error);
+      }
+    };
+    fetchBest();
+  }, []);
+
+  // Tick the on-screen timer while holding; the recorded time comes from the start timestamp
+  useEffect(() => {
+    if (!holding) return;
+    const interval = setInterval(() => setElapsed((Date.now() - startRef.current) / 1000), 100);
+    return () => clearInterval(interval);
+  }, [holding]);
+
+  const handleStart = () => {
+    startRef.current = Date.now();
+    setElapsed(0);
+    setHolding(true);
+  };
+
+  const handleStop = async () => {
+    const seconds = Math.round((Date.now() - startRef.current) / 100) / 10;
+    setHolding(false);
+    setElapsed(seconds);
+
+    if (seconds < 1) {
+      toast.error("That was too short to count. Try again.");
+      return;
+    }
+
+    const attempt = { seconds, id: null };
+    try {
+      const response = await api.post("/breath-hold", { seconds });
+      if (response.data.success) attempt.id = response.data.data._id;
+    } catch (error) {
+      console.error("Failed to save breath-hold attempt:", error);
+      toast.error("Couldn't save this attempt");
+    }
+    setAttempts(prev => [...prev, attempt]);
+    setBest(prev => Math.max(prev || 0, seconds));
+  };
+
+  const handleDiscard = async (index) => {
+    const attempt = attempts[index];
+    try {
+      if (attempt.id) await api.delete(`/breath-hold/${attempt.id}`);
+      setAttempts(prev => prev.filter((_, i) => i !== index));
+    } catch (error) {
+      console.error("Failed to discard breath-hold attempt:", error);
+      toast.error("Couldn't discard this attempt");
+    }
+  };
+
+  const last = attempts[attempts.length - 1];
+
+  return (
+    <div className="max-w-2xl mx-auto mt-4 px-2 md:px-0 space-y-4">
+      <div>
+        <h1 className="text-2xl font-bold text-gray-800">Breath-Hold Test</h1>
+        <p className="text-gray-600 text-sm">
+          A BOLT-style score: how long you can comfortably hold after a normal exhale. Higher scores
+          mean better CO₂ tolerance.
+        </p>
+      </div>
+
+      <div className="card p-4">
+        <ol className="list-decimal list-inside space-y-1 text-sm text-gray-700">
+          {steps.map(step => <li key={step}>{step}</li>)}
+        </ol>
+      </div>
+
+      <div className="card p-8 flex flex-col items-center gap-4">
+        <div className="text-5xl font-bold text-gray-800 tabular-nums" aria-live="off">
+          {elapsed.toFixed(1)}s
+        </div>
+        {holding ? (
+          <button
+            className="w-40 h-40 rounded-full bg-red-500 text-white text-2xl font-heading font-bold shadow-lg hover:bg-red-600"
+            onClick={handleStop}
+          >
+            Stop
+          </button>
+        ) : (
+          <button
+            className="w-40 h-40 rounded-full bg-primary text-white text-2xl font-heading font-bold shadow-lg hover:bg-primary-dark"
+            onClick={handleStart}
+          >
+            Start
+          </button>
+        )}
+        {!holding && last && (
+          <div className="text-center" aria-live="polite">
+            <div className="text-gray-700">
+              Attempt {attempts.length}: <span className="font-semibold">{last.seconds}s</span> ({getLevel(last.seconds)})
+            </div>
+            <div className="text-xs text-gray-500">Rest with a minute of normal breathing before trying again.</div>
+          </div>
+        )}
+      </div>
+
+      {attempts.length > 0 && (
+        <div className="card p-4">
+          <div className="font-semibold mb-2">This sitting</div>
+          <ul className="space-y-1">
+            {attempts.map((attempt, index) => (
+              <li key={index} className="flex items-center justify-between text-sm text-gray-700">
+                <span>Attempt {index + 1}: {attempt.seconds}s</span>
+                <button className="text-xs text-gray-500 underline" onClick={() => handleDiscard(index)}>
+                  Discard
+                </button>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      <div className="text-sm text-gray-600">
+        {best ? <>Your best in the last 90 days: <span className="font-semibold">{best}s</span>. </> : null}
+        <Link to="/dashboard" className="underline">See your history on the dashboard</Link>
+      </div>
+    </div>
+  );
+}
@@ -1,122 +1,84 @@
-import { useContext, useEffect, useState } from "react";
+import { useCallback, useContext, useEffect, useMemo, useRef, useState } from "react";
 import toast from "react-hot-toast";
+import { Link, useLocation } from "react-router-dom";
 import { AuthContext } from "../context/AuthContext";
 import api from "../utils/api";
+import { getDefaultPattern, loadCatalog } from "../utils/catalog";
+import { enterFullscreen, exitFullscreen, getFocusAction, releaseWakeLock, requestWakeLock } from "../utils/focus";
+import { attachGuidance } from "../utils/guidance";
+import { PhaseManager } from "../utils/PhaseManager";
 import { PatternValidator } from "../utils/PatternValidator";
+import { createClientId, queueSession } from "../utils/outbox";
+import { isOnline } from "../utils/pwa";
+import { getSessionEnding, SESSION_ENDINGS, setSessionEnding as saveSessionEnding } from "../utils/sessionEnding";
+import { clearSessionProgress, getSessionProgress, saveSessionProgress } from "../utils/sessionResume";
+import { getVisualStyle, setVisualStyle as saveVisualStyle } from "../utils/visualStyle";
 import BreathingVisualizer from "./BreathingVisualizer";
+import { VISUALIZER_STYLES } from "./VisualizerStyles";
 
-const categories = [
-  { id: "focus", name: "Focus & Concentration" },
-  { id: "stress", name: "Stress Relief" },
-  { id: "sleep", name: "Sleep & Rest" },
-  { id: "energy", name: "Energy Boost" },
-  { id: "health", name: "Health & Recovery" },
-  { id: "emotional", name: "Emotional Balance" },
+const durations = [3, 5, 8, 10];
+const cycleCounts = [5, 10, 20, 30];
+const sessionModes = [
+  { id: "time", name: "Minutes" },
+  { id: "cycles", name: "Cycles" },
 ];
+// How each step of an n-phase pattern is labelled on its card
+const phaseLabels = { inhale: "In", topUp: "Top up", hold: "Hold", exhale: "Out" };
 
-const patternsByCategory = {
-  focus: [
-    { level: "Beginner", name: "5-2-7", type: "3-phase", inhale: 5, holdTop: 2, exhale: 7, category: "focus", description: "Balances focus + calm" },
-    { level: "Intermediate", name: "4-4-6", type: "3-phase", inhale: 4, holdTop: 4, exhale: 6, category: "focus", description: "Regulates attention and reduces distractions" },
-    { level: "Advanced", name: "5-3-9", type: "3-phase", inhale: 5, holdTop: 3, exhale: 9, category: "focus", description: "Longer exhale deepens focus and mental clarity" },
-    { level: "Pro", name: "6-2-10", type: "3-phase", inhale: 6, holdTop: 2, exhale: 10, category: "focus", description: "Used by elite performers for stable concentration" },
-  ],
-  stress: [
-    { level: "Beginner", name: "4-0-6", type: "3-phase", inhale: 4, holdTop: 0, exhale: 6, category: "stress", description: "Immediately reduces stress" },
-    { level: "Intermediate", name: "Box Breathing", type: "4-phase", inhale: 4, holdTop: 4, exhale: 4, holdBottom: 4, category: "stress", description: "Navy SEAL technique - Creates calm under pressure" },
-    { level: "Advanced", name: "4-7-8", type: "3-phase", inhale: 4, holdTop: 7, exhale: 8, category: "stress", description: "Andrew Weil Method - Deeply relaxes nervous system" },
-    { level: "Pro", name: "Coherent 6-0-6", type: "3-phase", inhale: 6, holdTop: 0, exhale: 6, category: "stress", description: "Balances heart and brain waves" },
-  ],
-  sleep: [
-    { level: "Beginner", name: "4-0-6", type: "3-phase", inhale: 4, holdTop: 0, exhale: 6, category: "sleep", description: "Slows heart rate" },
-    { level: "Intermediate", name: "4-7-8", type: "3-phase", inhale: 4, holdTop: 7, exhale: 8, category: "sleep", description: "Scientifically shown to reduce anxiety and induce sleep" },
-    { level: "Advanced", name: "5-0-10", type: "3-phase", inhale: 5, holdTop: 0, exhale: 10, category: "sleep", description: "Long exhale signals brain to release melatonin" },
-    { level: "Pro", name: "6-0-10", type: "3-phase", inhale: 6, holdTop: 0, exhale: 10, category: "sleep", description: "Used by meditation experts for deep rest" },
-  ],
-  energy: [
-    { level: "Beginner", name: "3-1-3", type: "3-phase", inhale: 3, holdTop: 1, exhale: 3, category: "energy", description: "Gentle stimulation without hyperventilation" },
-    { level: "Intermediate", name: "Fast Paced 2-0-2", type: "3-phase", inhale: 2, holdTop: 0, exhale: 2, category: "energy", description: "Boosts alertness quickly" },
-    { level: "Advanced", name: "Kapalabhati 1-0-1", type: "3-phase", inhale: 1, holdTop: 0, exhale: 1, category: "energy", description: "Sharp inhale/exhale × 20 cycles (gentle)" },
-    { level: "Pro", name: "Sharp 6 + Deep", type: "3-phase", inhale: 6, holdTop: 0, exhale: 6, category: "energy", description: "6 sharp exhales then deep breath - Used by performers" },
-  ],
-  health: [
-    { level: "Beginner", name: "Nasal 6-0-6", type: "3-phase", inhale: 6, holdTop: 0, exhale: 6, category: "health", description: "Trains lungs and improves HRV (nasal breathing only)" },
-    { level: "Intermediate", name: "6-3-6", type: "3-phase", inhale: 6, holdTop: 3, exhale: 6, category: "health", description: "Promotes optimal oxygen + CO₂ balance" },
-    { level: "Advanced", name: "Cadence 5-0-7", type: "3-phase", inhale: 5, holdTop: 0, exhale: 7, category: "health", description: "5-7 breaths/min ideal for heart-lung sync" },
-    { level: "Pro", name: "CO₂ Training 4-0-12", type: "3-phase", inhale: 4, holdTop: 0, exhale: 12, category: "health", description: "Develops strong CO₂ tolerance" },
-  ],
-  emotional: [
-    { level: "Beginner", name: "Physiological Sigh", type: "3-phase", inhale: 2, holdTop: 2, exhale: 6, category: "emotional", description: "2s inhale + 2s top-up inhale + 6s exhale - Stops panic instantly" },
-    { level: "Intermediate", name: "4-2-6", type: "3-phase", inhale: 4, holdTop: 2, exhale: 6, category: "emotional", description: "Balances mood" },
-    { level: "Advanced", name: "3-3-6", type: "3-phase", inhale: 3, holdTop: 3, exhale: 6, category: "emotional", description: "Used in trauma-informed breathing therapy" },
-    { level: "Pro", name: "Vagal Toning 5-0-8", type: "3-phase", inhale: 5, holdTop: 0, exhale: 8, category: "emotional", description: "Slow nasal inhale + humming exhale - Stimulates vagus nerve" },
-  ],
-};
+// Upper bound the server accepts for cycle-count sessions
+const MAX_CYCLES = 500;
 
-const durations = [3, 5, 8, 10];
+// Pseudo-category for the program list in the goal picker
+const PROGRAMS_VIEW = "programs";
 
-// Benefits data mapped to categories
-const benefitsByCategory = {
-  focus: [
-    { emoji: "🎯", title: "Boosts Clarity"},
-    { emoji: "🧠", title: "Sharpens Attention"},
-    { emoji: "💡", title: "Enhances Memory"},
-    { emoji: "🎓", title: "Steadies Thoughts"},
-    { emoji: "⚡", title: "Improves Control"},
-  ],
-  stress: [
-    { emoji: "😌", title: "Calms Nerves"},
-    { emoji: "🧘", title: "Lowers Cortisol"},
-    { emoji: "💆", title: "Relaxes Muscles"},
-    { emoji: "🌊", title: "Eases Tension"},
-    { emoji: "☮️", title: "Stabilizes Mood"},
-  ],
-  sleep: [
-    { emoji: "💤", title: "Slows Heartbeat"},
-    { emoji: "🛌", title: "Relaxes Body"},
-    { emoji: "🌙", title: "Clears Mind"},
-    { emoji: "😴", title: "Deepens Rest"},
-    { emoji: "🌟", title: "Reduces Stress"},
-  ],
-  energy: [
-    { emoji: "🫁", title: "Increases Oxygen"},
-    { emoji: "⚡", title: "Elevates Alertness"},
-    { emoji: "🔋", title: "Activates Body"},
-    { emoji: "💪", title: "Improves Stamina"},
-    { emoji: "☀️", title: "Reduces Fatigue"},
-  ],
-  health: [
-    { emoji: "🫁", title: "Strengthens Lungs"},
-    { emoji: "❤️", title: "Enhances Circulation"},
-    { emoji: "🩺", title: "Supports Healing"},
-    { emoji: "⚖️", title: "Balances Breath"},
-    { emoji: "🛡️", title: "Builds Resilience"},
-  ],
-  emotional: [
-    { emoji: "🧘‍♀️", title: "Reduces Anxiety"},
-    { emoji: "💚", title: "Steadies Emotions"},
-    { emoji: "🌈", title: "Lowers Stress"},
-    { emoji: "🎭", title: "Improves Control"},
-    { emoji: "✨", title: "Clears Thoughts"},
-  ],
-};
+// Shape a pattern for the session API, keeping holdBottom for 4-phase patterns, the phase list
+// of n-phase patterns and any phase cues
+const toSessionPattern = (pattern) => ({
+  type: pattern.type,
+  inhale: pattern.inhale,
+  holdTop: pattern.holdTop || 0,
+  exhale: pattern.exhale,
+  ...(pattern.type === "4-phase" && { holdBottom: pattern.holdBottom }),
+  ...(pattern.type === "n-phase" && { phases: pattern.phases.map(({ type, duration }) => ({ type, duration })) }),
+  ...(pattern.annotations && { annotations: pattern.annotations }),
+  ...(pattern.alternateSides && { alternateSides: true }),
+});
 
-// Preview benefits (one from each category)
-const previewBenefits = [
-  { emoji: "😌", title: "Reduces Stress"},
-  { emoji: "🎯", title: "Improves Focus"},
-  { emoji: "⚡", title: "Boosts Energy"},
-  { emoji: "💤", title: "Better Sleep"},
-  { emoji: "❤️", title: "Health & Recovery"},
-  { emoji: "🧘♀️", title: "Emotional Balance"},
-];
+// Shape a program timeline for the session API: one entry per stage with its whole-breath length
+const toSessionProgram = (program, timeline) => ({
+  programId: program.id,
+  name: program.name,
+  stages: timeline.stages.map(stage => (stage.natural
+    ? { natural: true, plannedSeconds: stage.duration }
+    : { pattern: toSessionPattern(stage.pattern), catalogId: stage.catalogId, plannedSeconds: stage.duration })),
+});
+
+const formatMinutes = (seconds) => `${Math.round(seconds / 60)} min`;
+
+// Retentions and time already breathed are shown as m:ss
+const formatRetention = (seconds) => `${Math.floor(seconds / 60)}:${Math.floor(seconds % 60).toString().padStart(2, "0")}`;
+
+// Longest retention the server accepts; round-based sessions are planned for it until they end
+const MAX_RETENTION_SECONDS = 600;
+
+// A custom pattern launched from the /patterns page, if it is still playable
+const getLaunchedPattern = (state) => {
+  const pattern = state?.pattern;
+  return pattern && PatternValidator.validatePattern(pattern) ? pattern : null;
+};
 
 export default function BreathingSession() {
   const { token, user, reloadUser } = useContext(AuthContext);
+  const location = useLocation();
   const [selectedCategory, setSelectedCategory] = useState(null);
   const [lastCategory, setLastCategory] = useState(null);
-  const [selectedPattern, setSelectedPattern] = useState(patternsByCategory.focus[0]);
+  const [catalog, setCatalog] = useState(null);
+  const [selectedPattern, setSelectedPattern] = useState(() => getLaunchedPattern(location.state));
   const [duration, setDuration] = useState(5);
+  const [sessionMode, setSessionMode] = useState("time"); // "time" (minutes) or "cycles" (breath count)
+  const [cycleCount, setCycleCount] = useState(10);
+  const [customCycles, setCustomCycles] = useState("");
+  const [cycleError, setCycleError] = useState("");
   const [running, setRunning] = useState(false);
   const [cycle, setCycle] = useState(0);
   const [remaining, setRemaining] = useState(5 * 60);
@@ -129,136 +91,552 @@ export default function BreathingSession() {
   const [expandedPattern, setExpandedPattern] = useState(null);
   const [patternValidationError, setPatternValidationError] = useState("");
   const [sessionId, setSessionId] = useState(null);
+  const [selectedProgram, setSelectedProgram] = useState(null);
+  const [retentions, setRetentions] = useState([]); // seconds per round, for round-based patterns
+  const [visualStyle, setVisualStyle] = useState(getVisualStyle);
+  const [focusMode, setFocusMode] = useState(false);
+  const [sessionEnding, setSessionEnding] = useState(getSessionEnding);
+  // Seconds actually breathed, set by the visualizer's session engine once the session is done
+  const [breathedSeconds, setBreathedSeconds] = useState(null);
+  const sessionFinished = breathedSeconds !== null;
+  // A session a reload or crash interrupted, offered again until it is resumed or discarded
+  const [savedProgress, setSavedProgress] = useState(() => {
+    const progress = getSessionProgress();
+    return progress && PatternValidator.validatePattern(progress.pattern) ? progress : null;
+  });
+  // Active milliseconds a resumed session had already breathed, for the visualizer's first start
+  const [resumeFrom, setResumeFrom] = useState(0);
+  // Active milliseconds breathed before the pattern was switched mid-session, for the new visualizer
+  const [carriedElapsed, setCarriedElapsed] = useState(0);
+  // How the session in progress was started ({ clientId, startedAt, body }), so it can be queued
+  // on the device if the server can't be reached when it ends
+  const sessionStartRef = useRef(null);
+  const focusRef = useRef(null);
 
-  // Validate all patterns on component mount
+  const programTimeline = useMemo(
+    () => (selectedProgram ? PhaseManager.createProgramTimeline(selectedProgram.stages) : null),
+    [selectedProgram]
+  );
+  // Round-based patterns bring their own structure instead of a length
+  const isRoundSession = !selectedProgram && Boolean(selectedPattern?.rounds);
+  // Programs always run on their own timeline, so only single patterns can count breaths
+  const isCycleSession = !selectedProgram && !isRoundSession && sessionMode === "cycles";
+  // Timed sessions can be rounded to whole breaths up front; they then run as a breath count
+  const roundedCycles = !selectedProgram && !isRoundSession && !isCycleSession && sessionEnding === "round" && selectedPattern
+    ? PhaseManager.countWholeCycles(selectedPattern, duration * 60, selectedPattern.ramp)
+    : null;
+  // Planned session length in seconds: the program's whole-breath total, the rounds with the longest
+  // retention allowed, the time the chosen number of breaths takes, or the chosen duration
+  const sessionSeconds = programTimeline
+    ? Math.round(programTimeline.totalDuration)
+    : isRoundSession
+    ? Math.ceil(PhaseManager.getRoundsDuration(selectedPattern, selectedPattern.rounds)
+      + selectedPattern.rounds.count * MAX_RETENTION_SECONDS)
+    : isCycleSession
+    ? (selectedPattern ? Math.ceil(PhaseManager.getCyclesDuration(selectedPattern, cycleCount, selectedPattern.ramp)) : 0)
+    : roundedCycles
+    ? Math.ceil(PhaseManager.getCyclesDuration(selectedPattern, roundedCycles, selectedPattern.ramp))
+    : duration * 60;
+  const sessionSecondsRef = useRef(sessionSeconds);
+  sessionSecondsRef.current = sessionSeconds;
+
+  // Load the pattern catalog and validate every entry before offering it
   useEffect(() => {
-    const validateAllPatterns = () => {
-      let hasInvalidPatterns = false;
-      
-      Object.entries(patternsByCategory).forEach(([category, patterns]) => {
-        patterns.forEach(pattern => {
-          if (!PatternValidator.validatePattern(pattern)) {
-            console.error(`Invalid pattern found in ${category}:`, pattern);
-            hasInvalidPatterns = true;
-          }
+    let cancelled = false;
+
+    loadCatalog()
+      .then(loaded => {
+        if (cancelled) return;
+        let hasInvalidPatterns = false;
+
+        Object.entries(loaded.patternsByCategory).forEach(([category, patterns]) => {
+          patterns.forEach(pattern => {
+            if (!PatternValidator.validatePattern(pattern)) {
+              console.error(`Invalid pattern found in ${category}:`, pattern);
+              hasInvalidPatterns = true;
+            }
+          });
         });
+
+        if (hasInvalidPatterns) {
+          setPatternValidationError("Some patterns have invalid configurations. Check console for details.");
+        }
+        setCatalog(loaded);
+        setSelectedPattern(prev => prev || getDefaultPattern(loaded));
+      })
+      .catch(error => {
+        console.error("Failed to load pattern catalog:", error);
+        if (!cancelled) setPatternValidationError("Couldn't load breathing patterns. Check your connection and refresh.");
       });
-      
-      if (hasInvalidPatterns) {
-        setPatternValidationError("Some patterns have invalid configurations. Check console for details.");
-      }
+
+    return () => {
+      cancelled = true;
     };
-    
-    validateAllPatterns();
   }, []);
 
-  // Timer effect - manages countdown independently
+  // Keep the countdown in step with the planned length while no session is in progress
   useEffect(() => {
-    if (!running || remaining <= 0) {
-      // Session completed
-      if (remaining === 0 && sessionId && token) {
-        // Complete session
-        const completeSessionAsync = async () => {
-          try {
-            const totalDuration = duration * 60;
-            const pattern = {
-              inhale: selectedPattern.inhale,
-              hold: selectedPattern.holdTop || 0,
-              exhale: selectedPattern.exhale,
-            };
-
-            const response = await api.post("/session/complete", {
-              sessionId,
-              duration: totalDuration,
-              pattern,
-            });
+    if (!running && !paused) setRemaining(sessionSeconds);
+  }, [sessionSeconds]);
 
-            if (response.data.success) {
-              const { streak, totalSessions, newAchievements } = response.data.data;
-              
-              toast.success(`Session completed! 🎉 Streak: ${streak} days`);
-              
-              if (newAchievements && newAchievements.length > 0) {
-                newAchievements.forEach(achievement => {
-                  toast.success(`🏆 Achievement Unlocked: ${achievement.name}!`, {
-                    duration: 5000,
-                  });
-                });
-              }
-              
-              setSessionId(null);
-              // Refresh user stats (streak) immediately
-              reloadUser();
-            }
-          } catch (error) {
-            console.error("Failed to save session:", error);
-            toast.error("Session completed but failed to save. Please check your connection.");
-          }
-        };
-        
-        completeSessionAsync();
-      }
+  // A saved session is only credited by completing it on the server, so it is offered again only
+  // while the server still has it open; one completed or closed since (e.g. by a session started
+  // on another device) is forgotten
+  useEffect(() => {
+    if (!savedProgress?.sessionId || !token) return;
+    let cancelled = false;
+    api.get(`/session/${savedProgress.sessionId}`)
+      .then(response => {
+        if (cancelled) return;
+        const { status } = response.data.data;
+        if (status === "active" || status === "paused") {
+          setSavedProgress(prev => prev && { ...prev, serverStatus: status });
+        } else {
+          clearSessionProgress();
+          setSavedProgress(null);
+        }
+      })
+      .catch(error => {
+        if (cancelled) return;
+        console.error("Failed to check saved session:", error);
+        if (error.response?.status === 404) {
+          clearSessionProgress();
+          setSavedProgress(null);
+        }
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [savedProgress?.sessionId, token]);
+
+  // Keep the session in progress on the device, about once a second as the countdown moves, and
+  // forget it once it ends. Round-based sessions wait on the user to end each retention, so their
+  // time can't be replayed and they are not kept
+  const engineRef = useRef(null);
+  const progressSavedRef = useRef(false);
+  useEffect(() => {
+    if (!(running || paused) || sessionFinished || isRoundSession || !engineRef.current) {
+      if (progressSavedRef.current) clearSessionProgress();
+      progressSavedRef.current = false;
       return;
     }
-    
-    const interval = setInterval(() => {
-      setRemaining(prev => {
-        if (prev <= 1) {
-          setRunning(false);
-          return 0;
+    saveSessionProgress({
+      sessionId,
+      pattern: selectedPattern,
+      program: selectedProgram,
+      sessionMode,
+      duration,
+      cycleCount,
+      sessionEnding,
+      // Until the new pattern's engine starts, the time breathed is what it will carry over
+      elapsedMs: carriedElapsed || engineRef.current.getElapsed(),
+      cycle,
+      sessionStart: sessionStartRef.current,
+    });
+    progressSavedRef.current = true;
+  }, [running, paused, remaining, cycle, sessionFinished, sessionId]);
+
+  // Every session ends on a phase boundary, when the session engine says it's complete:
+  // stop, then save it
+  useEffect(() => {
+    if (!sessionFinished) return;
+    if (running) {
+      setRunning(false);
+      return;
+    }
+
+    const sessionStart = sessionStartRef.current;
+    if (!token || (!sessionId && !sessionStart)) return;
+
+    const completion = {
+      duration: breathedSeconds,
+      // Program sessions keep the stages they started with
+      ...(!selectedProgram && {
+        pattern: toSessionPattern(selectedPattern),
+        catalogId: selectedPattern.catalogId,
+      }),
+      ...(isCycleSession && { cycles: cycle }),
+      // The retentions tell how long a round-based session really was
+      ...(isRoundSession && {
+        duration: Math.ceil(PhaseManager.getRoundsDuration(selectedPattern, selectedPattern.rounds, retentions)),
+        retentions,
+      }),
+    };
+
+    // Without the server, keep the session on the device with the times it really started and
+    // ended; it is sent when the browser is back online
+    const queueForSync = async () => {
+      sessionStartRef.current = null;
+      setSessionId(null);
+      try {
+        await queueSession({
+          clientId: sessionStart.clientId,
+          userId: user?._id,
+          startedAt: sessionStart.startedAt,
+          completedAt: new Date().toISOString(),
+          start: sessionStart.body,
+          complete: completion,
+        });
+        toast.success("Session saved on this device. It will sync when you're back online.");
+      } catch (error) {
+        console.error("Failed to queue session:", error);
+        toast.error("Session completed but failed to save. Please check your connection.");
+      }
+    };
+
+    // Complete session
+    const completeSessionAsync = async () => {
+      if (!sessionId) {
+        await queueForSync();
+        return;
+      }
+      try {
+        const response = await api.post("/session/complete", { sessionId, ...completion });
+
+        if (response.data.success) {
+          sessionStartRef.current = null;
+          const { streak, totalSessions, newAchievements } = response.data.data;
+          
+          toast.success(`Session completed! 🎉 Streak: ${streak} days`);
+          
+          if (newAchievements && newAchievements.length > 0) {
+            newAchievements.forEach(achievement => {
+              toast.success(`🏆 Achievement Unlocked: ${achievement.name}!`, {
+                duration: 5000,
+              });
+            });
+          }
+          
+          setSessionId(null);
+          // Refresh user stats (streak) immediately
+          reloadUser();
         }
-        return prev - 1;
-      });
-    }, 1000);
+      } catch (error) {
+        // Offline, or the server is down: try again later from the device's queue
+        if (sessionStart && (!error.response || error.response.status >= 500)) {
+          await queueForSync();
+          return;
+        }
+        console.error("Failed to save session:", error);
+        toast.error("Session completed but failed to save. Please check your connection.");
+      }
+    };
     
-    return () => clearInterval(interval);
-  }, [running, remaining, sessionId, token, duration, selectedPattern]);
+    completeSessionAsync();
+  }, [running, sessionId, token, user?._id, breathedSeconds, selectedPattern, selectedProgram, isCycleSession, isRoundSession, sessionFinished, cycle, retentions]);
 
   const handleStart = async () => {
+    if (!selectedPattern) return;
+    setSavedProgress(null);
+    sessionStartRef.current = null;
+
     // Start session in database if user is logged in
     if (token) {
-      try {
-        const pattern = {
-          inhale: selectedPattern.inhale,
-          hold: selectedPattern.holdTop || 0,
-          exhale: selectedPattern.exhale,
-        };
-
-        const response = await api.post("/session/start", {
-          duration: duration * 60,
-          pattern,
-        });
+      const body = selectedProgram
+        ? { program: toSessionProgram(selectedProgram, programTimeline) }
+        : {
+            duration: sessionSeconds,
+            pattern: toSessionPattern(selectedPattern),
+            catalogId: selectedPattern.catalogId,
+            ramp: selectedPattern.ramp || undefined,
+            ...(isCycleSession && { cycles: cycleCount }),
+            ...(isRoundSession && { rounds: selectedPattern.rounds }),
+          };
+      // The same key goes with a replayed start or a queued completion, so the server keeps one session
+      sessionStartRef.current = { clientId: createClientId(), startedAt: new Date().toISOString(), body };
+      // Offline, don't hold the session up for the request and its retries; it is queued when it ends
+      if (isOnline()) {
+        try {
+          const response = await api.post("/session/start", { ...body, clientId: sessionStartRef.current.clientId });
 
-        if (response.data.success) {
-          setSessionId(response.data.data._id);
+          if (response.data.success) {
+            setSessionId(response.data.data._id);
+          }
+        } catch (error) {
+          console.error("Failed to start session:", error);
+          // Continue anyway - session will work offline
         }
-      } catch (error) {
-        console.error("Failed to start session:", error);
-        // Continue anyway - session will work offline
       }
     }
 
     setRunning(true);
     setPaused(false);
-    setCycle(1);
+    setCycle(0);
+    setRetentions([]);
+  };
+  // Report pause/resume/pattern-change/abort so the server can measure active time
+  const recordSessionEvent = async (type, extra = {}) => {
+    if (!sessionId || !token) return;
+    try {
+      await api.post(`/session/${sessionId}/events`, { type, ...extra });
+    } catch (error) {
+      console.error(`Failed to record session ${type}:`, error);
+    }
+  };
+
+  // The visualizer reports each program stage it moves into
+  const handleStageChange = useCallback((stageIndex) => {
+    recordSessionEvent("stage-change", { stageIndex });
+  }, [sessionId, token]);
+
+  // The visualizer reports each retention as the user ends it
+  const handleRetention = useCallback((seconds) => {
+    setRetentions(prev => [...prev, seconds]);
+  }, []);
+
+  // Follow the account's saved view once the profile has loaded
+  useEffect(() => {
+    if (user?.preferences?.visualStyle) setVisualStyle(user.preferences.visualStyle);
+  }, [user?.preferences?.visualStyle]);
+
+  // The chosen view is remembered on this device and, when signed in, on the account
+  const handleVisualStyle = async (style) => {
+    setVisualStyle(style);
+    saveVisualStyle(style);
+    if (!token) return;
+    try {
+      await api.put("/user/preferences", { visualStyle: style });
+    } catch (error) {
+      console.error("Failed to save visualizer style:", error);
+    }
+  };
+
+  // Audio and vibration cues, the countdown and the end of the session all follow the visualizer's
+  // session engine, so they run on its clock; a new engine replaces the old one
+  const detachEngineRef = useRef(null);
+  const handleEngine = useCallback((engine) => {
+    if (detachEngineRef.current) detachEngineRef.current();
+    engineRef.current = engine;
+    const detachGuidance = attachGuidance(engine);
+    const unsubscribers = [
+      // Only a resumed or switched session's first start picks up part-way
+      engine.on("start", () => {
+        setBreathedSeconds(null);
+        setResumeFrom(0);
+        setCarriedElapsed(0);
+      }),
+      engine.on("tick", ({ elapsed }) => {
+        setRemaining(Math.max(0, sessionSecondsRef.current - Math.floor(elapsed / 1000)));
+      }),
+      engine.on("complete", ({ at }) => setBreathedSeconds(Math.round(engine.getElapsed(at) / 1000))),
+    ];
+    detachEngineRef.current = () => {
+      unsubscribers.forEach(unsubscribe => unsubscribe());
+      detachGuidance();
+    };
+    setBreathedSeconds(null);
+  }, []);
+
+  useEffect(() => () => {
+    if (detachEngineRef.current) detachEngineRef.current();
+  }, []);
+
+  // Stop any session in progress so a new pattern, program or duration starts fresh
+  const abortSessionInProgress = () => {
+    if (!running && !paused) return;
+    recordSessionEvent("abort");
+    setRunning(false);
+    setPaused(false);
+    setCycle(0);
+    setRetentions([]);
+    setSessionId(null);
+    setCarriedElapsed(0);
+  };
+
+  // Switching between minutes and breaths, or changing the count, starts over
+  const restartForNewLength = () => {
+    if (!running && !paused) return;
+    abortSessionInProgress();
+    setResetKey(prev => prev + 1); // Force visualizer remount
+  };
+
+  // Follow the account's saved ending once the profile has loaded
+  useEffect(() => {
+    if (user?.preferences?.sessionEnding) setSessionEnding(user.preferences.sessionEnding);
+  }, [user?.preferences?.sessionEnding]);
+
+  // A new ending changes how long the session is, so it starts over like a new length
+  const handleSessionEnding = async (ending) => {
+    if (ending === sessionEnding) return;
+    restartForNewLength();
+    setSessionEnding(ending);
+    saveSessionEnding(ending);
+    if (!token) return;
+    try {
+      await api.put("/user/preferences", { sessionEnding: ending });
+    } catch (error) {
+      console.error("Failed to save session ending:", error);
+    }
+  };
+
+  const handleSessionMode = (mode) => {
+    if (mode === sessionMode) return;
+    restartForNewLength();
+    setSessionMode(mode);
+  };
+
+  const handleCycleCount = (count) => {
+    restartForNewLength();
+    setCycleCount(count);
+    setCycleError("");
+  };
+
+  const handleCustomCycles = () => {
+    const value = Number(customCycles);
+    if (!Number.isInteger(value) || value < 1 || value > MAX_CYCLES) {
+      setCycleError(`Enter a whole number between 1-${MAX_CYCLES}`);
+      return;
+    }
+    handleCycleCount(value);
+    setCustomCycles("");
+  };
+
+  const handleProgramSelection = (program) => {
+    abortSessionInProgress();
+    const timeline = PhaseManager.createProgramTimeline(program.stages);
+    setSelectedProgram(program);
+    setSelectedPattern(program.stages.find(stage => !stage.natural).pattern);
+    setRemaining(Math.round(timeline.totalDuration));
+    setResetKey(prev => prev + 1); // Force visualizer to remount with the program
+  };
+
+  const handleExitProgram = () => {
+    abortSessionInProgress();
+    setSelectedProgram(null);
+    setRemaining(duration * 60);
+    setResetKey(prev => prev + 1);
   };
+
   const handlePause = () => {
     setPaused(true);
     setRunning(false);
+    recordSessionEvent("pause");
   };
   const handleResume = () => {
     setPaused(false);
     setRunning(true);
+    recordSessionEvent("resume");
   };
   const handleReset = () => {
+    if (running || paused) recordSessionEvent("abort");
     setRunning(false);
     setPaused(false);
     setCycle(0);
-    setRemaining(duration * 60);
+    setRetentions([]);
+    setRemaining(sessionSeconds);
+    setCarriedElapsed(0);
     setResetKey(prev => prev + 1); // Force visualizer to remount
     setSessionId(null); // Clear session ID
   };
 
+  const handleRestart = () => {
+    handleReset();
+    handleStart();
+  };
+
+  // Pick the interrupted session up again with its settings and server session; the visualizer
+  // replays the time already breathed, so the countdown, breaths and cues carry on from there
+  const handleResumeSaved = async () => {
+    const progress = savedProgress;
+    setSavedProgress(null);
+    setSelectedProgram(progress.program || null);
+    setSelectedPattern(progress.pattern);
+    setSessionMode(progress.sessionMode === "cycles" ? "cycles" : "time");
+    setDuration(progress.duration);
+    setCustomDurationValue(durations.includes(progress.duration) ? null : progress.duration);
+    setCycleCount(progress.cycleCount);
+    setSessionEnding(progress.sessionEnding);
+    setSessionId(progress.sessionId || null);
+    sessionStartRef.current = progress.sessionStart || null;
+    setCycle(progress.cycle || 0);
+    setRetentions([]);
+    setResumeFrom(progress.elapsedMs);
+    setResetKey(prev => prev + 1);
+    setPaused(false);
+    setRunning(true);
+
+    // A session paused before the reload is still paused on the server
+    if (progress.serverStatus !== "paused" || !progress.sessionId || !token) return;
+    try {
+      await api.post(`/session/${progress.sessionId}/events`, { type: "resume" });
+    } catch (error) {
+      console.error("Failed to record session resume:", error);
+    }
+  };
+
+  // Let the interrupted session go; starting the next one closes it on the server, crediting
+  // only the time its events confirm
+  const handleDiscardSaved = () => {
+    clearSessionProgress();
+    setSavedProgress(null);
+  };
+
+  // Focus mode shows only the visualizer and what's left, full screen where the browser allows
+  const handleEnterFocus = () => {
+    setFocusMode(true);
+    enterFullscreen(focusRef.current);
+  };
+  const handleExitFocus = () => {
+    setFocusMode(false);
+    exitFullscreen();
+  };
+
+  // Keyboard controls read the latest handlers through a ref so the listener stays put
+  const focusActionsRef = useRef(null);
+  focusActionsRef.current = {
+    toggle: () => (running ? handlePause() : paused ? handleResume() : handleRestart()),
+    restart: handleRestart,
+    exit: handleExitFocus,
+  };
+
+  useEffect(() => {
+    if (!focusMode) return;
+    const handleKeyDown = (event) => {
+      const action = getFocusAction(event);
+      if (!action) return;
+      event.preventDefault();
+      focusActionsRef.current[action]();
+    };
+    // Browsers leave full screen on Esc themselves without passing the key on
+    const handleFullscreenChange = () => {
+      if (!document.fullscreenElement) setFocusMode(false);
+    };
+    window.addEventListener("keydown", handleKeyDown);
+    document.addEventListener("fullscreenchange", handleFullscreenChange);
+    return () => {
+      window.removeEventListener("keydown", handleKeyDown);
+      document.removeEventListener("fullscreenchange", handleFullscreenChange);
+    };
+  }, [focusMode]);
+
+  // Leave full screen if the page is left mid-session
+  useEffect(() => () => {
+    exitFullscreen();
+  }, []);
+
+  // Keep the screen awake while a focused session runs; the lock is lost whenever the
+  // page is hidden, so take it again on return
+  useEffect(() => {
+    if (!focusMode || !running) return;
+    let lock = null;
+    let cancelled = false;
+    const acquire = async () => {
+      const next = await requestWakeLock();
+      if (cancelled) releaseWakeLock(next);
+      else lock = next;
+    };
+    const handleVisibilityChange = () => {
+      if (document.visibilityState === "visible") acquire();
+    };
+    acquire();
+    document.addEventListener("visibilitychange", handleVisibilityChange);
+    return () => {
+      cancelled = true;
+      document.removeEventListener("visibilitychange", handleVisibilityChange);
+      releaseWakeLock(lock);
+    };
+  }, [focusMode, running]);
+
   const handlePatternSelection = (pattern) => {
     // Validate pattern configuration integrity
     if (!PatternValidator.validatePattern(pattern)) {
@@ -269,13 +647,47 @@ export default function BreathingSession() {
     
     // Clear any previous validation errors
     setPatternValidationError("");
+
+    // Picking a single pattern leaves program mode and starts over
+    if (selectedProgram) {
+      abortSessionInProgress();
+      setSelectedProgram(null);
+      setSelectedPattern(pattern);
+      setRemaining(duration * 60);
+      setResetKey(prev => prev + 1);
+      return;
+    }
     
+    // Round-based patterns can't be switched mid-session; moving to or from one starts over
+    if (pattern.rounds || selectedPattern?.rounds) {
+      abortSessionInProgress();
+      setSelectedPattern(pattern);
+      setResetKey(prev => prev + 1);
+      return;
+    }
+
     // Set the validated pattern
     setSelectedPattern(pattern);
+
+    // Patterns practised by count (e.g. Kapalabhati) suggest a number of breaths
+    if (pattern.cycles && !running && !paused) {
+      setSessionMode("cycles");
+      setCycleCount(pattern.cycles);
+    }
     
+    // Keep an in-progress session alive: pause it, log the switch, and let the user resume. The
+    // time already breathed carries over to the new pattern's visualizer, so the countdown and the
+    // time limit go on from where they were; it is read now, before the new pattern replaces the engine
+    if (running || paused) {
+      if (engineRef.current) setCarriedElapsed(carriedElapsed + engineRef.current.getElapsed());
+      if (running) recordSessionEvent("pause");
+      recordSessionEvent("pattern-change", { pattern: toSessionPattern(pattern), catalogId: pattern.catalogId });
+    }
+
     // Reset animation if running to recalculate paths
     if (running) {
       setRunning(false);
+      setPaused(true);
       setTimeout(() => {
         setResetKey(prev => prev + 1); // Force visualizer to remount with new pattern
       }, 100);
@@ -307,10 +719,12 @@ export default function BreathingSession() {
 
     // If session is running or paused, reset it completely
     if (running || paused) {
+      recordSessionEvent("abort");
       setRunning(false);
       setPaused(false);
       setCycle(0);
       setSessionId(null);
+      setCarriedElapsed(0);
       setResetKey(prev => prev + 1); // Force visualizer remount
     }
 
@@ -337,7 +751,7 @@ export default function BreathingSession() {
   return (
     <div className="max-w-[1300px] mx-auto grid grid-cols-1 md:grid-cols-5 gap-4 md:gap-6 mt-4 px-2 md:px-0 md:items-start">
       {/* Left Panel */}
-      <aside className="md:col-span-1 self-start">
+      <aside className={`md:col-span-1 self-start${focusMode ? " hidden" : ""}`}>
         {/* Streak Card - Enhanced Design (Smaller) */}
 
 
@@ -365,10 +779,10 @@ export default function BreathingSession() {
         </div>
 
         {/* Benefits Section */}
-        {!selectedCategory ? (
+        {!selectedCategory || selectedCategory === PROGRAMS_VIEW ? (
           // Show preview of all 6 categories
           <>
-            {previewBenefits.map((benefit, index) => (
+            {(catalog?.previewBenefits || []).map((benefit, index) => (
               <div
                 key={index}
                 className="card p-3 mb-2 hover:shadow-md hover:border-primary transition-all duration-200 cursor-pointer flex items-center gap-3"
@@ -381,7 +795,7 @@ export default function BreathingSession() {
         ) : (
           // Show 5 benefits for selected category
           <>
-            {benefitsByCategory[selectedCategory].map((benefit, index) => (
+            {(catalog?.benefitsByCategory[selectedCategory] || []).map((benefit, index) => (
               <div
                 key={index}
                 className="card p-3 mb-2 hover:shadow-md hover:border-primary transition-all duration-200 flex items-center gap-3"
@@ -397,11 +811,21 @@ export default function BreathingSession() {
       {/* Center Visualizer */}
       <section className="md:col-span-3 flex flex-col items-center justify-center self-start">
         <div
-          className="card w-full p-8 md:p-12 flex flex-col items-center relative"
+          ref={focusRef}
+          className={`card w-full p-8 md:p-12 flex flex-col items-center relative${focusMode ? " focus-mode" : ""}`}
           style={{ minHeight: "480px" }}
         >
+          {focusMode && (
+            <button
+              className="absolute top-6 right-6 btn-outline px-4 py-1.5 text-sm"
+              onClick={handleExitFocus}
+              aria-label="Exit focus mode"
+            >
+              Exit
+            </button>
+          )}
           {/* Top Left Streak Badge */}
-          <div className="absolute top-6 left-6 flex items-center gap-2 bg-primary-light px-3 py-1.5 rounded-xl border border-primary shadow-sm">
+          <div className={`absolute top-6 left-6 flex items-center gap-2 bg-primary-light px-3 py-1.5 rounded-xl border border-primary shadow-sm${focusMode ? " hidden" : ""}`}>
             <span className="text-2xl">🔥</span>
             <div className="flex flex-col">
               <span className="text-[10px] font-bold text-gray-400 uppercase tracking-wider leading-tight">Streak</span>
@@ -415,7 +839,7 @@ export default function BreathingSession() {
               </div>
             </div>
           </div>
-          <div className="mb-4 text-center">
+          <div className={`mb-4 text-center${focusMode ? " hidden" : ""}`}>
             <span className="session-badge">Practice Session</span>
             <h2 className="session-title mb-2">
               Find your rhythm, one breath at a time
@@ -424,7 +848,30 @@ export default function BreathingSession() {
               ✨ Breathe through your chest, not the belly ✨
             </p>
           </div>
+          {savedProgress && !running && !paused && !focusMode && (
+            <div className="w-full mb-4 flex flex-col md:flex-row items-center justify-between gap-3 bg-primary-light border border-primary rounded-xl px-4 py-3">
+              <div className="text-sm text-gray-700">
+                <span className="font-semibold text-gray-800">Resume where you left off?</span>{" "}
+                {savedProgress.program?.name || savedProgress.pattern.name}, {formatRetention(savedProgress.elapsedMs / 1000)} breathed
+              </div>
+              <div className="flex gap-2">
+                <button className="btn-primary px-4 py-1.5 text-sm" onClick={handleResumeSaved}>
+                  Resume
+                </button>
+                <button className="btn-outline px-4 py-1.5 text-sm" onClick={handleDiscardSaved}>
+                  Discard
+                </button>
+              </div>
+            </div>
+          )}
           {(() => {
+            if (!selectedPattern) {
+              return (
+                <div className="w-full h-64 flex items-center justify-center text-gray-500">
+                  Loading patterns...
+                </div>
+              );
+            }
             try {
               return (
                 <BreathingVisualizer
@@ -433,6 +880,15 @@ export default function BreathingSession() {
                   running={running}
                   onCycle={setCycle}
                   duration={duration}
+                  cycles={isCycleSession ? cycleCount : roundedCycles || undefined}
+                  ending={sessionEnding === "cut" ? "cut" : "finish"}
+                  program={selectedProgram}
+                  onStageChange={handleStageChange}
+                  onRetention={handleRetention}
+                  onEngine={handleEngine}
+                  visualStyle={visualStyle}
+                  resumeFrom={resumeFrom}
+                  carriedElapsed={carriedElapsed}
                 />
               );
             } catch (error) {
@@ -454,26 +910,42 @@ export default function BreathingSession() {
             }
           })()}
           <div className="flex gap-12 mt-8 mb-4 justify-center items-center">
-            <div className="text-center bg-gradient-to-br from-primary-light to-white px-6 py-3 rounded-xl shadow-sm border border-primary">
+            <div className={`text-center bg-gradient-to-br from-primary-light to-white px-6 py-3 rounded-xl shadow-sm border border-primary${focusMode ? " hidden" : ""}`}>
               <div className="text-xs font-medium text-primary-dark mb-1">Time Elapsed</div>
               <div className="text-2xl font-bold text-gray-800">
-                {Math.floor((duration * 60 - remaining) / 60)}:
-                {((duration * 60 - remaining) % 60).toString().padStart(2, "0")}
+                {Math.floor((sessionSeconds - remaining) / 60)}:
+                {((sessionSeconds - remaining) % 60).toString().padStart(2, "0")}
               </div>
             </div>
-            <div className="text-center bg-gradient-to-br from-primary-light to-white px-6 py-3 rounded-xl shadow-sm border border-primary">
-              <div className="text-xs font-medium text-primary-dark mb-1">Time Remaining</div>
-              <div className="text-2xl font-bold text-gray-800">
-                {Math.floor(remaining / 60)}:
-                {(remaining % 60).toString().padStart(2, "0")}
+            {isRoundSession ? (
+              <div className="text-center bg-gradient-to-br from-primary-light to-white px-6 py-3 rounded-xl shadow-sm border border-primary">
+                <div className="text-xs font-medium text-primary-dark mb-1">Rounds Remaining</div>
+                <div className="text-2xl font-bold text-gray-800">{Math.max(0, selectedPattern.rounds.count - cycle)}</div>
               </div>
-            </div>
+            ) : isCycleSession ? (
+              <div className="text-center bg-gradient-to-br from-primary-light to-white px-6 py-3 rounded-xl shadow-sm border border-primary">
+                <div className="text-xs font-medium text-primary-dark mb-1">Cycles Remaining</div>
+                <div className="text-2xl font-bold text-gray-800">{Math.max(0, cycleCount - cycle)}</div>
+              </div>
+            ) : (
+              <div className="text-center bg-gradient-to-br from-primary-light to-white px-6 py-3 rounded-xl shadow-sm border border-primary">
+                <div className="text-xs font-medium text-primary-dark mb-1">Time Remaining</div>
+                <div className="text-2xl font-bold text-gray-800">
+                  {Math.floor(remaining / 60)}:
+                  {(remaining % 60).toString().padStart(2, "0")}
+                </div>
+              </div>
+            )}
           </div>
-          <div className="flex gap-4 mt-2">
+          {focusMode && (
+            <div className="focus-hint">Space to {running ? "pause" : paused ? "resume" : "start"} · R to restart · Esc to exit</div>
+          )}
+          <div className={`flex gap-4 mt-2${focusMode ? " hidden" : ""}`}>
             {!running && !paused && (
               <button
                 className="btn-primary start-btn px-6 py-2 flex items-center gap-2 hover:shadow-lg transition-all duration-200 transform hover:scale-105 font-heading"
                 onClick={handleStart}
+                disabled={!selectedPattern}
                 aria-label="Start session"
               >
                 <svg
@@ -532,12 +1004,19 @@ export default function BreathingSession() {
             >
               Reset
             </button>
+            <button
+              className="btn-outline px-6 py-2 flex items-center justify-center hover:bg-primary-light hover:border-primary transition-all duration-200"
+              onClick={handleEnterFocus}
+              aria-label="Enter focus mode"
+            >
+              Focus
+            </button>
           </div>
         </div>
       </section>
 
       {/* Right Panel */}
-      <aside className="md:col-span-1 self-start">
+      <aside className={`md:col-span-1 self-start${focusMode ? " hidden" : ""}`}>
         {/* Pattern Section - Now at TOP */}
         <div className="card p-4 mb-4">
           {/* Pattern Validation Error Display */}
@@ -546,11 +1025,32 @@ export default function BreathingSession() {
               {patternValidationError}
             </div>
           )}
+          {/* Custom pattern launched from the patterns page */}
+          {selectedPattern?.category === "custom" && (
+            <div className="mb-3 p-3 rounded-lg bg-primary text-white shadow-lg">
+              <div className="text-xs font-medium opacity-90">Custom pattern</div>
+              <div className="font-semibold">{selectedPattern.name}</div>
+              {selectedPattern.ramp && (
+                <div className="text-xs opacity-90">
+                  {selectedPattern.ramp.type === "bpm"
+                    ? `Moves to ${selectedPattern.ramp.endBpm} breaths/min`
+                    : "Phase lengths change"}{" "}
+                  over {Math.round(selectedPattern.ramp.seconds / 60)} min
+                </div>
+              )}
+              <Link to="/patterns" className="text-xs underline opacity-90">
+                Manage patterns
+              </Link>
+            </div>
+          )}
           {/* Layer 1: Category Selection */}
-          {!selectedCategory && (
+          {!selectedCategory && !catalog && !patternValidationError && (
+            <div className="text-sm text-gray-500">Loading patterns...</div>
+          )}
+          {!selectedCategory && catalog && (
             <>
               <div className="font-semibold mb-3">What's your goal?</div>
-              {categories.map((cat) => (
+              {catalog.categories.map((cat) => (
                 <button
                   key={cat.id}
                   className={`w-full px-3 py-2 mb-2 rounded font-heading font-semibold text-sm transition-all duration-200 text-left border ${
@@ -566,11 +1066,57 @@ export default function BreathingSession() {
                   {cat.name}
                 </button>
               ))}
+              {catalog.programs.length > 0 && (
+                <button
+                  className={`w-full px-3 py-2 mb-2 rounded font-heading font-semibold text-sm transition-all duration-200 text-left border ${
+                    selectedProgram
+                      ? "bg-primary-light text-primary-dark border-primary shadow-sm"
+                      : "bg-gray-100 text-gray-700 border-transparent hover:bg-primary-light hover:border-primary"
+                  }`}
+                  onClick={() => setSelectedCategory(PROGRAMS_VIEW)}
+                >
+                  Guided Programs
+                </button>
+              )}
+            </>
+          )}
+
+          {/* Program Selection */}
+          {selectedCategory === PROGRAMS_VIEW && (
+            <>
+              <div className="flex items-center mb-3">
+                <button
+                  onClick={() => setSelectedCategory(null)}
+                  className="mr-2 text-primary hover:text-primary-dark hover:bg-primary-light rounded p-1 transition-all duration-200"
+                  aria-label="Back to categories"
+                >
+                  <svg width="20" height="20" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+                    <path d="M15 18l-6-6 6-6" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" />
+                  </svg>
+                </button>
+                <div className="font-heading font-semibold">Guided Programs</div>
+              </div>
+              {catalog.programs.map((program) => (
+                <button
+                  key={program.id}
+                  onClick={() => handleProgramSelection(program)}
+                  className={
+                    selectedProgram?.id === program.id
+                      ? "w-full text-left px-3 py-3 mb-2 rounded-lg bg-primary text-white shadow-lg"
+                      : "w-full text-left px-3 py-3 mb-2 rounded-lg bg-white border-2 border-gray-200 hover:border-primary hover:shadow-md"
+                  }
+                >
+                  <div className="font-semibold">{program.name}</div>
+                  <div className={`text-xs ${selectedProgram?.id === program.id ? "text-white text-opacity-90" : "text-gray-600"}`}>
+                    {program.stages.map(stage => stage.name).join(" → ")}
+                  </div>
+                </button>
+              ))}
             </>
           )}
 
           {/* Layer 2: Pattern Selection */}
-          {selectedCategory && (
+          {selectedCategory && selectedCategory !== PROGRAMS_VIEW && (
             <>
               <div className="flex items-center mb-3">
                 <button
@@ -595,14 +1141,14 @@ export default function BreathingSession() {
                   </svg>
                 </button>
                 <div className="font-heading font-semibold">
-                  {categories.find((c) => c.id === selectedCategory)?.name}
+                  {catalog.categories.find((c) => c.id === selectedCategory)?.name}
                 </div>
               </div>
-              {patternsByCategory[selectedCategory].map((p) => (
+              {catalog.patternsByCategory[selectedCategory].map((p) => (
                 <div
-                  key={p.name}
+                  key={p.id}
                   className={
-                    selectedPattern.name === p.name
+                    selectedPattern?.id === p.id
                       ? "relative px-3 py-3 mb-2 rounded-lg transition-all duration-300 bg-primary text-white shadow-lg overflow-hidden"
                       : "relative px-3 py-3 mb-2 rounded-lg transition-all duration-300 bg-white border-2 border-gray-200 hover:border-primary hover:shadow-md overflow-hidden"
                   }
@@ -615,7 +1161,7 @@ export default function BreathingSession() {
                     {/* Level Badge - Top Left Corner (Small) */}
                     <div className="absolute top-1.5 left-1.5">
                       <span className={`text-xs font-medium px-1.5 py-0.5 rounded ${
-                        selectedPattern.name === p.name 
+                        selectedPattern?.id === p.id 
                           ? "bg-white bg-opacity-30 text-white"
                           : p.level === "Beginner" ? "bg-green-100 text-green-700" :
                             p.level === "Intermediate" ? "bg-blue-100 text-blue-700" :
@@ -629,7 +1175,7 @@ export default function BreathingSession() {
                     {/* Pattern Name - Title (Large and Centered) */}
                     <div className="text-center mt-4 mb-2">
                       <div className={`text-xl font-bold ${
-                        selectedPattern.name === p.name ? "text-white" : "text-gray-800"
+                        selectedPattern?.id === p.id ? "text-white" : "text-gray-800"
                       }`}>
                         {p.name}
                       </div>
@@ -637,9 +1183,11 @@ export default function BreathingSession() {
 
                     {/* Timing - Bottom in Primary or White */}
                     <div className={`text-center text-xs font-semibold mb-1 ${
-                      selectedPattern.name === p.name ? "text-white" : "text-primary"
+                      selectedPattern?.id === p.id ? "text-white" : "text-primary"
                     }`}>
-                      {p.type === "4-phase" 
+                      {p.type === "n-phase"
+                        ? p.phases.map(phase => `${phaseLabels[phase.type]}: ${phase.duration}s`).join(" - ")
+                        : p.type === "4-phase" 
                         ? `In: ${p.inhale}s - Hold: ${p.holdTop}s - Out: ${p.exhale}s - Hold: ${p.holdBottom}s`
                         : `In: ${p.inhale}s - Hold: ${p.holdTop}s - Out: ${p.exhale}s`
                       }
@@ -650,10 +1198,10 @@ export default function BreathingSession() {
                   <button
                     onClick={(e) => {
                       e.stopPropagation();
-                      setExpandedPattern(expandedPattern === p.name ? null : p.name);
+                      setExpandedPattern(expandedPattern === p.id ? null : p.id);
                     }}
                     className={`w-full flex items-center justify-center gap-1 text-xs font-medium py-1.5 transition-all duration-200 ${
-                      selectedPattern.name === p.name
+                      selectedPattern?.id === p.id
                         ? "text-white hover:bg-white hover:bg-opacity-10"
                         : "text-primary hover:bg-primary-light"
                     } rounded`}
@@ -666,7 +1214,7 @@ export default function BreathingSession() {
                       fill="none"
                       xmlns="http://www.w3.org/2000/svg"
                       className={`transition-transform duration-300 ${
-                        expandedPattern === p.name ? "rotate-180" : ""
+                        expandedPattern === p.id ? "rotate-180" : ""
                       }`}
                     >
                       <path
@@ -682,17 +1230,17 @@ export default function BreathingSession() {
                   {/* Expandable Description Area */}
                   <div
                     className={`transition-all duration-300 ease-in-out ${
-                      expandedPattern === p.name
+                      expandedPattern === p.id
                         ? "max-h-40 opacity-100 mt-2 pt-3 border-t"
                         : "max-h-0 opacity-0"
                     } ${
-                      selectedPattern.name === p.name
+                      selectedPattern?.id === p.id
                         ? "border-white border-opacity-30"
                         : "border-gray-200"
                     }`}
                   >
                     <div className={`text-sm ${
-                      selectedPattern.name === p.name ? "text-white text-opacity-90" : "text-gray-600"
+                      selectedPattern?.id === p.id ? "text-white text-opacity-90" : "text-gray-600"
                     }`}>
                       {p.description}
                     </div>
@@ -703,110 +1251,291 @@ export default function BreathingSession() {
           )}
         </div>
 
+        {/* Program length replaces the duration picker while a program is selected */}
+        {selectedProgram && (
+          <div className="card p-4 mb-4">
+            <div className="font-semibold mb-1">{selectedProgram.name}</div>
+            <div className="text-xs text-gray-600 mb-3">{selectedProgram.description}</div>
+            <ol className="space-y-1 mb-3">
+              {programTimeline.stages.map(stage => (
+                <li key={stage.index} className="flex justify-between text-sm text-gray-700">
+                  <span>{stage.index + 1}. {stage.name}</span>
+                  <span className="text-gray-500">{formatMinutes(stage.duration)}</span>
+                </li>
+              ))}
+            </ol>
+            <button
+              className="w-full px-3 py-2 rounded bg-gray-100 text-gray-700 font-heading font-semibold text-sm hover:bg-primary-light transition-all duration-200"
+              onClick={handleExitProgram}
+            >
+              Exit Program
+            </button>
+          </div>
+        )}
+
+        {/* Round-based patterns replace the duration picker with their rounds */}
+        {isRoundSession && (
+          <div className="card p-4 mb-4">
+            <div className="font-semibold mb-1">Rounds</div>
+            <div className="text-xs text-gray-600 mb-3">
+              {selectedPattern.rounds.count} rounds of {selectedPattern.rounds.breaths} breaths. After the last
+              exhale, hold until you need to breathe and tap Breathe in, then hold the recovery breath
+              for {selectedPattern.rounds.recoveryHold}s.
+            </div>
+            {retentions.length > 0 && (
+              <ol className="space-y-1">
+                {retentions.map((seconds, index) => (
+                  <li key={index} className="flex justify-between text-sm text-gray-700">
+                    <span>Round {index + 1}</span>
+                    <span className="font-semibold">{formatRetention(seconds)}</span>
+                  </li>
+                ))}
+              </ol>
+            )}
+          </div>
+        )}
+
         {/* Duration Section - Now at BOTTOM */}
-        <div className="card p-4 mb-4">
-          <div className="font-semibold mb-3">Duration</div>
-          
-          {/* 2x2 Grid for preset durations */}
-          <div className="grid grid-cols-2 gap-2 mb-2">
-            {durations.map((d) => (
+        {!selectedProgram && !isRoundSession && (
+          <div className="card p-4 mb-4">
+            <div className="font-semibold mb-3">Duration</div>
+            <div className="grid grid-cols-2 gap-2 mb-3" role="group" aria-label="Session length">
+              {sessionModes.map(mode => (
+                <button
+                  key={mode.id}
+                  className={
+                    sessionMode === mode.id
+                      ? "px-3 py-1 rounded-full bg-primary-dark text-white text-xs font-semibold"
+                      : "px-3 py-1 rounded-full bg-gray-100 text-gray-700 text-xs font-semibold hover:bg-primary-light"
+                  }
+                  onClick={() => handleSessionMode(mode.id)}
+                  aria-pressed={sessionMode === mode.id}
+                >
+                  {mode.name}
+                </button>
+              ))}
+            </div>
+
+            {sessionMode === "time" ? (
+              <>
+              {/* 2x2 Grid for preset durations */}
+              <div className="grid grid-cols-2 gap-2 mb-2">
+                {durations.map((d) => (
+                  <button
+                    key={d}
+                    className={
+                      duration === d && !showCustomInput
+                        ? "px-3 py-2 rounded bg-primary text-white font-heading font-semibold text-sm hover:bg-primary-dark transition-all duration-200 transform hover:scale-105"
+                        : "px-3 py-2 rounded bg-gray-100 text-gray-700 font-heading font-semibold text-sm hover:bg-primary-light hover:border-primary transition-all duration-200 border border-transparent"
+                    }
+                    onClick={() => {
+                      // If session is running or paused, reset it completely
+                      if (running || paused) {
+                        recordSessionEvent("abort");
+                        setRunning(false);
+                        setPaused(false);
+                        setCycle(0);
+                        setSessionId(null);
+                        setCarriedElapsed(0);
+                        setResetKey(prev => prev + 1); // Force visualizer remount
+                      }
+                      setDuration(d);
+                      setShowCustomInput(false);
+                      setRemaining(d * 60); // Always update remaining time
+                    }}
+                    aria-pressed={duration === d && !showCustomInput}
+                  >
+                    {d} min
+                  </button>
+                ))}
+              </div>
+            
+              {/* Customize button - always visible */}
               <button
-                key={d}
                 className={
-                  duration === d && !showCustomInput
-                    ? "px-3 py-2 rounded bg-primary text-white font-heading font-semibold text-sm hover:bg-primary-dark transition-all duration-200 transform hover:scale-105"
-                    : "px-3 py-2 rounded bg-gray-100 text-gray-700 font-heading font-semibold text-sm hover:bg-primary-light hover:border-primary transition-all duration-200 border border-transparent"
+                  showCustomInput
+                    ? "w-full px-3 py-2 rounded bg-primary text-white font-heading font-semibold text-sm hover:bg-primary-dark transition-all duration-200"
+                    : "w-full px-3 py-2 rounded bg-gray-100 text-gray-700 font-heading font-semibold text-sm hover:bg-primary-light hover:border-primary transition-all duration-200 border border-transparent"
                 }
                 onClick={() => {
-                  // If session is running or paused, reset it completely
-                  if (running || paused) {
-                    setRunning(false);
-                    setPaused(false);
-                    setCycle(0);
-                    setSessionId(null);
-                    setResetKey(prev => prev + 1); // Force visualizer remount
-                  }
-                  setDuration(d);
-                  setShowCustomInput(false);
-                  setRemaining(d * 60); // Always update remaining time
+                  setShowCustomInput(true);
                 }}
-                aria-pressed={duration === d && !showCustomInput}
               >
-                {d} min
+                Customize
               </button>
-            ))}
-          </div>
-          
-          {/* Customize button - always visible */}
-          <button
-            className={
-              showCustomInput
-                ? "w-full px-3 py-2 rounded bg-primary text-white font-heading font-semibold text-sm hover:bg-primary-dark transition-all duration-200"
-                : "w-full px-3 py-2 rounded bg-gray-100 text-gray-700 font-heading font-semibold text-sm hover:bg-primary-light hover:border-primary transition-all duration-200 border border-transparent"
-            }
-            onClick={() => {
-              setShowCustomInput(true);
-            }}
-          >
-            Customize
-          </button>
-          
-          {/* Custom input field or Custom duration button */}
-          {showCustomInput ? (
-            <div className="w-full mt-2">
-              <div className="flex gap-2 w-full">
-                <input
-                  type="text"
-                  value={customDuration}
-                  onChange={(e) => {
-                    setCustomDuration(e.target.value);
-                    setValidationError(""); // Clear error when typing
-                  }}
-                  onKeyDown={(e) => {
-                    if (e.key === "Enter") {
-                      handleCustomDuration();
-                    }
-                  }}
-                  placeholder="Enter minutes"
-                  className={`flex-1 min-w-0 px-3 py-2 border rounded text-sm focus:outline-none focus:ring-2 ${
-                    validationError
-                      ? "border-red-500 focus:ring-red-500"
-                      : "border-gray-300 focus:ring-primary"
-                  }`}
-                />
+            
+              {/* Custom input field or Custom duration button */}
+              {showCustomInput ? (
+                <div className="w-full mt-2">
+                  <div className="flex gap-2 w-full">
+                    <input
+                      type="text"
+                      value={customDuration}
+                      onChange={(e) => {
+                        setCustomDuration(e.target.value);
+                        setValidationError(""); // Clear error when typing
+                      }}
+                      onKeyDown={(e) => {
+                        if (e.key === "Enter") {
+                          handleCustomDuration();
+                        }
+                      }}
+                      placeholder="Enter minutes"
+                      className={`flex-1 min-w-0 px-3 py-2 border rounded text-sm focus:outline-none focus:ring-2 ${
+                        validationError
+                          ? "border-red-500 focus:ring-red-500"
+                          : "border-gray-300 focus:ring-primary"
+                      }`}
+                    />
+                    <button
+                      onClick={handleCustomDuration}
+                      disabled={!customDuration}
+                      className={`px-4 py-2 rounded text-sm font-heading font-semibold transition whitespace-nowrap ${
+                        !customDuration
+                          ? "bg-gray-300 text-gray-500 cursor-not-allowed"
+                          : "bg-primary text-white hover:bg-primary-dark"
+                      }`}
+                    >
+                      Apply
+                    </button>
+                  </div>
+                  {validationError && (
+                    <p className="text-red-500 text-xs mt-1">{validationError}</p>
+                  )}
+                </div>
+              ) : customDurationValue ? (
                 <button
-                  onClick={handleCustomDuration}
-                  disabled={!customDuration}
-                  className={`px-4 py-2 rounded text-sm font-heading font-semibold transition whitespace-nowrap ${
-                    !customDuration
-                      ? "bg-gray-300 text-gray-500 cursor-not-allowed"
-                      : "bg-primary text-white hover:bg-primary-dark"
-                  }`}
+                  className={
+                    duration === customDurationValue
+                      ? "w-full px-3 py-2 rounded bg-primary text-white font-heading font-semibold text-sm hover:bg-primary-dark transition-all duration-200 mt-2"
+                      : "w-full px-3 py-2 rounded bg-gray-100 text-gray-700 font-heading font-semibold text-sm hover:bg-primary-light hover:border-primary transition-all duration-200 border border-transparent mt-2"
+                  }
+                  onClick={() => {
+                    setDuration(customDurationValue);
+                    if (!running) setRemaining(customDurationValue * 60);
+                  }}
                 >
-                  Apply
+                  {customDurationValue} min
                 </button>
+              ) : null}
+
+              {/* What happens when the time is up */}
+              <div className="text-xs font-semibold text-gray-500 mt-3 mb-2">When time is up</div>
+              <div className="grid grid-cols-3 gap-2" role="group" aria-label="Session ending">
+                {SESSION_ENDINGS.map(ending => (
+                  <button
+                    key={ending.id}
+                    className={
+                      sessionEnding === ending.id
+                        ? "px-2 py-1 rounded-full bg-primary-dark text-white text-xs font-semibold"
+                        : "px-2 py-1 rounded-full bg-gray-100 text-gray-700 text-xs font-semibold hover:bg-primary-light"
+                    }
+                    onClick={() => handleSessionEnding(ending.id)}
+                    aria-pressed={sessionEnding === ending.id}
+                    title={ending.description}
+                  >
+                    {ending.name}
+                  </button>
+                ))}
               </div>
-              {validationError && (
-                <p className="text-red-500 text-xs mt-1">{validationError}</p>
+              {roundedCycles && (
+                <p className="text-xs text-gray-500 mt-2">
+                  {roundedCycles} whole breaths, {Math.floor(sessionSeconds / 60)}:{(sessionSeconds % 60).toString().padStart(2, "0")}
+                </p>
               )}
-            </div>
-          ) : customDurationValue ? (
-            <button
-              className={
-                duration === customDurationValue
-                  ? "w-full px-3 py-2 rounded bg-primary text-white font-heading font-semibold text-sm hover:bg-primary-dark transition-all duration-200 mt-2"
-                  : "w-full px-3 py-2 rounded bg-gray-100 text-gray-700 font-heading font-semibold text-sm hover:bg-primary-light hover:border-primary transition-all duration-200 border border-transparent mt-2"
-              }
-              onClick={() => {
-                setDuration(customDurationValue);
-                if (!running) setRemaining(customDurationValue * 60);
-              }}
-            >
-              {customDurationValue} min
-            </button>
-          ) : null}
-        </div>
+              </>
+            ) : (
+              <>
+                {/* Breath-count presets */}
+                <div className="grid grid-cols-2 gap-2 mb-2">
+                  {cycleCounts.map((count) => (
+                    <button
+                      key={count}
+                      className={
+                        cycleCount === count
+                          ? "px-3 py-2 rounded bg-primary text-white font-heading font-semibold text-sm hover:bg-primary-dark transition-all duration-200 transform hover:scale-105"
+                          : "px-3 py-2 rounded bg-gray-100 text-gray-700 font-heading font-semibold text-sm hover:bg-primary-light hover:border-primary transition-all duration-200 border border-transparent"
+                      }
+                      onClick={() => handleCycleCount(count)}
+                      aria-pressed={cycleCount === count}
+                    >
+                      {count} cycles
+                    </button>
+                  ))}
+                </div>
+                {!cycleCounts.includes(cycleCount) && (
+                  <div className="w-full px-3 py-2 mb-2 rounded bg-primary text-white font-heading font-semibold text-sm text-center">
+                    {cycleCount} cycles
+                  </div>
+                )}
+                <div className="flex gap-2 w-full">
+                  <input
+                    type="text"
+                    inputMode="numeric"
+                    value={customCycles}
+                    onChange={(e) => {
+                      setCustomCycles(e.target.value);
+                      setCycleError("");
+                    }}
+                    onKeyDown={(e) => {
+                      if (e.key === "Enter") {
+                        handleCustomCycles();
+                      }
+                    }}
+                    placeholder="Enter cycles"
+                    aria-label="Number of cycles"
+                    className={`flex-1 min-w-0 px-3 py-2 border rounded text-sm focus:outline-none focus:ring-2 ${
+                      cycleError
+                        ? "border-red-500 focus:ring-red-500"
+                        : "border-gray-300 focus:ring-primary"
+                    }`}
+                  />
+                  <button
+                    onClick={handleCustomCycles}
+                    disabled={!customCycles}
+                    className={`px-4 py-2 rounded text-sm font-heading font-semibold transition whitespace-nowrap ${
+                      !customCycles
+                        ? "bg-gray-300 text-gray-500 cursor-not-allowed"
+                        : "bg-primary text-white hover:bg-primary-dark"
+                    }`}
+                  >
+                    Apply
+                  </button>
+                </div>
+                {cycleError && (
+                  <p className="text-red-500 text-xs mt-1">{cycleError}</p>
+                )}
+                {selectedPattern && (
+                  <p className="text-xs text-gray-500 mt-2">
+                    About {sessionSeconds < 60 ? `${sessionSeconds}s` : formatMinutes(sessionSeconds)}
+                  </p>
+                )}
+              </>
+            )}
+          </div>
+        )}
 
+        {/* View: how the breath is drawn */}
+        <div className="card p-4 mb-4">
+          <div className="font-semibold mb-3">View</div>
+          <div className="grid grid-cols-2 gap-2" role="group" aria-label="Visualizer style">
+            {VISUALIZER_STYLES.map(style => (
+              <button
+                key={style.id}
+                className={
+                  visualStyle === style.id
+                    ? "px-3 py-2 rounded bg-primary text-white font-heading font-semibold text-sm"
+                    : "px-3 py-2 rounded bg-gray-100 text-gray-700 font-heading font-semibold text-sm hover:bg-primary-light"
+                }
+                onClick={() => handleVisualStyle(style.id)}
+                aria-pressed={visualStyle === style.id}
+                title={style.description}
+              >
+                {style.name}
+              </button>
+            ))}
+          </div>
+        </div>
       </aside>
     </div>
   );
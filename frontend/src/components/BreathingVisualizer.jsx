@@ -1,14 +1,42 @@
 import { useCallback, useEffect, useMemo, useRef, useState } from "react";
 import { PathCalculator } from "../utils/PathCalculator.js";
 import { PhaseManager } from "../utils/PhaseManager.js";
+import { SessionEngine } from "../utils/SessionEngine.js";
+import { getStyleFrame, getVisualizerStyle } from "./VisualizerStyles.jsx";
+
+// Format seconds as m:ss for the stage countdown
+const formatClock = (seconds) => {
+  const whole = Math.max(0, Math.ceil(seconds));
+  return `${Math.floor(whole / 60)}:${(whole % 60).toString().padStart(2, "0")}`;
+};
+
+// Spell out a phase annotation, e.g. "Left nostril · Hum"
+const describeAnnotation = (annotation) => {
+  const parts = [];
+  if (annotation.side) parts.push(`${annotation.side === "left" ? "Left" : "Right"} nostril`);
+  if (annotation.airway === "mouth") parts.push("Through the mouth");
+  else if (annotation.airway === "nose" && !annotation.side) parts.push("Through the nose");
+  if (annotation.humming) parts.push("Hum");
+  return parts.join(" · ");
+};
 
 export default function BreathingVisualizer({
   pattern,
   running,
   onCycle,
   duration, // Add duration prop
+  cycles, // Optional breath count; ends the session after this many full cycles instead of after `duration`
+  ending = "finish", // When `duration` runs out: "cut" stops at once, "finish" completes the breath in progress
+  program, // Optional multi-stage program: { name, stages: [{ pattern, seconds } | { natural, seconds }] }
+  onStageChange,
+  onRetention, // Round-based patterns: called with (seconds, roundIndex) when the user ends a retention
+  onEngine, // Called with each new SessionEngine, to subscribe to phase, cycle and stage events
+  visualStyle = "path", // One of VISUALIZER_STYLES; styles other than the path draw from the same phase state
+  resumeFrom = 0, // Active milliseconds already breathed in a session picked up again after a reload
+  carriedElapsed = 0, // Active milliseconds breathed on the pattern a session switched from; counted, not replayed
 }) {
   const [phase, setPhase] = useState("idle");
+  const [phaseIndex, setPhaseIndex] = useState(0);
   const [progress, setProgress] = useState(0);
   const [errorState, setErrorState] = useState(null);
   const [performanceWarnings, setPerformanceWarnings] = useState([]);
@@ -22,28 +50,87 @@ export default function BreathingVisualizer({
     cycleNum: 1,
   });
   const frameCount = useRef(0);
-  const lastFrameTime = useRef(Date.now());
+  const lastFrameTime = useRef(performance.now());
   const phaseManagerRef = useRef(null);
+  const engineRef = useRef(null);
+  const onEngineRef = useRef(onEngine);
   const pathMetricsCache = useRef(null);
   const pathDCache = useRef(null);
   const lastPatternHash = useRef(null);
+  const managerKeyRef = useRef(null);
+  const onStageChangeRef = useRef(onStageChange);
+  const stageIndexRef = useRef(0);
+  const stageSecondsRef = useRef(null);
+  const [stageIndex, setStageIndex] = useState(0);
+  const [stageRemaining, setStageRemaining] = useState(null);
+  // Pattern a ramp has reached; the path is redrawn from it once per breath
+  const livePatternRef = useRef(null);
+  const [livePattern, setLivePattern] = useState(null);
+  const [rampProgress, setRampProgress] = useState(0);
+  // Round-based patterns: current round and breath, and the running retention clock
+  const roundKeyRef = useRef(null);
+  const [roundState, setRoundState] = useState(null);
+  // How to breathe in the current phase, for annotated patterns (side, airway, humming)
+  const annotationKeyRef = useRef(null);
+  const [annotation, setAnnotation] = useState(null);
+
+  // Keep the latest callbacks without restarting the animation effect
+  useEffect(() => {
+    onStageChangeRef.current = onStageChange;
+    onEngineRef.current = onEngine;
+  }, [onStageChange, onEngine]);
 
   // Update running ref whenever running prop changes
   useEffect(() => {
     runningRef.current = running;
   }, [running]);
 
+  // Program stages with whole-breath durations, as PhaseManager will run them
+  const programTimeline = useMemo(() => {
+    if (!program) return null;
+    try {
+      return PhaseManager.createProgramTimeline(program.stages);
+    } catch (error) {
+      console.error('BreathingVisualizer: Invalid program', error);
+      return null;
+    }
+  }, [program]);
+
+  const currentStage = programTimeline ? programTimeline.stages[stageIndex] : null;
+  const nextStage = programTimeline ? programTimeline.stages[stageIndex + 1] : null;
+
+  // The path follows the current stage; natural stages keep the previous guided shape
+  const displayPattern = useMemo(() => {
+    if (!programTimeline) return (pattern.ramp && livePattern) || pattern;
+    for (let i = stageIndex; i >= 0; i--) {
+      if (!programTimeline.stages[i].natural) return programTimeline.stages[i].pattern;
+    }
+    return programTimeline.stages.find(stage => !stage.natural)?.pattern || pattern;
+  }, [programTimeline, stageIndex, pattern, livePattern]);
+
   // Memoize pattern hash for cache invalidation
   const patternHash = useMemo(() => {
-    if (!pattern) return 'null';
+    if (!displayPattern) return 'null';
     return JSON.stringify({
-      type: pattern.type,
-      inhale: pattern.inhale,
-      holdTop: pattern.holdTop,
-      exhale: pattern.exhale,
-      holdBottom: pattern.holdBottom
+      type: displayPattern.type,
+      inhale: displayPattern.inhale,
+      holdTop: displayPattern.holdTop,
+      exhale: displayPattern.exhale,
+      holdBottom: displayPattern.holdBottom,
+      phases: displayPattern.phases
     });
-  }, [pattern]);
+  }, [displayPattern]);
+
+  // Identifies what the PhaseManager was built for; a program keeps one manager across its stages
+  // and a ramp keeps one across every breath, so neither remounts as the path changes
+  const managerKey = useMemo(() => {
+    if (programTimeline) return JSON.stringify(program.stages.map(stage => [stage.natural, stage.seconds, stage.pattern?.name]));
+    if (pattern.ramp || pattern.rounds) {
+      const { type, inhale, holdTop, exhale, holdBottom, ramp, rounds } = pattern;
+      return JSON.stringify({ type, inhale, holdTop, exhale, holdBottom, ramp, rounds });
+    }
+    return patternHash;
+  }, [programTimeline, program, pattern, patternHash]);
 
   // Memoize configuration constants for performance
   const viewConfig = useMemo(() => ({
@@ -82,6 +169,17 @@ export default function BreathingVisualizer({
     }
   }, [availableHeight, viewWidth]);
 
+  // n-phase patterns are laid out phase by phase instead of as the fixed up-hold-down-hold zigzag
+  const phaseLayout = useMemo(() => {
+    if (displayPattern?.type !== "n-phase") return null;
+    try {
+      return PathCalculator.calculatePhaseLayout(displayPattern.phases, config);
+    } catch (error) {
+      console.error('BreathingVisualizer: Error laying out phases', error);
+      return null;
+    }
+  }, [displayPattern, config]);
+
   // Optimized path metrics calculation with caching
   const getPathMetrics = useCallback(() => {
     // Check if we can use cached metrics
@@ -91,7 +189,7 @@ export default function BreathingVisualizer({
 
     // Calculate new metrics
     try {
-      const metrics = PathCalculator.calculatePathMetrics(pattern, config);
+      const metrics = PathCalculator.calculatePathMetrics(displayPattern, config);
       
       // Cache the results
       pathMetricsCache.current = metrics;
@@ -113,15 +211,15 @@ export default function BreathingVisualizer({
         isValid: false
       };
     }
-  }, [pattern, config, patternHash]);
+  }, [displayPattern, config, patternHash]);
 
   useEffect(() => {
     let mounted = true;
     
-    // Calculate total cycles based on duration and pattern
-    // Each cycle duration = inhale + holdTop + exhale + (holdBottom if 4-phase)
-    const cycleDuration = pattern.inhale + (pattern.holdTop || 0) + pattern.exhale + (pattern.holdBottom || 0);
-    const totalCycles = duration ? Math.ceil((duration * 60) / cycleDuration) : 999999; // Use very large number if no duration
+    // Round-based patterns and breath counts end after a number of cycles, timed sessions when
+    // `duration` runs out (see `ending`), and programs with their last stage
+    const engineCycles = programTimeline ? Infinity : pattern.rounds ? pattern.rounds.count : cycles || Infinity;
+    const timeLimit = !programTimeline && !pattern.rounds && !cycles && duration ? duration * 60 * 1000 : Infinity;
     
     // Validate pattern before creating PhaseManager (with performance optimization)
     let patternValidation;
@@ -147,13 +245,51 @@ export default function BreathingVisualizer({
       setPerformanceWarnings(patternValidation.warnings);
     }
     
+    // Wrap a new PhaseManager in a SessionEngine and let subscribers know about it
+    const createEngine = (manager) => {
+      engineRef.current?.stop();
+      const engine = new SessionEngine(manager, { totalCycles: engineCycles, timeLimit, ending });
+      engine.on('stageChange', ({ stageIndex: index, stage }) => {
+        stageIndexRef.current = index;
+        setStageIndex(index);
+        if (onStageChangeRef.current) onStageChangeRef.current(index, stage);
+      });
+      // The session can end while no frames are drawn, in a background tab
+      engine.on('complete', ({ cycleNumber }) => {
+        setPhase("done");
+        setProgress(1);
+        if (onCycle) onCycle(cycleNumber);
+      });
+      engineRef.current = engine;
+      if (onEngineRef.current) onEngineRef.current(engine);
+      return engine;
+    };
+
     // Reuse or create PhaseManager with performance optimization
     let phaseManager = phaseManagerRef.current;
     
-    if (!phaseManager || lastPatternHash.current !== patternHash) {
+    if (!phaseManager || managerKeyRef.current !== managerKey) {
       try {
         phaseManager = new PhaseManager(pattern, config);
+        if (programTimeline) {
+          phaseManager.setProgram(program.stages);
+        } else if (pattern.ramp) {
+          phaseManager.setRamp(pattern.ramp);
+        } else if (pattern.rounds) {
+          phaseManager.setRounds(pattern.rounds);
+        }
+        livePatternRef.current = null;
+        setLivePattern(null);
+        setRampProgress(0);
+        roundKeyRef.current = null;
+        setRoundState(null);
+        annotationKeyRef.current = null;
+        setAnnotation(null);
         phaseManagerRef.current = phaseManager;
+        createEngine(phaseManager);
+        managerKeyRef.current = managerKey;
+        stageIndexRef.current = 0;
+        stageSecondsRef.current = null;
         
         // Check for PhaseManager errors
         if (phaseManager.hasErrors()) {
@@ -183,25 +319,31 @@ export default function BreathingVisualizer({
         // Create new phase manager as fallback
         phaseManager = new PhaseManager(pattern, config);
         phaseManagerRef.current = phaseManager;
+        createEngine(phaseManager);
       }
     }
 
+    const engine = engineRef.current;
+    engine.setTotalCycles(engineCycles);
+    engine.setTimeLimit(timeLimit, ending);
+
     function runVisualizer() {
       if (!runningRef.current) return;
 
-      // Check if we're resuming from pause or starting fresh
-      const isResuming = previousRunningRef.current === false && pausedStateRef.current.progress > 0;
+      // Check if we're resuming from pause or starting fresh; a retention has no progress to go by
+      const isResuming = previousRunningRef.current === false && (pausedStateRef.current.progress > 0 || phaseManager.isPaused);
       
       if (isResuming) {
         // Restore phase manager state from pause
         phaseManager.currentPhaseIndex = pausedStateRef.current.phaseIdx;
         phaseManager.phaseProgress = pausedStateRef.current.progress;
         phaseManager.cycleNumber = pausedStateRef.current.cycleNum;
-        phaseManager.resume();
+        engine.resume();
       } else {
-        // Start fresh
-        phaseManager.reset();
-        phaseManager.start();
+        // Start fresh; a resumed session starts as far back as it had got, and the first tick
+        // catches up through the breaths already taken. A session that switched pattern keeps
+        // its time but breathes the new pattern from its first phase
+        engine.start(engine.clock.now() - resumeFrom, { elapsed: carriedElapsed });
       }
       
       previousRunningRef.current = true;
@@ -210,8 +352,8 @@ export default function BreathingVisualizer({
         if (!mounted || !runningRef.current) return;
 
         try {
-          // Performance monitoring with optimized frequency
-          const currentTime = Date.now();
+          // Frames read the session clock, the same one the countdown is derived from
+          const currentTime = engine.clock.now();
           frameCount.current++;
           
           // Check frame rate every 120 frames (approximately 2 seconds at 60fps) for better performance
@@ -235,8 +377,8 @@ export default function BreathingVisualizer({
             lastFrameTime.current = currentTime;
           }
 
-          // Update phase manager state with error handling
-          const state = phaseManager.update(currentTime);
+          // Advance the session; phase, cycle and stage events go out to subscribers from here
+          const state = engine.tick(currentTime);
           
           // Check for PhaseManager errors during update
           if (phaseManager.hasErrors()) {
@@ -264,14 +406,48 @@ export default function BreathingVisualizer({
             return;
           }
           
-          // Check if we've completed all cycles
-          if (state.cycleNumber >= totalCycles) {
-            setPhase("done");
-            setProgress(1);
-            if (onCycle) onCycle(totalCycles);
-            return;
+          // Tick the stage countdown once per second; stage changes arrive as engine events
+          if (programTimeline) {
+            const secondsLeft = Math.ceil(state.stageRemaining);
+            if (secondsLeft !== stageSecondsRef.current) {
+              stageSecondsRef.current = secondsLeft;
+              setStageRemaining(state.stageRemaining);
+            }
+          }
+
+          // Follow the ramp: the path and timings change once per breath
+          if (state.rampProgress !== undefined && state.pattern !== livePatternRef.current) {
+            livePatternRef.current = state.pattern;
+            setLivePattern(state.pattern);
+            setRampProgress(state.rampProgress);
+          }
+
+          // Follow the rounds: breath count during the fast breathing, a seconds clock during the retention
+          if (state.totalRounds !== undefined) {
+            const roundKey = `${state.round}:${state.breath}:${state.recovery}:${Math.floor(state.openPhaseElapsed)}`;
+            if (roundKey !== roundKeyRef.current) {
+              roundKeyRef.current = roundKey;
+              setRoundState({
+                round: state.round,
+                totalRounds: state.totalRounds,
+                breath: state.breath,
+                totalBreaths: state.totalBreaths,
+                recovery: state.recovery,
+                holdSeconds: Math.floor(state.openPhaseElapsed),
+              });
+            }
+          }
+
+          // Follow the phase's annotation; alternating patterns swap sides every breath
+          const annotationKey = state.annotation ? JSON.stringify(state.annotation) : null;
+          if (annotationKey !== annotationKeyRef.current) {
+            annotationKeyRef.current = annotationKey;
+            setAnnotation(state.annotation || null);
           }
 
+          // Stop drawing once every cycle (or program stage) is done; the complete event shows it
+          if (engine.completed) return;
+
           // Batch state updates for better performance
           const newPhase = state.currentPhase;
           const newProgress = Math.max(0, Math.min(1, state.phaseProgress)); // Clamp progress
@@ -279,10 +455,12 @@ export default function BreathingVisualizer({
           // Only update state if values actually changed
           if (newPhase !== phase || Math.abs(newProgress - progress) > 0.001) {
             setPhase(newPhase);
+            setPhaseIndex(state.phaseIndex);
             setProgress(newProgress);
           }
           
           // Save state for pause/resume
+          const previousCycle = pausedStateRef.current.cycleNum;
           pausedStateRef.current = {
             phase: state.currentPhase,
             progress: state.phaseProgress,
@@ -291,7 +469,7 @@ export default function BreathingVisualizer({
           };
           
           // Only call onCycle when cycle number actually changes
-          if (onCycle && state.cycleNumber !== pausedStateRef.current.cycleNum) {
+          if (onCycle && state.cycleNumber !== previousCycle) {
             onCycle(state.cycleNumber);
           }
           
@@ -316,10 +494,8 @@ export default function BreathingVisualizer({
 
     if (!running) {
       previousRunningRef.current = false;
-      // Pause the phase manager when not running
-      if (phaseManager) {
-        phaseManager.pause();
-      }
+      // Pause the session when not running
+      engine.pause();
     }
     
     runVisualizer();
@@ -331,15 +507,65 @@ export default function BreathingVisualizer({
       }
       // Clear performance monitoring
       frameCount.current = 0;
-      lastFrameTime.current = Date.now();
+      lastFrameTime.current = performance.now();
+    };
+  }, [running, pattern, onCycle, managerKey, duration, cycles, ending]); // Add duration to dependencies
+
+  // End the session when the visualizer goes away, so subscribers can clean up
+  useEffect(() => () => engineRef.current?.stop(), []);
+
+  // Background tabs get no animation frames; keep the session moving on a timer so cues,
+  // the countdown and the end of the session still happen while the tab is hidden
+  useEffect(() => {
+    if (!running) return;
+    let timer = null;
+    const handleVisibilityChange = () => {
+      clearInterval(timer);
+      timer = document.hidden ? setInterval(() => engineRef.current?.tick(), 1000) : null;
+    };
+    handleVisibilityChange();
+    document.addEventListener("visibilitychange", handleVisibilityChange);
+    return () => {
+      clearInterval(timer);
+      document.removeEventListener("visibilitychange", handleVisibilityChange);
     };
-  }, [running, pattern, onCycle, patternHash, duration]); // Add duration to dependencies
+  }, [running]);
 
   // Memoize path calculations for performance
   const pathData = useMemo(() => {
     const topY = padding;
     const bottomY = viewHeight - padding;
     const diagonalHorizontal = availableHeight / Math.sqrt(3);
+
+    // n-phase patterns: one segment per phase, with the start of a breath (empty lungs)
+    // lined up with the ball at the start of the animation
+    if (phaseLayout) {
+      const { segments, cycleWidth } = phaseLayout;
+      const levelY = (level) => bottomY - level * availableHeight;
+      const fixedBallX = config.fixedBallPosition;
+      const n = Math.ceil((fixedBallX + cycleWidth) / cycleWidth);
+      const startX = fixedBallX - (n * cycleWidth);
+      const numCycles = n + Math.ceil(viewWidth / cycleWidth) + 2;
+
+      const points = [{ x: startX, y: bottomY }];
+      for (let i = 0; i < numCycles; i++) {
+        segments.forEach(segment => {
+          points.push({ x: startX + (i * cycleWidth) + segment.startX + segment.width, y: levelY(segment.toLevel) });
+        });
+      }
+
+      return {
+        points,
+        pathD: points.map((p, i) => `${i === 0 ? 'M' : 'L'} ${p.x} ${p.y}`).join(' '),
+        cycleWidth,
+        totalWidth: startX + (numCycles * cycleWidth),
+        topY,
+        bottomY,
+        segments,
+        horizontalOffset: 0,
+        fixedBallPosition: config.fixedBallPosition
+      };
+    }
     
     // Get cached or calculate path metrics
     const pathMetrics = getPathMetrics();
@@ -437,7 +663,7 @@ export default function BreathingVisualizer({
       horizontalOffset,
       fixedBallPosition: config.fixedBallPosition
     };
-  }, [viewWidth, viewHeight, padding, availableHeight, getPathMetrics, config.fixedBallPosition]);
+  }, [viewWidth, viewHeight, padding, availableHeight, getPathMetrics, config.fixedBallPosition, phaseLayout]);
   
   // Memoize animation calculations for performance
   const animationData = useMemo(() => {
@@ -445,7 +671,23 @@ export default function BreathingVisualizer({
       return { animationOffset: 0, ballY: pathData.bottomY };
     }
 
-    const phases = phaseManagerRef.current.getAllPhases();
+    // n-phase patterns: the ball follows the current segment, so a top-up climbs from where the inhale stopped
+    if (pathData.segments && phase !== "natural") {
+      const segment = pathData.segments[phaseIndex];
+      if (!segment || phase === "idle" || phase === "done") {
+        return { animationOffset: 0, ballY: pathData.bottomY };
+      }
+      const level = segment.fromLevel + (progress * (segment.toLevel - segment.fromLevel));
+      return {
+        animationOffset: segment.startX + (progress * segment.width),
+        ballY: pathData.bottomY - (level * availableHeight),
+      };
+    }
+
+    // Round-based patterns scroll one breath of the pattern at a time, whatever the round's phase
+    const phases = pattern.rounds && !programTimeline
+      ? PhaseManager.createPhaseSequence(displayPattern, config)
+      : phaseManagerRef.current.getAllPhases();
     
     // Calculate cycle progress based on current phase and progress
     let elapsedTime = 0;
@@ -486,6 +728,10 @@ export default function BreathingVisualizer({
         // Ball stays at bottom during holdBottom (Box Breathing only)
         ballY = pathData.bottomY;
         break;
+      case "natural":
+        // Unguided program stage: ball rests midway while the path drifts by
+        ballY = (pathData.topY + pathData.bottomY) / 2;
+        break;
       default:
         // Ball at starting position (bottom) for idle/done states
         ballY = pathData.bottomY;
@@ -496,7 +742,20 @@ export default function BreathingVisualizer({
     ballY = Math.max(pathData.topY, Math.min(pathData.bottomY, ballY));
 
     return { animationOffset, ballY };
-  }, [phase, progress, pathData, availableHeight]);
+  }, [phase, phaseIndex, progress, pathData, availableHeight, pattern.rounds, programTimeline, displayPattern, config]);
+
+  // The user needs to breathe: close the retention and report how long it lasted
+  const handleEndRetention = () => {
+    const engine = engineRef.current;
+    if (!engine) return;
+    const roundIndex = engine.phaseManager.cycleNumber;
+    const seconds = engine.endOpenPhase();
+    if (seconds !== null && onRetention) onRetention(seconds, roundIndex);
+  };
+
+  const isRetention = phase === "retention";
+  const annotationLabel = annotation ? describeAnnotation(annotation) : "";
+  const StyleComponent = getVisualizerStyle(visualStyle).component;
 
 
   // Error state display
@@ -541,41 +800,65 @@ export default function BreathingVisualizer({
             overflow: "hidden",
           }}
         >
-          <svg
-            width={pathData.totalWidth}
-            height={viewHeight}
-            viewBox={`0 0 ${pathData.totalWidth} ${viewHeight}`}
-            style={{
-              display: "block",
-              transform: `translateX(-${animationData.animationOffset % pathData.cycleWidth}px)`,
-              willChange: "transform",
-            }}
-          >
-            <path
-              d={pathData.pathD}
-              stroke="var(--primary)"
-              strokeWidth="2"
-              strokeLinecap="round"
-              strokeLinejoin="round"
-              fill="none"
+          {StyleComponent ? (
+            <StyleComponent
+              {...getStyleFrame(phaseManagerRef.current?.phases, phaseIndex, progress, phase)}
+              phase={phase}
+              phaseIndex={phaseIndex}
+              width={viewWidth}
+              height={viewHeight}
             />
-          </svg>
-
-          <div
-            style={{
-              position: "absolute",
-              left: `${pathData.fixedBallPosition}px`,
-              top: `${animationData.ballY}px`,
-              transform: "translate(-50%, -50%)",
-              width: "50px",
-              height: "50px",
-              borderRadius: "50%",
-              backgroundColor: "white",
-              boxShadow: "0 8px 24px rgba(13, 124, 123, 0.4)",
-              border: "4px solid var(--primary)",
-              zIndex: 10,
-            }}
-          />
+          ) : (
+            <>
+              <svg
+                width={pathData.totalWidth}
+                height={viewHeight}
+                viewBox={`0 0 ${pathData.totalWidth} ${viewHeight}`}
+                style={{
+                  display: "block",
+                  transform: `translateX(-${animationData.animationOffset % pathData.cycleWidth}px)`,
+                  willChange: "transform",
+                }}
+              >
+                {isRetention ? (
+                  // Indeterminate hold: a flat line with no end in sight until the user breathes
+                  <path
+                    d={`M 0 ${pathData.bottomY} L ${pathData.totalWidth} ${pathData.bottomY}`}
+                    stroke="var(--primary)"
+                    strokeWidth="2"
+                    strokeDasharray="8 8"
+                    fill="none"
+                  />
+                ) : (
+                  <path
+                    d={pathData.pathD}
+                    stroke="var(--primary)"
+                    strokeWidth="2"
+                    strokeLinecap="round"
+                    strokeLinejoin="round"
+                    fill="none"
+                    opacity={phase === "natural" ? 0.3 : 1}
+                  />
+                )}
+              </svg>
+
+              <div
+                style={{
+                  position: "absolute",
+                  left: `${pathData.fixedBallPosition}px`,
+                  top: `${animationData.ballY}px`,
+                  transform: "translate(-50%, -50%)",
+                  width: "50px",
+                  height: "50px",
+                  borderRadius: "50%",
+                  backgroundColor: "white",
+                  boxShadow: "0 8px 24px rgba(13, 124, 123, 0.4)",
+                  border: "4px solid var(--primary)",
+                  zIndex: 10,
+                }}
+              />
+            </>
+          )}
         </div>
         <div className="text-xl font-heading font-semibold text-primary-dark mt-1 text-center">
           {phase === "idle"
@@ -583,11 +866,62 @@ export default function BreathingVisualizer({
             : phase === "done"
             ? "Done"
             : phase === "holdTop"
+            ? (roundState?.recovery ? "Recovery hold" : "Hold")
+            : phase === "retention"
             ? "Hold"
             : phase === "holdBottom"
             ? "Hold"
+            : phase === "topUp"
+            ? "Top up"
+            : phase === "natural"
+            ? "Breathe naturally"
             : phase.charAt(0).toUpperCase() + phase.slice(1)}
         </div>
+        {annotationLabel && phase !== "done" && (
+          <div className="text-sm font-semibold text-primary mt-1 text-center" aria-live="polite">
+            {annotationLabel}
+          </div>
+        )}
+        {roundState && phase !== "done" && (
+          <div className="text-sm text-gray-600 mt-1 text-center" aria-live="polite">
+            <span className="font-semibold">
+              Round {roundState.round} of {roundState.totalRounds}
+            </span>
+            {roundState.breath !== null && ` · Breath ${roundState.breath} of ${roundState.totalBreaths}`}
+            {isRetention && ` · ${formatClock(roundState.holdSeconds)}`}
+          </div>
+        )}
+        {isRetention && running && (
+          <button
+            className="btn-primary mt-3 px-6 py-2 font-heading"
+            onClick={handleEndRetention}
+          >
+            Breathe in
+          </button>
+        )}
+        {pattern.ramp && !programTimeline && (
+          <div className="text-sm text-gray-600 mt-1 text-center">
+            <span className="font-semibold">Ramp {Math.round(rampProgress * 100)}%</span>
+            {" · "}
+            {[displayPattern.inhale, displayPattern.holdTop || 0, displayPattern.exhale]
+              .concat(displayPattern.holdBottom > 0 ? [displayPattern.holdBottom] : [])
+              .join("-")}s
+          </div>
+        )}
+        {currentStage && (
+          <div className="text-sm text-gray-600 mt-1 text-center" aria-live="polite">
+            <span className="font-semibold">
+              Stage {stageIndex + 1} of {programTimeline.stages.length}: {currentStage.name}
+            </span>
+            {" · "}
+            {formatClock(stageRemaining ?? currentStage.duration)} left
+            {nextStage ? (
+              <div className="text-xs text-gray-500">Up next: {nextStage.name}</div>
+            ) : (
+              <div className="text-xs text-gray-500">Final stage</div>
+            )}
+          </div>
+        )}
       </div>
     </div>
   );
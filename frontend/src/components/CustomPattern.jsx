@@ -1,57 +1,460 @@
-import { useState } from "react";
+import { useEffect, useMemo, useState } from "react";
+import { PatternValidator } from "../utils/PatternValidator";
 
-export default function CustomPattern({ onSave }) {
-  const [inhale, setInhale] = useState(5);
-  const [hold, setHold] = useState(2);
-  const [exhale, setExhale] = useState(7);
+const phaseFields = [
+  { key: "inhale", label: "Inhale (s)" },
+  { key: "holdTop", label: "Hold after inhale (s)" },
+  { key: "exhale", label: "Exhale (s)" },
+  { key: "holdBottom", label: "Hold after exhale (s)", fourPhaseOnly: true },
+];
 
-  const save = () => {
-    if (onSave)
-      onSave({
-        inhale: Number(inhale),
-        hold: Number(hold),
-        exhale: Number(exhale),
+const rampModes = [
+  { id: "phases", name: "Phase targets" },
+  { id: "bpm", name: "Breaths per minute" },
+];
+
+const sideOptions = [
+  { id: "", name: "Both nostrils" },
+  { id: "left", name: "Left nostril" },
+  { id: "right", name: "Right nostril" },
+];
+const airwayOptions = [
+  { id: "", name: "Nose or mouth" },
+  { id: "nose", name: "Nose" },
+  { id: "mouth", name: "Mouth" },
+];
+const emptyCue = { side: "", airway: "", humming: false };
+
+// Limits mirror the server's ramp validation
+const MAX_RAMP_MINUTES = 60;
+const BPM_RANGE = { min: 1, max: 30 };
+
+const emptyForm = {
+  name: "",
+  description: "",
+  isPublic: false,
+  type: "3-phase",
+  inhale: 5,
+  holdTop: 2,
+  exhale: 7,
+  holdBottom: 4,
+  rampEnabled: false,
+  rampType: "phases",
+  rampMinutes: 8,
+  rampInhale: 5,
+  rampHoldTop: 2,
+  rampExhale: 10,
+  rampHoldBottom: 4,
+  rampEndBpm: 6,
+  cuesEnabled: false,
+  cues: Object.fromEntries(phaseFields.map(field => [field.key, emptyCue])),
+  alternateSides: false,
+  // Saved n-phase patterns: { phases, annotations, alternateSides }, kept as they were saved
+  sequence: null,
+};
+
+// How each step of an n-phase pattern is listed, e.g. "Inhale 2s · Top-up inhale 1s · Exhale 6s"
+const sequenceLabels = { inhale: "Inhale", topUp: "Top-up inhale", hold: "Hold", exhale: "Exhale" };
+
+// Drop unset cue fields and phases without any cue; null when nothing is cued
+const toAnnotations = (cues, type) => {
+  const annotations = {};
+  phaseFields
+    .filter(field => !field.fourPhaseOnly || type === "4-phase")
+    .forEach(({ key }) => {
+      const { side, airway, humming } = cues[key];
+      const annotation = {
+        ...(side && { side }),
+        ...(airway && { airway }),
+        ...(humming && { humming: true }),
+      };
+      if (Object.keys(annotation).length > 0) annotations[key] = annotation;
+    });
+  return Object.keys(annotations).length > 0 ? annotations : null;
+};
+
+// Flatten a saved pattern document ({ name, pattern: {...} }) into form fields
+const toForm = (saved) => {
+  if (!saved) return emptyForm;
+  const { pattern = {}, ramp } = saved;
+  const target = ramp?.target || {};
+  const holdTop = pattern.holdTop ?? pattern.hold ?? 0;
+  return {
+    name: saved.name || "",
+    description: saved.description || "",
+    isPublic: Boolean(saved.isPublic),
+    type: pattern.type || (pattern.holdBottom > 0 ? "4-phase" : "3-phase"),
+    inhale: pattern.inhale ?? emptyForm.inhale,
+    holdTop,
+    exhale: pattern.exhale ?? emptyForm.exhale,
+    holdBottom: pattern.holdBottom ?? emptyForm.holdBottom,
+    rampEnabled: Boolean(ramp),
+    rampType: ramp?.type || emptyForm.rampType,
+    rampMinutes: ramp ? ramp.seconds / 60 : emptyForm.rampMinutes,
+    // Phases without a target stay where the pattern starts
+    rampInhale: target.inhale ?? pattern.inhale ?? emptyForm.rampInhale,
+    rampHoldTop: target.holdTop ?? holdTop,
+    rampExhale: target.exhale ?? pattern.exhale ?? emptyForm.rampExhale,
+    rampHoldBottom: target.holdBottom ?? pattern.holdBottom ?? emptyForm.rampHoldBottom,
+    rampEndBpm: ramp?.endBpm ?? emptyForm.rampEndBpm,
+    cuesEnabled: Boolean(pattern.annotations),
+    cues: Object.fromEntries(phaseFields.map(({ key }) => [key, { ...emptyCue, ...pattern.annotations?.[key] }])),
+    alternateSides: Boolean(pattern.alternateSides),
+    sequence: pattern.type === "n-phase"
+      ? { phases: pattern.phases, annotations: pattern.annotations, alternateSides: pattern.alternateSides }
+      : null,
+  };
+};
+
+// Number inputs hold strings; an empty field becomes NaN so the validator reports it
+const toSeconds = (value) => (value === "" ? NaN : Number(value));
+
+export default function CustomPattern({ initialPattern, onSave, onCancel, saving = false }) {
+  const [form, setForm] = useState(() => toForm(initialPattern));
+
+  useEffect(() => {
+    setForm(toForm(initialPattern));
+  }, [initialPattern]);
+
+  const isSequence = form.type === "n-phase";
+
+  const pattern = useMemo(() => {
+    // This form only edits 3- and 4-phase timings; an n-phase pattern keeps its steps and cues
+    if (form.type === "n-phase") {
+      const { phases, annotations, alternateSides } = form.sequence;
+      return {
+        type: "n-phase",
+        phases,
+        ...(annotations && { annotations }),
+        ...(alternateSides && { alternateSides: true }),
+      };
+    }
+    const annotations = form.cuesEnabled ? toAnnotations(form.cues, form.type) : null;
+    return {
+      type: form.type,
+      inhale: toSeconds(form.inhale),
+      holdTop: toSeconds(form.holdTop),
+      exhale: toSeconds(form.exhale),
+      ...(form.type === "4-phase" && { holdBottom: toSeconds(form.holdBottom) }),
+      ...(annotations && { annotations }),
+      ...(annotations && form.alternateSides && { alternateSides: true }),
+    };
+  }, [form]);
+
+  // Validate the same shape the practice screen uses, so what saves here will also play there
+  const validation = useMemo(() => PatternValidator.validatePatternDetailed({
+    ...pattern,
+    name: form.name.trim() || "Custom",
+    level: "Custom",
+    category: "custom",
+    description: form.description,
+  }), [pattern, form.name, form.description]);
+
+  const ramp = useMemo(() => {
+    if (!form.rampEnabled || form.type === "n-phase") return null;
+    const seconds = Math.round(toSeconds(form.rampMinutes) * 60);
+    if (form.rampType === "bpm") return { type: "bpm", seconds, endBpm: toSeconds(form.rampEndBpm) };
+    return {
+      type: "phases",
+      seconds,
+      target: {
+        inhale: toSeconds(form.rampInhale),
+        holdTop: toSeconds(form.rampHoldTop),
+        exhale: toSeconds(form.rampExhale),
+        ...(form.type === "4-phase" && { holdBottom: toSeconds(form.rampHoldBottom) }),
+      },
+    };
+  }, [form]);
+
+  // The ramp's end point has to be a pattern the practice screen can play too
+  const rampErrors = useMemo(() => {
+    if (!ramp) return [];
+    const errors = [];
+    if (!(ramp.seconds >= 60 && ramp.seconds <= MAX_RAMP_MINUTES * 60)) {
+      errors.push(`Ramp length must be 1-${MAX_RAMP_MINUTES} minutes`);
+    }
+    if (ramp.type === "bpm") {
+      if (!(ramp.endBpm >= BPM_RANGE.min && ramp.endBpm <= BPM_RANGE.max)) {
+        errors.push(`Target rate must be ${BPM_RANGE.min}-${BPM_RANGE.max} breaths per minute`);
+      }
+    } else {
+      const target = PatternValidator.validatePatternDetailed({
+        ...pattern,
+        ...ramp.target,
+        name: "Ramp target",
+        level: "Custom",
+        category: "custom",
+        description: "",
       });
+      target.errors.forEach(error => errors.push(`Ramp target: ${error.message}`));
+    }
+    return errors;
+  }, [ramp, pattern]);
+
+  const nameError = form.name.trim() ? "" : "Give your pattern a name";
+  const canSave = validation.isValid && rampErrors.length === 0 && !nameError && !saving;
+  let cycleSeconds = null;
+  if (validation.isValid) {
+    cycleSeconds = isSequence
+      ? pattern.phases.reduce((total, phase) => total + phase.duration, 0)
+      : pattern.inhale + pattern.holdTop + pattern.exhale + (pattern.holdBottom || 0);
+  }
+
+  const update = (key, value) => setForm(prev => ({ ...prev, [key]: value }));
+  const updateCue = (phase, key, value) => setForm(prev => ({
+    ...prev,
+    cues: { ...prev.cues, [phase]: { ...prev.cues[phase], [key]: value } },
+  }));
+
+  const save = () => {
+    if (!canSave || !onSave) return;
+    onSave({
+      name: form.name.trim(),
+      description: form.description.trim(),
+      isPublic: form.isPublic,
+      pattern,
+      // Turning the ramp off on an existing pattern has to clear it on the server
+      ...(ramp ? { ramp } : initialPattern?.ramp && { ramp: null }),
+    });
   };
 
   return (
     <div className="bg-white p-4 rounded shadow-sm">
-      <h3 className="font-semibold">Custom Pattern</h3>
+      <h3 className="font-semibold">{initialPattern ? "Edit Pattern" : "Custom Pattern"}</h3>
       <div className="mt-2 space-y-2">
         <div>
-          <label className="block text-sm">Inhale (s)</label>
+          <label htmlFor="pattern-name" className="block text-sm">Name</label>
           <input
-            type="number"
-            value={inhale}
-            onChange={(e) => setInhale(e.target.value)}
+            id="pattern-name"
+            type="text"
+            value={form.name}
+            maxLength={60}
+            onChange={(e) => update("name", e.target.value)}
             className="w-full border rounded px-2 py-1"
           />
         </div>
         <div>
-          <label className="block text-sm">Hold (s)</label>
-          <input
-            type="number"
-            value={hold}
-            onChange={(e) => setHold(e.target.value)}
+          <label htmlFor="pattern-description" className="block text-sm">Description</label>
+          <textarea
+            id="pattern-description"
+            value={form.description}
+            maxLength={500}
+            rows={2}
+            onChange={(e) => update("description", e.target.value)}
             className="w-full border rounded px-2 py-1"
           />
         </div>
-        <div>
-          <label className="block text-sm">Exhale (s)</label>
+        <div className="flex gap-2" role="group" aria-label="Pattern type">
+          {["3-phase", "4-phase"].concat(form.sequence ? ["n-phase"] : []).map(type => (
+            <button
+              key={type}
+              type="button"
+              onClick={() => update("type", type)}
+              aria-pressed={form.type === type}
+              className={`px-3 py-1 rounded text-sm border ${
+                form.type === type ? "bg-cyan-500 text-white border-cyan-500" : "bg-white text-gray-700"
+              }`}
+            >
+              {type}
+            </button>
+          ))}
+        </div>
+        {isSequence && (
+          <p className="text-sm text-gray-600">
+            {form.sequence.phases.map(phase => `${sequenceLabels[phase.type]} ${phase.duration}s`).join(" · ")}.
+            {" "}Switch to 3-phase or 4-phase to edit the timings here.
+          </p>
+        )}
+        {!isSequence && phaseFields
+          .filter(field => !field.fourPhaseOnly || form.type === "4-phase")
+          .map(field => (
+            <div key={field.key}>
+              <label htmlFor={`pattern-${field.key}`} className="block text-sm">{field.label}</label>
+              <input
+                id={`pattern-${field.key}`}
+                type="number"
+                min="0"
+                step="0.5"
+                value={form[field.key]}
+                onChange={(e) => update(field.key, e.target.value)}
+                className="w-full border rounded px-2 py-1"
+              />
+            </div>
+          ))}
+        {!isSequence && (
+          <label className="flex items-center gap-2 text-sm">
+            <input
+              type="checkbox"
+              checked={form.rampEnabled}
+              onChange={(e) => update("rampEnabled", e.target.checked)}
+            />
+            Ramp gradually over the session
+          </label>
+        )}
+        {form.rampEnabled && !isSequence && (
+          <div className="pl-4 border-l-2 border-cyan-200 space-y-2">
+            <div>
+              <label htmlFor="ramp-type" className="block text-sm">Ramp by</label>
+              <select
+                id="ramp-type"
+                value={form.rampType}
+                onChange={(e) => update("rampType", e.target.value)}
+                className="w-full border rounded px-2 py-1"
+              >
+                {rampModes.map(mode => (
+                  <option key={mode.id} value={mode.id}>{mode.name}</option>
+                ))}
+              </select>
+            </div>
+            {form.rampType === "bpm" ? (
+              <div>
+                <label htmlFor="ramp-end-bpm" className="block text-sm">Target breaths per minute</label>
+                <input
+                  id="ramp-end-bpm"
+                  type="number"
+                  min={BPM_RANGE.min}
+                  max={BPM_RANGE.max}
+                  step="0.5"
+                  value={form.rampEndBpm}
+                  onChange={(e) => update("rampEndBpm", e.target.value)}
+                  className="w-full border rounded px-2 py-1"
+                />
+              </div>
+            ) : (
+              phaseFields
+                .filter(field => !field.fourPhaseOnly || form.type === "4-phase")
+                .map(field => {
+                  const key = `ramp${field.key.charAt(0).toUpperCase()}${field.key.slice(1)}`;
+                  return (
+                    <div key={key}>
+                      <label htmlFor={`ramp-${field.key}`} className="block text-sm">Target {field.label.toLowerCase()}</label>
+                      <input
+                        id={`ramp-${field.key}`}
+                        type="number"
+                        min="0"
+                        step="0.5"
+                        value={form[key]}
+                        onChange={(e) => update(key, e.target.value)}
+                        className="w-full border rounded px-2 py-1"
+                      />
+                    </div>
+                  );
+                })
+            )}
+            <div>
+              <label htmlFor="ramp-minutes" className="block text-sm">Ramp length (min)</label>
+              <input
+                id="ramp-minutes"
+                type="number"
+                min="1"
+                max={MAX_RAMP_MINUTES}
+                value={form.rampMinutes}
+                onChange={(e) => update("rampMinutes", e.target.value)}
+                className="w-full border rounded px-2 py-1"
+              />
+            </div>
+          </div>
+        )}
+        {!isSequence && (
+          <label className="flex items-center gap-2 text-sm">
+            <input
+              type="checkbox"
+              checked={form.cuesEnabled}
+              onChange={(e) => update("cuesEnabled", e.target.checked)}
+            />
+            Add nostril, nose/mouth or humming cues
+          </label>
+        )}
+        {form.cuesEnabled && !isSequence && (
+          <div className="pl-4 border-l-2 border-cyan-200 space-y-2">
+            {phaseFields
+              .filter(field => !field.fourPhaseOnly || form.type === "4-phase")
+              .map(field => {
+                const phaseName = field.label.replace(" (s)", "");
+                return (
+                  <fieldset key={field.key} className="grid grid-cols-3 gap-2 items-center">
+                    <legend className="text-sm col-span-3">{phaseName}</legend>
+                    <select
+                      aria-label={`${phaseName} side`}
+                      value={form.cues[field.key].side}
+                      onChange={(e) => updateCue(field.key, "side", e.target.value)}
+                      className="border rounded px-2 py-1 text-sm"
+                    >
+                      {sideOptions.map(option => (
+                        <option key={option.id} value={option.id}>{option.name}</option>
+                      ))}
+                    </select>
+                    <select
+                      aria-label={`${phaseName} airway`}
+                      value={form.cues[field.key].airway}
+                      onChange={(e) => updateCue(field.key, "airway", e.target.value)}
+                      className="border rounded px-2 py-1 text-sm"
+                    >
+                      {airwayOptions.map(option => (
+                        <option key={option.id} value={option.id}>{option.name}</option>
+                      ))}
+                    </select>
+                    <label className="flex items-center gap-1 text-sm">
+                      <input
+                        type="checkbox"
+                        aria-label={`${phaseName} humming`}
+                        checked={form.cues[field.key].humming}
+                        onChange={(e) => updateCue(field.key, "humming", e.target.checked)}
+                      />
+                      Hum
+                    </label>
+                  </fieldset>
+                );
+              })}
+            <label className="flex items-center gap-2 text-sm">
+              <input
+                type="checkbox"
+                checked={form.alternateSides}
+                onChange={(e) => update("alternateSides", e.target.checked)}
+              />
+              Swap nostrils every other breath
+            </label>
+          </div>
+        )}
+        <label className="flex items-center gap-2 text-sm">
           <input
-            type="number"
-            value={exhale}
-            onChange={(e) => setExhale(e.target.value)}
-            className="w-full border rounded px-2 py-1"
+            type="checkbox"
+            checked={form.isPublic}
+            onChange={(e) => update("isPublic", e.target.checked)}
           />
+          Share publicly so others can save it
+        </label>
+
+        {/* Live validation feedback */}
+        <div aria-live="polite" className="text-sm space-y-1">
+          {nameError && <div className="text-red-600">{nameError}</div>}
+          {validation.errors.map((error, index) => (
+            <div key={`error-${index}`} className="text-red-600">{error.message}</div>
+          ))}
+          {rampErrors.map((error, index) => (
+            <div key={`ramp-error-${index}`} className="text-red-600">{error}</div>
+          ))}
+          {validation.warnings.map((warning, index) => (
+            <div key={`warning-${index}`} className="text-amber-600">{warning.message}</div>
+          ))}
+          {cycleSeconds !== null && (
+            <div className="text-gray-600">One breath takes {cycleSeconds}s</div>
+          )}
         </div>
-        <div className="mt-2">
+
+        <div className="mt-2 flex gap-2">
           <button
             onClick={save}
-            className="px-3 py-2 bg-cyan-500 text-white rounded"
+            disabled={!canSave}
+            className="px-3 py-2 bg-cyan-500 text-white rounded disabled:opacity-50"
           >
-            Save Pattern
+            {saving ? "Saving..." : "Save Pattern"}
           </button>
+          {onCancel && (
+            <button onClick={onCancel} className="px-3 py-2 border rounded">
+              Cancel
+            </button>
+          )}
         </div>
       </div>
     </div>
@@ -1,10 +1,13 @@
 import { motion } from "framer-motion";
 import { useContext, useEffect, useState } from "react";
 import toast from "react-hot-toast";
+import { Link } from "react-router-dom";
 import {
     Area,
     AreaChart,
     Cell,
+    Line,
+    LineChart,
     Pie,
     PieChart,
     ResponsiveContainer,
@@ -14,17 +17,14 @@ import {
 } from "recharts";
 import { AuthContext } from "../context/AuthContext";
 import api from "../utils/api";
+import { formatDayKey } from "../utils/timezone";
 
 // Tooltip component for activity heatmap
 const ActivityTooltip = ({ day, position }) => {
   if (!day) return null;
   
   // Format date as "30 January, 2026"
-  const formatDate = (dateStr) => {
-    const date = new Date(dateStr);
-    const options = { day: 'numeric', month: 'long', year: 'numeric' };
-    return date.toLocaleDateString('en-US', options);
-  };
+  const formatDate = (dateStr) => formatDayKey(dateStr, { day: 'numeric', month: 'long', year: 'numeric' });
   
   return (
     <div 
@@ -57,6 +57,7 @@ export default function Dashboard() {
   const [weeklyActivity, setWeeklyActivity] = useState([]);
   const [patternUsage, setPatternUsage] = useState([]);
   const [insights, setInsights] = useState([]);
+  const [breathHolds, setBreathHolds] = useState(null);
 
   useEffect(() => {
     fetchDashboardData();
@@ -65,17 +66,23 @@ export default function Dashboard() {
   const fetchDashboardData = async () => {
     try {
       setLoading(true);
-      const [statsRes, activityRes, patternsRes, insightsRes] = await Promise.all([
+      const [statsRes, activityRes, patternsRes, insightsRes, holdsRes] = await Promise.all([
         api.get("/dashboard/stats"),
         api.get("/dashboard/weekly-activity"),
         api.get("/dashboard/pattern-usage"),
         api.get("/dashboard/insights"),
+        // Hold results are an extra panel; without them the rest of the dashboard still loads
+        api.get("/breath-hold").catch((error) => {
+          console.error("Breath hold fetch error:", error);
+          return null;
+        }),
       ]);
 
       if (statsRes.data.success) setStats(statsRes.data.data);
       if (activityRes.data.success) setWeeklyActivity(activityRes.data.data);
       if (patternsRes.data.success) setPatternUsage(patternsRes.data.data);
       if (insightsRes.data.success) setInsights(insightsRes.data.data);
+      if (holdsRes?.data.success) setBreathHolds(holdsRes.data.data);
     } catch (error) {
       console.error("Dashboard fetch error:", error);
       toast.error("Failed to load dashboard data");
@@ -139,6 +146,7 @@ export default function Dashboard() {
             value={stats?.today.streak || 0}
             label="Day Streak"
             subtitle={`Best: ${stats?.allTime.longestStreak || 0} days`}
+            detail={<StreakFreezes freezes={stats?.freezes} />}
             color="teal"
             delay={0.1}
           />
@@ -423,11 +431,11 @@ export default function Dashboard() {
                 </defs>
                 <XAxis
                   dataKey="date"
-                  tickFormatter={(date) => new Date(date).toLocaleDateString('en-US', { weekday: 'short' })}
+                  tickFormatter={(date) => formatDayKey(date, { weekday: 'short' })}
                 />
                 <YAxis />
                 <Tooltip
-                  labelFormatter={(date) => new Date(date).toLocaleDateString()}
+                  labelFormatter={(date) => formatDayKey(date)}
                   formatter={(value) => [`${value} sessions`, 'Sessions']}
                 />
                 <Area
@@ -442,6 +450,55 @@ export default function Dashboard() {
           </motion.div>
         </div>
 
+        {/* Breath-Hold History */}
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ delay: 1.15 }}
+          className="bg-white rounded-2xl shadow-lg p-6 mb-8"
+        >
+          <div className="flex items-center justify-between mb-4">
+            <h2 className="text-2xl font-bold text-gray-900 flex items-center">
+              <span className="text-3xl mr-3">🫁</span>
+              Breath-Hold Score
+            </h2>
+            <Link to="/breath-hold" className="text-sm font-semibold text-primary-dark underline">
+              Take the test
+            </Link>
+          </div>
+          {breathHolds?.daily.length > 0 ? (
+            <>
+              <div className="text-sm text-gray-600 mb-2">
+                Best daily hold over the last 90 days · best {breathHolds.best}s
+              </div>
+              <ResponsiveContainer width="100%" height={220}>
+                <LineChart data={breathHolds.daily}>
+                  <XAxis
+                    dataKey="date"
+                    tickFormatter={(date) => formatDayKey(date, { month: 'short', day: 'numeric' })}
+                  />
+                  <YAxis unit="s" />
+                  <Tooltip
+                    labelFormatter={(date) => formatDayKey(date)}
+                    formatter={(value) => [`${value}s`, 'Best hold']}
+                  />
+                  <Line
+                    type="monotone"
+                    dataKey="best"
+                    stroke="#0EA5A4" /* Recharts requires hex - matches Tailwind primary */
+                    strokeWidth={2}
+                    dot={{ r: 3 }}
+                  />
+                </LineChart>
+              </ResponsiveContainer>
+            </>
+          ) : (
+            <div className="text-gray-500 text-sm">
+              No breath-hold results yet. Measure your CO₂ tolerance to start tracking it here.
+            </div>
+          )}
+        </motion.div>
+
         {/* Achievements */}
         <motion.div
           initial={{ opacity: 0, y: 20 }}
@@ -461,7 +518,7 @@ export default function Dashboard() {
 }
 
 // Stat Card Component
-function StatCard({ icon, value, label, subtitle, color, delay }) {
+function StatCard({ icon, value, label, subtitle, detail, color, delay }) {
   const colorClasses = {
     teal: "from-primary to-primary-dark shadow-primary/20",
     blue: "from-blue-400 to-blue-500 shadow-blue-200",
@@ -493,11 +550,36 @@ function StatCard({ icon, value, label, subtitle, color, delay }) {
         </motion.div>
         <div className="text-sm font-semibold opacity-90 mb-1">{label}</div>
         <div className="text-xs opacity-75">{subtitle}</div>
+        {detail}
       </div>
     </motion.div>
   );
 }
 
+// Banked streak freezes and the last day one covered, for the streak card
+function StreakFreezes({ freezes }) {
+  if (!freezes) return null;
+  const [lastUsed] = freezes.used;
+  const formatDay = (day) => formatDayKey(day, { month: "short", day: "numeric" });
+
+  return (
+    <div
+      className="mt-3 pt-3 border-t border-white/20 text-xs space-y-1"
+      title={`Earn a freeze for every ${freezes.earnedEvery} days in a row. Banked freezes cover missed days automatically.`}
+    >
+      <div className="font-semibold">
+        🧊 {freezes.banked}/{freezes.max} streak freeze{freezes.max === 1 ? "" : "s"} banked
+      </div>
+      {lastUsed && (
+        <div className="opacity-75">
+          Last used for {formatDay(lastUsed.day)}
+          {freezes.used.length > 1 && ` (+${freezes.used.length - 1} earlier)`}
+        </div>
+      )}
+    </div>
+  );
+}
+
 // Comparison Bar Component
 function ComparisonBar({ label, current, previous, change }) {
   const maxValue = Math.max(current, previous, 1);
@@ -1,12 +1,16 @@
-import { useContext, useState } from "react";
+import { useContext, useEffect, useState } from "react";
 import { NavLink, useLocation } from "react-router-dom";
 import { AuthContext } from "../context/AuthContext";
+import { isOnline, subscribeToConnectivity } from "../utils/pwa";
 import AuthRequiredModal from "./AuthRequiredModal";
 
 export default function Navbar() {
   const location = useLocation();
   const { token } = useContext(AuthContext);
   const [showAuthModal, setShowAuthModal] = useState(false);
+  const [online, setOnline] = useState(isOnline);
+
+  useEffect(() => subscribeToConnectivity(setOnline), []);
   
   // Check if we're on login or register page
   const isAuthPage = location.pathname === '/login' || location.pathname === '/register';
@@ -15,6 +19,8 @@ export default function Navbar() {
   const navItems = [
     { name: "Home", path: "/", requiresAuth: false },
     { name: "Practice", path: "/practice", requiresAuth: false },
+    { name: "Patterns", path: "/patterns", requiresAuth: true },
+    { name: "Breath Test", path: "/breath-hold", requiresAuth: true },
     { name: "Dashboard", path: "/dashboard", requiresAuth: true },
     { name: "Profile", path: "/profile", requiresAuth: true },
   ];
@@ -25,7 +31,7 @@ export default function Navbar() {
       // On login/register pages: show only Home and Practice
       return navItems.filter(item => !item.requiresAuth);
     }
-    // On all other pages: show all 4 buttons
+    // On all other pages: show every button
     return navItems;
   };
 
@@ -48,6 +54,17 @@ export default function Navbar() {
             <img src="/logo.png" alt="Respira Logo" className="h-8 w-8" />
             <div className="text-xl font-bold tracking-tight">Respira</div>
           </NavLink>
+          {/* Practice keeps working offline; finished sessions sync once the connection is back */}
+          {!online && (
+            <span
+              role="status"
+              className="flex items-center gap-1.5 bg-gray-100 text-gray-700 text-xs font-semibold px-3 py-1 rounded-full border border-gray-200"
+              title="You can keep practising. Sessions sync when you're back online."
+            >
+              <span className="h-2 w-2 rounded-full bg-gray-400" aria-hidden="true" />
+              Offline
+            </span>
+          )}
           <div className="flex items-center gap-2">
             {visibleNavItems.map((item) => (
               <NavLink
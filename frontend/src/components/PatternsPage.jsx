@@ -0,0 +1,263 @@
+import { useEffect, useState } from "react";
+import toast from "react-hot-toast";
+import { useNavigate } from "react-router-dom";
+import api from "../utils/api";
+import CustomPattern from "./CustomPattern";
+
+const sortOptions = [
+  { id: "newest", name: "Newest" },
+  { id: "popular", name: "Most saved" },
+  { id: "name", name: "Name" },
+];
+
+// Shape a saved pattern document like the practice catalog entries BreathingSession expects
+const toPracticePattern = (saved) => {
+  const { pattern } = saved;
+  const type = pattern.type || (pattern.holdBottom > 0 ? "4-phase" : "3-phase");
+  return {
+    id: saved._id,
+    name: saved.name,
+    type,
+    inhale: pattern.inhale,
+    holdTop: pattern.holdTop ?? pattern.hold ?? 0,
+    exhale: pattern.exhale,
+    ...(type === "4-phase" && { holdBottom: pattern.holdBottom }),
+    ...(type === "n-phase" && { phases: pattern.phases }),
+    ...(saved.ramp && { ramp: saved.ramp }),
+    ...(pattern.annotations && { annotations: pattern.annotations }),
+    ...(pattern.alternateSides && { alternateSides: true }),
+    level: "Custom",
+    category: "custom",
+    description: saved.description || "Custom pattern",
+  };
+};
+
+// Timings as "4-7-8"; a top-up inhale joins the inhale before it, as in "2+1-6"
+const formatPhases = ({ pattern }) => {
+  if (pattern.type === "n-phase") {
+    return pattern.phases
+      .map((phase, i) => `${i === 0 ? "" : phase.type === "topUp" ? "+" : "-"}${phase.duration}`)
+      .join("");
+  }
+  const phases = [pattern.inhale, pattern.holdTop ?? pattern.hold ?? 0, pattern.exhale];
+  if (pattern.type === "4-phase") phases.push(pattern.holdBottom);
+  return phases.join("-");
+};
+
+function PatternRow({ pattern, children }) {
+  return (
+    <div className="card p-4 flex flex-col md:flex-row md:items-center md:justify-between gap-3">
+      <div>
+        <div className="flex items-center gap-2">
+          <span className="font-semibold text-gray-800">{pattern.name}</span>
+          <span className="text-xs text-primary font-semibold">{formatPhases(pattern)}</span>
+          {pattern.ramp && (
+            <span className="text-[10px] bg-amber-100 text-amber-700 px-1.5 py-0.5 rounded-full font-bold">Ramp</span>
+          )}
+          {pattern.pattern.annotations && (
+            <span className="text-[10px] bg-purple-100 text-purple-700 px-1.5 py-0.5 rounded-full font-bold">Cues</span>
+          )}
+          {pattern.isPublic && (
+            <span className="text-[10px] bg-primary-light text-primary-dark px-1.5 py-0.5 rounded-full font-bold">Public</span>
+          )}
+        </div>
+        {pattern.description && <div className="text-sm text-gray-600">{pattern.description}</div>}
+        {pattern.user?.name && <div className="text-xs text-gray-400">by {pattern.user.name}</div>}
+      </div>
+      <div className="flex flex-wrap gap-2">{children}</div>
+    </div>
+  );
+}
+
+export default function PatternsPage() {
+  const navigate = useNavigate();
+  const [tab, setTab] = useState("mine");
+  const [myPatterns, setMyPatterns] = useState([]);
+  const [publicPatterns, setPublicPatterns] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [editing, setEditing] = useState(null); // null = closed, {} = new, doc = editing
+  const [saving, setSaving] = useState(false);
+  const [search, setSearch] = useState("");
+  const [sort, setSort] = useState("newest");
+
+  useEffect(() => {
+    fetchMyPatterns();
+  }, []);
+
+  useEffect(() => {
+    if (tab !== "browse") return;
+    // Debounce typing in the search box
+    const timeout = setTimeout(fetchPublicPatterns, 300);
+    return () => clearTimeout(timeout);
+  }, [tab, search, sort]);
+
+  const fetchMyPatterns = async () => {
+    try {
+      setLoading(true);
+      const response = await api.get("/patterns");
+      if (response.data.success) setMyPatterns(response.data.data);
+    } catch (error) {
+      console.error("Failed to load patterns:", error);
+      toast.error("Failed to load your patterns");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchPublicPatterns = async () => {
+    try {
+      const response = await api.get("/patterns/public", { params: { search, sort } });
+      if (response.data.success) setPublicPatterns(response.data.data);
+    } catch (error) {
+      console.error("Failed to load public patterns:", error);
+      toast.error("Failed to load shared patterns");
+    }
+  };
+
+  const handleSave = async (data) => {
+    setSaving(true);
+    try {
+      const response = editing?._id
+        ? await api.put(`/patterns/${editing._id}`, data)
+        : await api.post("/patterns/create", data);
+      if (response.data.success) {
+        toast.success(editing?._id ? "Pattern updated" : "Pattern saved");
+        setEditing(null);
+        fetchMyPatterns();
+      }
+    } catch (error) {
+      console.error("Failed to save pattern:", error);
+      toast.error(error.response?.data?.message || "Failed to save pattern");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDuplicate = async (pattern) => {
+    try {
+      const response = await api.post(`/patterns/${pattern._id}/duplicate`);
+      if (response.data.success) {
+        toast.success("Pattern duplicated");
+        fetchMyPatterns();
+      }
+    } catch (error) {
+      console.error("Failed to duplicate pattern:", error);
+      toast.error("Failed to duplicate pattern");
+    }
+  };
+
+  const handleDelete = async (pattern) => {
+    if (!window.confirm(`Delete "${pattern.name}"?`)) return;
+    try {
+      await api.delete(`/patterns/${pattern._id}`);
+      setMyPatterns(prev => prev.filter(p => p._id !== pattern._id));
+      toast.success("Pattern deleted");
+    } catch (error) {
+      console.error("Failed to delete pattern:", error);
+      toast.error("Failed to delete pattern");
+    }
+  };
+
+  const handleSaveToLibrary = async (pattern) => {
+    try {
+      const response = await api.post(`/patterns/${pattern._id}/save`);
+      if (response.data.success) {
+        toast.success(response.data.alreadySaved ? "Already in your library" : "Saved to your library");
+        fetchMyPatterns();
+      }
+    } catch (error) {
+      console.error("Failed to save pattern to library:", error);
+      toast.error(error.response?.data?.message || "Failed to save pattern");
+    }
+  };
+
+  const handlePractice = (pattern) => {
+    navigate("/practice", { state: { pattern: toPracticePattern(pattern) } });
+  };
+
+  const tabClass = (id) =>
+    `px-4 py-2 rounded-full text-sm font-semibold ${tab === id ? "bg-primary text-white" : "bg-white text-gray-700"}`;
+
+  return (
+    <div className="max-w-4xl mx-auto mt-4 px-2 md:px-0 space-y-4">
+      <div className="flex items-center justify-between">
+        <h1 className="text-2xl font-bold text-gray-800">Breathing Patterns</h1>
+        {!editing && (
+          <button className="btn-primary px-4 py-2" onClick={() => setEditing({})}>
+            New Pattern
+          </button>
+        )}
+      </div>
+
+      {editing && (
+        <CustomPattern
+          initialPattern={editing._id ? editing : null}
+          onSave={handleSave}
+          onCancel={() => setEditing(null)}
+          saving={saving}
+        />
+      )}
+
+      <div className="flex gap-2">
+        <button className={tabClass("mine")} onClick={() => setTab("mine")}>My Patterns</button>
+        <button className={tabClass("browse")} onClick={() => setTab("browse")}>Browse Shared</button>
+      </div>
+
+      {tab === "mine" && (
+        loading ? (
+          <div className="text-gray-500">Loading patterns...</div>
+        ) : myPatterns.length === 0 ? (
+          <div className="card p-6 text-center text-gray-500">
+            You have no custom patterns yet. Create one or save one from Browse Shared.
+          </div>
+        ) : (
+          <div className="space-y-2">
+            {myPatterns.map(pattern => (
+              <PatternRow key={pattern._id} pattern={pattern}>
+                <button className="btn-primary px-3 py-1 text-sm" onClick={() => handlePractice(pattern)}>Practice</button>
+                <button className="btn-outline px-3 py-1 text-sm" onClick={() => setEditing(pattern)}>Edit</button>
+                <button className="btn-outline px-3 py-1 text-sm" onClick={() => handleDuplicate(pattern)}>Duplicate</button>
+                <button className="btn-outline px-3 py-1 text-sm text-red-600" onClick={() => handleDelete(pattern)}>Delete</button>
+              </PatternRow>
+            ))}
+          </div>
+        )
+      )}
+
+      {tab === "browse" && (
+        <div className="space-y-2">
+          <div className="flex flex-col md:flex-row gap-2">
+            <input
+              type="search"
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              placeholder="Search shared patterns"
+              aria-label="Search shared patterns"
+              className="flex-1 border rounded px-3 py-2"
+            />
+            <select
+              value={sort}
+              onChange={(e) => setSort(e.target.value)}
+              aria-label="Sort shared patterns"
+              className="border rounded px-3 py-2"
+            >
+              {sortOptions.map(option => (
+                <option key={option.id} value={option.id}>{option.name}</option>
+              ))}
+            </select>
+          </div>
+          {publicPatterns.length === 0 ? (
+            <div className="card p-6 text-center text-gray-500">No shared patterns found.</div>
+          ) : (
+            publicPatterns.map(pattern => (
+              <PatternRow key={pattern._id} pattern={pattern}>
+                <button className="btn-primary px-3 py-1 text-sm" onClick={() => handlePractice(pattern)}>Practice</button>
+                <button className="btn-outline px-3 py-1 text-sm" onClick={() => handleSaveToLibrary(pattern)}>Save to Library</button>
+              </PatternRow>
+            ))
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,7 +1,35 @@
 import { AnimatePresence, motion } from "framer-motion";
-import { useState } from "react";
+import { useEffect, useRef, useState } from "react";
 import toast from "react-hot-toast";
 import api from "../utils/api";
+import { isHapticsEnabled, isHapticsSupported, playPhaseHaptic, setHapticsEnabled } from "../utils/haptics";
+import {
+  getAudioPreferences,
+  normalizeAudioPreferences,
+  playPhaseSound,
+  setAudioPreferences,
+} from "../utils/sounds";
+import { getSessionEnding, SESSION_ENDINGS, setSessionEnding as saveSessionEnding } from "../utils/sessionEnding";
+import { getVisualStyle, setVisualStyle as saveVisualStyle } from "../utils/visualStyle";
+import { VISUALIZER_STYLES } from "./VisualizerStyles";
+
+const cueStyleOptions = [
+  { value: "none", label: "Off" },
+  { value: "tones", label: "Tones" },
+  { value: "bells", label: "Bells" },
+  { value: "sweeps", label: "Pitch sweeps (follow each phase)" },
+  { value: "voice", label: "Voice (\"breathe in… 2, 3, 4\")" },
+];
+
+const ambientOptions = [
+  { value: "none", label: "None" },
+  { value: "rain", label: "Rain" },
+  { value: "ocean", label: "Ocean" },
+  { value: "brown", label: "Brown noise" },
+];
+
+// Sliders fire on every step; wait for the user to settle before saving
+const AUDIO_SAVE_DELAY = 500;
 
 export default function PreferencesCard({ user, onUpdate }) {
   const [preferences, setPreferences] = useState({
@@ -9,11 +37,41 @@ export default function PreferencesCard({ user, onUpdate }) {
     dailyReminders: user?.preferences?.dailyReminders ?? true,
     achievementAlerts: user?.preferences?.achievementAlerts ?? true,
     emailUpdates: user?.preferences?.emailUpdates ?? false,
+    haptics: user?.preferences?.haptics ?? isHapticsEnabled(),
   });
   
+  const [visualStyle, setVisualStyle] = useState(() => user?.preferences?.visualStyle ?? getVisualStyle());
+  const [sessionEnding, setSessionEnding] = useState(() => user?.preferences?.sessionEnding ?? getSessionEnding());
+  const [audio, setAudio] = useState(() =>
+    normalizeAudioPreferences(user?.preferences?.audio ?? getAudioPreferences())
+  );
+  const savedAudioRef = useRef(audio);
+  const audioSaveTimer = useRef(null);
+
   const [loading, setLoading] = useState({});
   const [error, setError] = useState(null);
 
+  useEffect(() => () => clearTimeout(audioSaveTimer.current), []);
+
+  const reportError = (err, fallbackMessage) => {
+    let errorMsg;
+    if (!err.response) {
+      errorMsg = "Network error. Please check your connection and try again.";
+    } else if (err.response.status === 401) {
+      // The global interceptor handles the logout; just explain what happened
+      errorMsg = "Authentication error. Please log in again.";
+    } else if (err.response.status >= 500) {
+      errorMsg = "Server error. Please try again later.";
+    } else {
+      errorMsg = err.response.data?.message || fallbackMessage;
+    }
+    setError(errorMsg);
+    toast.error(errorMsg);
+
+    // Auto-clear error after 5 seconds
+    setTimeout(() => setError(null), 5000);
+  };
+
   // Handle toggle change with optimistic UI update
   const handleToggle = async (preferenceName) => {
     // Store previous state for potential revert
@@ -39,6 +97,12 @@ export default function PreferencesCard({ user, onUpdate }) {
         [preferenceName]: newValue,
       });
 
+      // Vibration is a device setting too; apply it here so the next session uses it
+      if (preferenceName === "haptics") {
+        setHapticsEnabled(newValue);
+        if (newValue) playPhaseHaptic("inhale");
+      }
+
       // Call parent callback with updated data
       if (onUpdate) {
         onUpdate(response.data.data);
@@ -55,47 +119,67 @@ export default function PreferencesCard({ user, onUpdate }) {
         [preferenceName]: previousValue,
       }));
 
-      // Check if it's a network error
-      if (!err.response) {
-        const errorMsg = "Network error. Please check your connection and try again.";
-        setError(errorMsg);
-        toast.error(errorMsg);
-        setTimeout(() => setError(null), 5000);
-        return;
-      }
+      reportError(err, "Failed to update preference. Please try again.");
+    } finally {
+      // Clear loading state for this toggle
+      setLoading(prev => ({ ...prev, [preferenceName]: false }));
+    }
+  };
 
-      // If it's a 401 error, the global interceptor will handle it
-      // Just show a generic error message
-      if (err.response?.status === 401) {
-        const errorMsg = "Authentication error. Please log in again.";
-        setError(errorMsg);
-        toast.error(errorMsg);
-        setTimeout(() => setError(null), 5000);
-        return;
-      }
+  // Change a setting picked from a list, reverting if the server doesn't take it
+  const handleChoice = async (preferenceName, value, { previous, setValue, saveLocally }) => {
+    setValue(value);
+    setError(null);
+    setLoading(prev => ({ ...prev, [preferenceName]: true }));
 
-      // Check for server errors (5xx)
-      if (err.response?.status >= 500) {
-        const errorMsg = "Server error. Please try again later.";
-        setError(errorMsg);
-        toast.error(errorMsg);
-        setTimeout(() => setError(null), 5000);
-        return;
+    try {
+      const response = await api.put("/user/preferences", { [preferenceName]: value });
+      saveLocally(value);
+      if (onUpdate) {
+        onUpdate(response.data.data);
       }
-
-      // Show error message
-      const errorMsg = err.response?.data?.message || "Failed to update preference. Please try again.";
-      setError(errorMsg);
-      toast.error(errorMsg);
-
-      // Auto-clear error after 5 seconds
-      setTimeout(() => setError(null), 5000);
+      toast.success("Preference updated successfully");
+    } catch (err) {
+      console.error(`Error updating ${preferenceName}:`, err);
+      setValue(previous);
+      reportError(err, "Failed to update preference. Please try again.");
     } finally {
-      // Clear loading state for this toggle
       setLoading(prev => ({ ...prev, [preferenceName]: false }));
     }
   };
 
+  // How sessions are drawn
+  const handleVisualStyle = (style) =>
+    handleChoice("visualStyle", style, { previous: visualStyle, setValue: setVisualStyle, saveLocally: saveVisualStyle });
+
+  // What a timed session does when its time is up
+  const handleSessionEnding = (ending) =>
+    handleChoice("sessionEnding", ending, { previous: sessionEnding, setValue: setSessionEnding, saveLocally: saveSessionEnding });
+
+  // Audio settings take effect at once and are saved shortly after the last change
+  const handleAudioChange = (name, value) => {
+    const next = { ...audio, [name]: value };
+    setAudio(next);
+    setAudioPreferences(next);
+    setError(null);
+
+    clearTimeout(audioSaveTimer.current);
+    audioSaveTimer.current = setTimeout(async () => {
+      try {
+        const response = await api.put("/user/preferences", { audio: next });
+        savedAudioRef.current = next;
+        if (onUpdate) {
+          onUpdate(response.data.data);
+        }
+      } catch (err) {
+        console.error("Error updating audio preferences:", err);
+        setAudio(savedAudioRef.current);
+        setAudioPreferences(savedAudioRef.current);
+        reportError(err, "Failed to update audio settings. Please try again.");
+      }
+    }, AUDIO_SAVE_DELAY);
+  };
+
   if (!user) {
     return (
       <div className="card p-6">
@@ -221,6 +305,169 @@ export default function PreferencesCard({ user, onUpdate }) {
             disabled={loading.emailUpdates}
           />
         </div>
+        {/* Vibration cues toggle */}
+        <div className="flex items-center justify-between bg-gray-100 rounded-lg p-4">
+          <div className="flex items-center gap-3">
+            <div className="bg-primary rounded-full w-12 h-12 flex items-center justify-center flex-shrink-0">
+              <svg className="w-6 h-6 text-white" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 18h.01M8 21h8a2 2 0 002-2V5a2 2 0 00-2-2H8a2 2 0 00-2 2v14a2 2 0 002 2z" />
+              </svg>
+            </div>
+            <div>
+              <div className="font-medium text-gray-900">Vibration Cues</div>
+              <div className="text-xs text-gray-500">
+                {isHapticsSupported()
+                  ? "Feel each phase change, for practice with eyes closed"
+                  : "This device can't vibrate; the setting applies on your phone"}
+              </div>
+            </div>
+          </div>
+          <ToggleSwitch
+            checked={preferences.haptics}
+            onChange={() => handleToggle("haptics")}
+            disabled={loading.haptics}
+          />
+        </div>
+
+        {/* Session view */}
+        <div className="flex items-center justify-between bg-gray-100 rounded-lg p-4">
+          <div className="flex items-center gap-3">
+            <div className="bg-primary rounded-full w-12 h-12 flex items-center justify-center flex-shrink-0">
+              <svg className="w-6 h-6 text-white" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 12a3 3 0 11-6 0 3 3 0 016 0z" />
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M2.458 12C3.732 7.943 7.523 5 12 5c4.478 0 8.268 2.943 9.542 7-1.274 4.057-5.064 7-9.542 7-4.477 0-8.268-2.943-9.542-7z" />
+              </svg>
+            </div>
+            <div>
+              <label className="font-medium text-gray-900" htmlFor="visual-style">Session View</label>
+              <div className="text-xs text-gray-500">
+                {VISUALIZER_STYLES.find(style => style.id === visualStyle)?.description}
+              </div>
+            </div>
+          </div>
+          <select
+            id="visual-style"
+            className="rounded-lg border border-gray-300 bg-white p-2 text-sm"
+            value={visualStyle}
+            disabled={loading.visualStyle}
+            onChange={(e) => handleVisualStyle(e.target.value)}
+          >
+            {VISUALIZER_STYLES.map(style => (
+              <option key={style.id} value={style.id}>{style.name}</option>
+            ))}
+          </select>
+        </div>
+
+        {/* Session ending */}
+        <div className="flex items-center justify-between bg-gray-100 rounded-lg p-4">
+          <div className="flex items-center gap-3">
+            <div className="bg-primary rounded-full w-12 h-12 flex items-center justify-center flex-shrink-0">
+              <svg className="w-6 h-6 text-white" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z" />
+              </svg>
+            </div>
+            <div>
+              <label className="font-medium text-gray-900" htmlFor="session-ending">Session Ending</label>
+              <div className="text-xs text-gray-500">
+                {SESSION_ENDINGS.find(ending => ending.id === sessionEnding)?.description}
+              </div>
+            </div>
+          </div>
+          <select
+            id="session-ending"
+            className="rounded-lg border border-gray-300 bg-white p-2 text-sm"
+            value={sessionEnding}
+            disabled={loading.sessionEnding}
+            onChange={(e) => handleSessionEnding(e.target.value)}
+          >
+            {SESSION_ENDINGS.map(ending => (
+              <option key={ending.id} value={ending.id}>{ending.name}</option>
+            ))}
+          </select>
+        </div>
+
+        {/* Audio guidance */}
+        <div className="bg-gray-100 rounded-lg p-4 space-y-3">
+          <div className="flex items-center gap-3">
+            <div className="bg-primary rounded-full w-12 h-12 flex items-center justify-center flex-shrink-0">
+              <svg className="w-6 h-6 text-white" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15.536 8.464a5 5 0 010 7.072M18.364 5.636a9 9 0 010 12.728M11 5L6 9H2v6h4l5 4V5z" />
+              </svg>
+            </div>
+            <div>
+              <div className="font-medium text-gray-900">Audio Guidance</div>
+              <div className="text-xs text-gray-500">
+                Cues for each phase and a background sound while you breathe
+              </div>
+            </div>
+          </div>
+
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+            <label className="text-sm text-gray-700" htmlFor="audio-cue-style">
+              Phase cues
+              <select
+                id="audio-cue-style"
+                className="mt-1 w-full rounded-lg border border-gray-300 bg-white p-2"
+                value={audio.cueStyle}
+                onChange={(e) => handleAudioChange("cueStyle", e.target.value)}
+              >
+                {cueStyleOptions.map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+            </label>
+            <label className="text-sm text-gray-700" htmlFor="audio-cue-volume">
+              Cue volume
+              <input
+                id="audio-cue-volume"
+                type="range"
+                min="0"
+                max="1"
+                step="0.05"
+                className="mt-3 w-full accent-primary"
+                value={audio.cueVolume}
+                disabled={audio.cueStyle === "none"}
+                onChange={(e) => handleAudioChange("cueVolume", Number(e.target.value))}
+              />
+            </label>
+            <label className="text-sm text-gray-700" htmlFor="audio-ambient">
+              Background sound
+              <select
+                id="audio-ambient"
+                className="mt-1 w-full rounded-lg border border-gray-300 bg-white p-2"
+                value={audio.ambient}
+                onChange={(e) => handleAudioChange("ambient", e.target.value)}
+              >
+                {ambientOptions.map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+            </label>
+            <label className="text-sm text-gray-700" htmlFor="audio-ambient-volume">
+              Background volume
+              <input
+                id="audio-ambient-volume"
+                type="range"
+                min="0"
+                max="1"
+                step="0.05"
+                className="mt-3 w-full accent-primary"
+                value={audio.ambientVolume}
+                disabled={audio.ambient === "none"}
+                onChange={(e) => handleAudioChange("ambientVolume", Number(e.target.value))}
+              />
+            </label>
+          </div>
+
+          <button
+            type="button"
+            className="text-sm text-primary underline disabled:opacity-50"
+            disabled={audio.cueStyle === "none"}
+            onClick={() => playPhaseSound("inhale", null, 4)}
+          >
+            Preview a 4-second inhale cue
+          </button>
+        </div>
       </div>
     </motion.div>
   );
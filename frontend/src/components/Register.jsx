@@ -5,6 +5,7 @@ import toast from "react-hot-toast";
 import { Link, useNavigate } from "react-router-dom";
 import { AuthContext } from "../context/AuthContext";
 import api from "../utils/api";
+import { getBrowserTimezone } from "../utils/timezone";
 
 export default function Register() {
   const { login } = useContext(AuthContext);
@@ -51,7 +52,7 @@ export default function Register() {
     setLoading(true);
 
     try {
-      const response = await api.post("/auth/register", formData);
+      const response = await api.post("/auth/register", { ...formData, timezone: getBrowserTimezone() });
       
       if (response.data.success) {
         const { token } = response.data.data;
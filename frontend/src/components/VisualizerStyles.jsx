@@ -0,0 +1,85 @@
+import { PathCalculator } from "../utils/PathCalculator.js";
+
+// Alternative ways to draw a breath. Each style is a component that gets the same props,
+// all derived from PhaseManager state:
+//   cycle      - PathCalculator.describeCycle() of the phases being breathed
+//   point      - { x, y } on that cycle right now: y is the lung level, x the position along holds
+//   phase      - current phase name ("idle" and "done" before and after the session)
+//   phaseIndex - index into `cycle`
+//   width, height - size of the frame to draw in
+// The scrolling path is built into BreathingVisualizer, so its entry has no component.
+
+const stroke = "var(--primary)";
+
+function CircleStyle({ point, width, height }) {
+  const maxRadius = Math.min(width, height) / 2 - 12;
+  const minRadius = maxRadius * 0.3;
+  const radius = minRadius + (maxRadius - minRadius) * point.y;
+
+  return (
+    <svg width={width} height={height} viewBox={`0 0 ${width} ${height}`} style={{ display: "block" }}>
+      <circle cx={width / 2} cy={height / 2} r={maxRadius} stroke={stroke} strokeWidth="2" strokeDasharray="4 6" fill="none" opacity={0.4} />
+      <circle cx={width / 2} cy={height / 2} r={minRadius} stroke={stroke} strokeWidth="1" fill="none" opacity={0.3} />
+      <circle cx={width / 2} cy={height / 2} r={radius} fill={stroke} opacity={0.25} />
+      <circle cx={width / 2} cy={height / 2} r={radius} stroke={stroke} strokeWidth="4" fill="none" />
+    </svg>
+  );
+}
+
+function BoxStyle({ cycle, point, phaseIndex, phase, width, height }) {
+  const size = Math.min(width, height) - 40;
+  const left = (width - size) / 2;
+  const top = (height - size) / 2;
+  const toScreen = ({ x, y }) => ({ x: left + x * size, y: top + (1 - y) * size });
+
+  const corners = cycle.length ? [cycle[0].from, ...cycle.map(step => step.to)].map(toScreen) : [];
+  const outline = corners.map((c, i) => `${i === 0 ? "M" : "L"} ${c.x} ${c.y}`).join(" ");
+  const current = cycle[phaseIndex];
+  const active = current && phase !== "idle" && phase !== "done" ? [toScreen(current.from), toScreen(current.to)] : null;
+  const ball = toScreen(point);
+
+  return (
+    <svg width={width} height={height} viewBox={`0 0 ${width} ${height}`} style={{ display: "block" }}>
+      <path d={outline} stroke={stroke} strokeWidth="2" strokeLinejoin="round" fill="none" opacity={0.4} />
+      {active && (
+        <line x1={active[0].x} y1={active[0].y} x2={active[1].x} y2={active[1].y} stroke={stroke} strokeWidth="4" strokeLinecap="round" />
+      )}
+      <circle cx={ball.x} cy={ball.y} r="14" fill="white" stroke={stroke} strokeWidth="4" />
+    </svg>
+  );
+}
+
+function BarStyle({ point, width, height }) {
+  const barWidth = 60;
+  const barHeight = height - 40;
+  const x = (width - barWidth) / 2;
+  const fill = barHeight * point.y;
+
+  return (
+    <svg width={width} height={height} viewBox={`0 0 ${width} ${height}`} style={{ display: "block" }}>
+      <rect x={x} y={20} width={barWidth} height={barHeight} rx="12" stroke={stroke} strokeWidth="2" fill="none" />
+      <rect x={x} y={20 + barHeight - fill} width={barWidth} height={fill} rx="12" fill={stroke} opacity={0.8} />
+    </svg>
+  );
+}
+
+export const VISUALIZER_STYLES = [
+  { id: "path", name: "Path", description: "A ball riding the shape of each breath" },
+  { id: "circle", name: "Circle", description: "Grows as you breathe in, shrinks as you breathe out", component: CircleStyle },
+  { id: "box", name: "Box", description: "Traces a square for box breathing, a triangle without a bottom hold", component: BoxStyle },
+  { id: "bar", name: "Bar", description: "A simple bar that fills with each breath", component: BarStyle },
+];
+
+export function getVisualizerStyle(id) {
+  return VISUALIZER_STYLES.find(style => style.id === id) || VISUALIZER_STYLES[0];
+}
+
+// Cycle shape and current point for a style, from the phases PhaseManager is running
+export function getStyleFrame(phases, phaseIndex, progress, phase) {
+  const cycle = PathCalculator.describeCycle(phases || []);
+  // Before the session starts the breath sits at the start; when it ends, back at rest
+  const point = phase === "idle" || phase === "done"
+    ? { x: 0, y: 0 }
+    : PathCalculator.getCyclePoint(cycle, phaseIndex, progress);
+  return { cycle, point };
+}
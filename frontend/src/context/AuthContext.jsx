@@ -1,5 +1,12 @@
 import { createContext, useEffect, useState } from "react";
+import toast from "react-hot-toast";
 import api from "../utils/api";
+import { setHapticsEnabled } from "../utils/haptics";
+import { startOutboxSync } from "../utils/outbox";
+import { setSessionEnding } from "../utils/sessionEnding";
+import { getBrowserTimezone } from "../utils/timezone";
+import { setAudioPreferences } from "../utils/sounds";
+import { setVisualStyle } from "../utils/visualStyle";
 
 export const AuthContext = createContext();
 
@@ -12,6 +19,12 @@ export const AuthProvider = ({ children }) => {
     try {
       const res = await api.get("/auth/me");
       setUser(res.data.data);
+      // Audio, vibration, view and ending settings follow the account across devices; the local copy covers signed-out use
+      const preferences = res.data.data?.preferences;
+      if (preferences?.audio) setAudioPreferences(preferences.audio);
+      if (preferences?.haptics !== undefined) setHapticsEnabled(preferences.haptics);
+      if (preferences?.visualStyle) setVisualStyle(preferences.visualStyle);
+      if (preferences?.sessionEnding) setSessionEnding(preferences.sessionEnding);
     } catch (error) {
       // If fetching fails with valid token syntax but invalid token (e.g. expired), logout
       // But for network errors we might just want to keep silent or retry
@@ -33,6 +46,26 @@ export const AuthProvider = ({ children }) => {
     }
   }, [token]);
 
+  // Send sessions practised offline once the account is known, and again whenever the browser is back online
+  useEffect(() => {
+    if (!user?._id) return;
+    return startOutboxSync(user._id, ({ results }) => {
+      const synced = results.filter(result => result.status === "completed").length;
+      if (synced === 0) return;
+      toast.success(`Synced ${synced} session${synced === 1 ? "" : "s"} practised offline`);
+      reloadUser();
+    });
+  }, [user?._id]);
+
+  // Streaks and daily stats count days in the account's time zone; keep it on the device's (e.g. after travelling)
+  useEffect(() => {
+    const timezone = getBrowserTimezone();
+    if (!user?._id || !timezone || user.timezone === timezone) return;
+    api.put("/user/timezone", { timezone })
+      .then(() => setUser(current => (current ? { ...current, timezone } : current)))
+      .catch(error => console.error("Failed to update time zone", error));
+  }, [user?._id, user?.timezone]);
+
   // Listen for unauthorized events from API interceptor
   useEffect(() => {
     const handleUnauthorized = () => {
@@ -2,6 +2,7 @@ import React from "react";
 import { createRoot } from "react-dom/client";
 import App from "./App.jsx";
 import "./index.css";
+import { registerServiceWorker } from "./utils/pwa";
 
 const root = document.getElementById("root");
 createRoot(root).render(
@@ -9,3 +10,5 @@ createRoot(root).render(
     <App />
   </React.StrictMode>
 );
+
+registerServiceWorker();
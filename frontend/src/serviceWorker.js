@@ -0,0 +1,74 @@
+// Service worker that keeps practice working offline. The build prepends PRECACHE_URLS (the app
+// shell, its hashed assets and everything in public/) and CACHE_VERSION, which changes with each build
+
+const CACHE_PREFIX = 'respira-';
+const CACHE_NAME = `${CACHE_PREFIX}${CACHE_VERSION}`;
+// Where the pattern catalog is fetched from; the page passes it in when registering, since the API
+// can live on another origin
+const CATALOG_URL = new URL(self.location.href).searchParams.get('catalog');
+
+const isCatalogRequest = (url) => url.href === CATALOG_URL || url.pathname.endsWith('/api/catalog');
+
+self.addEventListener('install', event => {
+	event.waitUntil((async () => {
+		const cache = await caches.open(CACHE_NAME);
+		await cache.addAll(PRECACHE_URLS);
+		// The catalog is best effort, so the shell still installs while the API is down
+		if (CATALOG_URL) await cache.add(CATALOG_URL).catch(() => {});
+		await self.skipWaiting();
+	})());
+});
+
+// Drop the caches of earlier builds
+self.addEventListener('activate', event => {
+	event.waitUntil((async () => {
+		const names = await caches.keys();
+		await Promise.all(names
+			.filter(name => name.startsWith(CACHE_PREFIX) && name !== CACHE_NAME)
+			.map(name => caches.delete(name)));
+		await self.clients.claim();
+	})());
+});
+
+// Ask the network first and keep what it answers; fall back to the cached copy when offline.
+// `cacheKey` stores every page navigation under the one app shell
+const networkFirst = async (request, cacheKey = request) => {
+	const cache = await caches.open(CACHE_NAME);
+	try {
+		const response = await fetch(request);
+		if (response.status === 200) cache.put(cacheKey, response.clone());
+		return response;
+	} catch (error) {
+		const cached = await cache.match(cacheKey);
+		if (cached) return cached;
+		throw error;
+	}
+};
+
+// Hashed assets and public files don't change under the same URL; files first fetched later
+// (e.g. voice clips) are kept once they have been used
+const cacheFirst = async (request) => {
+	const cached = await caches.match(request);
+	if (cached) return cached;
+	const response = await fetch(request);
+	if (response.status === 200) {
+		const cache = await caches.open(CACHE_NAME);
+		cache.put(request, response.clone());
+	}
+	return response;
+};
+
+self.addEventListener('fetch', event => {
+	const { request } = event;
+	if (request.method !== 'GET') return;
+	const url = new URL(request.url);
+
+	if (request.mode === 'navigate') {
+		event.respondWith(networkFirst(request, '/index.html'));
+	} else if (isCatalogRequest(url)) {
+		event.respondWith(networkFirst(request));
+	} else if (url.origin === self.location.origin && !url.pathname.startsWith('/api/')) {
+		// Other API calls always go to the network; sessions finished offline are queued by the app
+		event.respondWith(cacheFirst(request));
+	}
+});
@@ -2,6 +2,7 @@
  * PathCalculator utility class for adaptive breathing visualization
  * Provides pure functions for calculating line lengths and ball speeds
  * based on breathing pattern configurations with comprehensive error handling
+ * Also lays out 'n-phase' patterns (an ordered list of inhales, top-ups, holds and exhales)
  * Optimized for real-time performance with caching and efficient calculations
  */
 
@@ -25,6 +26,12 @@ export class PathCalculator {
     CALCULATION_FAILURE: 'CALCULATION_FAILURE',
     PERFORMANCE_WARNING: 'PERFORMANCE_WARNING'
   };
+
+  // Phase types an 'n-phase' pattern lists in order; matches the server's pattern schema
+  static PHASE_TYPES = ['inhale', 'topUp', 'hold', 'exhale'];
+
+  // Share of full lungs each top-up inhale climbs; the inhale before it stops short by as much
+  static TOP_UP_LEVEL = 0.25;
   /**
    * Safely validate and sanitize input values
    * @param {number} value - Value to validate
@@ -499,6 +506,144 @@ export class PathCalculator {
     }
   }
 
+  /**
+   * Describe an ordered phase list as lung levels, from 0 (empty) to 1 (full)
+   * Inhales rise to full, leaving room for any top-ups that follow before the next exhale;
+   * holds stay level and are named holdTop or holdBottom for whether the lungs are full or empty
+   * @param {Array} phases - Ordered phases, each { type, duration } with a type from PHASE_TYPES
+   * @returns {Array} Phases with name, type, duration, fromLevel and toLevel
+   */
+  static describePhases(phases) {
+    let level = 0;
+    return phases.map((phase, index) => {
+      const fromLevel = level;
+      if (phase.type === 'inhale') {
+        let topUps = 0;
+        for (let i = index + 1; i < phases.length && phases[i].type !== 'exhale'; i++) {
+          if (phases[i].type === 'topUp') topUps++;
+        }
+        level = Math.max(this.TOP_UP_LEVEL, 1 - topUps * this.TOP_UP_LEVEL);
+      } else if (phase.type === 'topUp') {
+        level = Math.min(1, level + this.TOP_UP_LEVEL);
+      } else if (phase.type === 'exhale') {
+        level = 0;
+      }
+
+      let name = phase.type;
+      if (phase.type === 'hold') name = level > 0 ? 'holdTop' : 'holdBottom';
+
+      return { name, type: phase.type, duration: phase.duration, fromLevel, toLevel: level };
+    });
+  }
+
+  /**
+   * Describe one cycle of PhaseManager phases as moves around a unit square, for the
+   * alternative visualizer styles: y is the lung level (0 empty, 1 full) and x runs along
+   * the top during holds with full lungs and back along the bottom during holds with
+   * empty lungs. An exhale not followed by an empty hold glides straight back to the start,
+   * so every cycle is a closed shape (a square for box breathing, a triangle for 3-phase).
+   * @param {Array} phases - Phases as built by PhaseManager, each with a name and duration
+   *   (n-phase phases also carry their type)
+   * @returns {Array} One entry per phase: { name, duration, from: { x, y }, to: { x, y } }
+   */
+  static describeCycle(phases) {
+    const typeOf = (phase) => {
+      if (phase.type) return phase.type;
+      if (phase.name === 'holdTop' || phase.name === 'holdBottom' || phase.name === 'retention') return 'hold';
+      return phase.name; // inhale, exhale, natural
+    };
+    const types = phases.map(typeOf);
+
+    let x = 0;
+    let y = 0;
+    return phases.map((phase, index) => {
+      const from = { x, y };
+      const type = types[index];
+
+      if (type === 'inhale') {
+        let topUps = 0;
+        for (let i = index + 1; i < types.length && types[i] !== 'exhale'; i++) {
+          if (types[i] === 'topUp') topUps++;
+        }
+        y = Math.max(this.TOP_UP_LEVEL, 1 - topUps * this.TOP_UP_LEVEL);
+      } else if (type === 'topUp') {
+        y = Math.min(1, y + this.TOP_UP_LEVEL);
+      } else if (type === 'hold' && phase.duration !== 0) {
+        x = y > 0 ? 1 : 0;
+      } else if (type === 'exhale') {
+        y = 0;
+        const next = phases[index + 1];
+        if (!next || types[index + 1] !== 'hold' || next.duration === 0) x = 0;
+      } else if (type === 'natural') {
+        // Unguided breathing has no shape to follow; rest in the middle
+        x = 0.5;
+        y = 0.5;
+      }
+
+      return { name: phase.name, duration: phase.duration, from, to: { x, y } };
+    });
+  }
+
+  /**
+   * Position within a cycle from describeCycle
+   * @param {Array} cycle - Result of describeCycle
+   * @param {number} phaseIndex - Current phase
+   * @param {number} progress - Progress through the phase, 0 to 1
+   * @returns {Object} { x, y } on the unit square
+   */
+  static getCyclePoint(cycle, phaseIndex, progress) {
+    const step = cycle[phaseIndex];
+    if (!step) return { x: 0, y: 0 };
+    const t = Math.max(0, Math.min(1, progress || 0));
+    return {
+      x: step.from.x + (step.to.x - step.from.x) * t,
+      y: step.from.y + (step.to.y - step.from.y) * t
+    };
+  }
+
+  /**
+   * Lay out one breath of an ordered phase list as path segments
+   * Breathing phases are diagonals as wide as the share of the lungs they fill or empty;
+   * holds are flat lines sized like the top line of a 3-phase pattern
+   * @param {Array} phases - Ordered phases, each { type, duration }
+   * @param {Object} config - Visual configuration
+   * @param {number} config.diagonalLength - Length of a diagonal from empty to full in pixels
+   * @param {number} config.maxHorizontalLength - Maximum horizontal line length in pixels
+   * @returns {Object} { segments, cycleWidth } with each segment's start x, width, length and ball speed
+   */
+  static calculatePhaseLayout(phases, config) {
+    const safeDiagonalLength = this.sanitizeValue(config?.diagonalLength, this.SAFE_DEFAULTS.DEFAULT_DIAGONAL_LENGTH,
+                                                  this.SAFE_DEFAULTS.MIN_LINE_LENGTH, this.SAFE_DEFAULTS.MAX_LINE_LENGTH);
+    // Horizontal component of a full-height diagonal at 60 degrees
+    const diagonalHorizontal = safeDiagonalLength / 2;
+
+    let startX = 0;
+    const segments = this.describePhases(phases).map(phase => {
+      const rise = Math.abs(phase.toLevel - phase.fromLevel);
+      let width;
+      let segmentLength;
+      if (phase.type === 'hold') {
+        width = this.calculateTopHorizontalLength(phase.duration, config?.maxHorizontalLength);
+        segmentLength = width;
+      } else {
+        width = diagonalHorizontal * rise;
+        segmentLength = Math.max(this.SAFE_DEFAULTS.MIN_LINE_LENGTH, safeDiagonalLength * rise);
+      }
+
+      const segment = {
+        ...phase,
+        startX,
+        width,
+        segmentLength,
+        ballSpeed: this.calculateBallSpeed(phase.duration, segmentLength)
+      };
+      startX += width;
+      return segment;
+    });
+
+    return { segments, cycleWidth: startX };
+  }
+
   /**
    * Validate that calculated metrics are within performance bounds
    * @param {Object} metrics - Calculated path metrics
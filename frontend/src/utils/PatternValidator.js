@@ -1,8 +1,12 @@
 /**
  * PatternValidator utility for validating breathing pattern configurations
  * Ensures patterns conform to 3-phase or 4-phase requirements with comprehensive error handling
+ * 'n-phase' patterns list their phases in order instead (e.g. inhale, top-up inhale, exhale)
+ * Also checks optional per-phase annotations (nostril side, nose/mouth, humming)
  */
 
+import { PathCalculator } from './PathCalculator.js';
+
 export class PatternValidator {
   // Duration limits for validation
   static DURATION_LIMITS = {
@@ -17,7 +21,17 @@ export class PatternValidator {
     DURATION_OUT_OF_RANGE: 'DURATION_OUT_OF_RANGE',
     MISSING_REQUIRED_PHASE: 'MISSING_REQUIRED_PHASE',
     INVALID_PHASE_SEQUENCE: 'INVALID_PHASE_SEQUENCE',
-    PERFORMANCE_WARNING: 'PERFORMANCE_WARNING'
+    PERFORMANCE_WARNING: 'PERFORMANCE_WARNING',
+    INVALID_ANNOTATION: 'INVALID_ANNOTATION'
+  };
+
+  // Phases an n-phase pattern may list, matching the server's pattern schema
+  static MAX_PHASES = 12;
+
+  // Allowed per-phase annotation values, matching the server's pattern schema
+  static ANNOTATION_OPTIONS = {
+    side: ['left', 'right'],
+    airway: ['nose', 'mouth']
   };
   /**
    * Validate duration limits for a single phase
@@ -83,7 +97,8 @@ export class PatternValidator {
   /**
    * Validate that a pattern has the correct phase sequence based on its type
    * @param {Object} pattern - Breathing pattern configuration
-   * @param {string} pattern.type - Pattern type ("3-phase" or "4-phase")
+   * @param {string} pattern.type - Pattern type ("3-phase", "4-phase" or "n-phase")
+   * @param {Array} [pattern.phases] - Ordered { type, duration } phases (n-phase only)
    * @param {number} pattern.inhale - Inhale duration in seconds
    * @param {number} pattern.holdTop - HoldTop duration in seconds
    * @param {number} pattern.exhale - Exhale duration in seconds
@@ -95,6 +110,10 @@ export class PatternValidator {
       return false;
     }
 
+    if (pattern.type === 'n-phase') {
+      return this.validatePhaseList(pattern.phases).isValid;
+    }
+
     // Check required fields for all patterns with duration validation
     const inhaleValidation = this.validateDuration(pattern.inhale, 'inhale');
     if (!inhaleValidation.isValid || pattern.inhale <= 0) {
@@ -126,6 +145,61 @@ export class PatternValidator {
     return false;
   }
 
+  /**
+   * Validate the ordered phase list of an n-phase pattern
+   * A breath starts on empty lungs, only tops up or exhales lungs that have air in them,
+   * and breathes out last so the next breath starts empty again
+   * @param {Array} phases - Ordered phases, each { type, duration }
+   * @returns {Object} Validation result with isValid flag, errors and warnings
+   */
+  static validatePhaseList(phases) {
+    const result = {
+      isValid: true,
+      errors: [],
+      warnings: []
+    };
+    const fail = (message, index) => {
+      result.isValid = false;
+      result.errors.push({ type: this.ERROR_TYPES.INVALID_PHASE_SEQUENCE, message, index });
+    };
+
+    if (!Array.isArray(phases) || phases.length < 2 || phases.length > this.MAX_PHASES) {
+      fail(`n-phase patterns need 2-${this.MAX_PHASES} phases`);
+      return result;
+    }
+
+    let filled = false;
+    phases.forEach((phase, index) => {
+      if (!phase || !PathCalculator.PHASE_TYPES.includes(phase.type)) {
+        fail(`Phase ${index + 1} must be one of: ${PathCalculator.PHASE_TYPES.join(', ')}`, index);
+        return;
+      }
+
+      // Holds may be zero, like holdTop and holdBottom
+      const durationValidation = this.validateDuration(phase.duration, phase.type === 'hold' ? 'holdTop' : phase.type);
+      durationValidation.errors.forEach(error => {
+        result.errors.push({ ...error, message: `Phase ${index + 1}: ${error.message}`, index });
+      });
+      result.warnings.push(...durationValidation.warnings);
+      if (!durationValidation.isValid) result.isValid = false;
+
+      if (phase.type === 'inhale') {
+        if (filled) fail(`Phase ${index + 1}: breathe out before the next inhale (use a top-up inhale to add air)`, index);
+        filled = true;
+      } else if (phase.type === 'topUp' && !filled) {
+        fail(`Phase ${index + 1}: a top-up inhale must follow an inhale`, index);
+      } else if (phase.type === 'exhale') {
+        if (!filled) fail(`Phase ${index + 1}: there is no air left to exhale`, index);
+        filled = false;
+      }
+    });
+
+    if (!phases.some(phase => phase && phase.type === 'inhale')) fail('The breath needs an inhale');
+    if (filled) fail('The breath must end with an exhale');
+
+    return result;
+  }
+
   /**
    * Create a phase sequence array for a given pattern
    * @param {Object} pattern - Breathing pattern configuration
@@ -136,6 +210,10 @@ export class PatternValidator {
       throw new Error('Invalid pattern configuration');
     }
 
+    if (pattern.type === 'n-phase') {
+      return PathCalculator.describePhases(pattern.phases).map(phase => phase.name);
+    }
+
     const phases = ['inhale', 'holdTop', 'exhale'];
     
     if (pattern.type === '4-phase') {
@@ -145,6 +223,60 @@ export class PatternValidator {
     return phases;
   }
 
+  /**
+   * Validate a pattern's optional per-phase annotations and alternateSides flag
+   * @param {Object} pattern - Breathing pattern configuration
+   * @param {Object} [pattern.annotations] - Map of phase name to { side, airway, humming }
+   * @param {boolean} [pattern.alternateSides] - Swap left and right every other breath
+   * @returns {Object} Validation result with isValid flag and errors
+   */
+  static validateAnnotations(pattern) {
+    const result = {
+      isValid: true,
+      errors: []
+    };
+    const fail = (message, phase) => {
+      result.isValid = false;
+      result.errors.push({ type: this.ERROR_TYPES.INVALID_ANNOTATION, message, phase });
+    };
+
+    if (pattern.alternateSides !== undefined && typeof pattern.alternateSides !== 'boolean') {
+      fail('alternateSides must be true or false');
+    }
+    if (pattern.annotations === undefined) return result;
+    if (!pattern.annotations || typeof pattern.annotations !== 'object') {
+      fail('Annotations must be an object keyed by phase');
+      return result;
+    }
+
+    let phases = ['inhale', 'holdTop', 'exhale'];
+    if (pattern.type === '4-phase') phases.push('holdBottom');
+    if (pattern.type === 'n-phase') {
+      phases = Array.isArray(pattern.phases) ? PathCalculator.describePhases(pattern.phases).map(phase => phase.name) : [];
+    }
+
+    Object.entries(pattern.annotations).forEach(([phase, annotation]) => {
+      if (!phases.includes(phase)) {
+        fail(`Cannot annotate ${phase}: the pattern has no such phase`, phase);
+        return;
+      }
+      if (!annotation || typeof annotation !== 'object') {
+        fail(`${phase} annotation must be an object`, phase);
+        return;
+      }
+      Object.entries(this.ANNOTATION_OPTIONS).forEach(([key, options]) => {
+        if (annotation[key] !== undefined && !options.includes(annotation[key])) {
+          fail(`${phase} ${key} must be one of: ${options.join(', ')}`, phase);
+        }
+      });
+      if (annotation.humming !== undefined && typeof annotation.humming !== 'boolean') {
+        fail(`${phase} humming must be true or false`, phase);
+      }
+    });
+
+    return result;
+  }
+
   /**
    * Comprehensive pattern validation with detailed error reporting
    * @param {Object} pattern - Breathing pattern configuration
@@ -170,8 +302,10 @@ export class PatternValidator {
       return result;
     }
 
-    // Check required fields
-    const requiredFields = ['name', 'type', 'inhale', 'holdTop', 'exhale', 'level', 'category', 'description'];
+    // Check required fields; an n-phase pattern's timings live in its phase list
+    const requiredFields = pattern.type === 'n-phase'
+      ? ['name', 'type', 'phases', 'level', 'category', 'description']
+      : ['name', 'type', 'inhale', 'holdTop', 'exhale', 'level', 'category', 'description'];
     const missingFields = requiredFields.filter(field => !(field in pattern));
     
     if (missingFields.length > 0) {
@@ -184,15 +318,29 @@ export class PatternValidator {
     }
 
     // Validate type
-    if (pattern.type !== '3-phase' && pattern.type !== '4-phase') {
+    if (pattern.type !== '3-phase' && pattern.type !== '4-phase' && pattern.type !== 'n-phase') {
       result.isValid = false;
       result.errors.push({
         type: this.ERROR_TYPES.INVALID_PHASE_SEQUENCE,
-        message: `Invalid pattern type: ${pattern.type}. Must be '3-phase' or '4-phase'`,
+        message: `Invalid pattern type: ${pattern.type}. Must be '3-phase', '4-phase' or 'n-phase'`,
         value: pattern.type
       });
     }
 
+    if (pattern.type === 'n-phase') {
+      const phaseListValidation = this.validatePhaseList(pattern.phases);
+      result.errors.push(...phaseListValidation.errors);
+      result.warnings.push(...phaseListValidation.warnings);
+      if (!phaseListValidation.isValid) result.isValid = false;
+
+      const annotationValidation = this.validateAnnotations(pattern);
+      result.errors.push(...annotationValidation.errors);
+      if (!annotationValidation.isValid) result.isValid = false;
+
+      if (!result.isValid) result.fallbackPattern = this.createFallbackPattern(pattern);
+      return result;
+    }
+
     // Validate durations
     if (typeof pattern.inhale === 'number') {
       const inhaleValidation = this.validateDuration(pattern.inhale, 'inhale');
@@ -222,6 +370,10 @@ export class PatternValidator {
       if (!holdBottomValidation.isValid) result.isValid = false;
     }
 
+    const annotationValidation = this.validateAnnotations(pattern);
+    result.errors.push(...annotationValidation.errors);
+    if (!annotationValidation.isValid) result.isValid = false;
+
     // Validate phase sequence
     if (!this.validatePhaseSequence(pattern)) {
       result.isValid = false;
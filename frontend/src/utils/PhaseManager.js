@@ -1,6 +1,12 @@
 /**
- * PhaseManager utility class for managing 3-phase and 4-phase breathing cycles
+ * PhaseManager utility class for managing 3-phase and 4-phase breathing cycles,
+ * and 'n-phase' patterns that list their phases in order (e.g. inhale, top-up inhale, exhale)
  * Handles phase sequence generation, transitions, and state management with error handling
+ * Also runs multi-stage programs, switching patterns on breath boundaries,
+ * and ramps, which change phase durations a little every breath
+ * Round-based protocols add open-ended phases that last until the user ends them
+ * Per-phase annotations (nostril side, nose/mouth, humming) are reported with each phase
+ * A transition listener hears about every phase change; SessionEngine turns these into events
  * Optimized for real-time performance with efficient state management
  */
 
@@ -37,6 +43,7 @@ export class PhaseManager {
       holdTop: pattern.holdTop,
       exhale: pattern.exhale,
       holdBottom: pattern.holdBottom,
+      phases: pattern.type === 'n-phase' ? pattern.phases : undefined,
       diagonalLength: config.diagonalLength,
       maxHorizontalLength: config.maxHorizontalLength
     });
@@ -55,11 +62,12 @@ export class PhaseManager {
   /**
    * Create a phase sequence configuration for a breathing pattern with error handling and caching
    * @param {Object} pattern - Breathing pattern configuration
-   * @param {string} pattern.type - Pattern type ("3-phase" or "4-phase")
+   * @param {string} pattern.type - Pattern type ("3-phase", "4-phase" or "n-phase")
    * @param {number} pattern.inhale - Inhale duration in seconds
    * @param {number} pattern.holdTop - HoldTop duration in seconds
    * @param {number} pattern.exhale - Exhale duration in seconds
    * @param {number} [pattern.holdBottom] - HoldBottom duration in seconds (required for 4-phase)
+   * @param {Array} [pattern.phases] - Ordered { type, duration } phases (n-phase only; the fields above are then totals)
    * @param {Object} config - Visual configuration
    * @param {number} config.diagonalLength - Fixed diagonal line length in pixels
    * @param {number} config.maxHorizontalLength - Maximum horizontal line length in pixels
@@ -105,6 +113,23 @@ export class PhaseManager {
         throw new Error('Invalid pattern configuration after validation');
       }
 
+      // n-phase patterns run their phases in the listed order, laid out one segment each
+      if (pattern.type === 'n-phase') {
+        const { segments } = PathCalculator.calculatePhaseLayout(pattern.phases, config);
+        const phases = segments.map(({ name, type, duration, segmentLength, ballSpeed }) => ({
+          name,
+          type,
+          duration,
+          segmentLength,
+          ballSpeed
+        }));
+
+        this.validatePhaseSequence(phases);
+        this._phaseSequenceCache.set(cacheKey, phases);
+        this._managePhaseSequenceCacheSize();
+        return phases;
+      }
+
       // Calculate path metrics for the pattern with error handling
       const metrics = PathCalculator.calculatePathMetrics(pattern, config);
       
@@ -165,8 +190,9 @@ export class PhaseManager {
    * @throws {Error} If phase sequence is invalid
    */
   static validatePhaseSequence(phases) {
-    if (!Array.isArray(phases) || phases.length < 3) {
-      throw new Error('Phase sequence must be an array with at least 3 phases');
+    // n-phase patterns may be as short as an inhale and an exhale
+    if (!Array.isArray(phases) || phases.length < 2) {
+      throw new Error('Phase sequence must be an array with at least 2 phases');
     }
 
     phases.forEach((phase, index) => {
@@ -225,6 +251,231 @@ export class PhaseManager {
     ];
   }
 
+  /**
+   * Expand program stages into a fixed timeline. Pattern stages are rounded to whole
+   * breaths so every stage change lands on a cycle boundary.
+   * @param {Array} stages - Ordered stages: { pattern, seconds } or { natural: true, seconds }
+   * @returns {Object} { stages, totalDuration } with cycles, duration, startTime and endTime (seconds) per stage
+   */
+  static createProgramTimeline(stages) {
+    if (!Array.isArray(stages) || stages.length === 0) {
+      throw new Error('Program must have at least one stage');
+    }
+
+    let startTime = 0;
+    const timeline = stages.map((stage, index) => {
+      if (!stage || typeof stage.seconds !== 'number' || !(stage.seconds > 0)) {
+        throw new Error(`Stage ${index} has invalid length: ${stage?.seconds}`);
+      }
+
+      let cycles = 1;
+      let duration = stage.seconds;
+      if (!stage.natural) {
+        const { pattern } = stage;
+        const cycleDuration = pattern
+          ? pattern.inhale + (pattern.holdTop || 0) + pattern.exhale + (pattern.holdBottom || 0)
+          : NaN;
+        if (!(cycleDuration > 0)) {
+          throw new Error(`Stage ${index} has an invalid pattern`);
+        }
+        cycles = Math.max(1, Math.round(stage.seconds / cycleDuration));
+        duration = cycles * cycleDuration;
+      }
+
+      const entry = { ...stage, index, cycles, duration, startTime, endTime: startTime + duration };
+      startTime += duration;
+      return entry;
+    });
+
+    return { stages: timeline, totalDuration: startTime };
+  }
+
+  /**
+   * Create the single-phase sequence used for an unguided "natural breathing" stage
+   * @param {number} duration - Stage length in seconds
+   * @param {Object} config - Visual configuration
+   * @returns {Array} Phase sequence with one 'natural' phase
+   */
+  static createNaturalPhaseSequence(duration, config) {
+    const segmentLength = config?.diagonalLength || PathCalculator.SAFE_DEFAULTS.DEFAULT_DIAGONAL_LENGTH;
+    return [
+      {
+        name: 'natural',
+        duration,
+        segmentLength,
+        ballSpeed: segmentLength / (duration * 1000)
+      }
+    ];
+  }
+
+  /**
+   * Get the pattern a ramp has reached after some elapsed time. Durations are rounded
+   * to 0.1s so the steps between consecutive breaths stay small but cacheable.
+   * @param {Object} pattern - Base pattern the ramp starts from
+   * @param {Object} ramp - { type: 'phases', seconds, target } or { type: 'bpm', seconds, endBpm }
+   * @param {number} elapsedSeconds - Time since the ramp started
+   * @returns {Object} Pattern with interpolated phase durations
+   */
+  static interpolateRampPattern(pattern, ramp, elapsedSeconds) {
+    const progress = Math.max(0, Math.min(1, elapsedSeconds / ramp.seconds));
+    const keys = ['inhale', 'holdTop', 'exhale'];
+    if (pattern.type === '4-phase' || pattern.holdBottom > 0) keys.push('holdBottom');
+    const round = (value) => Math.round(value * 10) / 10;
+
+    let valueFor;
+    if (ramp.type === 'bpm') {
+      // Scale every phase so the breathing rate moves linearly toward endBpm
+      const baseCycle = keys.reduce((total, key) => total + (pattern[key] || 0), 0);
+      const startBpm = 60 / baseCycle;
+      const bpm = startBpm + (ramp.endBpm - startBpm) * progress;
+      const scale = 60 / bpm / baseCycle;
+      valueFor = (key) => (pattern[key] || 0) * scale;
+    } else {
+      valueFor = (key) => {
+        const from = pattern[key] || 0;
+        const to = ramp.target?.[key] ?? from;
+        return from + (to - from) * progress;
+      };
+    }
+
+    const ramped = { ...pattern };
+    keys.forEach(key => {
+      // Breathing phases never collapse to nothing, even after rounding
+      ramped[key] = key === 'inhale' || key === 'exhale'
+        ? Math.max(0.1, round(valueFor(key)))
+        : Math.max(0, round(valueFor(key)));
+    });
+    return ramped;
+  }
+
+  /**
+   * Count the breaths needed to fill a session when a ramp changes the cycle length
+   * @param {Object} pattern - Base pattern
+   * @param {Object} ramp - Ramp configuration, see interpolateRampPattern
+   * @param {number} totalSeconds - Session length in seconds
+   * @returns {number} Number of whole cycles
+   */
+  static countRampCycles(pattern, ramp, totalSeconds) {
+    let elapsed = 0;
+    let cycles = 0;
+    while (elapsed < totalSeconds) {
+      const current = PhaseManager.interpolateRampPattern(pattern, ramp, elapsed);
+      elapsed += current.inhale + (current.holdTop || 0) + current.exhale + (current.holdBottom || 0);
+      cycles++;
+    }
+    return cycles;
+  }
+
+  /**
+   * Length of a session that runs a fixed number of breaths
+   * @param {Object} pattern - Breathing pattern
+   * @param {number} cycles - Number of breaths
+   * @param {Object} [ramp] - Optional ramp, so later breaths use their ramped length
+   * @returns {number} Total duration in seconds
+   */
+  static getCyclesDuration(pattern, cycles, ramp = null) {
+    let total = 0;
+    for (let i = 0; i < cycles; i++) {
+      const current = ramp ? PhaseManager.interpolateRampPattern(pattern, ramp, total) : pattern;
+      total += current.inhale + (current.holdTop || 0) + current.exhale + (current.holdBottom || 0);
+    }
+    return total;
+  }
+
+  /**
+   * Number of whole breaths whose total length comes closest to a planned length, so a
+   * timed session can be rounded to complete breaths before it starts
+   * @param {Object} pattern - Breathing pattern
+   * @param {number} totalSeconds - Planned length
+   * @param {Object} [ramp] - Optional ramp, so later breaths use their ramped length
+   * @returns {number} At least one breath
+   */
+  static countWholeCycles(pattern, totalSeconds, ramp = null) {
+    let elapsed = 0;
+    let cycles = 0;
+    while (true) {
+      const current = ramp ? PhaseManager.interpolateRampPattern(pattern, ramp, elapsed) : pattern;
+      const breath = current.inhale + (current.holdTop || 0) + current.exhale + (current.holdBottom || 0);
+      // Stop once another breath would overshoot by more than stopping here falls short
+      if (cycles > 0 && elapsed + breath / 2 >= totalSeconds) return cycles;
+      elapsed += breath;
+      cycles++;
+    }
+  }
+
+  /**
+   * Create the phase sequence for one round of a round-based protocol: fast breaths on the
+   * pattern, a retention the user ends, then a recovery inhale held at the top and let go
+   * @param {Object} pattern - Pattern for the fast breaths; only inhale and exhale are used
+   * @param {Object} rounds - { count, breaths, recoveryInhale, recoveryHold }
+   * @param {Object} config - Visual configuration
+   * @returns {Array} Phase sequence; the retention has `openEnded: true` and no duration
+   */
+  static createRoundSequence(pattern, rounds, config) {
+    const breath = PhaseManager.createPhaseSequence(pattern, config);
+    const inhale = breath.find(phase => phase.name === 'inhale');
+    const exhale = breath.find(phase => phase.name === 'exhale');
+    const topLength = breath.find(phase => phase.name === 'holdTop').segmentLength;
+    const speed = (length, seconds) => (seconds > 0 ? length / (seconds * 1000) : 0);
+
+    const phases = [];
+    for (let i = 0; i < rounds.breaths; i++) {
+      phases.push(inhale, exhale);
+    }
+    phases.push(
+      {
+        name: 'retention',
+        duration: null,
+        openEnded: true,
+        segmentLength: config.maxHorizontalLength,
+        ballSpeed: 0
+      },
+      {
+        name: 'inhale',
+        duration: rounds.recoveryInhale,
+        recovery: true,
+        segmentLength: inhale.segmentLength,
+        ballSpeed: speed(inhale.segmentLength, rounds.recoveryInhale)
+      },
+      {
+        name: 'holdTop',
+        duration: rounds.recoveryHold,
+        recovery: true,
+        segmentLength: topLength,
+        ballSpeed: speed(topLength, rounds.recoveryHold)
+      },
+      { ...exhale, recovery: true }
+    );
+    return phases;
+  }
+
+  /**
+   * Length of a round-based session: every round's guided phases plus the retentions
+   * @param {Object} pattern - Pattern for the fast breaths
+   * @param {Object} rounds - Round protocol, see createRoundSequence
+   * @param {Array<number>} [retentions] - Retention lengths so far, in seconds
+   * @returns {number} Total duration in seconds
+   */
+  static getRoundsDuration(pattern, rounds, retentions = []) {
+    const guided = rounds.breaths * (pattern.inhale + pattern.exhale) + rounds.recoveryInhale + rounds.recoveryHold + pattern.exhale;
+    return rounds.count * guided + retentions.reduce((total, seconds) => total + seconds, 0);
+  }
+
+  /**
+   * Get the annotation for a phase of a pattern, with sides swapped on every other breath
+   * when the pattern alternates sides (e.g. alternate-nostril breathing)
+   * @param {Object} pattern - Breathing pattern, optionally with annotations and alternateSides
+   * @param {string} phaseName - Phase name, e.g. 'inhale'
+   * @param {number} [cycleNumber=0] - Completed breaths so far
+   * @returns {Object|null} { side, airway, humming } or null when the phase has no annotation
+   */
+  static getPhaseAnnotation(pattern, phaseName, cycleNumber = 0) {
+    const annotation = pattern?.annotations?.[phaseName];
+    if (!annotation) return null;
+    if (!pattern.alternateSides || !annotation.side || cycleNumber % 2 === 0) return annotation;
+    return { ...annotation, side: annotation.side === 'left' ? 'right' : 'left' };
+  }
+
   /**
    * Create a PhaseManager instance for managing breathing cycle state with error handling
    * @param {Object} pattern - Breathing pattern configuration
@@ -287,6 +538,17 @@ export class PhaseManager {
     this.isPaused = false;
     this.phaseStartTime = null;
     this.pausedTime = 0;
+    this.programComplete = false;
+    if (this.program) {
+      this.enterStage(0);
+    }
+    if (this.ramp) {
+      this.restartRamp();
+    }
+    if (this.rounds) {
+      this.retentions = [];
+      this.openPhaseElapsed = 0;
+    }
   }
 
   /**
@@ -298,6 +560,17 @@ export class PhaseManager {
     this.currentPhaseIndex = 0;
     this.phaseProgress = 0;
     this.cycleNumber = 0;
+    this.programComplete = false;
+    if (this.program) {
+      this.enterStage(0);
+    }
+    if (this.ramp) {
+      this.restartRamp();
+    }
+    if (this.rounds) {
+      this.retentions = [];
+      this.openPhaseElapsed = 0;
+    }
     
     this.isRunning = true;
     this.isPaused = false;
@@ -370,7 +643,7 @@ export class PhaseManager {
       let transitionCount = 0;
       const maxTransitions = 100; // Prevent infinite loops
       
-      while (remainingTime > 0 && transitionCount < maxTransitions) {
+      while (remainingTime > 0 && transitionCount < maxTransitions && !this.programComplete) {
         const currentPhase = this.phases[this.currentPhaseIndex];
         
         if (!currentPhase) {
@@ -379,6 +652,12 @@ export class PhaseManager {
           return this.getCurrentState();
         }
 
+        // Open-ended phases run until endOpenPhase() is called
+        if (currentPhase.openEnded) {
+          this.openPhaseElapsed = remainingTime / 1000;
+          break;
+        }
+
         const phaseDurationMs = currentPhase.duration * 1000;
 
         if (remainingTime >= phaseDurationMs) {
@@ -478,18 +757,65 @@ export class PhaseManager {
    * @param {number} currentTime - Current timestamp in milliseconds
    */
   transitionToNextPhase(currentTime) {
+    const previous = this.transitionListener ? this.getPhaseSnapshot() : null;
     this.currentPhaseIndex++;
 
     // Check if cycle is complete
     if (this.currentPhaseIndex >= this.phases.length) {
       this.currentPhaseIndex = 0;
       this.cycleNumber++;
+
+      // Ramps step toward their target once per breath
+      if (this.ramp) {
+        this.rampElapsed += this.getTotalCycleDuration();
+        this.updatePattern(
+          PhaseManager.interpolateRampPattern(this.basePattern, this.ramp, this.rampElapsed),
+          { preserveState: true }
+        );
+      }
+
+      // Programs move to the next stage once the current one has run its breaths
+      if (this.program && this.cycleNumber - this.stageStartCycle >= this.getCurrentStage().cycles) {
+        this.advanceStage();
+      }
     }
 
     // Reset phase timing
     this.phaseStartTime = currentTime;
     this.phaseProgress = 0;
     this.pausedTime = 0;
+
+    if (this.transitionListener) {
+      this.transitionListener(previous, this.getPhaseSnapshot(), currentTime);
+    }
+  }
+
+  /**
+   * Be told about every phase transition, including several in one update after a long frame
+   * @param {Function|null} listener - Called with (previous, next, time): snapshots of the
+   *   phase that ended and the one that started (see getPhaseSnapshot), and the exact
+   *   transition time in milliseconds
+   */
+  setTransitionListener(listener) {
+    this.transitionListener = listener;
+  }
+
+  /**
+   * Describe the current phase for transition listeners
+   * @returns {Object} { phase, phaseIndex, duration, cycleNumber, stageIndex, annotation }
+   */
+  getPhaseSnapshot() {
+    const currentPhase = this.phases[this.currentPhaseIndex];
+    return {
+      phase: currentPhase.name,
+      phaseIndex: this.currentPhaseIndex,
+      duration: currentPhase.duration,
+      cycleNumber: this.cycleNumber,
+      stageIndex: this.program ? this.stageIndex : null,
+      annotation: this.pattern?.annotations
+        ? PhaseManager.getPhaseAnnotation(this.pattern, currentPhase.name, this.cycleNumber)
+        : null
+    };
   }
 
   /**
@@ -500,6 +826,15 @@ export class PhaseManager {
     const currentPhase = this.phases[this.currentPhaseIndex];
     
     return {
+      ...(this.program && this.getStageState()),
+      ...(this.ramp && {
+        pattern: this.pattern,
+        rampProgress: Math.min(1, this.rampElapsed / this.ramp.seconds)
+      }),
+      ...(this.rounds && this.getRoundState()),
+      ...(this.pattern?.annotations && {
+        annotation: PhaseManager.getPhaseAnnotation(this.pattern, currentPhase.name, this.cycleNumber)
+      }),
       currentPhase: currentPhase.name,
       phaseIndex: this.currentPhaseIndex,
       phaseProgress: this.phaseProgress,
@@ -539,18 +874,31 @@ export class PhaseManager {
   }
 
   /**
-   * Get the total cycle duration in seconds
+   * Get the total cycle duration in seconds; open-ended phases count as zero
    * @returns {number} Total duration of one complete cycle
    */
   getTotalCycleDuration() {
-    return this.phases.reduce((total, phase) => total + phase.duration, 0);
+    return this.phases.reduce((total, phase) => total + (phase.duration || 0), 0);
   }
 
   /**
    * Update the pattern and recalculate phases with error handling
    * @param {Object} newPattern - New breathing pattern configuration
+   * @param {Object} [options]
+   * @param {boolean} [options.preserveState=false] - Swap phases in place without resetting
+   *   the cycle, program or ramp (used between breaths while ramping)
    */
-  updatePattern(newPattern) {
+  updatePattern(newPattern, { preserveState = false } = {}) {
+    if (preserveState) {
+      try {
+        this.phases = PhaseManager.createPhaseSequence(newPattern, this.config);
+        this.pattern = newPattern;
+      } catch (error) {
+        console.error('PhaseManager: Error updating pattern in place', error);
+      }
+      return;
+    }
+
     try {
       // Validate new pattern before applying
       let validation;
@@ -577,6 +925,10 @@ export class PhaseManager {
 
       this.pattern = newPattern;
       this.phases = PhaseManager.createPhaseSequence(newPattern, this.config);
+      // A single pattern replaces any running program, ramp or rounds
+      this.program = null;
+      this.ramp = null;
+      this.rounds = null;
       
       // Clear any previous error state on successful update
       this.errorState = null;
@@ -641,4 +993,143 @@ export class PhaseManager {
 
     return elapsedInCycle / totalDuration;
   }
-}
\ No newline at end of file
+
+  /**
+   * Gradually change the current pattern over time, see interpolateRampPattern
+   * @param {Object|null} ramp - Ramp configuration, or null to stop ramping
+   */
+  setRamp(ramp) {
+    if (!ramp) {
+      if (this.ramp) this.updatePattern(this.basePattern, { preserveState: true });
+      this.ramp = null;
+      return;
+    }
+    this.basePattern = this.ramp ? this.basePattern : this.pattern;
+    this.ramp = ramp;
+    this.restartRamp();
+  }
+
+  /**
+   * Return to the base pattern at the start of the ramp
+   */
+  restartRamp() {
+    this.rampElapsed = 0;
+    this.updatePattern(this.basePattern, { preserveState: true });
+  }
+
+  /**
+   * Run a multi-stage program instead of a single pattern
+   * @param {Array} stages - Ordered stages, see createProgramTimeline
+   */
+  setProgram(stages) {
+    this.program = PhaseManager.createProgramTimeline(stages);
+    this.reset();
+  }
+
+  /**
+   * Switch phases to a program stage without disturbing cycle counting
+   * @param {number} index - Stage index
+   */
+  enterStage(index) {
+    const stage = this.program.stages[index];
+    this.stageIndex = index;
+    this.stageStartCycle = this.cycleNumber;
+
+    if (stage.natural) {
+      this.phases = PhaseManager.createNaturalPhaseSequence(stage.duration, this.config);
+    } else {
+      this.pattern = stage.pattern;
+      this.phases = PhaseManager.createPhaseSequence(stage.pattern, this.config);
+    }
+  }
+
+  /**
+   * Move to the next program stage, or finish the program after the last one
+   */
+  advanceStage() {
+    if (this.stageIndex + 1 < this.program.stages.length) {
+      this.enterStage(this.stageIndex + 1);
+      return;
+    }
+
+    this.programComplete = true;
+    this.isRunning = false;
+    this.phaseProgress = 0;
+  }
+
+  /**
+   * Get the current program stage
+   * @returns {Object|null} Current stage from the program timeline
+   */
+  getCurrentStage() {
+    return this.program ? this.program.stages[this.stageIndex] : null;
+  }
+
+  /**
+   * Get program progress: current and upcoming stage plus elapsed/remaining seconds
+   * @returns {Object} Stage state merged into getCurrentState() for programs
+   */
+  getStageState() {
+    const stage = this.getCurrentStage();
+    const completedCycles = this.cycleNumber - this.stageStartCycle;
+    const stageElapsed = this.programComplete
+      ? stage.duration
+      : Math.min(stage.duration, completedCycles * this.getTotalCycleDuration() + this.getCycleProgress() * this.getTotalCycleDuration());
+
+    return {
+      stageIndex: this.stageIndex,
+      totalStages: this.program.stages.length,
+      stage,
+      nextStage: this.program.stages[this.stageIndex + 1] || null,
+      stageElapsed,
+      stageRemaining: stage.duration - stageElapsed,
+      programElapsed: stage.startTime + stageElapsed,
+      programDuration: this.program.totalDuration,
+      programComplete: this.programComplete
+    };
+  }
+
+  /**
+   * Run a round-based protocol on the current pattern; each round counts as one cycle
+   * @param {Object} rounds - { count, breaths, recoveryInhale, recoveryHold }
+   */
+  setRounds(rounds) {
+    this.rounds = rounds;
+    this.phases = PhaseManager.createRoundSequence(this.pattern, rounds, this.config);
+    this.reset();
+  }
+
+  /**
+   * End the current open-ended phase (the user needs to breathe) and move on
+   * @param {number} [currentTime] - Optional current time, defaults to Date.now()
+   * @returns {number|null} How long the phase lasted in seconds (0.1s precision),
+   *   or null when no open-ended phase is running
+   */
+  endOpenPhase(currentTime = Date.now()) {
+    this.update(currentTime);
+    if (!this.isRunning || !this.getCurrentPhase().openEnded) return null;
+
+    const seconds = Math.round((currentTime - this.phaseStartTime) / 100) / 10;
+    this.retentions.push(seconds);
+    this.openPhaseElapsed = 0;
+    this.transitionToNextPhase(currentTime);
+    return seconds;
+  }
+
+  /**
+   * Get round progress: the current round and breath, and the retentions so far
+   * @returns {Object} Round state merged into getCurrentState() for round-based protocols
+   */
+  getRoundState() {
+    const breathPhases = this.rounds.breaths * 2;
+    return {
+      round: Math.min(this.cycleNumber + 1, this.rounds.count),
+      totalRounds: this.rounds.count,
+      breath: this.currentPhaseIndex < breathPhases ? Math.floor(this.currentPhaseIndex / 2) + 1 : null,
+      totalBreaths: this.rounds.breaths,
+      recovery: Boolean(this.phases[this.currentPhaseIndex].recovery),
+      openPhaseElapsed: this.openPhaseElapsed,
+      retentions: this.retentions
+    };
+  }
+}
@@ -0,0 +1,73 @@
+/**
+ * SessionClock is the one clock a session runs on. It reads a monotonic time source
+ * (performance.now) so wall-clock adjustments can't stretch or skip a breath, and it
+ * keeps track of paused time so the countdown and the breath cycles can't drift apart.
+ *
+ * Time read after the page comes back from the background is simply later: whatever
+ * the browser skipped is caught up on the next read instead of being lost.
+ */
+
+const monotonicNow = () => (typeof performance !== 'undefined' ? performance.now() : Date.now());
+
+export class SessionClock {
+  /**
+   * Create a SessionClock
+   * @param {Function} [now] - Returns the current time in milliseconds, defaults to performance.now
+   */
+  constructor(now = monotonicNow) {
+    this.now = now;
+    this.reset();
+  }
+
+  /**
+   * Forget any session, e.g. before timing a new one
+   */
+  reset() {
+    this.startedAt = null;
+    this.pausedAt = null;
+    this.pausedTotal = 0;
+  }
+
+  /**
+   * Start timing a session
+   * @param {number} [at] - Start time, defaults to now
+   */
+  start(at = this.now()) {
+    this.reset();
+    this.startedAt = at;
+  }
+
+  /**
+   * Stop counting time until resume()
+   * @param {number} [at] - Pause time, defaults to now
+   */
+  pause(at = this.now()) {
+    if (this.startedAt === null || this.pausedAt !== null) return;
+    this.pausedAt = at;
+  }
+
+  /**
+   * Count time again after pause(), leaving the paused stretch out
+   * @param {number} [at] - Resume time, defaults to now
+   */
+  resume(at = this.now()) {
+    if (this.pausedAt === null) return;
+    this.pausedTotal += at - this.pausedAt;
+    this.pausedAt = null;
+  }
+
+  get isPaused() {
+    return this.pausedAt !== null;
+  }
+
+  /**
+   * Time spent in the session so far, paused time excluded
+   * @param {number} [at] - Current time, defaults to now
+   * @returns {number} Active milliseconds since start(), 0 before it
+   */
+  getElapsed(at = this.now()) {
+    if (this.startedAt === null) return 0;
+    const end = this.pausedAt !== null ? this.pausedAt : at;
+    return Math.max(0, end - this.startedAt - this.pausedTotal);
+  }
+}
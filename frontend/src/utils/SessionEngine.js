@@ -0,0 +1,235 @@
+/**
+ * SessionEngine runs a PhaseManager on a clock and publishes what happens as events,
+ * so audio, haptics, analytics and alternative visualizers can follow a session
+ * without reaching into the animation loop that drives it.
+ *
+ * Events and their payloads (every payload carries `at`, in SessionClock milliseconds):
+ *   start       { phase, phaseIndex, duration, cycleNumber, stageIndex, annotation }
+ *   phaseStart  same fields as start, for every phase including the first
+ *   phaseEnd    the phase that just finished
+ *   cycle       { cycleNumber } after each full breath (each round for round-based patterns)
+ *   stageChange { stageIndex, stage } when a program moves on to its next stage
+ *   complete    { cycleNumber } once the planned breaths (or program stages) are done, or the
+ *               time limit is reached: at once for a 'cut' ending, at the end of the breath for 'finish'
+ *   pause, resume, stop
+ *   tick        the PhaseManager state plus `elapsed`, the active session time, once per tick()
+ *
+ * Transition times are the exact phase boundaries, not the time of the frame that
+ * noticed them, so a slow frame still reports when each phase really began and ended.
+ * Everything a session shows (the path, the countdown) is read from the same SessionClock,
+ * so nothing drifts apart.
+ */
+
+import { SessionClock } from './SessionClock.js';
+
+export class SessionEngine {
+  static EVENTS = ['start', 'phaseStart', 'phaseEnd', 'cycle', 'stageChange', 'complete', 'pause', 'resume', 'stop', 'tick'];
+  static ENDINGS = ['cut', 'finish'];
+
+  /**
+   * Create a SessionEngine around a PhaseManager
+   * @param {PhaseManager} phaseManager - Manager already set up with its pattern, program, ramp or rounds
+   * @param {Object} [options]
+   * @param {number} [options.totalCycles] - Breaths after which the session completes; programs end with their last stage
+   * @param {number} [options.timeLimit] - Active milliseconds after which the session completes
+   * @param {string} [options.ending='finish'] - What the time limit does: 'cut' ends at once, 'finish' ends with the breath
+   * @param {SessionClock} [options.clock] - Clock the session runs on, defaults to a new performance.now clock
+   */
+  constructor(phaseManager, { totalCycles = Infinity, timeLimit = Infinity, ending = 'finish', clock = new SessionClock() } = {}) {
+    this.phaseManager = phaseManager;
+    this.totalCycles = totalCycles;
+    this.timeLimit = timeLimit;
+    this.ending = ending;
+    this.clock = clock;
+    this.listeners = new Map(SessionEngine.EVENTS.map(event => [event, new Set()]));
+    this.completed = false;
+    phaseManager.setTransitionListener((previous, next, at) => this.handleTransition(previous, next, at));
+  }
+
+  /**
+   * Subscribe to an event
+   * @param {string} event - One of SessionEngine.EVENTS
+   * @param {Function} handler - Called with the event payload
+   * @returns {Function} Unsubscribe function
+   */
+  on(event, handler) {
+    const handlers = this.listeners.get(event);
+    if (!handlers) {
+      throw new Error(`Unknown session event: ${event}`);
+    }
+    handlers.add(handler);
+    return () => this.off(event, handler);
+  }
+
+  /**
+   * Remove a handler added with on()
+   * @param {string} event - Event name
+   * @param {Function} handler - The handler to remove
+   */
+  off(event, handler) {
+    this.listeners.get(event)?.delete(handler);
+  }
+
+  /**
+   * Call every handler for an event; a failing handler is logged and does not stop the others
+   * @param {string} event - Event name
+   * @param {Object} payload - Event payload
+   */
+  emit(event, payload) {
+    this.listeners.get(event).forEach(handler => {
+      try {
+        handler(payload);
+      } catch (error) {
+        console.error(`SessionEngine: Error in ${event} handler`, error);
+      }
+    });
+  }
+
+  /**
+   * Change how many breaths the session runs for, e.g. when the chosen duration changes
+   * @param {number} totalCycles - Breaths after which the session completes
+   */
+  setTotalCycles(totalCycles) {
+    this.totalCycles = totalCycles;
+  }
+
+  /**
+   * Change how long the session runs for and how it ends when the time is up
+   * @param {number} timeLimit - Active milliseconds after which the session completes
+   * @param {string} [ending] - 'cut' or 'finish', see SessionEngine.ENDINGS
+   */
+  setTimeLimit(timeLimit, ending = this.ending) {
+    this.timeLimit = timeLimit;
+    this.ending = ending;
+  }
+
+  /**
+   * Start the session from the first phase
+   * @param {number} [at] - Start time, defaults to the clock
+   * @param {Object} [options]
+   * @param {number} [options.elapsed=0] - Active milliseconds the session already ran before this start
+   *   (e.g. on the pattern it switched from); the clock counts on from them, the phases start afresh
+   */
+  start(at = this.clock.now(), { elapsed = 0 } = {}) {
+    this.completed = false;
+    this.clock.start(at - elapsed);
+    this.phaseManager.reset();
+    this.phaseManager.start(at);
+    const first = { ...this.phaseManager.getPhaseSnapshot(), at };
+    this.emit('start', first);
+    this.emit('phaseStart', first);
+  }
+
+  /**
+   * Pause the session
+   * @param {number} [at] - Pause time, defaults to the clock
+   */
+  pause(at = this.clock.now()) {
+    if (!this.phaseManager.isRunning) return;
+    this.phaseManager.pause(at);
+    this.clock.pause(at);
+    this.emit('pause', { at });
+  }
+
+  /**
+   * Resume a paused session where it left off
+   * @param {number} [at] - Resume time, defaults to the clock
+   */
+  resume(at = this.clock.now()) {
+    if (!this.phaseManager.isPaused) return;
+    this.phaseManager.resume(at);
+    this.clock.resume(at);
+    this.emit('resume', { at });
+  }
+
+  /**
+   * Stop the session for good, e.g. when the user ends it early
+   * @param {number} [at] - Stop time, defaults to the clock
+   */
+  stop(at = this.clock.now()) {
+    this.phaseManager.stop();
+    this.emit('stop', { at });
+  }
+
+  /**
+   * Advance the session to the given time, emitting any transitions on the way
+   * @param {number} [at] - Current time, defaults to the clock
+   * @returns {Object} PhaseManager state after the update
+   */
+  tick(at = this.clock.now()) {
+    const state = this.phaseManager.update(at);
+    // A cut ending can fall part way through a phase, with no transition to notice it
+    if (!this.completed && this.ending === 'cut') {
+      const overtime = this.clock.getElapsed(at) - this.timeLimit;
+      if (overtime >= 0) this.complete(this.phaseManager.cycleNumber, at - overtime);
+    }
+    if (this.completed && this.phaseManager.isRunning) {
+      this.phaseManager.stop();
+    }
+    this.emit('tick', { ...state, at, elapsed: this.clock.getElapsed(at) });
+    return state;
+  }
+
+  /**
+   * Active session time, paused time excluded
+   * @param {number} [at] - Current time, defaults to the clock
+   * @returns {number} Milliseconds since start()
+   */
+  getElapsed(at = this.clock.now()) {
+    return this.clock.getElapsed(at);
+  }
+
+  /**
+   * End the current open-ended phase (a round's retention) and move on
+   * @param {number} [at] - Time the user ended it, defaults to the clock
+   * @returns {number|null} How long the phase lasted in seconds, see PhaseManager.endOpenPhase
+   */
+  endOpenPhase(at = this.clock.now()) {
+    return this.phaseManager.endOpenPhase(at);
+  }
+
+  /**
+   * Turn a PhaseManager transition into events
+   * @param {Object} previous - Snapshot of the phase that ended
+   * @param {Object} next - Snapshot of the phase that started
+   * @param {number} at - Transition time
+   */
+  handleTransition(previous, next, at) {
+    // A long frame can run past the end; nothing after completion counts
+    if (this.completed) return;
+
+    // A cut ending that fell inside the phase that just ended stops the session there
+    const overtime = this.clock.getElapsed(at) - this.timeLimit;
+    if (this.ending === 'cut' && overtime > 0) {
+      this.complete(previous.cycleNumber, at - overtime);
+      return;
+    }
+
+    this.emit('phaseEnd', { ...previous, at });
+    const breathDone = next.cycleNumber !== previous.cycleNumber;
+    if (breathDone) {
+      this.emit('cycle', { cycleNumber: next.cycleNumber, at });
+    }
+
+    const timeUp = overtime >= 0 && (this.ending === 'cut' || breathDone);
+    if (this.phaseManager.programComplete || next.cycleNumber >= this.totalCycles || timeUp) {
+      this.complete(next.cycleNumber, at);
+      return;
+    }
+
+    if (next.stageIndex !== previous.stageIndex) {
+      this.emit('stageChange', { stageIndex: next.stageIndex, stage: this.phaseManager.getCurrentStage(), at });
+    }
+    this.emit('phaseStart', { ...next, at });
+  }
+
+  /**
+   * Mark the session complete and say so
+   * @param {number} cycleNumber - Breaths completed
+   * @param {number} at - Completion time
+   */
+  complete(cycleNumber, at) {
+    this.completed = true;
+    this.emit('complete', { cycleNumber, at });
+  }
+}
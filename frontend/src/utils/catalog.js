@@ -0,0 +1,67 @@
+// Client for the server-managed breathing catalog (/api/catalog)
+import api from './api';
+
+let catalogPromise = null;
+
+// Reshape the API payload into the lookups the practice screen renders from.
+// Patterns keep their catalog id as `catalogId` and carry the level's display name in `level`.
+export function indexCatalog(catalog) {
+	const levelNames = Object.fromEntries(catalog.levels.map(l => [l.id, l.name]));
+	const patternsByCategory = Object.fromEntries(catalog.categories.map(c => [c.id, []]));
+	const benefitsByCategory = Object.fromEntries(catalog.categories.map(c => [c.id, c.benefits || []]));
+
+	const patternsById = {};
+
+	catalog.patterns.forEach(p => {
+		if (!patternsByCategory[p.category]) return;
+		const pattern = {
+			...p,
+			catalogId: p.id,
+			levelId: p.level,
+			level: levelNames[p.level] || p.level,
+		};
+		patternsById[p.id] = pattern;
+		patternsByCategory[p.category].push(pattern);
+	});
+
+	// Resolve program stages to full patterns, skipping programs that reference unknown ones
+	const programs = (catalog.programs || [])
+		.map(program => ({
+			...program,
+			stages: program.stages.map(stage => (stage.natural
+				? { natural: true, name: 'Natural breathing', seconds: stage.seconds }
+				: patternsById[stage.patternId] && {
+					pattern: patternsById[stage.patternId],
+					catalogId: stage.patternId,
+					name: patternsById[stage.patternId].name,
+					seconds: stage.seconds,
+				})),
+		}))
+		.filter(program => program.stages.every(Boolean));
+
+	return {
+		categories: catalog.categories.map(({ id, name }) => ({ id, name })),
+		patternsByCategory,
+		benefitsByCategory,
+		previewBenefits: catalog.previewBenefits || [],
+		programs,
+	};
+}
+
+// Fetch once per page load; a failed request is retried on the next call
+export function loadCatalog() {
+	if (!catalogPromise) {
+		catalogPromise = api.get('/catalog')
+			.then(response => indexCatalog(response.data.data))
+			.catch(error => {
+				catalogPromise = null;
+				throw error;
+			});
+	}
+	return catalogPromise;
+}
+
+export function getDefaultPattern(catalog) {
+	const first = catalog.categories[0];
+	return first ? catalog.patternsByCategory[first.id][0] || null : null;
+}
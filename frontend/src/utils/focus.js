@@ -0,0 +1,68 @@
+// Browser support for focus mode: full screen, keeping the screen awake and keyboard controls.
+// Each helper degrades to a no-op where the API is missing (iOS Safari has no element
+// full screen, older browsers no Screen Wake Lock); focus mode still hides the page chrome.
+
+// Key presses understood in focus mode
+export const FOCUS_KEYS = {
+	' ': 'toggle',
+	Escape: 'exit',
+	r: 'restart',
+	R: 'restart'
+};
+
+// The focus mode action for a keydown event, or null for keys (and shortcuts) it leaves alone
+export function getFocusAction(event) {
+	if (event.ctrlKey || event.metaKey || event.altKey || event.repeat) return null;
+	return FOCUS_KEYS[event.key] || null;
+}
+
+export function isFullscreen() {
+	return typeof document !== 'undefined' && Boolean(document.fullscreenElement);
+}
+
+export async function enterFullscreen(element) {
+	if (!element || typeof element.requestFullscreen !== 'function' || isFullscreen()) return false;
+	try {
+		await element.requestFullscreen();
+		return true;
+	} catch (err) {
+		console.warn('Fullscreen error', err);
+		return false;
+	}
+}
+
+export async function exitFullscreen() {
+	if (!isFullscreen()) return;
+	try {
+		await document.exitFullscreen();
+	} catch (err) {
+		console.warn('Fullscreen error', err);
+	}
+}
+
+export function isWakeLockSupported() {
+	return typeof navigator !== 'undefined' && Boolean(navigator.wakeLock);
+}
+
+// Keep the screen on; returns the lock to release, or null when it can't be held.
+// The browser drops the lock whenever the page is hidden, so callers ask again on return.
+export async function requestWakeLock() {
+	if (!isWakeLockSupported()) return null;
+	try {
+		return await navigator.wakeLock.request('screen');
+	} catch (err) {
+		console.warn('Wake lock error', err);
+		return null;
+	}
+}
+
+export async function releaseWakeLock(lock) {
+	if (!lock || lock.released) return;
+	try {
+		await lock.release();
+	} catch (err) {
+		console.warn('Wake lock error', err);
+	}
+}
+
+export default { getFocusAction, enterFullscreen, exitFullscreen, requestWakeLock, releaseWakeLock };
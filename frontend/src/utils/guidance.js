@@ -0,0 +1,34 @@
+// Audio and vibration guidance for a running session, driven by SessionEngine events
+import { playPhaseHaptic, stopHaptics } from './haptics.js';
+import { playPhaseSound, startAmbient, stopAmbient, stopCues } from './sounds.js';
+
+function silence() {
+	stopCues();
+	stopHaptics();
+	stopAmbient();
+}
+
+// Cue each phase as it starts and keep the ambient bed playing while breathing.
+// Returns a function that detaches the guidance and silences anything still playing.
+export function attachGuidance(engine) {
+	const unsubscribers = [
+		engine.on('start', () => startAmbient()),
+		engine.on('resume', () => startAmbient()),
+		engine.on('phaseStart', ({ phase, annotation, duration, at }) => {
+			// A tab back from the background catches up on several phases at once; only cue the one under way
+			if (duration && at + duration * 1000 <= engine.clock.now()) return;
+			playPhaseSound(phase, annotation, duration);
+			playPhaseHaptic(phase);
+		}),
+		engine.on('pause', silence),
+		engine.on('stop', silence),
+		engine.on('complete', silence)
+	];
+
+	return () => {
+		unsubscribers.forEach(unsubscribe => unsubscribe());
+		silence();
+	};
+}
+
+export default { attachGuidance };
@@ -0,0 +1,51 @@
+// Vibration cues for eyes-closed practice, one pattern per kind of phase.
+// Browsers without the Vibration API (desktop, iOS Safari) quietly get nothing.
+import { getCueKind } from './sounds.js';
+
+const ENABLED_KEY = 'breathing_haptics_enabled';
+
+// Milliseconds, alternating vibrate and pause: one long swell to breathe in, a short nudge
+// to top up, two light taps to hold and a long-short-short fade to breathe out
+export const HAPTIC_PATTERNS = {
+	in: [400],
+	topUp: [120],
+	hold: [60, 120, 60],
+	out: [250, 120, 100, 120, 60]
+};
+
+export function isHapticsSupported() {
+	return typeof navigator !== 'undefined' && typeof navigator.vibrate === 'function';
+}
+
+// Off unless the user opts in: vibration is intrusive if the phone is on a desk
+export function isHapticsEnabled() {
+	return localStorage.getItem(ENABLED_KEY) === '1';
+}
+
+export function setHapticsEnabled(v) {
+	localStorage.setItem(ENABLED_KEY, v ? '1' : '0');
+	if (!v) stopHaptics();
+}
+
+export function getHapticPattern(phase) {
+	return HAPTIC_PATTERNS[getCueKind(phase)] || null;
+}
+
+// Vibrate for the start of a phase; returns whether a vibration was requested
+export function playPhaseHaptic(phase) {
+	const pattern = getHapticPattern(phase);
+	if (!pattern || !isHapticsEnabled() || !isHapticsSupported()) return false;
+	try {
+		return navigator.vibrate(pattern);
+	} catch (err) {
+		console.warn('Vibration error', err);
+		return false;
+	}
+}
+
+// Cut short a pattern still playing, e.g. when the session is paused
+export function stopHaptics() {
+	if (isHapticsSupported()) navigator.vibrate(0);
+}
+
+export default { playPhaseHaptic, stopHaptics, isHapticsSupported, isHapticsEnabled, setHapticsEnabled };
@@ -0,0 +1,138 @@
+import api from './api';
+
+// Sessions finished while the server couldn't be reached wait here until they can be sent to
+// /session/ingest. Each is stored under the idempotency key (clientId) it started with, so queueing
+// or sending it again never counts it twice
+const DB_NAME = 'breathing-outbox';
+const STORE_NAME = 'sessions';
+// Browsers without IndexedDB, or with it blocked (e.g. some private windows), queue in localStorage
+const FALLBACK_KEY = 'breathing_session_outbox';
+// Largest batch the server takes at once
+const MAX_BATCH = 100;
+
+let dbPromise = null;
+
+// The outbox database, or null when IndexedDB can't be used
+const openDatabase = () => {
+	if (typeof indexedDB === 'undefined') return Promise.resolve(null);
+	if (!dbPromise) {
+		dbPromise = new Promise(resolve => {
+			const request = indexedDB.open(DB_NAME, 1);
+			request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME, { keyPath: 'clientId' });
+			request.onsuccess = () => resolve(request.result);
+			request.onerror = () => {
+				console.error('Outbox database unavailable, queueing in localStorage:', request.error);
+				resolve(null);
+			};
+		});
+	}
+	return dbPromise;
+};
+
+// Run `action` on the store in one transaction; resolves with the result of the request it returns
+const withStore = (db, mode, action) => new Promise((resolve, reject) => {
+	const transaction = db.transaction(STORE_NAME, mode);
+	const request = action(transaction.objectStore(STORE_NAME));
+	transaction.oncomplete = () => resolve(request ? request.result : undefined);
+	transaction.onerror = () => reject(transaction.error);
+});
+
+const readFallback = () => {
+	try {
+		const entries = JSON.parse(localStorage.getItem(FALLBACK_KEY));
+		return Array.isArray(entries) ? entries : [];
+	} catch {
+		return [];
+	}
+};
+
+const writeFallback = (entries) => localStorage.setItem(FALLBACK_KEY, JSON.stringify(entries));
+
+// A key for a new session that stays the same however often its calls are replayed
+export function createClientId() {
+	if (typeof crypto !== 'undefined' && crypto.randomUUID) return crypto.randomUUID();
+	return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+}
+
+// Queue a finished session: { clientId, userId, startedAt, completedAt, start, complete }, where
+// `start` and `complete` are the bodies the /session/start and /session/complete calls would send
+export async function queueSession(entry) {
+	const db = await openDatabase();
+	if (!db) {
+		writeFallback([...readFallback().filter(queued => queued.clientId !== entry.clientId), entry]);
+		return;
+	}
+	await withStore(db, 'readwrite', store => store.put(entry));
+}
+
+export async function getQueuedSessions() {
+	const db = await openDatabase();
+	if (!db) return readFallback();
+	return withStore(db, 'readonly', store => store.getAll());
+}
+
+export async function removeQueuedSessions(clientIds) {
+	const db = await openDatabase();
+	if (!db) {
+		writeFallback(readFallback().filter(queued => !clientIds.includes(queued.clientId)));
+		return;
+	}
+	await withStore(db, 'readwrite', store => {
+		clientIds.forEach(clientId => store.delete(clientId));
+	});
+}
+
+// Send one user's queue in batches. Whatever the server answered for leaves the queue, including
+// sessions it rejected, which would never be accepted; anything unsent waits for the next try
+const sendQueued = async (userId) => {
+	let synced = null;
+	for (;;) {
+		const queued = (await getQueuedSessions()).filter(entry => entry.userId === userId).slice(0, MAX_BATCH);
+		if (queued.length === 0) return synced;
+		try {
+			const response = await api.post('/session/ingest', { sessions: queued });
+			const data = response.data.data;
+			data.results
+				.filter(result => result.status === 'rejected')
+				.forEach(result => console.error(`Queued session ${result.clientId} was rejected: ${result.message}`));
+			await removeQueuedSessions(data.results.map(result => result.clientId));
+			synced = {
+				...data,
+				results: [...(synced ? synced.results : []), ...data.results]
+			};
+			// Nothing answered for means nothing left the queue; sending it again would loop
+			if (data.results.length === 0) return synced;
+		} catch (error) {
+			console.error('Failed to sync queued sessions:', error);
+			return synced;
+		}
+	}
+};
+
+// Sends under way, by the user whose queue they send
+const flushing = new Map();
+
+// Send what is queued for a user; resolves with the server's reply (results across every batch,
+// latest stats), or null when nothing was sent. Calls for the same user made while a send is under
+// way share it; another user's queue gets a send of its own
+export function flushOutbox(userId) {
+	if (!flushing.has(userId)) {
+		flushing.set(userId, sendQueued(userId).finally(() => {
+			flushing.delete(userId);
+		}));
+	}
+	return flushing.get(userId);
+}
+
+// Send the queue now and whenever the browser is back online; returns a function that stops listening
+export function startOutboxSync(userId, onSynced) {
+	const sync = async () => {
+		const synced = await flushOutbox(userId);
+		if (synced && onSynced) onSynced(synced);
+	};
+	sync();
+	window.addEventListener('online', sync);
+	return () => window.removeEventListener('online', sync);
+}
+
+export default { createClientId, queueSession, getQueuedSessions, removeQueuedSessions, flushOutbox, startOutboxSync };
@@ -0,0 +1,37 @@
+import api from './api';
+
+// Only the production build has a service worker; the dev server serves none
+const SERVICE_WORKER_PATH = '/sw.js';
+
+// The worker is told where the pattern catalog comes from, since the API can live on another origin
+export function getServiceWorkerUrl(baseURL = api.defaults.baseURL) {
+	const catalogUrl = new URL(`${baseURL}/catalog`, window.location.origin).href;
+	return `${SERVICE_WORKER_PATH}?catalog=${encodeURIComponent(catalogUrl)}`;
+}
+
+// Register the service worker that keeps the app shell, sounds and pattern catalog available offline
+export function registerServiceWorker() {
+	if (!import.meta.env.PROD || !('serviceWorker' in navigator)) return;
+	window.addEventListener('load', () => {
+		navigator.serviceWorker.register(getServiceWorkerUrl())
+			.catch(error => console.error('Service worker registration failed:', error));
+	});
+}
+
+export function isOnline() {
+	return navigator.onLine !== false;
+}
+
+// Call `callback` with true or false as the connection comes and goes; returns an unsubscribe function
+export function subscribeToConnectivity(callback) {
+	const handleOnline = () => callback(true);
+	const handleOffline = () => callback(false);
+	window.addEventListener('online', handleOnline);
+	window.addEventListener('offline', handleOffline);
+	return () => {
+		window.removeEventListener('online', handleOnline);
+		window.removeEventListener('offline', handleOffline);
+	};
+}
+
+export default { getServiceWorkerUrl, registerServiceWorker, isOnline, subscribeToConnectivity };
@@ -0,0 +1,22 @@
+// How a timed session ends when its time is up; kept on the device and in the account preferences
+export const SESSION_ENDINGS = [
+	{ id: 'cut', name: 'Stop', description: 'End the moment the time runs out, wherever the breath is' },
+	{ id: 'finish', name: 'Finish breath', description: 'Let the breath in progress finish, then end' },
+	{ id: 'round', name: 'Whole breaths', description: 'Round the length to whole breaths before starting' }
+];
+
+const STORAGE_KEY = 'breathing_session_ending';
+
+const isSessionEnding = (id) => SESSION_ENDINGS.some(ending => ending.id === id);
+
+export function getSessionEnding() {
+	const stored = localStorage.getItem(STORAGE_KEY);
+	return isSessionEnding(stored) ? stored : 'finish';
+}
+
+export function setSessionEnding(ending) {
+	if (!isSessionEnding(ending)) return;
+	localStorage.setItem(STORAGE_KEY, ending);
+}
+
+export default { getSessionEnding, setSessionEnding };
@@ -0,0 +1,35 @@
+// A session in progress is kept on the device, so a reload or crash can pick it up where it left off
+const STORAGE_KEY = 'breathing_session_in_progress';
+
+// Sessions left longer than this are not offered again
+export const RESUME_WINDOW_MS = 6 * 60 * 60 * 1000;
+
+const isSessionProgress = (progress) => Boolean(progress)
+	&& typeof progress.pattern === 'object' && progress.pattern !== null
+	&& typeof progress.elapsedMs === 'number' && progress.elapsedMs >= 0
+	&& typeof progress.savedAt === 'number';
+
+export function saveSessionProgress(progress, now = Date.now()) {
+	localStorage.setItem(STORAGE_KEY, JSON.stringify({ ...progress, savedAt: now }));
+}
+
+// The saved session, or null when there is none worth resuming
+export function getSessionProgress(now = Date.now()) {
+	let progress = null;
+	try {
+		progress = JSON.parse(localStorage.getItem(STORAGE_KEY));
+	} catch {
+		progress = null;
+	}
+	if (!isSessionProgress(progress) || now - progress.savedAt > RESUME_WINDOW_MS) {
+		clearSessionProgress();
+		return null;
+	}
+	return progress;
+}
+
+export function clearSessionProgress() {
+	localStorage.removeItem(STORAGE_KEY);
+}
+
+export default { saveSessionProgress, getSessionProgress, clearSessionProgress };
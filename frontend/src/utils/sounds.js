@@ -1,18 +1,43 @@
-// Simple WebAudio-based utilities for phase sounds
+// WebAudio guidance engine: a cue for each phase in the user's chosen style, plus a looping
+// ambient bed. Cues and ambience run through separate gains so each has its own volume.
 let audioCtx = null;
 let masterGain = null;
+let cueGain = null;
+let ambientGain = null;
 let enabled = true;
 
+export const CUE_STYLES = ['none', 'tones', 'bells', 'sweeps', 'voice'];
+export const AMBIENT_SOUNDS = ['none', 'rain', 'ocean', 'brown'];
+export const DEFAULT_AUDIO_PREFERENCES = { cueStyle: 'tones', cueVolume: 0.8, ambient: 'none', ambientVolume: 0.5 };
+
+const PREFERENCES_KEY = 'breathing_audio_preferences';
+let preferences = null;
+
 function getAudioCtx() {
 	if (!audioCtx) {
 		audioCtx = new (window.AudioContext || window.webkitAudioContext)();
 		masterGain = audioCtx.createGain();
 		masterGain.gain.value = 0.15;
 		masterGain.connect(audioCtx.destination);
+
+		const prefs = getAudioPreferences();
+		cueGain = audioCtx.createGain();
+		cueGain.gain.value = prefs.cueVolume;
+		cueGain.connect(masterGain);
+		ambientGain = audioCtx.createGain();
+		ambientGain.gain.value = prefs.ambientVolume;
+		ambientGain.connect(masterGain);
 	}
 	return audioCtx;
 }
 
+async function getRunningCtx() {
+	const ctx = getAudioCtx();
+	// resume context on some browsers if suspended
+	if (ctx.state === 'suspended') await ctx.resume();
+	return ctx;
+}
+
 export function setEnabled(v) {
 	enabled = !!v;
 	localStorage.setItem('breathing_sound_enabled', enabled ? '1' : '0');
@@ -24,13 +49,116 @@ export function isEnabled() {
 	return stored === '1';
 }
 
-export async function playTone(freq = 440, duration = 400) {
+const clampVolume = (value, fallback) => {
+	const n = Number(value);
+	return Number.isFinite(n) ? Math.min(1, Math.max(0, n)) : fallback;
+};
+
+// Fill in defaults and drop anything the engine doesn't know, so stale or partial settings are safe
+export function normalizeAudioPreferences(prefs) {
+	const d = DEFAULT_AUDIO_PREFERENCES;
+	return {
+		cueStyle: CUE_STYLES.includes(prefs?.cueStyle) ? prefs.cueStyle : d.cueStyle,
+		cueVolume: clampVolume(prefs?.cueVolume ?? d.cueVolume, d.cueVolume),
+		ambient: AMBIENT_SOUNDS.includes(prefs?.ambient) ? prefs.ambient : d.ambient,
+		ambientVolume: clampVolume(prefs?.ambientVolume ?? d.ambientVolume, d.ambientVolume)
+	};
+}
+
+export function getAudioPreferences() {
+	if (!preferences) {
+		let stored = null;
+		try {
+			stored = JSON.parse(localStorage.getItem(PREFERENCES_KEY));
+		} catch {
+			stored = null;
+		}
+		preferences = normalizeAudioPreferences(stored);
+	}
+	return preferences;
+}
+
+// Apply settings (from the profile or the preferences card) and keep a local copy for the next visit
+export function setAudioPreferences(prefs) {
+	const previous = getAudioPreferences();
+	preferences = normalizeAudioPreferences({ ...previous, ...prefs });
+	localStorage.setItem(PREFERENCES_KEY, JSON.stringify(preferences));
+
+	if (audioCtx) {
+		cueGain.gain.setTargetAtTime(preferences.cueVolume, audioCtx.currentTime, 0.05);
+		ambientGain.gain.setTargetAtTime(preferences.ambientVolume, audioCtx.currentTime, 0.05);
+	}
+	if (ambient && preferences.ambient !== ambient.sound) {
+		stopAmbient();
+		startAmbient();
+	}
+	return preferences;
+}
+
+// Stereo position for a phase's side cue: the left nostril plays on the left, the right on the right
+const SIDE_PAN = { left: -1, right: 1 };
+
+export function getAnnotationPan(annotation) {
+	return SIDE_PAN[annotation?.side] || 0;
+}
+
+// What a phase asks the breather to do; null for phases that get no cue (natural breathing, idle)
+const CUE_KINDS = {
+	inhale: 'in',
+	topUp: 'topUp',
+	holdTop: 'hold',
+	holdBottom: 'hold',
+	hold: 'hold',
+	retention: 'hold',
+	exhale: 'out'
+};
+
+export function getCueKind(phase) {
+	return CUE_KINDS[phase] || null;
+}
+
+// Route a cue through an optional panner into the cue gain; older browsers without StereoPannerNode play centred
+function connectCue(ctx, node, pan) {
+	if (pan && ctx.createStereoPanner) {
+		const panner = ctx.createStereoPanner();
+		panner.pan.value = pan;
+		node.connect(panner);
+		panner.connect(cueGain);
+	} else {
+		node.connect(cueGain);
+	}
+}
+
+// Nodes and timers belonging to the current cue, so a new phase or a pause can cut it short
+let activeSources = [];
+let cueTimers = [];
+
+export function stopCues() {
+	cueTimers.forEach(clearTimeout);
+	cueTimers = [];
+	activeSources.forEach(source => {
+		try {
+			source.stop();
+		} catch {
+			// already stopped
+		}
+	});
+	activeSources = [];
+	if (typeof window !== 'undefined' && window.speechSynthesis) window.speechSynthesis.cancel();
+}
+
+function track(source) {
+	activeSources.push(source);
+	source.onended = () => {
+		activeSources = activeSources.filter(s => s !== source);
+	};
+}
+
+// pan: -1 (left) to 1 (right)
+export async function playTone(freq = 440, duration = 400, pan = 0) {
 	if (!isEnabled()) return;
 	try {
-		const ctx = getAudioCtx();
-		// resume context on some browsers if suspended
-		if (ctx.state === 'suspended') await ctx.resume();
-
+		const ctx = await getRunningCtx();
 		const osc = ctx.createOscillator();
 		osc.type = 'sine';
 		osc.frequency.value = freq;
@@ -39,22 +167,294 @@ export async function playTone(freq = 440, duration = 400) {
 		g.gain.linearRampToValueAtTime(1, ctx.currentTime + 0.01);
 		g.gain.linearRampToValueAtTime(0, ctx.currentTime + duration / 1000);
 		osc.connect(g);
-		g.connect(masterGain || ctx.destination);
+		connectCue(ctx, g, pan);
 		osc.start();
 		osc.stop(ctx.currentTime + duration / 1000 + 0.02);
+		track(osc);
+	} catch (err) {
+		console.warn('Sound play error', err);
+	}
+}
+
+// frequencies chosen to be pleasant
+const TONES = { in: 440, topUp: 493.88, hold: 523.25, out: 349.23 };
+
+// Inharmonic partials (ratio, level) of a struck bell; each decays over a few seconds
+const BELL_PARTIALS = [[1, 1], [2.76, 0.5], [5.4, 0.25], [8.93, 0.12]];
+
+export async function playBell(freq = 440, pan = 0, decay = 2.5) {
+	if (!isEnabled()) return;
+	try {
+		const ctx = await getRunningCtx();
+		const now = ctx.currentTime;
+		const g = ctx.createGain();
+		g.gain.value = 0.5;
+		connectCue(ctx, g, pan);
+
+		BELL_PARTIALS.forEach(([ratio, level], i) => {
+			const osc = ctx.createOscillator();
+			osc.type = 'sine';
+			osc.frequency.value = freq * ratio;
+			const env = ctx.createGain();
+			// Higher partials die away sooner, which is what makes it sound struck rather than held
+			const partialDecay = decay / (1 + i);
+			env.gain.setValueAtTime(0, now);
+			env.gain.linearRampToValueAtTime(level, now + 0.005);
+			env.gain.exponentialRampToValueAtTime(0.0001, now + partialDecay);
+			osc.connect(env);
+			env.connect(g);
+			osc.start(now);
+			osc.stop(now + partialDecay + 0.05);
+			track(osc);
+		});
+	} catch (err) {
+		console.warn('Sound play error', err);
+	}
+}
+
+// Pitch follows lung volume across an octave: rising while breathing in, falling while
+// breathing out and steady during holds, at the top or the bottom of the breath
+const SWEEP_LOW = 220;
+const SWEEP_HIGH = 440;
+const SWEEPS = {
+	inhale: [SWEEP_LOW, SWEEP_HIGH],
+	topUp: [SWEEP_HIGH, SWEEP_HIGH * 1.25],
+	holdTop: [SWEEP_HIGH, SWEEP_HIGH],
+	hold: [SWEEP_HIGH, SWEEP_HIGH],
+	holdBottom: [SWEEP_LOW, SWEEP_LOW],
+	retention: [SWEEP_LOW, SWEEP_LOW],
+	exhale: [SWEEP_HIGH, SWEEP_LOW]
+};
+
+export function getSweep(phase) {
+	const sweep = SWEEPS[phase];
+	return sweep ? { from: sweep[0], to: sweep[1] } : null;
+}
+
+export async function playSweep(from, to, seconds, pan = 0) {
+	if (!isEnabled()) return;
+	try {
+		const ctx = await getRunningCtx();
+		const now = ctx.currentTime;
+		const osc = ctx.createOscillator();
+		osc.type = 'triangle';
+		osc.frequency.setValueAtTime(from, now);
+		osc.frequency.exponentialRampToValueAtTime(to, now + seconds);
+		// Soft attack and release so back-to-back phases glide rather than click
+		const fade = Math.min(0.3, seconds / 4);
+		const g = ctx.createGain();
+		g.gain.setValueAtTime(0, now);
+		g.gain.linearRampToValueAtTime(0.6, now + fade);
+		g.gain.setValueAtTime(0.6, now + seconds - fade);
+		g.gain.linearRampToValueAtTime(0, now + seconds);
+		osc.connect(g);
+		connectCue(ctx, g, pan);
+		osc.start(now);
+		osc.stop(now + seconds + 0.02);
+		track(osc);
 	} catch (err) {
 		console.warn('Sound play error', err);
 	}
 }
 
-export function playPhaseSound(phase) {
-	// frequencies chosen to be pleasant
+const VOICE_PHRASES = { in: 'Breathe in', topUp: 'Top up', hold: 'Hold', out: 'Breathe out' };
+
+// What the voice says and when: the instruction, then a count on each following second
+// ("Breathe in", "2", "3", "4"). Open-ended phases only get the instruction.
+export function getVoiceScript(phase, duration = null) {
+	const kind = getCueKind(phase);
+	if (!kind) return [];
+	const script = [{ text: VOICE_PHRASES[kind], at: 0 }];
+	const seconds = Math.floor(duration || 0);
+	for (let n = 2; n <= seconds; n++) script.push({ text: String(n), at: n - 1 });
+	return script;
+}
+
+// Voice cues are spoken by the browser's speech synthesiser; there are no recorded clips
+function say(text) {
+	if (typeof window === 'undefined' || !window.speechSynthesis) return;
+	const utterance = new SpeechSynthesisUtterance(text);
+	utterance.volume = getAudioPreferences().cueVolume;
+	utterance.rate = 0.9;
+	window.speechSynthesis.speak(utterance);
+}
+
+// Speech can't be panned, so a phase for one side opens with a short tone on that side
+export async function playVoice(phase, duration = null, pan = 0) {
 	if (!isEnabled()) return;
-	if (phase === 'inhale') return playTone(440, 450);
-	if (phase === 'hold') return playTone(523.25, 350);
-	if (phase === 'exhale') return playTone(349.23, 450);
-	return null;
+	try {
+		if (pan) await playTone(TONES[getCueKind(phase)], 150, pan);
+		getVoiceScript(phase, duration).forEach(({ text, at }) => {
+			if (at === 0) say(text);
+			else cueTimers.push(setTimeout(() => say(text), at * 1000));
+		});
+	} catch (err) {
+		console.warn('Sound play error', err);
+	}
+}
+
+// Cue the start of a phase in the chosen style. duration is the phase length in seconds
+// (null for open-ended phases); sweeps last the whole phase and the voice counts through it.
+export function playPhaseSound(phase, annotation = null, duration = null) {
+	if (!isEnabled()) return null;
+	const kind = getCueKind(phase);
+	if (!kind) return null;
+	stopCues();
+
+	const { cueStyle } = getAudioPreferences();
+	const pan = getAnnotationPan(annotation);
+	if (cueStyle === 'none') return null;
+	if (cueStyle === 'bells') return playBell(TONES[kind], pan);
+	if (cueStyle === 'voice') return playVoice(phase, duration, pan);
+	if (cueStyle === 'sweeps' && duration) {
+		const { from, to } = getSweep(phase);
+		return playSweep(from, to, duration, pan);
+	}
+	return playTone(TONES[kind], kind === 'hold' ? 350 : 450, pan);
 }
 
-export default { playTone, playPhaseSound, setEnabled, isEnabled };
+// Fill a buffer with noise. White is flat; pink (Paul Kellet's filter) and brown
+// (integrated white) roll off the highs and sound softer and deeper.
+export function fillNoise(data, color = 'white', random = Math.random) {
+	let b0 = 0, b1 = 0, b2 = 0, b3 = 0, b4 = 0, b5 = 0, b6 = 0;
+	let last = 0;
+	for (let i = 0; i < data.length; i++) {
+		const white = random() * 2 - 1;
+		if (color === 'brown') {
+			last = (last + 0.02 * white) / 1.02;
+			data[i] = last * 3.5;
+		} else if (color === 'pink') {
+			b0 = 0.99886 * b0 + white * 0.0555179;
+			b1 = 0.99332 * b1 + white * 0.0750759;
+			b2 = 0.96900 * b2 + white * 0.1538520;
+			b3 = 0.86650 * b3 + white * 0.3104856;
+			b4 = 0.55000 * b4 + white * 0.5329522;
+			b5 = -0.7616 * b5 - white * 0.0168980;
+			data[i] = (b0 + b1 + b2 + b3 + b4 + b5 + b6 + white * 0.5362) * 0.11;
+			b6 = white * 0.115926;
+		} else {
+			data[i] = white;
+		}
+	}
+	return data;
+}
+
+// How each ambient bed is made: a noise colour, filters to shape it and, for the ocean,
+// a slow swell on the level so it rises and falls like waves
+const AMBIENT_RECIPES = {
+	rain: { noise: 'pink', filters: [['highpass', 400], ['lowpass', 6000]] },
+	ocean: { noise: 'brown', filters: [['lowpass', 700]], swell: { rate: 0.08, depth: 0.45 } },
+	brown: { noise: 'brown', filters: [] }
+};
+
+const AMBIENT_LOOP_SECONDS = 6;
+const noiseBuffers = {};
+let ambient = null; // { sound, source, nodes }
+// The start in progress ({ generation, promise }), shared by calls that overlap it so only one bed is built
+let ambientStarting = null;
+// Bumped by every stop, so a start still waiting on the context knows it was called off
+let ambientGeneration = 0;
+
+function getNoiseBuffer(ctx, color) {
+	if (!noiseBuffers[color]) {
+		const buffer = ctx.createBuffer(2, ctx.sampleRate * AMBIENT_LOOP_SECONDS, ctx.sampleRate);
+		// Independent channels give the bed some width
+		for (let c = 0; c < buffer.numberOfChannels; c++) fillNoise(buffer.getChannelData(c), color);
+		noiseBuffers[color] = buffer;
+	}
+	return noiseBuffers[color];
+}
+
+// Start the ambient bed from the saved preference; does nothing if it is already playing or starting
+export function startAmbient() {
+	if (!isEnabled() || getAudioPreferences().ambient === 'none' || ambient) return Promise.resolve();
+	// A start from before the last stop will give up, so a new one begins
+	if (!ambientStarting || ambientStarting.generation !== ambientGeneration) {
+		const generation = ambientGeneration;
+		const promise = buildAmbient(generation).finally(() => {
+			if (ambientStarting && ambientStarting.promise === promise) ambientStarting = null;
+		});
+		ambientStarting = { generation, promise };
+	}
+	return ambientStarting.promise;
+}
+
+async function buildAmbient(generation) {
+	try {
+		const ctx = await getRunningCtx();
+		// Stopped, or switched off, while the context was resuming
+		const { ambient: sound } = getAudioPreferences();
+		if (generation !== ambientGeneration || ambient || sound === 'none' || !isEnabled()) return;
+		const recipe = AMBIENT_RECIPES[sound];
+		const now = ctx.currentTime;
+		const source = ctx.createBufferSource();
+		source.buffer = getNoiseBuffer(ctx, recipe.noise);
+		source.loop = true;
+
+		const nodes = [];
+		let tail = source;
+		recipe.filters.forEach(([type, frequency]) => {
+			const filter = ctx.createBiquadFilter();
+			filter.type = type;
+			filter.frequency.value = frequency;
+			tail.connect(filter);
+			tail = filter;
+		});
+
+		const level = ctx.createGain();
+		level.gain.setValueAtTime(0, now);
+		level.gain.linearRampToValueAtTime(1, now + 1.5);
+		tail.connect(level);
+
+		if (recipe.swell) {
+			const swell = ctx.createGain();
+			swell.gain.value = 1 - recipe.swell.depth;
+			const lfo = ctx.createOscillator();
+			lfo.frequency.value = recipe.swell.rate;
+			const depth = ctx.createGain();
+			depth.gain.value = recipe.swell.depth;
+			lfo.connect(depth);
+			depth.connect(swell.gain);
+			level.connect(swell);
+			swell.connect(ambientGain);
+			lfo.start(now);
+			nodes.push(lfo);
+		} else {
+			level.connect(ambientGain);
+		}
+
+		source.start(now);
+		nodes.push(source);
+		ambient = { sound, level, nodes };
+	} catch (err) {
+		console.warn('Sound play error', err);
+	}
+}
+
+export function stopAmbient() {
+	ambientGeneration++;
+	if (!ambient || !audioCtx) return;
+	const { level, nodes } = ambient;
+	ambient = null;
+	const now = audioCtx.currentTime;
+	level.gain.cancelScheduledValues(now);
+	level.gain.setValueAtTime(level.gain.value, now);
+	level.gain.linearRampToValueAtTime(0, now + 1);
+	nodes.forEach(node => node.stop(now + 1.05));
+}
 
+export default {
+	playTone,
+	playBell,
+	playSweep,
+	playVoice,
+	playPhaseSound,
+	stopCues,
+	startAmbient,
+	stopAmbient,
+	getAnnotationPan,
+	getAudioPreferences,
+	setAudioPreferences,
+	setEnabled,
+	isEnabled
+};
@@ -0,0 +1,17 @@
+// The device's IANA time zone (e.g. 'Australia/Sydney'), which the server counts streaks and
+// daily stats in; null where the browser doesn't report one
+export function getBrowserTimezone() {
+	try {
+		return Intl.DateTimeFormat().resolvedOptions().timeZone || null;
+	} catch {
+		return null;
+	}
+}
+
+// Format a 'YYYY-MM-DD' day key from the server, which already names a day in the user's zone;
+// reading it as UTC midnight and formatting it in UTC keeps it from shifting to the previous day
+export function formatDayKey(day, options = {}) {
+	return new Date(`${day}T00:00:00Z`).toLocaleDateString('en-US', { ...options, timeZone: 'UTC' });
+}
+
+export default { getBrowserTimezone, formatDayKey };
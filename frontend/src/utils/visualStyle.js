@@ -0,0 +1,16 @@
+// Which visualizer style the user breathes with; kept on the device and in the account preferences
+export const VISUAL_STYLES = ['path', 'circle', 'box', 'bar'];
+
+const STORAGE_KEY = 'breathing_visual_style';
+
+export function getVisualStyle() {
+	const stored = localStorage.getItem(STORAGE_KEY);
+	return VISUAL_STYLES.includes(stored) ? stored : 'path';
+}
+
+export function setVisualStyle(style) {
+	if (!VISUAL_STYLES.includes(style)) return;
+	localStorage.setItem(STORAGE_KEY, style);
+}
+
+export default { getVisualStyle, setVisualStyle };
@@ -0,0 +1,70 @@
+/**
+ * Breath-Hold Test Tests
+ * Tests that a tap-to-stop hold is timed from the start tap and saved as one attempt
+ */
+
+import { act, fireEvent, render, screen } from '@testing-library/react';
+import { MemoryRouter } from 'react-router-dom';
+import { afterEach, beforeEach, describe, expect, test, vi } from 'vitest';
+import BreathHoldTest from '../../src/components/BreathHoldTest';
+import api from '../../src/utils/api.js';
+
+vi.mock('../../src/utils/api.js', () => ({
+  default: {
+    get: vi.fn(),
+    post: vi.fn(),
+    delete: vi.fn()
+  }
+}));
+
+vi.mock('react-hot-toast', () => ({
+  default: { success: vi.fn(), error: vi.fn() }
+}));
+
+describe('BreathHoldTest', () => {
+  let now;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    now = 1_000_000;
+    vi.spyOn(Date, 'now').mockImplementation(() => now);
+    api.get.mockResolvedValue({ data: { success: true, data: { attempts: [], daily: [], best: 0 } } });
+    api.post.mockImplementation(async (url, body) => ({ data: { success: true, data: { _id: 'h1', ...body } } }));
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  const renderTest = () => render(
+    <MemoryRouter>
+      <BreathHoldTest />
+    </MemoryRouter>
+  );
+
+  test('records the hold time between Start and Stop', async () => {
+    renderTest();
+
+    fireEvent.click(screen.getByRole('button', { name: 'Start' }));
+    now += 23_440;
+    await act(async () => {
+      fireEvent.click(screen.getByRole('button', { name: 'Stop' }));
+    });
+
+    expect(api.post).toHaveBeenCalledWith('/breath-hold', { seconds: 23.4 });
+    expect(screen.getByText('Attempt 1: 23.4s')).toBeTruthy();
+    expect(screen.getByText('(Good)', { exact: false })).toBeTruthy();
+  });
+
+  test('does not save holds shorter than a second', async () => {
+    renderTest();
+
+    fireEvent.click(screen.getByRole('button', { name: 'Start' }));
+    now += 400;
+    await act(async () => {
+      fireEvent.click(screen.getByRole('button', { name: 'Stop' }));
+    });
+
+    expect(api.post).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,89 @@
+/**
+ * Breathing Session Tests
+ * Tests that a session switched to another pattern part-way keeps the time already breathed
+ */
+
+import { act, fireEvent, render, screen } from '@testing-library/react';
+import { MemoryRouter } from 'react-router-dom';
+import { afterEach, beforeEach, describe, expect, test, vi } from 'vitest';
+import BreathingSession from '../../src/components/BreathingSession';
+import { AuthContext } from '../../src/context/AuthContext';
+import { indexCatalog } from '../../src/utils/catalog.js';
+
+vi.mock('../../src/utils/api.js', () => ({
+  default: { get: vi.fn(), post: vi.fn(), put: vi.fn() }
+}));
+
+vi.mock('../../src/utils/catalog.js', async (importOriginal) => {
+  const actual = await importOriginal();
+  return { ...actual, loadCatalog: vi.fn() };
+});
+
+// Audio and vibration cues have nothing to play on in jsdom
+vi.mock('../../src/utils/guidance.js', () => ({
+  attachGuidance: () => () => {}
+}));
+
+vi.mock('react-hot-toast', () => ({
+  default: { success: vi.fn(), error: vi.fn() }
+}));
+
+const catalog = indexCatalog({
+  levels: [{ id: 'beginner', name: 'Beginner' }],
+  categories: [{ id: 'stress', name: 'Stress Relief', benefits: [] }],
+  patterns: [
+    { id: 'calm-4-0-6', category: 'stress', level: 'beginner', name: 'Calm Breath', type: '3-phase', inhale: 4, holdTop: 0, exhale: 6, description: 'Calm' },
+    { id: 'box-4-4-4-4', category: 'stress', level: 'beginner', name: 'Box Breath', type: '4-phase', inhale: 4, holdTop: 4, exhale: 4, holdBottom: 4, description: 'Even' }
+  ],
+  programs: []
+});
+
+describe('BreathingSession', () => {
+  beforeEach(async () => {
+    localStorage.clear();
+    const { loadCatalog } = await import('../../src/utils/catalog.js');
+    loadCatalog.mockResolvedValue(catalog);
+    vi.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout', 'setInterval', 'clearInterval', 'performance', 'requestAnimationFrame', 'cancelAnimationFrame'] });
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+  });
+
+  const advance = (ms) => act(async () => {
+    await vi.advanceTimersByTimeAsync(ms);
+  });
+
+  // Seconds left on the countdown, read from its m:ss display
+  const remainingSeconds = () => {
+    const [minutes, seconds] = screen.getByText('Time Remaining').nextSibling.textContent.split(':').map(Number);
+    return minutes * 60 + seconds;
+  };
+
+  test('keeps counting down from where it was when the pattern is switched mid-session', async () => {
+    render(
+      <AuthContext.Provider value={{ token: null, user: null, reloadUser: vi.fn() }}>
+        <MemoryRouter>
+          <BreathingSession />
+        </MemoryRouter>
+      </AuthContext.Provider>
+    );
+    await advance(0);
+
+    fireEvent.click(screen.getByRole('button', { name: 'Start session' }));
+    await advance(10_000);
+    expect(remainingSeconds()).toBe(5 * 60 - 10);
+
+    fireEvent.click(screen.getByRole('button', { name: 'Stress Relief' }));
+    fireEvent.click(screen.getByText('Box Breath'));
+    await advance(500);
+    // Switching pauses the session without losing the time on the clock
+    expect(remainingSeconds()).toBe(5 * 60 - 10);
+
+    fireEvent.click(screen.getByRole('button', { name: 'Resume session' }));
+    // Frames come every 16ms, so run a little past the whole second the countdown shows
+    await advance(5_100);
+    expect(remainingSeconds()).toBe(5 * 60 - 15);
+  });
+});
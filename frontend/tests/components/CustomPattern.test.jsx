@@ -0,0 +1,164 @@
+/**
+ * Custom Pattern Builder Tests
+ * Tests live PatternValidator feedback and the payload handed to onSave
+ */
+
+import { fireEvent, render, screen } from '@testing-library/react';
+import { describe, expect, test, vi } from 'vitest';
+import CustomPattern from '../../src/components/CustomPattern';
+
+describe('CustomPattern', () => {
+  test('disables saving until the pattern has a name', () => {
+    render(<CustomPattern onSave={vi.fn()} />);
+
+    expect(screen.getByText('Give your pattern a name')).toBeTruthy();
+    expect(screen.getByRole('button', { name: 'Save Pattern' }).disabled).toBe(true);
+  });
+
+  test('shows validator errors as phases are edited', () => {
+    render(<CustomPattern onSave={vi.fn()} />);
+    fireEvent.change(screen.getByLabelText('Name'), { target: { value: 'Calm' } });
+    fireEvent.change(screen.getByLabelText('Exhale (s)'), { target: { value: '90' } });
+
+    expect(screen.getByText('exhale duration (90s) exceeds maximum (60s)')).toBeTruthy();
+    expect(screen.getByRole('button', { name: 'Save Pattern' }).disabled).toBe(true);
+  });
+
+  test('saves a 4-phase pattern with holdBottom', () => {
+    const onSave = vi.fn();
+    render(<CustomPattern onSave={onSave} />);
+    fireEvent.change(screen.getByLabelText('Name'), { target: { value: 'Box' } });
+    fireEvent.click(screen.getByRole('button', { name: '4-phase' }));
+    fireEvent.change(screen.getByLabelText('Inhale (s)'), { target: { value: '4' } });
+    fireEvent.change(screen.getByLabelText('Hold after inhale (s)'), { target: { value: '4' } });
+    fireEvent.change(screen.getByLabelText('Exhale (s)'), { target: { value: '4' } });
+    fireEvent.change(screen.getByLabelText('Hold after exhale (s)'), { target: { value: '4' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Save Pattern' }));
+
+    expect(onSave).toHaveBeenCalledWith({
+      name: 'Box',
+      description: '',
+      isPublic: false,
+      pattern: { type: '4-phase', inhale: 4, holdTop: 4, exhale: 4, holdBottom: 4 }
+    });
+  });
+
+  test('prefills the form from a saved pattern', () => {
+    render(
+      <CustomPattern
+        onSave={vi.fn()}
+        initialPattern={{ name: '4-7-8', description: 'Sleep', isPublic: true, pattern: { type: '3-phase', inhale: 4, holdTop: 7, exhale: 8 } }}
+      />
+    );
+
+    expect(screen.getByLabelText('Name').value).toBe('4-7-8');
+    expect(screen.getByLabelText('Hold after inhale (s)').value).toBe('7');
+    expect(screen.queryByLabelText('Hold after exhale (s)')).toBeNull();
+    expect(screen.getByText('One breath takes 19s')).toBeTruthy();
+  });
+
+  test('saves a breaths-per-minute ramp', () => {
+    const onSave = vi.fn();
+    render(<CustomPattern onSave={onSave} />);
+    fireEvent.change(screen.getByLabelText('Name'), { target: { value: 'Slow Down' } });
+    fireEvent.click(screen.getByLabelText('Ramp gradually over the session'));
+    fireEvent.change(screen.getByLabelText('Ramp by'), { target: { value: 'bpm' } });
+    fireEvent.change(screen.getByLabelText('Target breaths per minute'), { target: { value: '40' } });
+
+    expect(screen.getByText('Target rate must be 1-30 breaths per minute')).toBeTruthy();
+    expect(screen.getByRole('button', { name: 'Save Pattern' }).disabled).toBe(true);
+
+    fireEvent.change(screen.getByLabelText('Target breaths per minute'), { target: { value: '4' } });
+    fireEvent.change(screen.getByLabelText('Ramp length (min)'), { target: { value: '10' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Save Pattern' }));
+
+    expect(onSave.mock.calls[0][0].ramp).toEqual({ type: 'bpm', seconds: 600, endBpm: 4 });
+  });
+
+  test('clears a saved ramp when it is switched off', () => {
+    const onSave = vi.fn();
+    render(
+      <CustomPattern
+        onSave={onSave}
+        initialPattern={{
+          name: 'Lengthen',
+          pattern: { type: '3-phase', inhale: 4, holdTop: 0, exhale: 6 },
+          ramp: { type: 'phases', seconds: 480, target: { exhale: 10 } }
+        }}
+      />
+    );
+
+    expect(screen.getByLabelText('Target exhale (s)').value).toBe('10');
+    expect(screen.getByLabelText('Target inhale (s)').value).toBe('4');
+
+    fireEvent.click(screen.getByLabelText('Ramp gradually over the session'));
+    fireEvent.click(screen.getByRole('button', { name: 'Save Pattern' }));
+
+    expect(onSave.mock.calls[0][0].ramp).toBeNull();
+  });
+
+  test('saves alternate-nostril cues for the phases that have them', () => {
+    const onSave = vi.fn();
+    render(<CustomPattern onSave={onSave} />);
+    fireEvent.change(screen.getByLabelText('Name'), { target: { value: 'Nadi Shodhana' } });
+    fireEvent.click(screen.getByLabelText('Add nostril, nose/mouth or humming cues'));
+    fireEvent.change(screen.getByLabelText('Inhale side'), { target: { value: 'left' } });
+    fireEvent.change(screen.getByLabelText('Exhale side'), { target: { value: 'right' } });
+    fireEvent.click(screen.getByLabelText('Swap nostrils every other breath'));
+    fireEvent.click(screen.getByRole('button', { name: 'Save Pattern' }));
+
+    expect(onSave.mock.calls[0][0].pattern).toEqual({
+      type: '3-phase',
+      inhale: 5,
+      holdTop: 2,
+      exhale: 7,
+      annotations: { inhale: { side: 'left' }, exhale: { side: 'right' } },
+      alternateSides: true
+    });
+  });
+
+  test('prefills cues from a saved pattern and drops them when switched off', () => {
+    const onSave = vi.fn();
+    render(
+      <CustomPattern
+        onSave={onSave}
+        initialPattern={{
+          name: 'Humming',
+          pattern: { type: '3-phase', inhale: 5, holdTop: 0, exhale: 8, annotations: { exhale: { humming: true } } }
+        }}
+      />
+    );
+
+    expect(screen.getByLabelText('Exhale humming').checked).toBe(true);
+    expect(screen.getByLabelText('Inhale humming').checked).toBe(false);
+    expect(screen.getByLabelText('Exhale airway').value).toBe('');
+
+    fireEvent.click(screen.getByLabelText('Add nostril, nose/mouth or humming cues'));
+    fireEvent.click(screen.getByRole('button', { name: 'Save Pattern' }));
+
+    expect(onSave.mock.calls[0][0].pattern.annotations).toBeUndefined();
+  });
+
+  test('keeps the steps of a saved n-phase pattern when other details change', () => {
+    const onSave = vi.fn();
+    const phases = [{ type: 'inhale', duration: 2 }, { type: 'topUp', duration: 1 }, { type: 'exhale', duration: 6 }];
+    render(
+      <CustomPattern
+        onSave={onSave}
+        initialPattern={{ name: 'Sigh', pattern: { type: 'n-phase', phases, inhale: 3, holdTop: 0, exhale: 6 } }}
+      />
+    );
+
+    expect(screen.getByText(/Inhale 2s · Top-up inhale 1s · Exhale 6s/)).toBeTruthy();
+    expect(screen.queryByLabelText('Inhale (s)')).toBeNull();
+    expect(screen.getByText('One breath takes 9s')).toBeTruthy();
+
+    fireEvent.change(screen.getByLabelText('Name'), { target: { value: 'Double Sigh' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Save Pattern' }));
+
+    expect(onSave.mock.calls[0][0]).toEqual(expect.objectContaining({
+      name: 'Double Sigh',
+      pattern: { type: 'n-phase', phases }
+    }));
+  });
+});
@@ -0,0 +1,79 @@
+/**
+ * PathCalculator Cycle Tests
+ * Tests the closed shapes the alternative visualizer styles draw from
+ * PhaseManager phases: squares for box breathing, triangles without a bottom hold,
+ * top-ups and round retentions
+ */
+
+import { describe, expect, it } from 'vitest';
+import { PathCalculator } from '../../src/utils/PathCalculator.js';
+import { PhaseManager } from '../../src/utils/PhaseManager.js';
+
+describe('PathCalculator cycles', () => {
+  const config = { diagonalLength: 200, maxHorizontalLength: 400 };
+  const corners = (cycle) => [cycle[0].from, ...cycle.map(step => step.to)];
+
+  describe('describeCycle', () => {
+    it('should trace a square for box breathing', () => {
+      const phases = PhaseManager.createPhaseSequence({ type: '4-phase', inhale: 4, holdTop: 4, exhale: 4, holdBottom: 4 }, config);
+
+      expect(corners(PathCalculator.describeCycle(phases))).toEqual([
+        { x: 0, y: 0 }, { x: 0, y: 1 }, { x: 1, y: 1 }, { x: 1, y: 0 }, { x: 0, y: 0 }
+      ]);
+    });
+
+    it('should glide back to the start when there is no bottom hold', () => {
+      const phases = PhaseManager.createPhaseSequence({ type: '3-phase', inhale: 4, holdTop: 7, exhale: 8 }, config);
+
+      expect(corners(PathCalculator.describeCycle(phases))).toEqual([
+        { x: 0, y: 0 }, { x: 0, y: 1 }, { x: 1, y: 1 }, { x: 0, y: 0 }
+      ]);
+    });
+
+    it('should leave out holds that last no time', () => {
+      const cycle = PathCalculator.describeCycle([
+        { name: 'inhale', duration: 4 },
+        { name: 'holdTop', duration: 0 },
+        { name: 'exhale', duration: 6 }
+      ]);
+
+      expect(cycle.every(step => step.from.x === 0 && step.to.x === 0)).toBe(true);
+    });
+
+    it('should climb in steps for top-up inhales', () => {
+      const phases = PhaseManager.createPhaseSequence({
+        type: 'n-phase',
+        phases: [{ type: 'inhale', duration: 2 }, { type: 'topUp', duration: 1 }, { type: 'exhale', duration: 6 }]
+      }, config);
+
+      expect(PathCalculator.describeCycle(phases).map(step => step.to.y)).toEqual([0.75, 1, 0]);
+    });
+
+    it('should hold at the bottom during a round retention', () => {
+      const phases = PhaseManager.createRoundSequence(
+        { type: '3-phase', inhale: 1, holdTop: 0, exhale: 1 },
+        { count: 1, breaths: 1, recoveryInhale: 2, recoveryHold: 5 },
+        config
+      );
+      const cycle = PathCalculator.describeCycle(phases);
+      const retention = cycle.find(step => step.name === 'retention');
+
+      expect(retention.from).toEqual({ x: 0, y: 0 });
+      expect(retention.to).toEqual({ x: 0, y: 0 });
+      expect(cycle.find(step => step.name === 'holdTop').to).toEqual({ x: 1, y: 1 });
+    });
+  });
+
+  describe('getCyclePoint', () => {
+    it('should interpolate within the current phase', () => {
+      const cycle = PathCalculator.describeCycle(
+        PhaseManager.createPhaseSequence({ type: '4-phase', inhale: 4, holdTop: 4, exhale: 4, holdBottom: 4 }, config)
+      );
+
+      expect(PathCalculator.getCyclePoint(cycle, 0, 0.5)).toEqual({ x: 0, y: 0.5 });
+      expect(PathCalculator.getCyclePoint(cycle, 1, 0.25)).toEqual({ x: 0.25, y: 1 });
+      expect(PathCalculator.getCyclePoint(cycle, 3, 2)).toEqual({ x: 0, y: 0 });
+      expect(PathCalculator.getCyclePoint([], 0, 0.5)).toEqual({ x: 0, y: 0 });
+    });
+  });
+});
@@ -0,0 +1,87 @@
+/**
+ * Phase Annotation Tests
+ * Tests per-phase cues (nostril side, nose/mouth, humming): validation,
+ * side swapping for alternate-nostril patterns and the state PhaseManager reports
+ */
+
+import { describe, expect, it } from 'vitest';
+import { PatternValidator } from '../../src/utils/PatternValidator.js';
+import { PhaseManager } from '../../src/utils/PhaseManager.js';
+import { getAnnotationPan } from '../../src/utils/sounds.js';
+
+describe('Phase annotations', () => {
+  const config = { diagonalLength: 200, maxHorizontalLength: 400 };
+  const nadiShodhana = {
+    name: 'Nadi Shodhana',
+    type: '3-phase',
+    inhale: 4,
+    holdTop: 4,
+    exhale: 4,
+    level: 'Intermediate',
+    category: 'emotional',
+    description: 'Alternate-nostril breathing',
+    annotations: { inhale: { side: 'left', airway: 'nose' }, exhale: { side: 'right', airway: 'nose' } },
+    alternateSides: true
+  };
+
+  describe('PatternValidator.validateAnnotations', () => {
+    it('should accept annotations on the pattern phases', () => {
+      expect(PatternValidator.validatePattern(nadiShodhana)).toBe(true);
+    });
+
+    it('should reject unknown values and phases the pattern does not have', () => {
+      const result = PatternValidator.validatePatternDetailed({
+        ...nadiShodhana,
+        annotations: { inhale: { side: 'middle' }, holdBottom: { humming: true } }
+      });
+
+      expect(result.isValid).toBe(false);
+      expect(result.errors.map(error => error.message)).toEqual([
+        'inhale side must be one of: left, right',
+        'Cannot annotate holdBottom: the pattern has no such phase'
+      ]);
+    });
+  });
+
+  describe('getPhaseAnnotation', () => {
+    it('should swap sides on every other breath when the pattern alternates', () => {
+      expect(PhaseManager.getPhaseAnnotation(nadiShodhana, 'inhale', 0).side).toBe('left');
+      expect(PhaseManager.getPhaseAnnotation(nadiShodhana, 'inhale', 1)).toEqual({ side: 'right', airway: 'nose' });
+      expect(PhaseManager.getPhaseAnnotation(nadiShodhana, 'exhale', 1).side).toBe('left');
+    });
+
+    it('should keep sides fixed for patterns that do not alternate', () => {
+      const fixed = { ...nadiShodhana, alternateSides: false };
+
+      expect(PhaseManager.getPhaseAnnotation(fixed, 'inhale', 1).side).toBe('left');
+      expect(PhaseManager.getPhaseAnnotation(fixed, 'holdTop', 1)).toBeNull();
+    });
+  });
+
+  describe('running an annotated pattern', () => {
+    it('should report the current phase annotation', () => {
+      const manager = new PhaseManager(nadiShodhana, config);
+      manager.start(0);
+
+      expect(manager.update(1000).annotation.side).toBe('left');
+      expect(manager.update(9000).annotation.side).toBe('right');
+      expect(manager.update(13000).annotation.side).toBe('right');
+    });
+
+    it('should leave unannotated patterns without an annotation', () => {
+      const manager = new PhaseManager({ type: '3-phase', inhale: 4, holdTop: 0, exhale: 6 }, config);
+      manager.start(0);
+
+      expect(manager.update(1000).annotation).toBeUndefined();
+    });
+  });
+
+  describe('getAnnotationPan', () => {
+    it('should pan side cues left and right and centre everything else', () => {
+      expect(getAnnotationPan({ side: 'left' })).toBe(-1);
+      expect(getAnnotationPan({ side: 'right' })).toBe(1);
+      expect(getAnnotationPan({ humming: true })).toBe(0);
+      expect(getAnnotationPan(null)).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,118 @@
+/**
+ * N-Phase Pattern Tests
+ * Tests patterns written as an ordered list of phases (inhale, top-up inhale, hold, exhale):
+ * validation, the lung levels and path layout PathCalculator gives them, and running them
+ */
+
+import { describe, expect, it } from 'vitest';
+import { PathCalculator } from '../../src/utils/PathCalculator.js';
+import { PatternValidator } from '../../src/utils/PatternValidator.js';
+import { PhaseManager } from '../../src/utils/PhaseManager.js';
+
+describe('n-phase patterns', () => {
+  const config = { diagonalLength: 200, maxHorizontalLength: 400 };
+  const sigh = {
+    name: 'Physiological Sigh',
+    type: 'n-phase',
+    phases: [{ type: 'inhale', duration: 2 }, { type: 'topUp', duration: 1 }, { type: 'exhale', duration: 6 }],
+    inhale: 3,
+    holdTop: 0,
+    exhale: 6,
+    level: 'Beginner',
+    category: 'emotional',
+    description: 'Double inhale, long exhale'
+  };
+  const withPhases = (...phases) => ({ ...sigh, phases: phases.map(([type, duration]) => ({ type, duration })) });
+
+  describe('PatternValidator', () => {
+    it('should accept a phase list that makes a full breath', () => {
+      expect(PatternValidator.validatePattern(sigh)).toBe(true);
+      expect(PatternValidator.createPhaseSequence(sigh)).toEqual(['inhale', 'topUp', 'exhale']);
+      expect(PatternValidator.createPhaseSequence(withPhases(['inhale', 4], ['hold', 4], ['exhale', 4], ['hold', 4])))
+        .toEqual(['inhale', 'holdTop', 'exhale', 'holdBottom']);
+    });
+
+    it('should explain what is wrong with a phase list', () => {
+      const messages = (pattern) => PatternValidator.validatePatternDetailed(pattern).errors.map(error => error.message);
+
+      expect(messages(withPhases(['topUp', 1], ['inhale', 4], ['exhale', 4]))).toEqual([
+        'Phase 1: a top-up inhale must follow an inhale'
+      ]);
+      expect(messages(withPhases(['hold', 2], ['hold', 2]))).toEqual(['The breath needs an inhale']);
+      expect(messages(withPhases(['inhale', 4], ['inhale', 2], ['exhale', 4]))).toEqual([
+        'Phase 2: breathe out before the next inhale (use a top-up inhale to add air)'
+      ]);
+      expect(messages(withPhases(['inhale', 4], ['hold', 2]))).toEqual(['The breath must end with an exhale']);
+      expect(messages(withPhases(['inhale', 4], ['sniff', 1], ['exhale', 4]))).toEqual([
+        'Phase 2 must be one of: inhale, topUp, hold, exhale'
+      ]);
+      expect(messages(withPhases(['inhale', 4], ['exhale', 90]))).toEqual([
+        'Phase 2: exhale duration (90s) exceeds maximum (60s)'
+      ]);
+    });
+
+    it('should only allow annotations on phases the list has', () => {
+      expect(PatternValidator.validatePattern({ ...sigh, annotations: { topUp: { airway: 'nose' } } })).toBe(true);
+      expect(PatternValidator.validatePattern({ ...sigh, annotations: { holdTop: { airway: 'nose' } } })).toBe(false);
+    });
+  });
+
+  describe('PathCalculator', () => {
+    it('should stop the inhale short of full to leave room for the top-up', () => {
+      expect(PathCalculator.describePhases(sigh.phases).map(({ name, fromLevel, toLevel }) => [name, fromLevel, toLevel])).toEqual([
+        ['inhale', 0, 0.75],
+        ['topUp', 0.75, 1],
+        ['exhale', 1, 0]
+      ]);
+    });
+
+    it('should name holds for whether the lungs are full or empty', () => {
+      const phases = [{ type: 'inhale', duration: 4 }, { type: 'hold', duration: 2 }, { type: 'topUp', duration: 1 }, { type: 'hold', duration: 2 }, { type: 'exhale', duration: 6 }, { type: 'hold', duration: 3 }];
+
+      expect(PathCalculator.describePhases(phases).map(phase => phase.name))
+        .toEqual(['inhale', 'holdTop', 'topUp', 'holdTop', 'exhale', 'holdBottom']);
+    });
+
+    it('should size each segment by how far it moves the lungs or how long it holds', () => {
+      const { segments, cycleWidth } = PathCalculator.calculatePhaseLayout(
+        [{ type: 'inhale', duration: 2 }, { type: 'topUp', duration: 1 }, { type: 'hold', duration: 2 }, { type: 'exhale', duration: 6 }],
+        config
+      );
+
+      expect(segments.map(segment => segment.width)).toEqual([75, 25, 200, 100]);
+      expect(segments.map(segment => segment.startX)).toEqual([0, 75, 100, 300]);
+      expect(cycleWidth).toBe(400);
+      expect(segments[0].ballSpeed).toBeCloseTo(150 / 2000);
+      expect(segments[1].ballSpeed).toBeCloseTo(50 / 1000);
+    });
+  });
+
+  describe('PhaseManager', () => {
+    it('should run the phases in the listed order', () => {
+      const manager = new PhaseManager(sigh, config);
+      manager.start(0);
+
+      expect(manager.getAllPhases().map(phase => phase.name)).toEqual(['inhale', 'topUp', 'exhale']);
+      expect(manager.update(1000).currentPhase).toBe('inhale');
+      expect(manager.update(2500).currentPhase).toBe('topUp');
+      expect(manager.update(4000).currentPhase).toBe('exhale');
+
+      const nextBreath = manager.update(9500);
+      expect(nextBreath.currentPhase).toBe('inhale');
+      expect(nextBreath.cycleNumber).toBe(1);
+    });
+
+    it('should report the cues of top-up phases', () => {
+      const manager = new PhaseManager({ ...sigh, annotations: { topUp: { airway: 'nose' } } }, config);
+      manager.start(0);
+
+      expect(manager.update(2500).annotation).toEqual({ airway: 'nose' });
+    });
+
+    it('should keep building 3-phase patterns from their timing fields', () => {
+      const phases = PhaseManager.createPhaseSequence({ type: '3-phase', inhale: 4, holdTop: 7, exhale: 8 }, config);
+
+      expect(phases.map(phase => [phase.name, phase.duration])).toEqual([['inhale', 4], ['holdTop', 7], ['exhale', 8]]);
+    });
+  });
+});
@@ -0,0 +1,103 @@
+/**
+ * PhaseManager Program Tests
+ * Tests multi-stage programs: timeline rounding, stage transitions on breath boundaries,
+ * natural breathing stages and program completion
+ */
+
+import { beforeEach, describe, expect, it } from 'vitest';
+import { PhaseManager } from '../../src/utils/PhaseManager.js';
+
+describe('PhaseManager programs', () => {
+  const config = { diagonalLength: 200, maxHorizontalLength: 400 };
+  const relax = { type: '3-phase', inhale: 4, holdTop: 0, exhale: 6 }; // 10s breath
+  const box = { type: '4-phase', inhale: 2, holdTop: 2, exhale: 2, holdBottom: 2 }; // 8s breath
+  let stages;
+
+  beforeEach(() => {
+    stages = [
+      { pattern: relax, seconds: 24, name: '4-0-6' },
+      { natural: true, seconds: 5, name: 'Natural breathing' },
+      { pattern: box, seconds: 16, name: 'Box Breathing' }
+    ];
+  });
+
+  describe('createProgramTimeline', () => {
+    it('should round guided stages to whole breaths and keep natural stages exact', () => {
+      const { stages: timeline, totalDuration } = PhaseManager.createProgramTimeline(stages);
+
+      expect(timeline.map(s => s.cycles)).toEqual([2, 1, 2]);
+      expect(timeline.map(s => s.duration)).toEqual([20, 5, 16]);
+      expect(timeline.map(s => s.startTime)).toEqual([0, 20, 25]);
+      expect(totalDuration).toBe(41);
+    });
+
+    it('should give short stages at least one breath', () => {
+      const { stages: timeline } = PhaseManager.createProgramTimeline([{ pattern: relax, seconds: 3 }]);
+      expect(timeline[0].duration).toBe(10);
+    });
+
+    it('should reject empty programs and stages without a length', () => {
+      expect(() => PhaseManager.createProgramTimeline([])).toThrow();
+      expect(() => PhaseManager.createProgramTimeline([{ pattern: relax, seconds: 0 }])).toThrow();
+    });
+  });
+
+  describe('running a program', () => {
+    let manager;
+
+    beforeEach(() => {
+      manager = new PhaseManager(relax, config);
+      manager.setProgram(stages);
+      manager.start(0);
+    });
+
+    it('should report the current and upcoming stage', () => {
+      const state = manager.update(5000);
+
+      expect(state.stageIndex).toBe(0);
+      expect(state.totalStages).toBe(3);
+      expect(state.nextStage.name).toBe('Natural breathing');
+      expect(state.stageRemaining).toBeCloseTo(15);
+      expect(state.programDuration).toBe(41);
+    });
+
+    it('should move to the next stage on a breath boundary', () => {
+      expect(manager.update(19999).stageIndex).toBe(0);
+
+      const natural = manager.update(20000);
+      expect(natural.stageIndex).toBe(1);
+      expect(natural.currentPhase).toBe('natural');
+
+      const boxStage = manager.update(26000);
+      expect(boxStage.stageIndex).toBe(2);
+      expect(boxStage.currentPhase).toBe('inhale');
+      expect(boxStage.totalPhases).toBe(4);
+      expect(boxStage.programElapsed).toBeCloseTo(26);
+    });
+
+    it('should complete after the last stage and stop advancing', () => {
+      const done = manager.update(41000);
+
+      expect(done.programComplete).toBe(true);
+      expect(done.isRunning).toBe(false);
+      expect(manager.update(60000).programElapsed).toBe(41);
+    });
+
+    it('should keep the stage through pause and resume', () => {
+      manager.update(22000);
+      manager.pause(22000);
+      manager.resume(50000);
+
+      const state = manager.update(52000);
+      expect(state.stageIndex).toBe(1);
+      expect(state.stageRemaining).toBeCloseTo(1);
+    });
+
+    it('should return to single-pattern mode when the pattern is replaced', () => {
+      manager.updatePattern(box);
+
+      expect(manager.program).toBeNull();
+      expect(manager.getCurrentState().stageIndex).toBeUndefined();
+    });
+  });
+});
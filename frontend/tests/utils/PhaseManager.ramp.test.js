@@ -0,0 +1,108 @@
+/**
+ * PhaseManager Ramp Tests
+ * Tests phase-target and breaths-per-minute ramps: interpolation, cycle counting,
+ * rounding to whole breaths and per-breath pattern updates that keep the cycle running
+ */
+
+import { beforeEach, describe, expect, it } from 'vitest';
+import { PhaseManager } from '../../src/utils/PhaseManager.js';
+
+describe('PhaseManager ramps', () => {
+  const config = { diagonalLength: 200, maxHorizontalLength: 400 };
+  const relax = { type: '3-phase', inhale: 4, holdTop: 0, exhale: 6 }; // 10s breath, 6 breaths/min
+  const box = { type: '4-phase', inhale: 4, holdTop: 4, exhale: 4, holdBottom: 4 };
+  const longerExhale = { type: 'phases', seconds: 100, target: { exhale: 10 } };
+
+  describe('interpolateRampPattern', () => {
+    it('should move phases linearly toward their targets and stop there', () => {
+      expect(PhaseManager.interpolateRampPattern(relax, longerExhale, 0).exhale).toBe(6);
+      expect(PhaseManager.interpolateRampPattern(relax, longerExhale, 50)).toEqual({ ...relax, exhale: 8 });
+      expect(PhaseManager.interpolateRampPattern(relax, longerExhale, 500).exhale).toBe(10);
+    });
+
+    it('should scale every phase to reach the target breathing rate', () => {
+      const slower = { type: 'bpm', seconds: 100, endBpm: 3 };
+
+      expect(PhaseManager.interpolateRampPattern(relax, slower, 100)).toEqual({ ...relax, inhale: 8, exhale: 12 });
+      // Halfway the rate is 4.5 breaths/min, i.e. a 13.3s breath
+      expect(PhaseManager.interpolateRampPattern(relax, slower, 50)).toEqual({ ...relax, inhale: 5.3, exhale: 8 });
+    });
+
+    it('should ramp holdBottom only on 4-phase patterns', () => {
+      const ramp = { type: 'phases', seconds: 10, target: { holdBottom: 8 } };
+
+      expect(PhaseManager.interpolateRampPattern(box, ramp, 10).holdBottom).toBe(8);
+      expect(PhaseManager.interpolateRampPattern(relax, ramp, 10).holdBottom).toBeUndefined();
+    });
+  });
+
+  describe('countRampCycles', () => {
+    it('should count breaths as they lengthen', () => {
+      // Breaths of 10s, 10.4s and 10.8s are needed to cover 30s
+      expect(PhaseManager.countRampCycles(relax, longerExhale, 30)).toBe(3);
+    });
+  });
+
+  describe('getCyclesDuration', () => {
+    it('should add up breath lengths, ramped when a ramp is given', () => {
+      expect(PhaseManager.getCyclesDuration(relax, 3)).toBe(30);
+      expect(PhaseManager.getCyclesDuration(relax, 3, longerExhale)).toBeCloseTo(31.2);
+    });
+  });
+
+  describe('countWholeCycles', () => {
+    it('should round a planned length to the nearest number of whole breaths', () => {
+      // 19s breaths: 300s is 15.8 breaths, 290s is 15.3
+      const relaxing = { type: '3-phase', inhale: 4, holdTop: 7, exhale: 8 };
+      expect(PhaseManager.countWholeCycles(relaxing, 300)).toBe(16);
+      expect(PhaseManager.countWholeCycles(relaxing, 290)).toBe(15);
+      expect(PhaseManager.countWholeCycles(relaxing, 5)).toBe(1);
+    });
+
+    it('should count ramped breaths at their ramped length', () => {
+      // 10s, 10.4s and 10.8s breaths make 31.2s, closer to 32s than two breaths' 20.4s
+      expect(PhaseManager.countWholeCycles(relax, 32, longerExhale)).toBe(3);
+      expect(PhaseManager.countWholeCycles(relax, 25, longerExhale)).toBe(2);
+    });
+  });
+
+  describe('running a ramp', () => {
+    let manager;
+
+    beforeEach(() => {
+      manager = new PhaseManager(relax, config);
+      manager.setRamp(longerExhale);
+      manager.start(0);
+    });
+
+    it('should step the pattern once per breath without resetting the cycle', () => {
+      const state = manager.update(10000);
+
+      expect(state.cycleNumber).toBe(1);
+      expect(state.currentPhase).toBe('inhale');
+      expect(state.pattern.exhale).toBeCloseTo(6.4);
+      expect(state.rampProgress).toBeCloseTo(0.1);
+      expect(manager.getTotalCycleDuration()).toBeCloseTo(10.4);
+    });
+
+    it('should run each breath at its ramped length', () => {
+      expect(manager.update(20399).cycleNumber).toBe(1);
+      expect(manager.update(20400).cycleNumber).toBe(2);
+    });
+
+    it('should return to the base pattern when restarted', () => {
+      manager.update(30000);
+      manager.start(0);
+
+      expect(manager.pattern.exhale).toBe(6);
+      expect(manager.getCurrentState().rampProgress).toBe(0);
+    });
+
+    it('should drop the ramp when the pattern is replaced', () => {
+      manager.updatePattern(box);
+
+      expect(manager.ramp).toBeNull();
+      expect(manager.getCurrentState().rampProgress).toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,101 @@
+/**
+ * PhaseManager Round Tests
+ * Tests round-based protocols: fast breaths, an open-ended retention the user ends,
+ * and the recovery breath, repeated for each round
+ */
+
+import { beforeEach, describe, expect, it } from 'vitest';
+import { PhaseManager } from '../../src/utils/PhaseManager.js';
+
+describe('PhaseManager rounds', () => {
+  const config = { diagonalLength: 200, maxHorizontalLength: 400 };
+  const fast = { type: '3-phase', inhale: 1, holdTop: 0, exhale: 1 };
+  const rounds = { count: 2, breaths: 3, recoveryInhale: 2, recoveryHold: 5 };
+
+  describe('createRoundSequence', () => {
+    it('should follow the fast breaths with an open-ended retention and a recovery breath', () => {
+      const phases = PhaseManager.createRoundSequence(fast, rounds, config);
+
+      expect(phases.map(phase => phase.name)).toEqual([
+        'inhale', 'exhale', 'inhale', 'exhale', 'inhale', 'exhale',
+        'retention', 'inhale', 'holdTop', 'exhale'
+      ]);
+      expect(phases[6]).toEqual(expect.objectContaining({ openEnded: true, duration: null }));
+      expect(phases.slice(7).map(phase => phase.duration)).toEqual([2, 5, 1]);
+      expect(phases.slice(7).every(phase => phase.recovery)).toBe(true);
+    });
+  });
+
+  describe('getRoundsDuration', () => {
+    it('should add the retentions to every round of guided breathing', () => {
+      // Each round: 3 breaths of 2s, then 2s in, 5s hold and 1s out
+      expect(PhaseManager.getRoundsDuration(fast, rounds)).toBe(28);
+      expect(PhaseManager.getRoundsDuration(fast, rounds, [30, 45.5])).toBe(103.5);
+    });
+  });
+
+  describe('running rounds', () => {
+    let manager;
+
+    beforeEach(() => {
+      manager = new PhaseManager(fast, config);
+      manager.setRounds(rounds);
+      manager.start(0);
+    });
+
+    it('should count breaths within the round', () => {
+      const state = manager.update(2500);
+
+      expect(state.round).toBe(1);
+      expect(state.breath).toBe(2);
+      expect(state.totalBreaths).toBe(3);
+    });
+
+    it('should hold the retention until the user ends it', () => {
+      const state = manager.update(60000);
+
+      expect(state.currentPhase).toBe('retention');
+      expect(state.openPhaseElapsed).toBe(54);
+      expect(state.breath).toBeNull();
+      expect(state.cycleNumber).toBe(0);
+    });
+
+    it('should record the retention and move on to the recovery breath', () => {
+      expect(manager.endOpenPhase(36050)).toBe(30.1);
+
+      const state = manager.update(37000);
+      expect(state.currentPhase).toBe('inhale');
+      expect(state.recovery).toBe(true);
+      expect(state.retentions).toEqual([30.1]);
+    });
+
+    it('should start the next round after the recovery breath', () => {
+      manager.endOpenPhase(36000);
+
+      const state = manager.update(44000);
+      expect(state.cycleNumber).toBe(1);
+      expect(state.round).toBe(2);
+      expect(state.breath).toBe(1);
+    });
+
+    it('should leave retention time out while paused', () => {
+      manager.update(10000);
+      manager.pause(10000);
+      manager.resume(70000);
+
+      expect(manager.endOpenPhase(80000)).toBe(14);
+    });
+
+    it('should ignore requests to end a phase that is not open-ended', () => {
+      expect(manager.endOpenPhase(1000)).toBeNull();
+      expect(manager.getCurrentState().retentions).toEqual([]);
+    });
+
+    it('should drop the rounds when the pattern is replaced', () => {
+      manager.updatePattern({ type: '3-phase', inhale: 4, holdTop: 0, exhale: 6 });
+
+      expect(manager.rounds).toBeNull();
+      expect(manager.getAllPhases()).toHaveLength(3);
+    });
+  });
+});
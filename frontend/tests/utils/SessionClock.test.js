@@ -0,0 +1,81 @@
+/**
+ * SessionClock Tests
+ * Tests active session time on a monotonic source: pauses left out, repeated
+ * pause/resume calls, and catching up after time the page spent in the background
+ */
+
+import { describe, expect, it } from 'vitest';
+import { SessionClock } from '../../src/utils/SessionClock.js';
+
+describe('SessionClock', () => {
+  // A clock whose time the test moves by hand
+  const manualClock = () => {
+    let time = 0;
+    const clock = new SessionClock(() => time);
+    clock.advance = (ms) => { time += ms; };
+    return clock;
+  };
+
+  it('should default to performance.now', () => {
+    const clock = new SessionClock();
+    const before = performance.now();
+
+    expect(clock.now()).toBeGreaterThanOrEqual(before);
+  });
+
+  it('should count nothing before the session starts', () => {
+    const clock = manualClock();
+    clock.advance(5000);
+
+    expect(clock.getElapsed()).toBe(0);
+  });
+
+  it('should leave paused time out', () => {
+    const clock = manualClock();
+    clock.start();
+    clock.advance(3000);
+    clock.pause();
+    clock.advance(60000);
+
+    expect(clock.getElapsed()).toBe(3000);
+    expect(clock.isPaused).toBe(true);
+
+    clock.resume();
+    clock.advance(1500);
+    expect(clock.getElapsed()).toBe(4500);
+  });
+
+  it('should ignore a second pause or a resume without a pause', () => {
+    const clock = manualClock();
+    clock.start();
+    clock.resume();
+    clock.advance(1000);
+    clock.pause();
+    clock.advance(1000);
+    clock.pause();
+    clock.advance(1000);
+    clock.resume();
+
+    expect(clock.getElapsed()).toBe(1000);
+  });
+
+  it('should catch up in one read after a stretch with no frames', () => {
+    const clock = manualClock();
+    clock.start();
+    clock.advance(90000);
+
+    expect(clock.getElapsed()).toBe(90000);
+  });
+
+  it('should start over on a new session', () => {
+    const clock = manualClock();
+    clock.start();
+    clock.advance(2000);
+    clock.pause();
+    clock.start();
+    clock.advance(500);
+
+    expect(clock.getElapsed()).toBe(500);
+    expect(clock.isPaused).toBe(false);
+  });
+});
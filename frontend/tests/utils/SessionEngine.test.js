@@ -0,0 +1,212 @@
+/**
+ * SessionEngine Tests
+ * Tests the events published around a PhaseManager: exact transition times,
+ * cycles, completion, time limits, program stages, pause/resume and subscriber isolation
+ */
+
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { PhaseManager } from '../../src/utils/PhaseManager.js';
+import { SessionEngine } from '../../src/utils/SessionEngine.js';
+
+describe('SessionEngine', () => {
+  const config = { diagonalLength: 200, maxHorizontalLength: 400 };
+  const pattern = { type: '3-phase', inhale: 4, holdTop: 2, exhale: 4 }; // 10s breath
+  let engine;
+  let events;
+
+  // Record every event as [name, payload] so tests can check order and timing
+  const record = (target) => {
+    SessionEngine.EVENTS.filter(event => event !== 'tick').forEach(event => {
+      target.on(event, payload => events.push([event, payload]));
+    });
+  };
+
+  beforeEach(() => {
+    events = [];
+    engine = new SessionEngine(new PhaseManager(pattern, config), { totalCycles: 2 });
+    record(engine);
+  });
+
+  it('should announce the first phase when the session starts', () => {
+    engine.start(1000);
+
+    expect(events.map(([event]) => event)).toEqual(['start', 'phaseStart']);
+    expect(events[1][1]).toEqual(expect.objectContaining({ phase: 'inhale', phaseIndex: 0, duration: 4, cycleNumber: 0, at: 1000 }));
+  });
+
+  it('should report every transition at its exact boundary, even after a long frame', () => {
+    engine.start(0);
+    events = [];
+    engine.tick(7300);
+
+    expect(events.map(([event, payload]) => [event, payload.phase, payload.at])).toEqual([
+      ['phaseEnd', 'inhale', 4000],
+      ['phaseStart', 'holdTop', 4000],
+      ['phaseEnd', 'holdTop', 6000],
+      ['phaseStart', 'exhale', 6000]
+    ]);
+  });
+
+  it('should report each finished breath', () => {
+    engine.start(0);
+    engine.tick(10500);
+
+    const cycles = events.filter(([event]) => event === 'cycle');
+    expect(cycles).toEqual([['cycle', { cycleNumber: 1, at: 10000 }]]);
+  });
+
+  it('should complete after the planned breaths and start nothing afterwards', () => {
+    engine.start(0);
+    engine.tick(35000);
+
+    const names = events.map(([event]) => event);
+    expect(names.filter(event => event === 'complete')).toHaveLength(1);
+    expect(names[names.length - 1]).toBe('complete');
+    expect(events[events.length - 1][1]).toEqual({ cycleNumber: 2, at: 20000 });
+    expect(engine.completed).toBe(true);
+    expect(engine.phaseManager.isRunning).toBe(false);
+  });
+
+  it('should leave paused time out of transition times', () => {
+    engine.start(0);
+    engine.tick(3000);
+    engine.pause(3000);
+    engine.resume(13000);
+    engine.tick(14500);
+
+    expect(events.filter(([event]) => ['pause', 'resume'].includes(event))).toEqual([
+      ['pause', { at: 3000 }],
+      ['resume', { at: 13000 }]
+    ]);
+    expect(events.find(([event]) => event === 'phaseEnd')[1].at).toBe(14000);
+  });
+
+  it('should report active session time on every tick', () => {
+    const ticks = [];
+    engine.on('tick', ({ elapsed }) => ticks.push(elapsed));
+    engine.start(0);
+    engine.tick(3000);
+    engine.pause(3000);
+    engine.resume(13000);
+    engine.tick(14500);
+
+    expect(ticks).toEqual([3000, 4500]);
+    expect(engine.getElapsed(15000)).toBe(5000);
+  });
+
+  it('should catch up through the breaths already taken when started part-way', () => {
+    engine.start(-15000);
+    engine.tick(0);
+
+    expect(events.filter(([event]) => event === 'cycle')).toEqual([['cycle', { cycleNumber: 1, at: -5000 }]]);
+    expect(events[events.length - 1]).toEqual(['phaseStart', expect.objectContaining({ phase: 'holdTop', at: -1000 })]);
+    expect(engine.getElapsed(0)).toBe(15000);
+  });
+
+  it('should count on from time carried in while starting the phases afresh', () => {
+    engine.start(1000, { elapsed: 12000 });
+    engine.tick(2000);
+
+    expect(events[1]).toEqual(['phaseStart', expect.objectContaining({ phase: 'inhale', cycleNumber: 0, at: 1000 })]);
+    expect(events.filter(([event]) => event === 'cycle')).toEqual([]);
+    expect(engine.getElapsed(2000)).toBe(13000);
+  });
+
+  describe('time limits', () => {
+    const timed = (timeLimit, ending) => {
+      events = [];
+      engine = new SessionEngine(new PhaseManager(pattern, config), { timeLimit, ending });
+      record(engine);
+      engine.start(0);
+    };
+
+    it('should finish the breath in progress when time is up', () => {
+      timed(25000, 'finish');
+      engine.tick(40000);
+
+      expect(events[events.length - 1]).toEqual(['complete', { cycleNumber: 3, at: 30000 }]);
+      // The third breath started before time was up and breathes out in full
+      expect(events.filter(([event]) => event === 'phaseStart').pop()[1]).toEqual(expect.objectContaining({ phase: 'exhale', at: 26000 }));
+    });
+
+    it('should cut the session mid-phase when asked to', () => {
+      timed(25000, 'cut');
+      engine.tick(40000);
+
+      expect(events[events.length - 1]).toEqual(['complete', { cycleNumber: 2, at: 25000 }]);
+      expect(events.some(([event, payload]) => event === 'phaseStart' && payload.at > 25000)).toBe(false);
+    });
+
+    it('should cut the session between transitions too', () => {
+      timed(25000, 'cut');
+      engine.tick(24000);
+      engine.tick(25500);
+
+      expect(events[events.length - 1]).toEqual(['complete', { cycleNumber: 2, at: 25000 }]);
+      expect(engine.phaseManager.isRunning).toBe(false);
+    });
+
+    it('should end exactly on a breath that lines up with the time', () => {
+      timed(20000, 'cut');
+      engine.tick(20000);
+
+      expect(events[events.length - 1]).toEqual(['complete', { cycleNumber: 2, at: 20000 }]);
+    });
+  });
+
+  it('should report program stage changes and end with the last stage', () => {
+    const manager = new PhaseManager(pattern, config);
+    manager.setProgram([
+      { pattern, seconds: 10 },
+      { natural: true, seconds: 5 }
+    ]);
+    events = [];
+    engine = new SessionEngine(manager);
+    record(engine);
+    engine.start(0);
+    engine.tick(20000);
+
+    const stageChange = events.find(([event]) => event === 'stageChange');
+    expect(stageChange[1]).toEqual(expect.objectContaining({ stageIndex: 1, at: 10000 }));
+    expect(stageChange[1].stage.natural).toBe(true);
+    expect(events[events.length - 1]).toEqual(['complete', { cycleNumber: 2, at: 15000 }]);
+  });
+
+  it('should end an open-ended retention at the moment the user ends it', () => {
+    const manager = new PhaseManager({ type: '3-phase', inhale: 1, holdTop: 0, exhale: 1 }, config);
+    manager.setRounds({ count: 1, breaths: 1, recoveryInhale: 1, recoveryHold: 1 });
+    events = [];
+    engine = new SessionEngine(manager, { totalCycles: 1 });
+    record(engine);
+    engine.start(0);
+    engine.tick(5000);
+
+    expect(engine.endOpenPhase(12000)).toBe(10);
+    expect(events.find(([event, payload]) => event === 'phaseEnd' && payload.phase === 'retention')[1].at).toBe(12000);
+  });
+
+  it('should stop calling a handler once unsubscribed', () => {
+    const handler = vi.fn();
+    const unsubscribe = engine.on('phaseStart', handler);
+    engine.start(0);
+    unsubscribe();
+    engine.tick(5000);
+
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+
+  it('should keep notifying other subscribers when one handler throws', () => {
+    const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+    const handler = vi.fn();
+    engine.on('start', () => { throw new Error('broken subscriber'); });
+    engine.on('start', handler);
+    engine.start(0);
+
+    expect(handler).toHaveBeenCalled();
+    error.mockRestore();
+  });
+
+  it('should reject unknown events', () => {
+    expect(() => engine.on('breath', () => {})).toThrow('Unknown session event: breath');
+  });
+});
@@ -0,0 +1,79 @@
+/**
+ * Catalog Client Tests
+ * Tests reshaping of the /api/catalog payload and fetch caching
+ */
+
+import { beforeEach, describe, expect, test, vi } from 'vitest';
+import api from '../../src/utils/api.js';
+import { getDefaultPattern, indexCatalog } from '../../src/utils/catalog.js';
+
+vi.mock('../../src/utils/api.js', () => ({
+  default: {
+    get: vi.fn()
+  }
+}));
+
+const payload = {
+  levels: [{ id: 'beginner', name: 'Beginner' }],
+  categories: [
+    { id: 'stress', name: 'Stress Relief', benefits: [{ emoji: '😌', title: 'Calms Nerves' }] },
+    { id: 'sleep', name: 'Sleep & Rest', benefits: [] }
+  ],
+  previewBenefits: [{ emoji: '😌', title: 'Reduces Stress', category: 'stress' }],
+  patterns: [
+    { id: 'stress-4-0-6', category: 'stress', level: 'beginner', name: '4-0-6', type: '3-phase', inhale: 4, holdTop: 0, exhale: 6, description: 'Calm' },
+    { id: 'sleep-4-0-6', category: 'sleep', level: 'beginner', name: '4-0-6', type: '3-phase', inhale: 4, holdTop: 0, exhale: 6, description: 'Slow' }
+  ],
+  programs: [
+    { id: 'wind-down', name: 'Wind Down', stages: [{ patternId: 'sleep-4-0-6', seconds: 60 }, { natural: true, seconds: 30 }] },
+    { id: 'broken', name: 'Broken', stages: [{ patternId: 'missing', seconds: 60 }] }
+  ]
+};
+
+describe('catalog client', () => {
+  beforeEach(() => {
+    vi.resetModules();
+    api.get.mockReset();
+  });
+
+  test('groups patterns by category with level names and catalog ids', () => {
+    const catalog = indexCatalog(payload);
+
+    expect(catalog.categories).toEqual([
+      { id: 'stress', name: 'Stress Relief' },
+      { id: 'sleep', name: 'Sleep & Rest' }
+    ]);
+    expect(catalog.patternsByCategory.sleep[0]).toMatchObject({
+      id: 'sleep-4-0-6',
+      catalogId: 'sleep-4-0-6',
+      level: 'Beginner',
+      levelId: 'beginner'
+    });
+    expect(catalog.benefitsByCategory.stress[0].title).toBe('Calms Nerves');
+    expect(getDefaultPattern(catalog).id).toBe('stress-4-0-6');
+  });
+
+  test('resolves program stages and drops programs with unknown patterns', () => {
+    const { programs } = indexCatalog(payload);
+
+    expect(programs).toHaveLength(1);
+    expect(programs[0].stages[0]).toMatchObject({ catalogId: 'sleep-4-0-6', name: '4-0-6', seconds: 60 });
+    expect(programs[0].stages[0].pattern.description).toBe('Slow');
+    expect(programs[0].stages[1]).toEqual({ natural: true, name: 'Natural breathing', seconds: 30 });
+  });
+
+  test('fetches once and retries after a failure', async () => {
+    const { loadCatalog } = await import('../../src/utils/catalog.js');
+    api.get
+      .mockRejectedValueOnce(new Error('offline'))
+      .mockResolvedValue({ data: { success: true, data: payload } });
+
+    await expect(loadCatalog()).rejects.toThrow('offline');
+    const first = await loadCatalog();
+    const second = await loadCatalog();
+
+    expect(first).toBe(second);
+    expect(api.get).toHaveBeenCalledTimes(2);
+    expect(api.get).toHaveBeenCalledWith('/catalog');
+  });
+});
@@ -0,0 +1,73 @@
+/**
+ * Focus Mode Tests
+ * Tests the keyboard controls, the screen wake lock and full screen helpers,
+ * including browsers without those APIs
+ */
+
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import {
+  enterFullscreen,
+  getFocusAction,
+  releaseWakeLock,
+  requestWakeLock
+} from '../../src/utils/focus.js';
+
+describe('Focus mode', () => {
+  describe('getFocusAction', () => {
+    it('should map space, Esc and R to their controls', () => {
+      expect(getFocusAction({ key: ' ' })).toBe('toggle');
+      expect(getFocusAction({ key: 'Escape' })).toBe('exit');
+      expect(getFocusAction({ key: 'r' })).toBe('restart');
+      expect(getFocusAction({ key: 'R' })).toBe('restart');
+    });
+
+    it('should leave other keys, shortcuts and held keys alone', () => {
+      expect(getFocusAction({ key: 'a' })).toBeNull();
+      expect(getFocusAction({ key: 'r', ctrlKey: true })).toBeNull();
+      expect(getFocusAction({ key: 'r', metaKey: true })).toBeNull();
+      expect(getFocusAction({ key: ' ', repeat: true })).toBeNull();
+    });
+  });
+
+  describe('wake lock', () => {
+    afterEach(() => {
+      delete navigator.wakeLock;
+    });
+
+    it('should hold and release a screen wake lock', async () => {
+      const lock = { released: false, release: vi.fn(async () => { lock.released = true; }) };
+      navigator.wakeLock = { request: vi.fn(async () => lock) };
+
+      expect(await requestWakeLock()).toBe(lock);
+      expect(navigator.wakeLock.request).toHaveBeenCalledWith('screen');
+
+      await releaseWakeLock(lock);
+      await releaseWakeLock(lock);
+      expect(lock.release).toHaveBeenCalledTimes(1);
+    });
+
+    it('should give no lock when the browser refuses or lacks the API', async () => {
+      const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+      expect(await requestWakeLock()).toBeNull();
+
+      navigator.wakeLock = { request: vi.fn(async () => { throw new Error('Battery saver'); }) };
+      expect(await requestWakeLock()).toBeNull();
+      await releaseWakeLock(null);
+      warn.mockRestore();
+    });
+  });
+
+  describe('enterFullscreen', () => {
+    it('should ask the element for full screen when it can', async () => {
+      const element = { requestFullscreen: vi.fn(async () => {}) };
+
+      expect(await enterFullscreen(element)).toBe(true);
+      expect(element.requestFullscreen).toHaveBeenCalled();
+    });
+
+    it('should carry on without full screen where it is unsupported', async () => {
+      expect(await enterFullscreen({})).toBe(false);
+      expect(await enterFullscreen(null)).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,75 @@
+/**
+ * Haptic Cue Tests
+ * Tests the vibration patterns for each phase, the opt-in setting and the
+ * no-op on devices without the Vibration API
+ */
+
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import {
+  getHapticPattern,
+  isHapticsEnabled,
+  playPhaseHaptic,
+  setHapticsEnabled,
+  stopHaptics
+} from '../../src/utils/haptics.js';
+
+describe('Haptic cues', () => {
+  let vibrate;
+
+  beforeEach(() => {
+    localStorage.clear();
+    vibrate = vi.fn(() => true);
+    navigator.vibrate = vibrate;
+  });
+
+  afterEach(() => {
+    delete navigator.vibrate;
+  });
+
+  describe('getHapticPattern', () => {
+    it('should give inhale, hold and exhale distinct patterns', () => {
+      const patterns = ['inhale', 'holdTop', 'exhale'].map(phase => JSON.stringify(getHapticPattern(phase)));
+
+      expect(new Set(patterns).size).toBe(3);
+      expect(getHapticPattern('holdBottom')).toEqual(getHapticPattern('holdTop'));
+      expect(getHapticPattern('retention')).toEqual(getHapticPattern('holdTop'));
+    });
+
+    it('should leave unguided phases without a pattern', () => {
+      expect(getHapticPattern('natural')).toBeNull();
+      expect(getHapticPattern('done')).toBeNull();
+    });
+  });
+
+  describe('playPhaseHaptic', () => {
+    it('should stay off until the user turns it on', () => {
+      expect(isHapticsEnabled()).toBe(false);
+      expect(playPhaseHaptic('inhale')).toBe(false);
+      expect(vibrate).not.toHaveBeenCalled();
+    });
+
+    it('should vibrate the phase pattern once enabled', () => {
+      setHapticsEnabled(true);
+
+      expect(playPhaseHaptic('exhale')).toBe(true);
+      expect(vibrate).toHaveBeenCalledWith(getHapticPattern('exhale'));
+    });
+
+    it('should do nothing where the Vibration API is missing', () => {
+      setHapticsEnabled(true);
+      delete navigator.vibrate;
+
+      expect(playPhaseHaptic('inhale')).toBe(false);
+      expect(() => stopHaptics()).not.toThrow();
+    });
+  });
+
+  describe('stopHaptics', () => {
+    it('should cancel a pattern in progress, including when the setting is turned off', () => {
+      setHapticsEnabled(true);
+      setHapticsEnabled(false);
+
+      expect(vibrate).toHaveBeenCalledWith(0);
+    });
+  });
+});
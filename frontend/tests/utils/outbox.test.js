@@ -0,0 +1,135 @@
+/**
+ * Session Outbox Tests
+ * Tests queueing sessions finished offline and replaying them: one entry per key,
+ * each user's queue on its own, what leaves the queue, and syncing when back online.
+ * jsdom has no IndexedDB, so these run on the localStorage fallback
+ */
+
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import api from '../../src/utils/api.js';
+import {
+  createClientId,
+  flushOutbox,
+  getQueuedSessions,
+  queueSession,
+  startOutboxSync
+} from '../../src/utils/outbox.js';
+
+vi.mock('../../src/utils/api.js', () => ({
+  default: { post: vi.fn() }
+}));
+
+describe('Session outbox', () => {
+  const entry = (clientId, overrides = {}) => ({
+    clientId,
+    userId: 'u1',
+    startedAt: '2024-01-01T08:00:00.000Z',
+    completedAt: '2024-01-01T08:05:00.000Z',
+    start: { duration: 300, pattern: { type: '3-phase', inhale: 4, holdTop: 2, exhale: 4 } },
+    complete: { duration: 300 },
+    ...overrides
+  });
+
+  // Answer each batch with the given status per key
+  const answer = (statuses) => {
+    api.post.mockImplementation(async (url, { sessions }) => ({
+      data: {
+        success: true,
+        data: {
+          results: sessions.map(({ clientId }) => ({ clientId, status: statuses[clientId] || 'completed' })),
+          streak: 2,
+          totalSessions: sessions.length
+        }
+      }
+    }));
+  };
+
+  beforeEach(() => {
+    localStorage.clear();
+    vi.clearAllMocks();
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should keep one entry per key', async () => {
+    await queueSession(entry('a'));
+    await queueSession(entry('a', { complete: { duration: 200 } }));
+    await queueSession(entry('b'));
+
+    const queued = await getQueuedSessions();
+    expect(queued.map(({ clientId }) => clientId)).toEqual(['a', 'b']);
+    expect(queued[0].complete.duration).toBe(200);
+  });
+
+  it('should send only the signed-in user\'s sessions and drop everything the server answered for', async () => {
+    await queueSession(entry('a'));
+    await queueSession(entry('b'));
+    await queueSession(entry('other', { userId: 'u2' }));
+    answer({ b: 'rejected' });
+
+    const synced = await flushOutbox('u1');
+
+    expect(api.post).toHaveBeenCalledTimes(1);
+    expect(api.post.mock.calls[0][0]).toBe('/session/ingest');
+    expect(api.post.mock.calls[0][1].sessions.map(({ clientId }) => clientId)).toEqual(['a', 'b']);
+    expect(synced.results.map(({ status }) => status)).toEqual(['completed', 'rejected']);
+    expect((await getQueuedSessions()).map(({ clientId }) => clientId)).toEqual(['other']);
+  });
+
+  it('should keep the queue when the server cannot be reached', async () => {
+    await queueSession(entry('a'));
+    api.post.mockRejectedValue(new Error('Network Error'));
+
+    expect(await flushOutbox('u1')).toBeNull();
+    expect(await getQueuedSessions()).toHaveLength(1);
+  });
+
+  it('should send large queues in batches the server accepts', async () => {
+    for (let i = 0; i < 120; i++) await queueSession(entry(`s${i}`));
+    answer({});
+
+    const synced = await flushOutbox('u1');
+
+    expect(api.post.mock.calls.map(([, body]) => body.sessions.length)).toEqual([100, 20]);
+    expect(synced.results).toHaveLength(120);
+    expect(await getQueuedSessions()).toEqual([]);
+  });
+
+  it('should share a send under way with the same user but not with another', async () => {
+    await queueSession(entry('a'));
+    await queueSession(entry('b', { userId: 'u2' }));
+    answer({});
+
+    const [first, again, other] = await Promise.all([flushOutbox('u1'), flushOutbox('u1'), flushOutbox('u2')]);
+
+    expect(again).toBe(first);
+    expect(first.results.map(({ clientId }) => clientId)).toEqual(['a']);
+    expect(other.results.map(({ clientId }) => clientId)).toEqual(['b']);
+    expect(api.post).toHaveBeenCalledTimes(2);
+    expect(await getQueuedSessions()).toEqual([]);
+  });
+
+  it('should sync at once and again when the browser is back online', async () => {
+    const onSynced = vi.fn();
+    answer({});
+    const stop = startOutboxSync('u1', onSynced);
+    await vi.waitFor(() => expect(api.post).not.toHaveBeenCalled());
+
+    await queueSession(entry('a'));
+    window.dispatchEvent(new Event('online'));
+    await vi.waitFor(() => expect(onSynced).toHaveBeenCalledTimes(1));
+    expect(onSynced.mock.calls[0][0].results).toEqual([{ clientId: 'a', status: 'completed' }]);
+
+    stop();
+    await queueSession(entry('b'));
+    window.dispatchEvent(new Event('online'));
+    expect(api.post).toHaveBeenCalledTimes(1);
+  });
+
+  it('should make a different key for every session', () => {
+    expect(createClientId()).not.toBe(createClientId());
+  });
+});
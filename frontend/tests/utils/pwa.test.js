@@ -0,0 +1,48 @@
+/**
+ * PWA Tests
+ * Tests the service worker URL handed the catalog location, and following the
+ * connection as it comes and goes for the offline indicator
+ */
+
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { getServiceWorkerUrl, isOnline, subscribeToConnectivity } from '../../src/utils/pwa.js';
+
+describe('PWA', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  describe('getServiceWorkerUrl', () => {
+    it('should pass the catalog URL of a same-origin API', () => {
+      const url = new URL(getServiceWorkerUrl('/api'), window.location.origin);
+
+      expect(url.pathname).toBe('/sw.js');
+      expect(url.searchParams.get('catalog')).toBe(`${window.location.origin}/api/catalog`);
+    });
+
+    it('should pass the catalog URL of an API on another origin', () => {
+      const url = new URL(getServiceWorkerUrl('https://api.example.com/api'), window.location.origin);
+
+      expect(url.searchParams.get('catalog')).toBe('https://api.example.com/api/catalog');
+    });
+  });
+
+  describe('connectivity', () => {
+    it('should read the browser\'s connection state', () => {
+      vi.spyOn(navigator, 'onLine', 'get').mockReturnValue(false);
+      expect(isOnline()).toBe(false);
+    });
+
+    it('should report the connection going and coming back until unsubscribed', () => {
+      const callback = vi.fn();
+      const unsubscribe = subscribeToConnectivity(callback);
+
+      window.dispatchEvent(new Event('offline'));
+      window.dispatchEvent(new Event('online'));
+      unsubscribe();
+      window.dispatchEvent(new Event('offline'));
+
+      expect(callback.mock.calls).toEqual([[false], [true]]);
+    });
+  });
+});
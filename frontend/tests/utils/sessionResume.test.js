@@ -0,0 +1,54 @@
+/**
+ * Session Resume Tests
+ * Tests the in-progress session kept on the device: saving, expiry and
+ * storage that holds something unreadable
+ */
+
+import { beforeEach, describe, expect, it } from 'vitest';
+import {
+  clearSessionProgress,
+  getSessionProgress,
+  RESUME_WINDOW_MS,
+  saveSessionProgress
+} from '../../src/utils/sessionResume.js';
+
+describe('Session resume', () => {
+  const progress = {
+    sessionId: 's1',
+    pattern: { type: '3-phase', inhale: 4, holdTop: 2, exhale: 4 },
+    elapsedMs: 95000,
+    cycle: 9
+  };
+
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  it('should return the saved session with the time it was saved', () => {
+    saveSessionProgress(progress, 1000);
+
+    expect(getSessionProgress(2000)).toEqual({ ...progress, savedAt: 1000 });
+  });
+
+  it('should drop a session left longer than the resume window', () => {
+    saveSessionProgress(progress, 1000);
+
+    expect(getSessionProgress(1000 + RESUME_WINDOW_MS + 1)).toBeNull();
+    expect(getSessionProgress(1000)).toBeNull();
+  });
+
+  it('should ignore storage it cannot read', () => {
+    localStorage.setItem('breathing_session_in_progress', '{not json');
+    expect(getSessionProgress()).toBeNull();
+
+    localStorage.setItem('breathing_session_in_progress', JSON.stringify({ sessionId: 's1' }));
+    expect(getSessionProgress()).toBeNull();
+  });
+
+  it('should forget the session once cleared', () => {
+    saveSessionProgress(progress);
+    clearSessionProgress();
+
+    expect(getSessionProgress()).toBeNull();
+  });
+});
@@ -0,0 +1,184 @@
+/**
+ * Audio Guidance Tests
+ * Tests the parts of the sound engine that decide what to play: preference handling,
+ * cue kinds, pitch sweeps, the spoken count, the generated ambient noise and starting the
+ * ambient bed only once
+ */
+
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import {
+  DEFAULT_AUDIO_PREFERENCES,
+  fillNoise,
+  getAudioPreferences,
+  getCueKind,
+  getSweep,
+  getVoiceScript,
+  normalizeAudioPreferences,
+  setAudioPreferences,
+  startAmbient,
+  stopAmbient
+} from '../../src/utils/sounds.js';
+
+// Deterministic stand-in for Math.random
+const seededRandom = (seed = 1) => () => {
+  seed = (seed * 16807) % 2147483647;
+  return seed / 2147483647;
+};
+
+describe('Audio guidance', () => {
+  describe('normalizeAudioPreferences', () => {
+    it('should fill in defaults for missing settings', () => {
+      expect(normalizeAudioPreferences(null)).toEqual(DEFAULT_AUDIO_PREFERENCES);
+      expect(normalizeAudioPreferences({ cueStyle: 'bells' })).toEqual({ ...DEFAULT_AUDIO_PREFERENCES, cueStyle: 'bells' });
+    });
+
+    it('should replace unknown styles and clamp volumes', () => {
+      expect(normalizeAudioPreferences({ cueStyle: 'kazoo', ambient: 'traffic', cueVolume: 3, ambientVolume: -1 })).toEqual({
+        cueStyle: DEFAULT_AUDIO_PREFERENCES.cueStyle,
+        cueVolume: 1,
+        ambient: DEFAULT_AUDIO_PREFERENCES.ambient,
+        ambientVolume: 0
+      });
+      expect(normalizeAudioPreferences({ cueVolume: 'loud' }).cueVolume).toBe(DEFAULT_AUDIO_PREFERENCES.cueVolume);
+    });
+  });
+
+  describe('setAudioPreferences', () => {
+    beforeEach(() => localStorage.clear());
+
+    it('should merge changes and keep a local copy', () => {
+      setAudioPreferences({ cueStyle: 'voice', ambient: 'rain' });
+      setAudioPreferences({ ambientVolume: 0.2 });
+
+      expect(getAudioPreferences()).toEqual({ cueStyle: 'voice', cueVolume: 0.8, ambient: 'rain', ambientVolume: 0.2 });
+      expect(JSON.parse(localStorage.getItem('breathing_audio_preferences'))).toEqual(getAudioPreferences());
+    });
+  });
+
+  describe('getCueKind', () => {
+    it('should group holds and leave unguided phases silent', () => {
+      expect(getCueKind('inhale')).toBe('in');
+      expect(getCueKind('topUp')).toBe('topUp');
+      expect(['holdTop', 'holdBottom', 'retention'].map(getCueKind)).toEqual(['hold', 'hold', 'hold']);
+      expect(getCueKind('exhale')).toBe('out');
+      expect(getCueKind('natural')).toBeNull();
+      expect(getCueKind('idle')).toBeNull();
+    });
+  });
+
+  describe('getSweep', () => {
+    it('should rise on the inhale, fall on the exhale and hold steady at the level reached', () => {
+      const inhale = getSweep('inhale');
+      const exhale = getSweep('exhale');
+
+      expect(inhale.to).toBeGreaterThan(inhale.from);
+      expect(exhale).toEqual({ from: inhale.to, to: inhale.from });
+      expect(getSweep('holdTop')).toEqual({ from: inhale.to, to: inhale.to });
+      expect(getSweep('holdBottom')).toEqual({ from: inhale.from, to: inhale.from });
+      expect(getSweep('topUp').from).toBe(inhale.to);
+    });
+  });
+
+  describe('getVoiceScript', () => {
+    it('should give the instruction and then count each second of the phase', () => {
+      expect(getVoiceScript('inhale', 4)).toEqual([
+        { text: 'Breathe in', at: 0 },
+        { text: '2', at: 1 },
+        { text: '3', at: 2 },
+        { text: '4', at: 3 }
+      ]);
+      expect(getVoiceScript('exhale', 2.5).map(line => line.text)).toEqual(['Breathe out', '2']);
+    });
+
+    it('should only give the instruction for short and open-ended phases', () => {
+      expect(getVoiceScript('holdTop', 1)).toEqual([{ text: 'Hold', at: 0 }]);
+      expect(getVoiceScript('retention', null)).toEqual([{ text: 'Hold', at: 0 }]);
+      expect(getVoiceScript('natural', 5)).toEqual([]);
+    });
+  });
+
+  describe('fillNoise', () => {
+    const roughness = (data) => {
+      let total = 0;
+      for (let i = 1; i < data.length; i++) total += Math.abs(data[i] - data[i - 1]);
+      return total / (data.length - 1);
+    };
+
+    it('should keep every colour within the audio range', () => {
+      ['white', 'pink', 'brown'].forEach(color => {
+        const data = fillNoise(new Float32Array(20000), color, seededRandom());
+        expect(data.every(sample => sample >= -1 && sample <= 1)).toBe(true);
+      });
+    });
+
+    it('should make brown noise smoother than pink, and pink smoother than white', () => {
+      const [white, pink, brown] = ['white', 'pink', 'brown'].map(color =>
+        roughness(fillNoise(new Float32Array(20000), color, seededRandom()))
+      );
+
+      expect(pink).toBeLessThan(white);
+      expect(brown).toBeLessThan(pink);
+    });
+  });
+
+  describe('ambient bed', () => {
+    // Just enough of the Web Audio API to build a bed; each looping source is recorded
+    const sources = [];
+    const param = () => ({ value: 0, setValueAtTime() {}, linearRampToValueAtTime() {}, cancelScheduledValues() {}, setTargetAtTime() {} });
+    const node = () => ({ connect() {}, gain: param(), frequency: param(), start: vi.fn(), stop: vi.fn() });
+    class FakeAudioContext {
+      state = 'suspended';
+      currentTime = 0;
+      sampleRate = 100;
+      destination = {};
+      resume() {
+        this.state = 'running';
+        return Promise.resolve();
+      }
+      createGain() { return node(); }
+      createBiquadFilter() { return node(); }
+      createOscillator() { return node(); }
+      createBufferSource() {
+        const source = node();
+        sources.push(source);
+        return source;
+      }
+      createBuffer(channels, length) {
+        return { numberOfChannels: channels, getChannelData: () => new Float32Array(length) };
+      }
+    }
+
+    beforeEach(() => {
+      localStorage.clear();
+      sources.length = 0;
+      vi.stubGlobal('AudioContext', FakeAudioContext);
+      setAudioPreferences({ ambient: 'rain' });
+    });
+
+    afterEach(() => {
+      stopAmbient();
+      vi.unstubAllGlobals();
+    });
+
+    it('should build one bed for overlapping starts, and stop it', async () => {
+      await Promise.all([startAmbient(), startAmbient()]);
+      expect(sources).toHaveLength(1);
+
+      stopAmbient();
+      expect(sources[0].stop).toHaveBeenCalled();
+    });
+
+    it('should not start a bed stopped while starting, but start again when asked after', async () => {
+      const called = startAmbient();
+      stopAmbient();
+      const restarted = startAmbient();
+      await Promise.all([called, restarted]);
+
+      expect(sources).toHaveLength(1);
+      stopAmbient();
+      await startAmbient();
+      expect(sources).toHaveLength(2);
+      expect(sources[0].stop).toHaveBeenCalled();
+    });
+  });
+});
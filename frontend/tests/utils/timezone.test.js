@@ -0,0 +1,43 @@
+/**
+ * Time Zone Tests
+ * Tests reading the device's time zone to send with the account and formatting the server's day keys
+ */
+
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { formatDayKey, getBrowserTimezone } from '../../src/utils/timezone.js';
+
+describe('getBrowserTimezone', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should report the zone the browser resolves', () => {
+    vi.spyOn(Intl.DateTimeFormat.prototype, 'resolvedOptions').mockReturnValue({ timeZone: 'Australia/Sydney' });
+    expect(getBrowserTimezone()).toBe('Australia/Sydney');
+  });
+
+  it('should report nothing when the browser has no zone', () => {
+    vi.spyOn(Intl.DateTimeFormat.prototype, 'resolvedOptions').mockReturnValue({});
+    expect(getBrowserTimezone()).toBeNull();
+  });
+});
+
+describe('formatDayKey', () => {
+  const zone = process.env.TZ;
+
+  afterEach(() => {
+    process.env.TZ = zone;
+  });
+
+  it('should show the day a key names for users west of UTC', () => {
+    process.env.TZ = 'America/Los_Angeles';
+    expect(formatDayKey('2026-03-01', { month: 'short', day: 'numeric' })).toBe('Mar 1');
+    expect(formatDayKey('2026-03-02', { weekday: 'short' })).toBe('Mon');
+    expect(formatDayKey('2026-03-01')).toBe('3/1/2026');
+  });
+
+  it('should show the same day east of UTC', () => {
+    process.env.TZ = 'Pacific/Auckland';
+    expect(formatDayKey('2026-01-30', { day: 'numeric', month: 'long', year: 'numeric' })).toBe('January 30, 2026');
+  });
+});
@@ -1,8 +1,48 @@
 import react from '@vitejs/plugin-react';
+import { createHash } from 'crypto';
+import { readdirSync, readFileSync, statSync } from 'fs';
+import path from 'path';
 import { defineConfig } from 'vite';
 
+const publicDir = path.resolve(__dirname, 'public');
+
+// Every file under public/, relative to it; they are copied into the build as they are
+const listPublicFiles = (dir = publicDir) => readdirSync(dir).flatMap(name => {
+	const file = path.join(dir, name);
+	return statSync(file).isDirectory() ? listPublicFiles(file) : [path.relative(publicDir, file)];
+});
+
+// Build the service worker from src/serviceWorker.js with the files to precache: the app shell,
+// every emitted asset and everything in public/. Its cache version is a hash of those files, so
+// each build that changes them ships a new worker and browsers replace the old cache
+const serviceWorker = () => ({
+	name: 'service-worker',
+	apply: 'build',
+	enforce: 'post',
+	generateBundle(options, bundle) {
+		const publicFiles = listPublicFiles();
+		const files = [...new Set(['index.html', ...Object.keys(bundle), ...publicFiles])]
+			.map(file => file.split(path.sep).join('/'));
+		const hash = createHash('sha256');
+		files.forEach(file => hash.update(file));
+		publicFiles.forEach(file => hash.update(readFileSync(path.join(publicDir, file))));
+
+		const urls = ['/', ...files.map(file => encodeURI(`/${file}`))];
+		this.emitFile({
+			type: 'asset',
+			fileName: 'sw.js',
+			source: [
+				`const PRECACHE_URLS = ${JSON.stringify(urls)};`,
+				`const CACHE_VERSION = '${hash.digest('hex').slice(0, 12)}';`,
+				'',
+				readFileSync(path.resolve(__dirname, 'src/serviceWorker.js'), 'utf8')
+			].join('\n')
+		});
+	}
+});
+
 export default defineConfig({
-	plugins: [react()],
+	plugins: [react(), serviceWorker()],
 	server: {
 		host: '0.0.0.0',
 		port: 5175,